@@ -5,9 +5,19 @@
  * Public routes:
  *  - /login
  *  - /register
+ *  - /forgot-password
+ *  - /reset-password
+ *  - /verify-email
  *
  * Protected routes:
- *  - /tasks
+ *  - /tasks (all tasks)
+ *  - /projects/inbox (tasks without a project), /projects/:projectId
+ *  - /trash (deleted tasks)
+ *  - /settings/account
+ *  - /settings/security
+ *  - /settings/tokens
+ *  - /settings/sessions
+ *  - /admin (also requires the users:read permission)
  *
  * All unknown routes redirect to /tasks.
  */
@@ -15,9 +25,19 @@
 import React from "react";
 import { Routes, Route, Navigate } from "react-router-dom";
 import ProtectedRoute from "./components/ProtectedRoute";
+import RequirePermission from "./components/RequirePermission";
 import Login from "./pages/Login";
 import Register from "./pages/Register";
+import ForgotPassword from "./pages/ForgotPassword";
+import ResetPassword from "./pages/ResetPassword";
+import VerifyEmail from "./pages/VerifyEmail";
 import Tasks from "./pages/Tasks";
+import Trash from "./pages/Trash";
+import Account from "./pages/Account";
+import Security from "./pages/Security";
+import ApiTokens from "./pages/ApiTokens";
+import Sessions from "./pages/Sessions";
+import Admin from "./pages/Admin";
 
 function App() {
   return (
@@ -25,6 +45,9 @@ function App() {
       <Route path="/" element={<Navigate to="/tasks" replace />} />
       <Route path="/login" element={<Login />} />
       <Route path="/register" element={<Register />} />
+      <Route path="/forgot-password" element={<ForgotPassword />} />
+      <Route path="/reset-password" element={<ResetPassword />} />
+      <Route path="/verify-email" element={<VerifyEmail />} />
 
       <Route
         path="/tasks"
@@ -35,6 +58,71 @@ function App() {
         }
       />
 
+      <Route
+        path="/projects/:projectId"
+        element={
+          <ProtectedRoute>
+            <Tasks />
+          </ProtectedRoute>
+        }
+      />
+
+      <Route
+        path="/trash"
+        element={
+          <ProtectedRoute>
+            <Trash />
+          </ProtectedRoute>
+        }
+      />
+
+      <Route
+        path="/settings/account"
+        element={
+          <ProtectedRoute>
+            <Account />
+          </ProtectedRoute>
+        }
+      />
+
+      <Route
+        path="/settings/security"
+        element={
+          <ProtectedRoute>
+            <Security />
+          </ProtectedRoute>
+        }
+      />
+
+      <Route
+        path="/settings/tokens"
+        element={
+          <ProtectedRoute>
+            <ApiTokens />
+          </ProtectedRoute>
+        }
+      />
+
+      <Route
+        path="/settings/sessions"
+        element={
+          <ProtectedRoute>
+            <Sessions />
+          </ProtectedRoute>
+        }
+      />
+
+      <Route
+        path="/admin"
+        element={
+          <ProtectedRoute>
+            <RequirePermission permission="users:read">
+              <Admin />
+            </RequirePermission>
+          </ProtectedRoute>
+        }
+      />
+
       <Route path="*" element={<Navigate to="/tasks" replace />} />
     </Routes>
   );
@@ -0,0 +1,45 @@
+import api from "./axios";
+
+/**
+ * account.js
+ *
+ * Account self-service API functions for Secure Task Manager.
+ * All calls act on the signed-in user (/api/me).
+ */
+
+export async function getMe() {
+  const response = await api.get("/api/me");
+  return response.data;
+}
+
+/**
+ * @param {{ username: string }} payload
+ */
+export async function updateProfile(payload) {
+  const response = await api.patch("/api/me", payload);
+  return response.data;
+}
+
+/**
+ * @param {{ currentPassword: string, newPassword: string }} payload
+ */
+export async function changePassword(payload) {
+  const response = await api.post("/api/me/password", payload);
+  return response.data;
+}
+
+/**
+ * @param {{ password: string, email: string }} payload
+ */
+export async function changeEmail(payload) {
+  const response = await api.post("/api/me/email", payload);
+  return response.data;
+}
+
+/**
+ * @param {{ password: string, code?: string, recoveryCode?: string }} payload
+ */
+export async function deleteAccount(payload) {
+  const response = await api.delete("/api/me", { data: payload });
+  return response.data;
+}
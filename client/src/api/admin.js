@@ -0,0 +1,31 @@
+import api from "./axios";
+
+/**
+ * admin.js
+ *
+ * Admin API functions for Secure Task Manager.
+ * Every call requires an admin account; others get 403.
+ */
+
+/**
+ * @param {{ search?: string, limit?: number, offset?: number }} params
+ */
+export async function listUsers(params) {
+  const response = await api.get("/api/admin/users", { params });
+  return response.data;
+}
+
+export async function disableUser(id) {
+  const response = await api.post(`/api/admin/users/${id}/disable`);
+  return response.data;
+}
+
+export async function enableUser(id) {
+  const response = await api.post(`/api/admin/users/${id}/enable`);
+  return response.data;
+}
+
+export async function forceLogoutUser(id) {
+  const response = await api.post(`/api/admin/users/${id}/logout`);
+  return response.data;
+}
@@ -0,0 +1,25 @@
+import api from "./axios";
+
+/**
+ * apiTokens.js
+ *
+ * Personal access token API functions for Secure Task Manager.
+ * Token values are returned only by createApiToken; lists show the prefix.
+ */
+
+export async function listApiTokens() {
+  const response = await api.get("/api/tokens");
+  return response.data;
+}
+
+/**
+ * @param {{ name: string, scopes: string[], expiresInDays: number | null }} payload
+ */
+export async function createApiToken(payload) {
+  const response = await api.post("/api/tokens", payload);
+  return response.data;
+}
+
+export async function revokeApiToken(id) {
+  await api.delete(`/api/tokens/${id}`);
+}
@@ -20,11 +20,108 @@ export async function registerUser(payload) {
   
 
 /**
- * Login a user and receive a JWT token.
+ * Login a user and receive an access token + refresh token.
  * @param {{ email: string, password: string }} payload
- * @returns {Promise<any>} Expected to include a token field.
+ * @returns {Promise<any>} token + refreshToken, or csrfToken in cookie mode.
  */
 export async function loginUser(payload) {
   const response = await api.post("/api/auth/login", payload);
   return response.data;
-}
\ No newline at end of file
+}
+/**
+ * Revoke the current session on the server.
+ * @param {string | null} refreshToken Omitted in cookie mode (sent as a cookie).
+ * @returns {Promise<any>}
+ */
+export async function logoutUser(refreshToken) {
+  const response = await api.post("/api/auth/logout", { refreshToken });
+  return response.data;
+}
+
+/**
+ * Request a password reset email.
+ * The server responds the same way whether or not the email exists.
+ * @param {string} email
+ * @returns {Promise<any>}
+ */
+export async function requestPasswordReset(email) {
+  const response = await api.post("/api/auth/forgot-password", { email });
+  return response.data;
+}
+
+/**
+ * Set a new password using the token from a reset email.
+ * @param {{ token: string, password: string }} payload
+ * @returns {Promise<any>}
+ */
+export async function resetPassword(payload) {
+  const response = await api.post("/api/auth/reset-password", payload);
+  return response.data;
+}
+
+/**
+ * Verify an email address using the token from a verification email.
+ * @param {string} token
+ * @returns {Promise<any>}
+ */
+export async function verifyEmail(token) {
+  const response = await api.get("/api/auth/verify", { params: { token } });
+  return response.data;
+}
+
+/**
+ * Ask for a new verification email.
+ * The server responds the same way whether or not the email exists.
+ * @param {string} email
+ * @returns {Promise<any>}
+ */
+export async function resendVerification(email) {
+  const response = await api.post("/api/auth/resend-verification", { email });
+  return response.data;
+}
+
+/**
+ * Complete a login that requires a second factor.
+ * @param {{ challengeToken: string, code?: string, recoveryCode?: string }} payload
+ * @returns {Promise<any>} token + refreshToken, or csrfToken in cookie mode.
+ */
+export async function loginWithSecondFactor(payload) {
+  const response = await api.post("/api/auth/login/mfa", payload);
+  return response.data;
+}
+
+/**
+ * Fetch the password rules the server enforces (used for the live checklist).
+ * @returns {Promise<{ minLength: number, maxLength: number, maxBytes: number, disallowPersonalInfo: boolean, commonPasswords: string[] }>}
+ */
+export async function getPasswordPolicy() {
+  const response = await api.get("/api/auth/password-policy");
+  return response.data;
+}
+
+/**
+ * Ask whether single sign-on (OpenID Connect) is configured.
+ * @returns {Promise<{ enabled: boolean, providerName: string | null }>}
+ */
+export async function getSsoConfig() {
+  const response = await api.get("/api/auth/oidc");
+  return response.data;
+}
+
+/**
+ * Full-page URL that starts single sign-on (the browser leaves the app).
+ * @returns {string}
+ */
+export function getSsoStartUrl() {
+  return `${api.defaults.baseURL}/api/auth/oidc/start`;
+}
+
+/**
+ * Exchange the one-time code from the SSO redirect for a session.
+ * @param {string} code
+ * @returns {Promise<any>} Same as loginUser (including the 2FA challenge).
+ */
+export async function completeSsoLogin(code) {
+  const response = await api.post("/api/auth/oidc/complete", { code });
+  return response.data;
+}
@@ -4,11 +4,23 @@
  * Centralized Axios instance for Secure Task Manager.
  * Responsibilities:
  * - Uses environment-based API base URL
- * - Automatically attaches JWT from localStorage
+ * - Automatically attaches the access token from localStorage
+ * - In cookie mode, sends cookies and the CSRF token instead
+ * - Transparently refreshes an expired access token once on 401
+ * - Fetches a fresh CSRF token and retries once when it is rejected
  * - Normalizes API errors for consistent UI handling
  */
 
 import axios from "axios";
+import {
+  getAccessToken,
+  getRefreshToken,
+  getCsrfToken,
+  isCookieSession,
+  saveSession,
+  setCookieSession,
+  clearTokens,
+} from "./tokenStorage";
 
 // Base URL comes from client/.env
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL;
@@ -25,36 +37,147 @@ const api = axios.create({
     "Content-Type": "application/json",
   },
   timeout: 10000,
+  // Cookie mode: the session cookies must travel with every request.
+  withCredentials: true,
 });
 
-// Attach JWT to every request if it exists
+// Methods the server checks for a CSRF token in cookie mode.
+const UNSAFE_METHODS = ["post", "put", "patch", "delete"];
+
+// Auth endpoints whose 401 means "bad credentials", not "expired access token".
+const NO_REFRESH_PATHS = [
+  "/api/auth/login",
+  "/api/auth/login/mfa",
+  "/api/auth/oidc/complete",
+  "/api/auth/refresh",
+  "/api/auth/logout",
+];
+
+// Shared in-flight refresh so parallel 401s trigger only one refresh call.
+let refreshPromise = null;
+
+/**
+ * Exchange the stored refresh token (or, in cookie mode, the refresh cookie)
+ * for a new token pair.
+ * Uses a bare axios call so it never passes through these interceptors.
+ * @returns {Promise<string | undefined>} The new access token (bearer mode).
+ */
+function refreshAccessToken() {
+  if (!refreshPromise) {
+    const cookieSession = isCookieSession();
+
+    refreshPromise = axios
+      .post(
+        `${API_BASE_URL}/api/auth/refresh`,
+        cookieSession ? {} : { refreshToken: getRefreshToken() },
+        {
+          timeout: 10000,
+          withCredentials: true,
+          headers: cookieSession ? { "X-CSRF-Token": getCsrfToken() } : {},
+        }
+      )
+      .then((response) => {
+        saveSession(response.data);
+        return response.data.token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return refreshPromise;
+}
+
+/**
+ * Ask the server for the current session's CSRF token (cookie mode).
+ * @returns {Promise<void>}
+ */
+async function reloadCsrfToken() {
+  const response = await axios.get(`${API_BASE_URL}/api/auth/csrf`, {
+    timeout: 10000,
+    withCredentials: true,
+  });
+  setCookieSession(response.data.csrfToken);
+}
+
+function normalizeError(error) {
+  const status = error?.response?.status;
+  const data = error?.response?.data;
+
+  return {
+    status,
+    data,
+    message: data?.error || error?.message || "An unexpected error occurred.",
+  };
+}
+
+// Attach JWT to every request if it exists (or the CSRF token in cookie mode)
 api.interceptors.request.use(
   (config) => {
-    const token = localStorage.getItem("stm_token");
+    const token = getAccessToken();
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
+    } else if (
+      isCookieSession() &&
+      UNSAFE_METHODS.includes(config.method?.toLowerCase())
+    ) {
+      config.headers["X-CSRF-Token"] = getCsrfToken();
     }
     return config;
   },
   (error) => Promise.reject(error)
 );
 
-// Normalize backend errors
+// Refresh once on 401, then normalize backend errors
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    const status = error?.response?.status;
-    const data = error?.response?.data;
-
-    return Promise.reject({
-      status,
-      data,
-      message:
-        data?.error ||
-        error?.message ||
-        "An unexpected error occurred.",
-    });
+  async (error) => {
+    const original = error?.config;
+
+    const shouldRefresh =
+      error?.response?.status === 401 &&
+      original &&
+      !original._retried &&
+      !NO_REFRESH_PATHS.includes(original.url) &&
+      (Boolean(getRefreshToken()) || isCookieSession());
+
+    if (shouldRefresh) {
+      original._retried = true;
+
+      try {
+        // The request interceptor attaches the new credentials on retry.
+        await refreshAccessToken();
+        return api(original);
+      } catch (refreshError) {
+        // Refresh token is invalid or revoked: the session is over.
+        // Clearing tokens updates AuthContext, which sends the user to /login.
+        // (Network failures keep the tokens so a later request can retry.)
+        if (refreshError?.response) {
+          clearTokens();
+        }
+      }
+    }
+
+    const csrfRejected =
+      error?.response?.status === 403 &&
+      error?.response?.data?.code === "CSRF_INVALID" &&
+      original &&
+      !original._csrfRetried &&
+      isCookieSession();
+
+    if (csrfRejected) {
+      original._csrfRetried = true;
+
+      try {
+        await reloadCsrfToken();
+        return api(original);
+      } catch {
+        // Fall through and report the original error.
+      }
+    }
+
+    return Promise.reject(normalizeError(error));
   }
 );
 
-export default api;
\ No newline at end of file
+export default api;
@@ -0,0 +1,50 @@
+import api from "./axios";
+
+/**
+ * checklist.js
+ *
+ * Task checklist API functions for Secure Task Manager.
+ * Writes resolve to { item?, items?, task }: task carries the new progress
+ * (and completed state, for tasks with auto_complete on).
+ */
+
+export async function listChecklist(taskId) {
+  const response = await api.get(`/api/tasks/${taskId}/checklist`);
+  return response.data;
+}
+
+export async function addChecklistItem(taskId, title) {
+  const response = await api.post(`/api/tasks/${taskId}/checklist`, {
+    title,
+  });
+  return response.data;
+}
+
+/**
+ * @param {number} taskId
+ * @param {number} itemId
+ * @param {{ title?: string, completed?: boolean }} changes
+ */
+export async function updateChecklistItem(taskId, itemId, changes) {
+  const response = await api.put(
+    `/api/tasks/${taskId}/checklist/${itemId}`,
+    changes,
+  );
+  return response.data;
+}
+
+export async function deleteChecklistItem(taskId, itemId) {
+  const response = await api.delete(`/api/tasks/${taskId}/checklist/${itemId}`);
+  return response.data;
+}
+
+/**
+ * @param {number} taskId
+ * @param {number[]} itemIds every item id, in the new order
+ */
+export async function reorderChecklist(taskId, itemIds) {
+  const response = await api.put(`/api/tasks/${taskId}/checklist/order`, {
+    item_ids: itemIds,
+  });
+  return response.data;
+}
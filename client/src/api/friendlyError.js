@@ -24,11 +24,11 @@ export function getFriendlyError(err) {
       case 401:
         return "Your session has expired. Please sign in again.";
       case 403:
-        return "You do not have permission to perform this action.";
+        return backendMessage || "You do not have permission to perform this action.";
       case 404:
         return backendMessage || "The requested item could not be found.";
       case 429:
-        return "Too many requests. Please try again in a moment.";
+        return backendMessage || "Too many requests. Please try again in a moment.";
       default:
         return "Something went wrong on the server. Please try again.";
     }
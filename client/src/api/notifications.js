@@ -0,0 +1,28 @@
+import api from "./axios";
+
+/**
+ * notifications.js
+ *
+ * In-app notification API functions for Secure Task Manager
+ * (task reminders recorded by the server's reminder scheduler).
+ */
+
+/**
+ * @param {{ unread?: boolean }} [options]
+ */
+export async function listNotifications({ unread = false } = {}) {
+  const response = await api.get("/api/notifications", {
+    params: unread ? { unread: "true" } : undefined,
+  });
+  return response.data;
+}
+
+export async function markNotificationRead(id) {
+  const response = await api.post(`/api/notifications/${id}/read`);
+  return response.data;
+}
+
+export async function markAllNotificationsRead() {
+  const response = await api.post("/api/notifications/read-all");
+  return response.data;
+}
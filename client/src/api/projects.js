@@ -0,0 +1,31 @@
+import api from "./axios";
+
+/**
+ * projects.js
+ *
+ * Project (task list) API functions for Secure Task Manager.
+ * Tasks join a project with project_id (see api/tasks.js); null is the Inbox.
+ */
+
+/**
+ * @returns {Promise<{ projects: object[], inbox: { task_count: number,
+ *   remaining_count: number } }>}
+ */
+export async function listProjects() {
+  const response = await api.get("/api/projects");
+  return response.data;
+}
+
+export async function createProject(name) {
+  const response = await api.post("/api/projects", { name });
+  return response.data;
+}
+
+export async function renameProject(id, name) {
+  const response = await api.put(`/api/projects/${id}`, { name });
+  return response.data;
+}
+
+export async function deleteProject(id) {
+  await api.delete(`/api/projects/${id}`);
+}
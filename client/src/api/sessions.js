@@ -0,0 +1,26 @@
+import api from "./axios";
+
+/**
+ * sessions.js
+ *
+ * Active session API functions for Secure Task Manager.
+ * Each session is one signed-in browser or device.
+ */
+
+export async function listSessions() {
+  const response = await api.get("/api/sessions");
+  return response.data;
+}
+
+export async function revokeSession(id) {
+  await api.delete(`/api/sessions/${id}`);
+}
+
+/**
+ * Sign out every session except this one.
+ * @returns {Promise<{ revokedSessions: number }>}
+ */
+export async function revokeOtherSessions() {
+  const response = await api.post("/api/sessions/revoke-others");
+  return response.data;
+}
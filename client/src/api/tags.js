@@ -0,0 +1,34 @@
+import api from "./axios";
+
+/**
+ * tags.js
+ *
+ * Tag API functions for Secure Task Manager
+ * (labels put on tasks with tag_ids; see api/tasks.js).
+ */
+
+export async function listTags() {
+  const response = await api.get("/api/tags");
+  return response.data;
+}
+
+/**
+ * @param {{ name: string, color?: string }} payload
+ */
+export async function createTag(payload) {
+  const response = await api.post("/api/tags", payload);
+  return response.data;
+}
+
+/**
+ * @param {number} id
+ * @param {{ name?: string, color?: string }} payload
+ */
+export async function updateTag(id, payload) {
+  const response = await api.put(`/api/tags/${id}`, payload);
+  return response.data;
+}
+
+export async function deleteTag(id) {
+  await api.delete(`/api/tags/${id}`);
+}
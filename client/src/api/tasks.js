@@ -7,8 +7,35 @@ import api from "./axios";
  * Uses centralized Axios client which automatically attaches JWT.
  */
 
-export async function getTasks() {
-  const response = await api.get("/api/tasks");
+/**
+ * One page of tasks: { tasks, next_cursor }. Pass next_cursor back as cursor
+ * (with the same options) for the next page; it is null on the last one.
+ * @param {{ sort?: string, order?: "asc" | "desc", tags?: string[],
+ *   tagMatch?: "any" | "all", project?: string, completed?: boolean,
+ *   limit?: number, cursor?: string }} [options] tags filters by tag name
+ */
+export async function getTasks({ tags = [], tagMatch, ...params } = {}) {
+  if (tags.length > 0) {
+    // Comma-separated: axios would send an array as tag[]=...
+    params.tag = tags.join(",");
+    params.tag_match = tagMatch;
+  }
+
+  const response = await api.get("/api/tasks", { params });
+  return response.data;
+}
+
+/**
+ * Full-text search in titles and descriptions: { results: [{ task,
+ * highlight: { title, description } }] }, best match first. Highlights are
+ * plain-text segments, [{ text, match }].
+ * @param {string} q
+ * @param {{ limit?: number }} [options]
+ */
+export async function searchTasks(q, { limit } = {}) {
+  const response = await api.get("/api/tasks/search", {
+    params: { q, limit },
+  });
   return response.data;
 }
 
@@ -22,7 +49,99 @@ export async function updateTask(id, payload) {
   return response.data;
 }
 
+/**
+ * Runs operations ({ action: "update" | "complete" | "delete" | "restore",
+ * ids | filter, changes? }) in one transaction: all succeed or nothing
+ * changes. delete moves tasks to the trash. Resolves to { results, tasks,
+ * deleted_ids }.
+ * @param {object[]} operations
+ */
+export async function bulkTasks(operations) {
+  const response = await api.post("/api/tasks/bulk", { operations });
+  return response.data;
+}
+
+/**
+ * Moves a task in the manual order, between afterId (above) and beforeId
+ * (below); either may be null.
+ * @param {number} id
+ * @param {{ afterId: number | null, beforeId: number | null }} neighbors
+ */
+export async function moveTask(id, { afterId, beforeId }) {
+  const response = await api.post(`/api/tasks/${id}/move`, {
+    after_id: afterId,
+    before_id: beforeId,
+  });
+  return response.data;
+}
+
+/**
+ * A task's revisions, newest first: { revisions, next_before }. Each revision
+ * is { id, action, changes: { field: { before, after } }, reverted_to,
+ * created_at, actor: { user_id, username, token } }. Pass next_before as
+ * before for older revisions; it is null on the last page.
+ * @param {number} id
+ * @param {{ before?: number, limit?: number }} [options]
+ */
+export async function getTaskHistory(id, { before, limit } = {}) {
+  const response = await api.get(`/api/tasks/${id}/history`, {
+    params: { before, limit },
+  });
+  return response.data;
+}
+
+/**
+ * Puts a task back to how it was right after a revision. Resolves to { task }.
+ * @param {number} id
+ * @param {number} revisionId
+ */
+export async function revertTask(id, revisionId) {
+  const response = await api.post(`/api/tasks/${id}/revert`, {
+    revision_id: revisionId,
+  });
+  return response.data;
+}
+
+/**
+ * Moves a task to the trash (restore it with restoreTask).
+ * @param {number} id
+ */
 export async function deleteTask(id) {
   const response = await api.delete(`/api/tasks/${id}`);
   return response.data;
+}
+
+/**
+ * Trashed tasks, most recently deleted first: { tasks, retention_days }. Each
+ * task has deleted_at and purge_at (when it is deleted for good).
+ */
+export async function getTrash() {
+  const response = await api.get("/api/tasks/trash");
+  return response.data;
+}
+
+/**
+ * Takes a task out of the trash. Resolves to { task }.
+ * @param {number} id
+ */
+export async function restoreTask(id) {
+  const response = await api.post(`/api/tasks/${id}/restore`);
+  return response.data;
+}
+
+/**
+ * Permanently deletes a task that is in the trash.
+ * @param {number} id
+ */
+export async function purgeTask(id) {
+  const response = await api.delete(`/api/tasks/trash/${id}`);
+  return response.data;
+}
+
+/**
+ * Permanently deletes every task in the trash. Resolves to { deleted_ids }.
+ */
+export async function emptyTrash() {
+  const response = await api.delete("/api/tasks/trash");
+  return response.data;
 }
\ No newline at end of file
@@ -0,0 +1,105 @@
+/**
+ * tokenStorage.js
+ *
+ * Single place that reads and writes auth state in localStorage.
+ * Shared by the Axios client (which refreshes tokens) and AuthContext
+ * (which renders based on them), so both always agree.
+ *
+ * Two server modes are supported (server AUTH_MODE):
+ * - bearer: the access and refresh tokens are stored here
+ * - cookie: the tokens are HttpOnly cookies this code cannot read; only the
+ *   session's CSRF token is stored (useless without the cookies)
+ *
+ * Listeners are notified whenever the session changes, including when a
+ * failed refresh clears it outside of React.
+ */
+
+const ACCESS_TOKEN_KEY = "stm_token";
+const REFRESH_TOKEN_KEY = "stm_refresh_token";
+const CSRF_TOKEN_KEY = "stm_csrf_token";
+
+const listeners = new Set();
+
+function notify() {
+  const signedIn = hasSession();
+  listeners.forEach((listener) => listener(signedIn));
+}
+
+export function getAccessToken() {
+  return localStorage.getItem(ACCESS_TOKEN_KEY);
+}
+
+export function getRefreshToken() {
+  return localStorage.getItem(REFRESH_TOKEN_KEY);
+}
+
+export function getCsrfToken() {
+  return localStorage.getItem(CSRF_TOKEN_KEY);
+}
+
+/**
+ * True when the session lives in HttpOnly cookies (server cookie mode).
+ */
+export function isCookieSession() {
+  return Boolean(getCsrfToken());
+}
+
+/**
+ * True when there is a session in either mode.
+ */
+export function hasSession() {
+  return Boolean(getAccessToken()) || isCookieSession();
+}
+
+/**
+ * Store a new access/refresh token pair (bearer mode).
+ * @param {string} accessToken
+ * @param {string} refreshToken
+ */
+export function setTokens(accessToken, refreshToken) {
+  localStorage.setItem(ACCESS_TOKEN_KEY, accessToken);
+  localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+  localStorage.removeItem(CSRF_TOKEN_KEY);
+  notify();
+}
+
+/**
+ * Record a cookie-mode session by its CSRF token.
+ * @param {string} csrfToken
+ */
+export function setCookieSession(csrfToken) {
+  localStorage.removeItem(ACCESS_TOKEN_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+  localStorage.setItem(CSRF_TOKEN_KEY, csrfToken);
+  notify();
+}
+
+/**
+ * Store whatever a login or refresh response returned:
+ * { token, refreshToken } in bearer mode, { csrfToken } in cookie mode.
+ * @param {{ token?: string, refreshToken?: string, csrfToken?: string }} data
+ */
+export function saveSession(data) {
+  if (data.token) {
+    setTokens(data.token, data.refreshToken);
+  } else {
+    setCookieSession(data.csrfToken);
+  }
+}
+
+export function clearTokens() {
+  localStorage.removeItem(ACCESS_TOKEN_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+  localStorage.removeItem(CSRF_TOKEN_KEY);
+  notify();
+}
+
+/**
+ * Subscribe to session changes.
+ * @param {(signedIn: boolean) => void} listener
+ * @returns {() => void} Unsubscribe function.
+ */
+export function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
@@ -0,0 +1,36 @@
+import api from "./axios";
+
+/**
+ * twoFactor.js
+ *
+ * Two-factor authentication settings API functions for Secure Task Manager.
+ * All calls act on the signed-in user.
+ */
+
+export async function getTwoFactorStatus() {
+  const response = await api.get("/api/auth/2fa");
+  return response.data;
+}
+
+export async function startTwoFactorSetup() {
+  const response = await api.post("/api/auth/2fa/setup");
+  return response.data;
+}
+
+export async function enableTwoFactor(code) {
+  const response = await api.post("/api/auth/2fa/enable", { code });
+  return response.data;
+}
+
+/**
+ * @param {{ password: string, code?: string, recoveryCode?: string }} payload
+ */
+export async function disableTwoFactor(payload) {
+  const response = await api.post("/api/auth/2fa/disable", payload);
+  return response.data;
+}
+
+export async function regenerateRecoveryCodes(password) {
+  const response = await api.post("/api/auth/2fa/recovery-codes", { password });
+  return response.data;
+}
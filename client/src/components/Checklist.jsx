@@ -0,0 +1,192 @@
+import React, { useEffect, useState } from "react";
+import { getFriendlyError } from "../api/friendlyError";
+import {
+  listChecklist,
+  addChecklistItem,
+  updateChecklistItem,
+  deleteChecklistItem,
+  reorderChecklist,
+} from "../api/checklist";
+
+/**
+ * Checklist.jsx
+ *
+ * Expanded checklist of one task (shown by TaskItem):
+ * - Loads the items when opened
+ * - Add, check/uncheck, move up/down and remove items
+ * - "Complete the task when all steps are done" (the task's auto_complete)
+ *
+ * Props:
+ * - task: task object from the API
+ * - onTaskChange(task, nextTask): the server's updated task after each
+ *   change (new progress and, with auto_complete, completed state), and the
+ *   next occurrence when that completed a repeating task
+ * - onUpdate(task, changes): saves task fields (resolves / rejects)
+ * - onError(err): shows an error on the page
+ */
+
+export default function Checklist({ task, onTaskChange, onUpdate, onError }) {
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState("");
+  const [title, setTitle] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    let isCurrent = true;
+
+    async function loadItems() {
+      try {
+        const data = await listChecklist(task.id);
+        if (isCurrent) setItems(data.items);
+      } catch (err) {
+        if (isCurrent) setLoadError(getFriendlyError(err));
+      } finally {
+        if (isCurrent) setLoading(false);
+      }
+    }
+
+    loadItems();
+    return () => {
+      isCurrent = false;
+    };
+  }, [task.id]);
+
+  /**
+   * Runs a checklist request, then hands its task to the page.
+   * @param {() => Promise<{ task: object, next_task: object | null }>} request
+   */
+  async function save(request) {
+    setIsSaving(true);
+
+    try {
+      const data = await request();
+      onTaskChange(data.task, data.next_task);
+      return data;
+    } catch (err) {
+      onError(err);
+      return null;
+    } finally {
+      setIsSaving(false);
+    }
+  }
+
+  async function handleAdd(e) {
+    e.preventDefault();
+
+    const data = await save(() => addChecklistItem(task.id, title.trim()));
+    if (data) {
+      setItems((prev) => [...prev, data.item]);
+      setTitle("");
+    }
+  }
+
+  async function handleToggle(item) {
+    const data = await save(() =>
+      updateChecklistItem(task.id, item.id, { completed: !item.completed }),
+    );
+    if (data) {
+      setItems((prev) => prev.map((i) => (i.id === item.id ? data.item : i)));
+    }
+  }
+
+  async function handleRemove(item) {
+    const data = await save(() => deleteChecklistItem(task.id, item.id));
+    if (data) setItems((prev) => prev.filter((i) => i.id !== item.id));
+  }
+
+  async function handleMove(index, offset) {
+    const ids = items.map((i) => i.id);
+    [ids[index], ids[index + offset]] = [ids[index + offset], ids[index]];
+
+    const data = await save(() => reorderChecklist(task.id, ids));
+    if (data) setItems(data.items);
+  }
+
+  async function handleAutoComplete(e) {
+    try {
+      await onUpdate(task, { auto_complete: e.target.checked });
+    } catch {
+      // onUpdate already showed the error.
+    }
+  }
+
+  return (
+    <div className="stm-checklist">
+      {loading ? (
+        <p style={{ fontSize: 14 }}>Loading checklist…</p>
+      ) : loadError ? (
+        <p className="stm-error">{loadError}</p>
+      ) : (
+        items.map((item, index) => (
+          <div key={item.id} className="stm-checklist-item">
+            <label className="stm-check">
+              <input
+                type="checkbox"
+                checked={item.completed}
+                onChange={() => handleToggle(item)}
+                disabled={isSaving}
+              />
+              <span className={item.completed ? "completed" : ""}>
+                {item.title}
+              </span>
+            </label>
+
+            <div style={{ display: "flex", gap: 4 }}>
+              <button
+                type="button"
+                className="stm-btn-secondary stm-btn-small"
+                onClick={() => handleMove(index, -1)}
+                disabled={isSaving || index === 0}
+                aria-label={`Move "${item.title}" up`}
+              >
+                ↑
+              </button>
+              <button
+                type="button"
+                className="stm-btn-secondary stm-btn-small"
+                onClick={() => handleMove(index, 1)}
+                disabled={isSaving || index === items.length - 1}
+                aria-label={`Move "${item.title}" down`}
+              >
+                ↓
+              </button>
+              <button
+                type="button"
+                className="stm-btn-secondary stm-btn-small"
+                onClick={() => handleRemove(item)}
+                disabled={isSaving}
+                aria-label={`Remove "${item.title}"`}
+              >
+                ×
+              </button>
+            </div>
+          </div>
+        ))
+      )}
+
+      <form onSubmit={handleAdd} className="stm-inline-form">
+        <input
+          type="text"
+          placeholder="Add a step…"
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+          aria-label="New checklist step"
+          maxLength={255}
+        />
+        <button type="submit" disabled={!title.trim() || isSaving}>
+          Add
+        </button>
+      </form>
+
+      <label className="stm-check">
+        <input
+          type="checkbox"
+          checked={Boolean(task.auto_complete)}
+          onChange={handleAutoComplete}
+        />
+        Complete the task when all steps are done
+      </label>
+    </div>
+  );
+}
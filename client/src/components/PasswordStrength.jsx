@@ -0,0 +1,43 @@
+/**
+ * PasswordStrength.jsx
+ *
+ * Live strength meter + policy checklist for a new password.
+ * Rules come from the server (see utils/passwordPolicy.js).
+ */
+
+import React from "react";
+import { estimateStrength } from "../utils/passwordPolicy";
+
+function PasswordStrength({ password, result }) {
+  const strength = estimateStrength(password, result);
+
+  return (
+    <div className="stm-gap-12" aria-live="polite">
+      {password && (
+        <div>
+          <div className="stm-strength">
+            <div
+              className={`stm-strength-bar score-${strength.score}`}
+              style={{ width: `${Math.max(strength.score, 1) * 25}%` }}
+            />
+          </div>
+          <p style={{ marginTop: 6, fontSize: 14 }}>
+            Strength: {strength.label}
+          </p>
+        </div>
+      )}
+
+      {result.checks.length > 0 && (
+        <ul className="stm-checklist">
+          {result.checks.map((check) => (
+            <li key={check.id} className={check.met ? "met" : ""}>
+              {check.met ? "✓" : "•"} {check.label}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default PasswordStrength;
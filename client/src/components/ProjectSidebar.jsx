@@ -0,0 +1,104 @@
+import React, { useState } from "react";
+import { NavLink } from "react-router-dom";
+
+/**
+ * ProjectSidebar.jsx
+ *
+ * Project navigation for the Tasks page:
+ * - All tasks (/tasks), Inbox (/projects/inbox) and each project
+ *   (/projects/:id), with the number of tasks not yet completed
+ * - Creates projects; renames and deletes them (with a confirm)
+ *
+ * Props:
+ * - projects, inbox: from GET /api/projects
+ * - onCreate(name): resolves when created, rejects on error
+ * - onRename(project), onDelete(project)
+ */
+
+function navClassName({ isActive }) {
+  return isActive ? "stm-nav-link active" : "stm-nav-link";
+}
+
+export default function ProjectSidebar({
+  projects,
+  inbox,
+  onCreate,
+  onRename,
+  onDelete,
+}) {
+  const [name, setName] = useState("");
+  const [isCreating, setIsCreating] = useState(false);
+
+  async function handleCreate(e) {
+    e.preventDefault();
+    setIsCreating(true);
+
+    try {
+      await onCreate(name.trim());
+      setName("");
+    } catch {
+      // The page shows the error; keep the name so it can be fixed.
+    } finally {
+      setIsCreating(false);
+    }
+  }
+
+  return (
+    <nav className="stm-panel stm-gap-12" aria-label="Projects">
+      <h2 className="stm-group-title" style={{ margin: 0 }}>
+        Projects
+      </h2>
+
+      <NavLink to="/tasks" end className={navClassName}>
+        All tasks
+      </NavLink>
+
+      <NavLink to="/projects/inbox" className={navClassName}>
+        Inbox
+        <span className="stm-tag-count">{inbox?.remaining_count ?? ""}</span>
+      </NavLink>
+
+      {projects.map((project) => (
+        <div key={project.id} className="stm-tag-row">
+          <NavLink to={`/projects/${project.id}`} className={navClassName}>
+            <span className="stm-tag-name">{project.name}</span>
+            <span className="stm-tag-count">{project.remaining_count}</span>
+          </NavLink>
+
+          <div style={{ display: "flex", gap: 4 }}>
+            <button
+              type="button"
+              className="stm-btn-secondary stm-btn-small"
+              onClick={() => onRename(project)}
+              aria-label={`Rename project ${project.name}`}
+            >
+              ✎
+            </button>
+            <button
+              type="button"
+              className="stm-btn-secondary stm-btn-small"
+              onClick={() => onDelete(project)}
+              aria-label={`Delete project ${project.name}`}
+            >
+              ×
+            </button>
+          </div>
+        </div>
+      ))}
+
+      <form onSubmit={handleCreate} className="stm-inline-form">
+        <input
+          type="text"
+          placeholder="New project"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          aria-label="New project name"
+          maxLength={100}
+        />
+        <button type="submit" disabled={!name.trim() || isCreating}>
+          Add
+        </button>
+      </form>
+    </nav>
+  );
+}
@@ -0,0 +1,169 @@
+import React from "react";
+import {
+  WEEKDAYS,
+  defaultByDay,
+  describeRule,
+  monthlyWeekdayOf,
+  stateToRule,
+} from "../utils/recurrence";
+
+/**
+ * RecurrenceEditor.jsx
+ *
+ * "Repeat" section of the task editor:
+ * - Frequency (does not repeat / daily / weekly / monthly) and interval
+ * - Weekdays for daily and weekly rules
+ * - Monthly on the due date's day, or on its nth weekday ("the last Fri")
+ * - Ends never, on a date, or after a number of times
+ *
+ * Props:
+ * - value: editor state (see ruleToState() in utils/recurrence.js)
+ * - onChange(state)
+ * - dueDate: the due date being edited (Date), or null; a rule needs one
+ */
+
+const ORDINAL_LABELS = {
+  1: "first",
+  2: "second",
+  3: "third",
+  4: "fourth",
+  "-1": "last",
+};
+
+export default function RecurrenceEditor({ value, onChange, dueDate }) {
+  const update = (changes) => onChange({ ...value, ...changes });
+  const repeats = value.freq !== "none";
+
+  function toggleDay(code) {
+    update({
+      byDay: value.byDay.includes(code)
+        ? value.byDay.filter((day) => day !== code)
+        : [...value.byDay, code],
+    });
+  }
+
+  if (!dueDate) {
+    return (
+      <fieldset className="stm-fieldset">
+        <legend>Repeat</legend>
+        <p className="stm-repeat-hint">
+          Set a due date to make the task repeat.
+        </p>
+      </fieldset>
+    );
+  }
+
+  const weekday = monthlyWeekdayOf(dueDate);
+  const weekdayLabel = WEEKDAYS.find((d) => d.code === weekday.code).label;
+  const rule = stateToRule(value, dueDate);
+
+  return (
+    <fieldset className="stm-fieldset">
+      <legend>Repeat</legend>
+
+      <div className="stm-repeat-row">
+        <select
+          value={value.freq}
+          onChange={(e) =>
+            update({
+              freq: e.target.value,
+              byDay: defaultByDay(e.target.value, dueDate),
+            })
+          }
+          aria-label="Repeat"
+        >
+          <option value="none">Does not repeat</option>
+          <option value="DAILY">Daily</option>
+          <option value="WEEKLY">Weekly</option>
+          <option value="MONTHLY">Monthly</option>
+        </select>
+
+        {repeats && (
+          <label className="stm-check">
+            every
+            <input
+              type="number"
+              min="1"
+              max="999"
+              value={value.interval}
+              onChange={(e) => update({ interval: e.target.value })}
+              className="stm-repeat-number"
+            />
+            {
+              { DAILY: "day(s)", WEEKLY: "week(s)", MONTHLY: "month(s)" }[
+                value.freq
+              ]
+            }
+          </label>
+        )}
+      </div>
+
+      {(value.freq === "DAILY" || value.freq === "WEEKLY") && (
+        <div className="stm-repeat-row" role="group" aria-label="On">
+          {WEEKDAYS.map((day) => (
+            <label key={day.code} className="stm-check">
+              <input
+                type="checkbox"
+                checked={value.byDay.includes(day.code)}
+                onChange={() => toggleDay(day.code)}
+              />
+              {day.label}
+            </label>
+          ))}
+        </div>
+      )}
+
+      {value.freq === "MONTHLY" && (
+        <select
+          value={value.monthlyBy}
+          onChange={(e) => update({ monthlyBy: e.target.value })}
+          aria-label="Repeat on"
+        >
+          <option value="day">On day {dueDate.getDate()}</option>
+          <option value="weekday">
+            On the {ORDINAL_LABELS[weekday.ordinal]} {weekdayLabel}
+          </option>
+        </select>
+      )}
+
+      {repeats && (
+        <div className="stm-repeat-row">
+          <select
+            value={value.ends}
+            onChange={(e) => update({ ends: e.target.value })}
+            aria-label="Ends"
+          >
+            <option value="never">Never ends</option>
+            <option value="until">Ends on</option>
+            <option value="count">Ends after</option>
+          </select>
+
+          {value.ends === "until" && (
+            <input
+              type="date"
+              value={value.until}
+              onChange={(e) => update({ until: e.target.value })}
+              aria-label="Last date"
+            />
+          )}
+
+          {value.ends === "count" && (
+            <label className="stm-check">
+              <input
+                type="number"
+                min="1"
+                max="1000"
+                value={value.count}
+                onChange={(e) => update({ count: e.target.value })}
+                className="stm-repeat-number"
+              />
+              times
+            </label>
+          )}
+        </div>
+      )}
+
+      {rule && <p className="stm-repeat-hint">↻ {describeRule(rule)}</p>}
+    </fieldset>
+  );
+}
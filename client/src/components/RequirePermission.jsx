@@ -0,0 +1,30 @@
+/**
+ * RequirePermission.jsx
+ *
+ * Renders its children only when the signed-in user has a permission.
+ * Use inside ProtectedRoute. Users without the permission are sent to /tasks.
+ */
+
+import React from "react";
+import { Navigate } from "react-router-dom";
+import { useCurrentUser, hasPermission } from "../utils/currentUser";
+
+function RequirePermission({ permission, children }) {
+  const { user, loading } = useCurrentUser();
+
+  if (loading) {
+    return (
+      <div className="stm-container">
+        <p>Loading…</p>
+      </div>
+    );
+  }
+
+  if (!hasPermission(user, permission)) {
+    return <Navigate to="/tasks" replace />;
+  }
+
+  return children;
+}
+
+export default RequirePermission;
@@ -0,0 +1,81 @@
+import React from "react";
+import { Link } from "react-router-dom";
+import { formatDateTime } from "../utils/taskDates";
+
+/**
+ * SearchResults.jsx
+ *
+ * Results of the task search on the Tasks page:
+ * - Title and description snippet with the matching words highlighted
+ * - Completed state, project (a link to its list) and due date
+ *
+ * Props:
+ * - query: the search text (for the "no results" message)
+ * - results: [{ task, highlight }] from GET /api/tasks/search, or null while
+ *   the first search is running
+ * - projects: the user's projects (names for the project links)
+ * - onOpenProject(): called when a project link is followed
+ */
+
+/**
+ * Renders an API highlight ([{ text, match }] segments) with the matching
+ * segments in <mark> elements.
+ */
+function Highlight({ segments }) {
+  return segments.map((segment, index) =>
+    segment.match ? <mark key={index}>{segment.text}</mark> : segment.text,
+  );
+}
+
+export default function SearchResults({
+  query,
+  results,
+  projects,
+  onOpenProject,
+}) {
+  if (results === null) return <p>Searching…</p>;
+
+  if (results.length === 0) {
+    return <p>No tasks match "{query}".</p>;
+  }
+
+  return (
+    <section className="stm-gap-12" aria-label="Search results">
+      <h2 className="stm-group-title">Search results ({results.length})</h2>
+
+      {results.map(({ task, highlight }) => {
+        const project = projects.find((p) => p.id === task.project_id);
+
+        return (
+          <div
+            key={task.id}
+            className="stm-task stm-task-item stm-search-result"
+          >
+            <span
+              className={`stm-task-title ${task.completed ? "completed" : ""}`}
+            >
+              <Highlight segments={highlight.title} />
+            </span>
+
+            {highlight.description && (
+              <p className="stm-search-snippet">
+                <Highlight segments={highlight.description} />
+              </p>
+            )}
+
+            <p className="stm-task-meta">
+              <Link
+                to={project ? `/projects/${project.id}` : "/projects/inbox"}
+                onClick={onOpenProject}
+              >
+                {project ? project.name : "Inbox"}
+              </Link>
+              {task.due_at && ` · Due ${formatDateTime(task.due_at)}`}
+              {task.completed && " · Completed"}
+            </p>
+          </div>
+        );
+      })}
+    </section>
+  );
+}
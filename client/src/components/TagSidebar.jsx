@@ -0,0 +1,138 @@
+import React, { useState } from "react";
+
+/**
+ * TagSidebar.jsx
+ *
+ * Tag filter for the Tasks page:
+ * - Lists the user's tags (color, name, task count); checking tags filters
+ *   the task list
+ * - "Any" / "All" chooses whether tasks need one or every checked tag
+ * - Creates tags (name + color) and deletes them (with a confirm)
+ *
+ * Props:
+ * - tags: tags from GET /api/tags
+ * - selectedIds: ids of the checked tags
+ * - match: "any" | "all"
+ * - onToggle(tag), onMatchChange(match), onClear()
+ * - onCreate({ name, color }): resolves when created, rejects on error
+ * - onDelete(tag)
+ */
+
+const DEFAULT_COLOR = "#3b82f6";
+
+export default function TagSidebar({
+  tags,
+  selectedIds,
+  match,
+  onToggle,
+  onMatchChange,
+  onClear,
+  onCreate,
+  onDelete,
+}) {
+  const [name, setName] = useState("");
+  const [color, setColor] = useState(DEFAULT_COLOR);
+  const [isCreating, setIsCreating] = useState(false);
+
+  async function handleCreate(e) {
+    e.preventDefault();
+    setIsCreating(true);
+
+    try {
+      await onCreate({ name: name.trim(), color });
+      setName("");
+    } catch {
+      // The page shows the error; keep the name so it can be fixed.
+    } finally {
+      setIsCreating(false);
+    }
+  }
+
+  return (
+    <aside className="stm-panel stm-gap-12 stm-tag-sidebar">
+      <div className="stm-row">
+        <h2 className="stm-group-title" style={{ margin: 0 }}>
+          Tags
+        </h2>
+        {selectedIds.length > 0 && (
+          <button
+            type="button"
+            className="stm-btn-secondary stm-btn-small"
+            onClick={onClear}
+          >
+            Clear
+          </button>
+        )}
+      </div>
+
+      {tags.length === 0 ? (
+        <p style={{ fontSize: 14 }}>No tags yet.</p>
+      ) : (
+        tags.map((tag) => (
+          <div key={tag.id} className="stm-tag-row">
+            <label className="stm-check">
+              <input
+                type="checkbox"
+                checked={selectedIds.includes(tag.id)}
+                onChange={() => onToggle(tag)}
+              />
+              <span
+                className="stm-tag-dot"
+                style={{ background: tag.color }}
+                aria-hidden="true"
+              />
+              <span className="stm-tag-name">#{tag.name}</span>
+              <span className="stm-tag-count">{tag.task_count}</span>
+            </label>
+
+            <button
+              type="button"
+              className="stm-btn-secondary stm-btn-small"
+              onClick={() => onDelete(tag)}
+              aria-label={`Delete tag ${tag.name}`}
+            >
+              ×
+            </button>
+          </div>
+        ))
+      )}
+
+      {selectedIds.length > 1 && (
+        <div className="stm-tag-match" role="radiogroup" aria-label="Match">
+          {["any", "all"].map((value) => (
+            <label key={value} className="stm-check">
+              <input
+                type="radio"
+                name="tag-match"
+                value={value}
+                checked={match === value}
+                onChange={() => onMatchChange(value)}
+              />
+              {value === "any" ? "Any tag" : "All tags"}
+            </label>
+          ))}
+        </div>
+      )}
+
+      <form onSubmit={handleCreate} className="stm-inline-form">
+        <input
+          type="text"
+          placeholder="New tag"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          aria-label="New tag name"
+          maxLength={33}
+        />
+        <input
+          type="color"
+          value={color}
+          onChange={(e) => setColor(e.target.value)}
+          aria-label="New tag color"
+        />
+        <button type="submit" disabled={!name.trim() || isCreating}>
+          Add
+        </button>
+      </form>
+    </aside>
+  );
+}
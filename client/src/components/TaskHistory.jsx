@@ -0,0 +1,217 @@
+import React, { useEffect, useState } from "react";
+import { getFriendlyError } from "../api/friendlyError";
+import { getTaskHistory, revertTask } from "../api/tasks";
+import { formatDateTime } from "../utils/taskDates";
+import { priorityLabel } from "../utils/taskOptions";
+import { describeRule } from "../utils/recurrence";
+
+/**
+ * TaskHistory.jsx
+ *
+ * Expanded revision history of one task (shown by TaskItem):
+ * - Loads the latest revisions when opened (and after every change to the
+ *   task), with "Load older" for the rest
+ * - Each revision shows what happened, who did it (and with which API
+ *   token), when, and each changed field as before → after
+ * - "Revert to this" puts the task back to how it was right after that
+ *   revision (asks for confirmation)
+ *
+ * Props:
+ * - task: task object from the API
+ * - allTags, projects: to show tag and project names instead of ids
+ * - onTaskChange(task): the server's task after a revert
+ * - onError(err): shows an error on the page
+ */
+
+const PAGE_SIZE = 20;
+
+const ACTION_LABELS = {
+  create: "Created",
+  update: "Edited",
+  complete: "Completed",
+  delete: "Moved to the trash",
+  restore: "Restored",
+  revert: "Reverted",
+};
+
+const FIELD_LABELS = {
+  title: "Title",
+  description: "Description",
+  completed: "Completed",
+  priority: "Priority",
+  due_at: "Due",
+  remind_at: "Reminder",
+  project_id: "Project",
+  auto_complete: "Complete with checklist",
+  recurrence_rule: "Repeat",
+  recurrence_timezone: "Repeat time zone",
+  tag_ids: "Tags",
+};
+
+export default function TaskHistory({
+  task,
+  allTags,
+  projects,
+  onTaskChange,
+  onError,
+}) {
+  const [revisions, setRevisions] = useState([]);
+  const [nextBefore, setNextBefore] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState("");
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const [isReverting, setIsReverting] = useState(false);
+
+  // updated_at changes with every edit, so the list never goes stale.
+  useEffect(() => {
+    let isCurrent = true;
+
+    async function loadHistory() {
+      try {
+        const data = await getTaskHistory(task.id, { limit: PAGE_SIZE });
+        if (!isCurrent) return;
+
+        setRevisions(data.revisions);
+        setNextBefore(data.next_before);
+        setLoadError("");
+      } catch (err) {
+        if (isCurrent) setLoadError(getFriendlyError(err));
+      } finally {
+        if (isCurrent) setLoading(false);
+      }
+    }
+
+    loadHistory();
+    return () => {
+      isCurrent = false;
+    };
+  }, [task.id, task.updated_at]);
+
+  async function handleLoadMore() {
+    setIsLoadingMore(true);
+
+    try {
+      const data = await getTaskHistory(task.id, {
+        before: nextBefore,
+        limit: PAGE_SIZE,
+      });
+      setRevisions((prev) => [...prev, ...data.revisions]);
+      setNextBefore(data.next_before);
+    } catch (err) {
+      onError(err);
+    } finally {
+      setIsLoadingMore(false);
+    }
+  }
+
+  async function handleRevert(revision) {
+    const ok = window.confirm(
+      `Put "${task.title}" back to how it was ${formatDateTime(revision.created_at)}?\n\nLater changes are undone; this revert is added to the history.`,
+    );
+    if (!ok) return;
+
+    setIsReverting(true);
+
+    try {
+      const data = await revertTask(task.id, revision.id);
+      // The new updated_at reloads the history.
+      onTaskChange(data.task);
+    } catch (err) {
+      onError(err);
+    } finally {
+      setIsReverting(false);
+    }
+  }
+
+  /**
+   * A field value as the user knows it ("High", "#work, #home", "Inbox").
+   * @param {string} field
+   * @param {unknown} value
+   */
+  function formatValue(field, value) {
+    if (field === "tag_ids") {
+      if (value.length === 0) return "none";
+      return value
+        .map((id) => {
+          const tag = allTags.find((t) => t.id === id);
+          return tag ? `#${tag.name}` : "a deleted tag";
+        })
+        .join(", ");
+    }
+    if (field === "project_id") {
+      if (value === null) return "Inbox";
+      return projects.find((p) => p.id === value)?.name ?? "a deleted project";
+    }
+    if (value === null || value === "") return "none";
+    if (field === "priority") return priorityLabel(value);
+    if (field === "due_at" || field === "remind_at") {
+      return formatDateTime(value);
+    }
+    if (field === "recurrence_rule") return describeRule(value);
+    if (typeof value === "boolean") return value ? "yes" : "no";
+    return String(value);
+  }
+
+  function describeActor(actor) {
+    const name = actor.username ?? "A deleted user";
+    return actor.token ? `${name} (token "${actor.token.name}")` : name;
+  }
+
+  if (loading) {
+    return <p style={{ fontSize: 14 }}>Loading history…</p>;
+  }
+
+  if (loadError) {
+    return <p className="stm-error">{loadError}</p>;
+  }
+
+  return (
+    <div className="stm-history">
+      {revisions.length === 0 ? (
+        <p style={{ fontSize: 14 }}>No changes recorded yet.</p>
+      ) : (
+        revisions.map((revision, index) => (
+          <div key={revision.id} className="stm-history-item">
+            <div className="stm-row">
+              <span>
+                <strong>{ACTION_LABELS[revision.action]}</strong> by{" "}
+                {describeActor(revision.actor)} ·{" "}
+                {formatDateTime(revision.created_at)}
+              </span>
+
+              {index > 0 && (
+                <button
+                  type="button"
+                  className="stm-btn-secondary stm-btn-small"
+                  onClick={() => handleRevert(revision)}
+                  disabled={isReverting}
+                >
+                  Revert to this
+                </button>
+              )}
+            </div>
+
+            {Object.entries(revision.changes).map(([field, change]) => (
+              <p key={field} className="stm-history-change">
+                {FIELD_LABELS[field] ?? field}:{" "}
+                {formatValue(field, change.before)} →{" "}
+                {formatValue(field, change.after)}
+              </p>
+            ))}
+          </div>
+        ))
+      )}
+
+      {nextBefore !== null && (
+        <button
+          type="button"
+          className="stm-btn-secondary stm-btn-small"
+          onClick={handleLoadMore}
+          disabled={isLoadingMore}
+        >
+          {isLoadingMore ? "Loading…" : "Load older"}
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,352 @@
+import React, { useRef, useState } from "react";
+import {
+  dueGroupOf,
+  formatDateTime,
+  fromLocalInputValue,
+  toLocalInputValue,
+} from "../utils/taskDates";
+import { PRIORITIES, priorityLabel } from "../utils/taskOptions";
+import {
+  browserTimeZone,
+  describeRule,
+  ruleToState,
+  stateToRule,
+} from "../utils/recurrence";
+import Checklist from "./Checklist";
+import TaskHistory from "./TaskHistory";
+import RecurrenceEditor from "./RecurrenceEditor";
+
+/**
+ * TaskItem.jsx
+ *
+ * One row of the task list:
+ * - Completion checkbox, title, priority badge, due date (highlighted when
+ *   overdue), reminder time, repeat rule and tag chips
+ * - Delete button
+ * - Checklist button with progress ("3/5") expands the task's checklist
+ * - "History" expands the task's revision history (with revert)
+ * - "Edit" opens an inline editor for the project, priority, due date,
+ *   reminder, repeat rule and tags
+ * - In manual order, a handle to drag the task, or to move it with the
+ *   arrow keys while the handle has focus
+ *
+ * Props:
+ * - task: task object from the API
+ * - allTags: the user's tags (choices in the editor)
+ * - projects: the user's projects (choices in the editor; "" = Inbox)
+ * - onToggle(task), onDelete(task)
+ * - onUpdate(task, changes): resolves when saved, rejects on error
+ * - onTaskChange(task, nextTask): replaces the task after a checklist change
+ *   or a revert (nextTask: the next occurrence of a repeating task it
+ *   completed, or null)
+ * - onError(err): shows an error on the page
+ * - onMove(task, offset), onDragStart(task), onDragEnd(): reordering; the
+ *   handle is only shown when onMove is given
+ */
+
+export default function TaskItem({
+  task,
+  allTags,
+  projects,
+  onToggle,
+  onDelete,
+  onUpdate,
+  onTaskChange,
+  onError,
+  onMove,
+  onDragStart,
+  onDragEnd,
+}) {
+  const [isEditing, setIsEditing] = useState(false);
+  const [isChecklistOpen, setIsChecklistOpen] = useState(false);
+  const [isHistoryOpen, setIsHistoryOpen] = useState(false);
+  const [dueAt, setDueAt] = useState("");
+  const [remindAt, setRemindAt] = useState("");
+  const [priority, setPriority] = useState("none");
+  const [tagIds, setTagIds] = useState([]);
+  const [projectId, setProjectId] = useState("");
+  const [recurrence, setRecurrence] = useState(() => ruleToState(null, null));
+  const [isSaving, setIsSaving] = useState(false);
+  const rowRef = useRef(null);
+  const handleRef = useRef(null);
+
+  const isOverdue = dueGroupOf(task) === "overdue";
+  const progress = task.progress ?? { done: 0, total: 0 };
+  const editedDueAt = fromLocalInputValue(dueAt);
+  const editedDueDate = editedDueAt ? new Date(editedDueAt) : null;
+
+  function startEditing() {
+    setDueAt(toLocalInputValue(task.due_at));
+    setRemindAt(toLocalInputValue(task.remind_at));
+    setPriority(task.priority || "none");
+    setTagIds((task.tags ?? []).map((tag) => tag.id));
+    setProjectId(task.project_id ? String(task.project_id) : "");
+    setRecurrence(
+      ruleToState(
+        task.recurrence_rule,
+        task.due_at ? new Date(task.due_at) : null,
+      ),
+    );
+    setIsEditing(true);
+  }
+
+  function toggleTag(tagId) {
+    setTagIds((prev) =>
+      prev.includes(tagId)
+        ? prev.filter((id) => id !== tagId)
+        : [...prev, tagId],
+    );
+  }
+
+  function handleDragStart(e) {
+    e.dataTransfer.effectAllowed = "move";
+    e.dataTransfer.setData("text/plain", String(task.id));
+    e.dataTransfer.setDragImage(rowRef.current, 20, 20);
+    onDragStart(task);
+  }
+
+  function handleHandleKeyDown(e) {
+    const offset = { ArrowUp: -1, ArrowDown: 1 }[e.key];
+    if (!offset) return;
+
+    e.preventDefault();
+    onMove(task, offset);
+    // The row may be re-inserted in the list; keep the keyboard focus on it.
+    requestAnimationFrame(() => handleRef.current?.focus());
+  }
+
+  async function handleSave(e) {
+    e.preventDefault();
+    setIsSaving(true);
+
+    const rule = editedDueDate ? stateToRule(recurrence, editedDueDate) : null;
+    const changes = {
+      due_at: editedDueAt,
+      remind_at: fromLocalInputValue(remindAt),
+      priority,
+      tag_ids: tagIds,
+      project_id: projectId ? Number(projectId) : null,
+    };
+
+    // Sending the rule restarts the series at the due date: only when it (or
+    // the due date of a repeating task) changed.
+    const dueChanged = dueAt !== toLocalInputValue(task.due_at);
+    if (rule !== (task.recurrence_rule ?? null) || (rule && dueChanged)) {
+      changes.recurrence_rule = rule;
+      if (rule) changes.recurrence_timezone = browserTimeZone();
+    }
+
+    try {
+      await onUpdate(task, changes);
+      setIsEditing(false);
+    } catch {
+      // The page shows the error; keep the editor open to retry.
+    } finally {
+      setIsSaving(false);
+    }
+  }
+
+  return (
+    <div ref={rowRef} className="stm-task stm-task-item">
+      <div className="stm-task-main">
+        <div className="stm-task-left">
+          {onMove && (
+            <button
+              ref={handleRef}
+              type="button"
+              className="stm-drag-handle"
+              draggable
+              onDragStart={handleDragStart}
+              onDragEnd={onDragEnd}
+              onKeyDown={handleHandleKeyDown}
+              title="Drag to reorder, or use the arrow keys"
+              aria-label={`Reorder "${task.title || "task"}" (arrow keys move it up or down)`}
+            >
+              ⋮⋮
+            </button>
+          )}
+
+          <input
+            type="checkbox"
+            checked={Boolean(task.completed)}
+            onChange={() => onToggle(task)}
+            aria-label={`Mark "${task.title || "task"}" as completed`}
+          />
+
+          <span
+            className={`stm-task-title ${task.completed ? "completed" : ""}`}
+            title={task.title || ""}
+          >
+            {task.title || "(untitled task)"}
+          </span>
+
+          {task.priority && task.priority !== "none" && (
+            <span className={`stm-priority stm-priority-${task.priority}`}>
+              {priorityLabel(task.priority)}
+            </span>
+          )}
+        </div>
+
+        <div style={{ display: "flex", gap: 8 }}>
+          <button
+            type="button"
+            className="stm-btn-secondary"
+            onClick={() => setIsChecklistOpen((open) => !open)}
+            aria-expanded={isChecklistOpen}
+            aria-label={`Checklist (${progress.done} of ${progress.total} done)`}
+          >
+            {progress.total > 0
+              ? `☑ ${progress.done}/${progress.total}`
+              : "Checklist"}
+          </button>
+          <button
+            type="button"
+            className="stm-btn-secondary"
+            onClick={() => setIsHistoryOpen((open) => !open)}
+            aria-expanded={isHistoryOpen}
+          >
+            History
+          </button>
+          <button
+            type="button"
+            className="stm-btn-secondary"
+            onClick={() => (isEditing ? setIsEditing(false) : startEditing())}
+            aria-expanded={isEditing}
+          >
+            Edit
+          </button>
+          <button onClick={() => onDelete(task)}>Delete</button>
+        </div>
+      </div>
+
+      {(task.due_at || task.remind_at) && (
+        <p className="stm-task-meta">
+          {task.due_at && (
+            <span className={isOverdue ? "stm-overdue" : ""}>
+              Due {formatDateTime(task.due_at)}
+            </span>
+          )}
+          {task.due_at && task.remind_at && " · "}
+          {task.remind_at && (
+            <span>Reminder {formatDateTime(task.remind_at)}</span>
+          )}
+          {task.recurrence_rule && " · "}
+          {task.recurrence_rule && (
+            <span title="Repeats">↻ {describeRule(task.recurrence_rule)}</span>
+          )}
+        </p>
+      )}
+
+      {task.tags?.length > 0 && (
+        <div className="stm-tags">
+          {task.tags.map((tag) => (
+            <span key={tag.id} className="stm-tag-chip">
+              <span
+                className="stm-tag-dot"
+                style={{ background: tag.color }}
+                aria-hidden="true"
+              />
+              #{tag.name}
+            </span>
+          ))}
+        </div>
+      )}
+
+      {isChecklistOpen && (
+        <Checklist
+          task={task}
+          onTaskChange={onTaskChange}
+          onUpdate={onUpdate}
+          onError={onError}
+        />
+      )}
+
+      {isHistoryOpen && (
+        <TaskHistory
+          task={task}
+          allTags={allTags}
+          projects={projects}
+          onTaskChange={onTaskChange}
+          onError={onError}
+        />
+      )}
+
+      {isEditing && (
+        <form onSubmit={handleSave} className="stm-task-editor">
+          <label>
+            Project
+            <select
+              value={projectId}
+              onChange={(e) => setProjectId(e.target.value)}
+            >
+              <option value="">Inbox</option>
+              {projects.map((p) => (
+                <option key={p.id} value={p.id}>
+                  {p.name}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          <label>
+            Priority
+            <select
+              value={priority}
+              onChange={(e) => setPriority(e.target.value)}
+            >
+              {PRIORITIES.map((p) => (
+                <option key={p.value} value={p.value}>
+                  {p.label}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          <label>
+            Due
+            <input
+              type="datetime-local"
+              value={dueAt}
+              onChange={(e) => setDueAt(e.target.value)}
+            />
+          </label>
+
+          <label>
+            Remind me
+            <input
+              type="datetime-local"
+              value={remindAt}
+              onChange={(e) => setRemindAt(e.target.value)}
+            />
+          </label>
+
+          <RecurrenceEditor
+            value={recurrence}
+            onChange={setRecurrence}
+            dueDate={editedDueDate}
+          />
+
+          {allTags.length > 0 && (
+            <fieldset className="stm-fieldset">
+              <legend>Tags</legend>
+              {allTags.map((tag) => (
+                <label key={tag.id} className="stm-check">
+                  <input
+                    type="checkbox"
+                    checked={tagIds.includes(tag.id)}
+                    onChange={() => toggleTag(tag.id)}
+                  />
+                  #{tag.name}
+                </label>
+              ))}
+            </fieldset>
+          )}
+
+          <button type="submit" disabled={isSaving}>
+            {isSaving ? "Saving…" : "Save"}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,45 @@
+import React, { useEffect } from "react";
+
+/**
+ * UndoToast.jsx
+ *
+ * Message with an "Undo" button shown at the bottom of the page after a
+ * deletion, instead of asking for confirmation first. It closes itself after
+ * UNDO_TOAST_MS (the deleted tasks stay in the trash).
+ *
+ * Props:
+ * - message: what was done ("Task moved to the trash.")
+ * - onUndo(): called when Undo is clicked
+ * - onDismiss(): called when the toast closes without an undo
+ * - busy: disables Undo while it runs
+ */
+
+const UNDO_TOAST_MS = 8000;
+
+export default function UndoToast({ message, onUndo, onDismiss, busy }) {
+  // Restart the timer for every new message.
+  useEffect(() => {
+    if (busy) return undefined;
+
+    const timer = setTimeout(onDismiss, UNDO_TOAST_MS);
+    return () => clearTimeout(timer);
+  }, [message, busy, onDismiss]);
+
+  return (
+    <div className="stm-toast" role="status">
+      <span>{message}</span>
+
+      <button type="button" onClick={onUndo} disabled={busy}>
+        {busy ? "Undoing…" : "Undo"}
+      </button>
+      <button
+        type="button"
+        className="stm-btn-secondary"
+        onClick={onDismiss}
+        aria-label="Dismiss"
+      >
+        ×
+      </button>
+    </div>
+  );
+}
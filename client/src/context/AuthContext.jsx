@@ -2,40 +2,63 @@
  * AuthContext.jsx
  *
  * Provides authentication state for the frontend.
- * MVP approach:
- * - Stores JWT in localStorage
- * - Exposes helpers to save and clear the token
+ * - Session state lives in localStorage via api/tokenStorage
+ *   (tokens in bearer mode, only a CSRF token in cookie mode)
+ * - Stays in sync when the Axios client refreshes or clears tokens
+ * - Exposes helpers to save the session after login and to log out
  */
 
-import React, { createContext, useContext, useMemo, useState } from "react";
+import React, {
+  createContext,
+  useContext,
+  useEffect,
+  useMemo,
+  useState,
+} from "react";
+import {
+  getRefreshToken,
+  hasSession,
+  isCookieSession,
+  saveSession,
+  clearTokens,
+  subscribe,
+} from "../api/tokenStorage";
+import { logoutUser } from "../api/auth";
 
 const AuthContext = createContext(null);
 
-const TOKEN_KEY = "stm_token";
-
 export function AuthProvider({ children }) {
-  const [token, setToken] = useState(() => localStorage.getItem(TOKEN_KEY));
+  const [isAuthenticated, setIsAuthenticated] = useState(() => hasSession());
 
-  const isAuthenticated = Boolean(token);
+  // Follow session changes made outside React (e.g. refresh in axios.js).
+  useEffect(() => subscribe(setIsAuthenticated), []);
 
-  function saveToken(newToken) {
-    localStorage.setItem(TOKEN_KEY, newToken);
-    setToken(newToken);
-  }
+  /**
+   * Revoke the server-side session, then clear local tokens.
+   * Local tokens are cleared even if the server call fails.
+   * In cookie mode the server reads the refresh cookie and clears it.
+   */
+  async function logout() {
+    const refreshToken = getRefreshToken();
 
-  function clearToken() {
-    localStorage.removeItem(TOKEN_KEY);
-    setToken(null);
+    try {
+      if (refreshToken || isCookieSession()) {
+        await logoutUser(refreshToken);
+      }
+    } catch {
+      // Nothing useful to show; the session will still expire server-side.
+    } finally {
+      clearTokens();
+    }
   }
 
   const value = useMemo(
     () => ({
-      token,
       isAuthenticated,
-      saveToken,
-      clearToken,
+      saveSession,
+      logout,
     }),
-    [token, isAuthenticated]
+    [isAuthenticated]
   );
 
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
@@ -47,4 +70,4 @@ export function useAuth() {
     throw new Error("useAuth must be used inside an AuthProvider.");
   }
   return ctx;
-}
\ No newline at end of file
+}
@@ -0,0 +1,370 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import {
+  getMe,
+  updateProfile,
+  changePassword,
+  changeEmail,
+  deleteAccount,
+} from "../api/account";
+import { resendVerification } from "../api/auth";
+import { clearTokens } from "../api/tokenStorage";
+import { getFriendlyError } from "../api/friendlyError";
+import PasswordStrength from "../components/PasswordStrength";
+import { usePasswordPolicy, checkPassword } from "../utils/passwordPolicy";
+
+/**
+ * Account.jsx
+ *
+ * Protected account settings page:
+ * - Shows the signed-in user's profile and email verification status
+ * - Change username
+ * - Change password (current password required, live policy checklist)
+ * - Change email (password required; the new address must be verified)
+ * - Delete account (password + second factor when enabled, confirm first)
+ * - Links to API tokens and active sessions
+ * - Friendly errors
+ */
+
+export default function Account() {
+  const navigate = useNavigate();
+
+  const [user, setUser] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const [username, setUsername] = useState("");
+
+  const [currentPassword, setCurrentPassword] = useState("");
+  const [newPassword, setNewPassword] = useState("");
+
+  const [newEmail, setNewEmail] = useState("");
+  const [emailPassword, setEmailPassword] = useState("");
+
+  const [deletePassword, setDeletePassword] = useState("");
+  const [deleteCode, setDeleteCode] = useState("");
+
+  const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const policy = usePasswordPolicy();
+  const passwordCheck = useMemo(
+    () =>
+      checkPassword(newPassword, policy, {
+        username: user?.username,
+        email: user?.email,
+      }),
+    [newPassword, policy, user],
+  );
+
+  useEffect(() => {
+    async function loadAccount() {
+      try {
+        const data = await getMe();
+        setUser(data.user);
+        setUsername(data.user.username);
+      } catch (err) {
+        setError(getFriendlyError(err));
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    loadAccount();
+  }, []);
+
+  /**
+   * Runs an action with shared submitting/error/message handling.
+   * @param {() => Promise<string | void>} action Resolves to a success message.
+   */
+  async function run(action) {
+    setError("");
+    setMessage("");
+    setIsSubmitting(true);
+
+    try {
+      const successMessage = await action();
+      if (successMessage) setMessage(successMessage);
+    } catch (err) {
+      const details = err?.data?.details;
+
+      if (Array.isArray(details) && details.length) {
+        setError(details.map((d) => d.message).join("\n"));
+      } else {
+        setError(getFriendlyError(err));
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  }
+
+  function handleUpdateProfile(e) {
+    e.preventDefault();
+
+    return run(async () => {
+      const data = await updateProfile({ username: username.trim() });
+      setUser(data.user);
+      setUsername(data.user.username);
+
+      return "Username updated.";
+    });
+  }
+
+  function handleChangePassword(e) {
+    e.preventDefault();
+
+    return run(async () => {
+      const data = await changePassword({ currentPassword, newPassword });
+      setCurrentPassword("");
+      setNewPassword("");
+
+      return data.message;
+    });
+  }
+
+  function handleChangeEmail(e) {
+    e.preventDefault();
+
+    return run(async () => {
+      const data = await changeEmail({
+        password: emailPassword,
+        email: newEmail,
+      });
+      setUser(data.user);
+      setNewEmail("");
+      setEmailPassword("");
+
+      return data.message;
+    });
+  }
+
+  function handleResendVerification() {
+    return run(async () => {
+      await resendVerification(user.email);
+      return "Verification email sent. Check your inbox.";
+    });
+  }
+
+  function handleDeleteAccount(e) {
+    e.preventDefault();
+
+    const ok = window.confirm(
+      "Delete your account and all of your tasks? This cannot be undone.",
+    );
+    if (!ok) return;
+
+    return run(async () => {
+      const trimmed = deleteCode.trim();
+      const payload = { password: deletePassword };
+
+      if (user.twoFactorEnabled) {
+        if (/^\d{6}$/.test(trimmed)) payload.code = trimmed;
+        else payload.recoveryCode = trimmed;
+      }
+
+      await deleteAccount(payload);
+
+      // The account and its sessions are gone; drop the local tokens too.
+      clearTokens();
+      navigate("/login", {
+        replace: true,
+        state: { notice: "Your account has been deleted." },
+      });
+    });
+  }
+
+  return (
+    <div className="stm-container">
+      <div className="stm-row">
+        <div>
+          <h1>Account</h1>
+          <p>Manage your profile, password and email address.</p>
+        </div>
+
+        <Link to="/tasks">Back to tasks</Link>
+      </div>
+
+      {error && <p className="stm-error">{error}</p>}
+      {message && (
+        <p className="stm-success" style={{ marginTop: 12 }}>
+          {message}
+        </p>
+      )}
+
+      {loading ? (
+        <p style={{ marginTop: 20 }}>Loading…</p>
+      ) : user ? (
+        <div className="stm-gap-12" style={{ marginTop: 20 }}>
+          <form onSubmit={handleUpdateProfile} className="stm-panel stm-gap-12">
+            <h2 style={{ margin: 0 }}>Profile</h2>
+            <p>
+              {user.email} · {user.emailVerified ? "verified" : "not verified"}
+              {" · "}
+              <Link to="/settings/security">
+                Two-factor {user.twoFactorEnabled ? "on" : "off"}
+              </Link>
+              {" · "}
+              <Link to="/settings/tokens">API tokens</Link>
+              {" · "}
+              <Link to="/settings/sessions">Sessions</Link>
+            </p>
+
+            {!user.emailVerified && (
+              <button
+                type="button"
+                className="stm-btn-secondary"
+                onClick={handleResendVerification}
+                disabled={isSubmitting}
+              >
+                Resend verification email
+              </button>
+            )}
+
+            <label>
+              Username
+              <input
+                type="text"
+                autoComplete="username"
+                value={username}
+                onChange={(e) => setUsername(e.target.value)}
+                required
+                minLength={3}
+                maxLength={50}
+              />
+            </label>
+
+            <button
+              type="submit"
+              disabled={
+                isSubmitting ||
+                username.trim().length < 3 ||
+                username.trim() === user.username
+              }
+            >
+              Save username
+            </button>
+          </form>
+
+          <form
+            onSubmit={handleChangePassword}
+            className="stm-panel stm-gap-12"
+          >
+            <h2 style={{ margin: 0 }}>Change password</h2>
+
+            <label>
+              Current password
+              <input
+                type="password"
+                autoComplete="current-password"
+                value={currentPassword}
+                onChange={(e) => setCurrentPassword(e.target.value)}
+                required
+              />
+            </label>
+
+            <label>
+              New password
+              <input
+                type="password"
+                autoComplete="new-password"
+                value={newPassword}
+                onChange={(e) => setNewPassword(e.target.value)}
+                required
+              />
+            </label>
+
+            <PasswordStrength password={newPassword} result={passwordCheck} />
+
+            <button
+              type="submit"
+              disabled={
+                isSubmitting ||
+                !currentPassword ||
+                !newPassword ||
+                !passwordCheck.allMet
+              }
+            >
+              Change password
+            </button>
+            <p>Other devices will be signed out.</p>
+          </form>
+
+          <form onSubmit={handleChangeEmail} className="stm-panel stm-gap-12">
+            <h2 style={{ margin: 0 }}>Change email</h2>
+
+            <label>
+              New email
+              <input
+                type="email"
+                autoComplete="email"
+                value={newEmail}
+                onChange={(e) => setNewEmail(e.target.value)}
+                required
+              />
+            </label>
+
+            <label>
+              Current password
+              <input
+                type="password"
+                autoComplete="current-password"
+                value={emailPassword}
+                onChange={(e) => setEmailPassword(e.target.value)}
+                required
+              />
+            </label>
+
+            <button
+              type="submit"
+              disabled={isSubmitting || !newEmail.trim() || !emailPassword}
+            >
+              Change email
+            </button>
+            <p>You will need to verify the new address.</p>
+          </form>
+
+          <form onSubmit={handleDeleteAccount} className="stm-panel stm-gap-12">
+            <h2 style={{ margin: 0 }}>Delete account</h2>
+            <p>Permanently deletes your account and all of your tasks.</p>
+
+            <label>
+              Current password
+              <input
+                type="password"
+                autoComplete="current-password"
+                value={deletePassword}
+                onChange={(e) => setDeletePassword(e.target.value)}
+                required
+              />
+            </label>
+
+            {user.twoFactorEnabled && (
+              <label>
+                Authentication code or recovery code
+                <input
+                  type="text"
+                  autoComplete="one-time-code"
+                  value={deleteCode}
+                  onChange={(e) => setDeleteCode(e.target.value)}
+                  required
+                />
+              </label>
+            )}
+
+            <button
+              type="submit"
+              className="stm-btn-danger"
+              disabled={
+                isSubmitting ||
+                !deletePassword ||
+                (user.twoFactorEnabled && !deleteCode.trim())
+              }
+            >
+              Delete account
+            </button>
+          </form>
+        </div>
+      ) : null}
+    </div>
+  );
+}
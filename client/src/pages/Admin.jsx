@@ -0,0 +1,231 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import {
+  listUsers,
+  disableUser,
+  enableUser,
+  forceLogoutUser,
+} from "../api/admin";
+import { getFriendlyError } from "../api/friendlyError";
+
+/**
+ * Admin.jsx
+ *
+ * Admin area (requires the users:read permission, see App.jsx):
+ * - Lists accounts with search and paging
+ * - Disable / enable an account (confirm before disabling)
+ * - Sign an account out everywhere
+ * - Friendly errors
+ */
+
+const PAGE_SIZE = 25;
+
+export default function Admin() {
+  const [users, setUsers] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [offset, setOffset] = useState(0);
+
+  const [searchInput, setSearchInput] = useState("");
+  const [search, setSearch] = useState("");
+
+  const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+
+  const loadUsers = useCallback(async () => {
+    setError("");
+    setLoading(true);
+
+    try {
+      const data = await listUsers({
+        search: search || undefined,
+        limit: PAGE_SIZE,
+        offset,
+      });
+      setUsers(data.users);
+      setTotal(data.total);
+    } catch (err) {
+      setError(getFriendlyError(err));
+    } finally {
+      setLoading(false);
+    }
+  }, [search, offset]);
+
+  useEffect(() => {
+    loadUsers();
+  }, [loadUsers]);
+
+  function handleSearch(e) {
+    e.preventDefault();
+    setOffset(0);
+    setSearch(searchInput.trim());
+  }
+
+  /**
+   * Runs an action for one user and replaces that row with the result.
+   * @param {number} id
+   * @param {() => Promise<any>} action Resolves to { user, ... }
+   * @param {(data: any) => string} describe Success message
+   */
+  async function runUserAction(id, action, describe) {
+    setError("");
+    setMessage("");
+    setBusyId(id);
+
+    try {
+      const data = await action();
+      setUsers((prev) => prev.map((u) => (u.id === id ? data.user : u)));
+      setMessage(describe(data));
+    } catch (err) {
+      setError(getFriendlyError(err));
+    } finally {
+      setBusyId(null);
+    }
+  }
+
+  function handleDisable(user) {
+    const ok = window.confirm(
+      `Disable ${user.username}? They will be signed out and unable to sign in.`,
+    );
+    if (!ok) return;
+
+    runUserAction(
+      user.id,
+      () => disableUser(user.id),
+      () => `${user.username} has been disabled.`,
+    );
+  }
+
+  function handleEnable(user) {
+    runUserAction(
+      user.id,
+      () => enableUser(user.id),
+      () => `${user.username} has been enabled.`,
+    );
+  }
+
+  function handleForceLogout(user) {
+    runUserAction(
+      user.id,
+      () => forceLogoutUser(user.id),
+      (data) =>
+        `${user.username} was signed out of ${data.revokedSessions} session${
+          data.revokedSessions === 1 ? "" : "s"
+        }.`,
+    );
+  }
+
+  const pageEnd = Math.min(offset + users.length, total);
+
+  return (
+    <div className="stm-container">
+      <div className="stm-row">
+        <div>
+          <h1>Admin</h1>
+          <p>
+            {total} account{total === 1 ? "" : "s"}
+          </p>
+        </div>
+
+        <Link to="/tasks">Back to tasks</Link>
+      </div>
+
+      <form
+        onSubmit={handleSearch}
+        className="stm-row"
+        style={{ marginTop: 20 }}
+      >
+        <input
+          type="text"
+          placeholder="Search username or email"
+          value={searchInput}
+          onChange={(e) => setSearchInput(e.target.value)}
+          style={{ marginTop: 0 }}
+        />
+        <button type="submit">Search</button>
+      </form>
+
+      {error && <p className="stm-error">{error}</p>}
+      {message && (
+        <p className="stm-success" style={{ marginTop: 12 }}>
+          {message}
+        </p>
+      )}
+
+      {loading ? (
+        <p style={{ marginTop: 20 }}>Loading…</p>
+      ) : users.length === 0 ? (
+        <p style={{ marginTop: 20 }}>No accounts found.</p>
+      ) : (
+        <div className="stm-gap-12" style={{ marginTop: 20 }}>
+          {users.map((user) => (
+            <div key={user.id} className="stm-task">
+              <div style={{ minWidth: 0 }}>
+                <div className="stm-task-title">
+                  {user.username}
+                  {user.role === "admin" ? " · admin" : ""}
+                  {user.disabled ? " · disabled" : ""}
+                </div>
+                <p style={{ fontSize: 14 }}>
+                  {user.email}
+                  {user.emailVerified ? "" : " (unverified)"} ·{" "}
+                  {user.activeSessions} active session
+                  {user.activeSessions === 1 ? "" : "s"}
+                </p>
+              </div>
+
+              <div style={{ display: "flex", gap: 8 }}>
+                <button
+                  className="stm-btn-secondary"
+                  onClick={() => handleForceLogout(user)}
+                  disabled={busyId === user.id || user.activeSessions === 0}
+                >
+                  Sign out
+                </button>
+                {user.disabled ? (
+                  <button
+                    onClick={() => handleEnable(user)}
+                    disabled={busyId === user.id}
+                  >
+                    Enable
+                  </button>
+                ) : (
+                  <button
+                    className="stm-btn-danger"
+                    onClick={() => handleDisable(user)}
+                    disabled={busyId === user.id}
+                  >
+                    Disable
+                  </button>
+                )}
+              </div>
+            </div>
+          ))}
+
+          <div className="stm-row">
+            <p>
+              {offset + 1}–{pageEnd} of {total}
+            </p>
+            <div style={{ display: "flex", gap: 8 }}>
+              <button
+                className="stm-btn-secondary"
+                onClick={() => setOffset(Math.max(offset - PAGE_SIZE, 0))}
+                disabled={offset === 0}
+              >
+                Previous
+              </button>
+              <button
+                className="stm-btn-secondary"
+                onClick={() => setOffset(offset + PAGE_SIZE)}
+                disabled={offset + PAGE_SIZE >= total}
+              >
+                Next
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
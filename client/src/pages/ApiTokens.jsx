@@ -0,0 +1,266 @@
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import {
+  listApiTokens,
+  createApiToken,
+  revokeApiToken,
+} from "../api/apiTokens";
+import { getFriendlyError } from "../api/friendlyError";
+import { useCurrentUser, hasPermission } from "../utils/currentUser";
+
+/**
+ * ApiTokens.jsx
+ *
+ * Protected page for personal access tokens (scripts and automation):
+ * - Create a token with a name, scopes and an expiry
+ * - Show the new token once, with a copy button
+ * - List active tokens (prefix, scopes, dates) and revoke them
+ * - Friendly errors
+ */
+
+// Scopes a token can be granted; only those the user's role has are offered.
+const SCOPES = [
+  { value: "tasks:read", label: "Read tasks" },
+  { value: "tasks:write", label: "Create, update and delete tasks" },
+];
+
+const EXPIRY_OPTIONS = [
+  { value: "7", label: "7 days" },
+  { value: "30", label: "30 days" },
+  { value: "90", label: "90 days" },
+  { value: "365", label: "1 year" },
+  { value: "never", label: "No expiry" },
+];
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleDateString() : "never";
+}
+
+export default function ApiTokens() {
+  const { user } = useCurrentUser();
+
+  const [tokens, setTokens] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const [name, setName] = useState("");
+  const [scopes, setScopes] = useState(["tasks:read"]);
+  const [expiry, setExpiry] = useState("30");
+
+  const [newToken, setNewToken] = useState("");
+  const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    async function loadTokens() {
+      try {
+        const data = await listApiTokens();
+        setTokens(data.tokens);
+      } catch (err) {
+        setError(getFriendlyError(err));
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    loadTokens();
+  }, []);
+
+  const availableScopes = SCOPES.filter((s) => hasPermission(user, s.value));
+
+  function toggleScope(scope) {
+    setScopes((prev) =>
+      prev.includes(scope) ? prev.filter((s) => s !== scope) : [...prev, scope],
+    );
+  }
+
+  /**
+   * Runs an action with shared submitting/error/message handling.
+   * @param {() => Promise<string | void>} action Resolves to a success message.
+   */
+  async function run(action) {
+    setError("");
+    setMessage("");
+    setIsSubmitting(true);
+
+    try {
+      const successMessage = await action();
+      if (successMessage) setMessage(successMessage);
+    } catch (err) {
+      const details = err?.data?.details;
+
+      if (Array.isArray(details) && details.length) {
+        setError(details.map((d) => d.message).join("\n"));
+      } else {
+        setError(getFriendlyError(err));
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  }
+
+  function handleCreate(e) {
+    e.preventDefault();
+
+    return run(async () => {
+      const data = await createApiToken({
+        name: name.trim(),
+        scopes,
+        expiresInDays: expiry === "never" ? null : Number(expiry),
+      });
+      setTokens((prev) => [data.personalToken, ...prev]);
+      setNewToken(data.token);
+      setName("");
+    });
+  }
+
+  function handleRevoke(token) {
+    const ok = window.confirm(
+      `Revoke "${token.name}"? Scripts using it will stop working immediately.`,
+    );
+    if (!ok) return;
+
+    return run(async () => {
+      await revokeApiToken(token.id);
+      setTokens((prev) => prev.filter((t) => t.id !== token.id));
+
+      return `"${token.name}" has been revoked.`;
+    });
+  }
+
+  async function handleCopy() {
+    try {
+      await navigator.clipboard.writeText(newToken);
+      setMessage("Token copied to clipboard.");
+    } catch {
+      setError("Could not copy automatically. Select the token and copy it.");
+    }
+  }
+
+  return (
+    <div className="stm-container">
+      <div className="stm-row">
+        <div>
+          <h1>API tokens</h1>
+          <p>Let scripts use the API without your password.</p>
+        </div>
+
+        <Link to="/settings/account">Back to account</Link>
+      </div>
+
+      {error && <p className="stm-error">{error}</p>}
+      {message && (
+        <p className="stm-success" style={{ marginTop: 12 }}>
+          {message}
+        </p>
+      )}
+
+      <div className="stm-gap-12" style={{ marginTop: 20 }}>
+        {newToken && (
+          <div className="stm-panel stm-gap-12">
+            <h2 style={{ margin: 0 }}>Your new token</h2>
+            <p>
+              Copy it now and store it somewhere safe. It will not be shown
+              again. Send it as: Authorization: Bearer &lt;token&gt;
+            </p>
+            <code className="stm-secret">{newToken}</code>
+            <div style={{ display: "flex", gap: 8 }}>
+              <button type="button" onClick={handleCopy}>
+                Copy token
+              </button>
+              <button
+                type="button"
+                className="stm-btn-secondary"
+                onClick={() => setNewToken("")}
+              >
+                I have saved it
+              </button>
+            </div>
+          </div>
+        )}
+
+        <form onSubmit={handleCreate} className="stm-panel stm-gap-12">
+          <h2 style={{ margin: 0 }}>Create a token</h2>
+
+          <label>
+            Name
+            <input
+              type="text"
+              placeholder="e.g. Nightly backup script"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              required
+              maxLength={100}
+            />
+          </label>
+
+          <fieldset className="stm-fieldset">
+            <legend>Scopes</legend>
+            {availableScopes.map((s) => (
+              <label key={s.value} className="stm-check">
+                <input
+                  type="checkbox"
+                  checked={scopes.includes(s.value)}
+                  onChange={() => toggleScope(s.value)}
+                />
+                {s.label} <code>{s.value}</code>
+              </label>
+            ))}
+          </fieldset>
+
+          <label>
+            Expires
+            <select value={expiry} onChange={(e) => setExpiry(e.target.value)}>
+              {EXPIRY_OPTIONS.map((o) => (
+                <option key={o.value} value={o.value}>
+                  {o.label}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          <button
+            type="submit"
+            disabled={isSubmitting || !name.trim() || scopes.length === 0}
+          >
+            Create token
+          </button>
+        </form>
+
+        <div className="stm-panel stm-gap-12">
+          <h2 style={{ margin: 0 }}>Active tokens</h2>
+
+          {loading ? (
+            <p>Loading…</p>
+          ) : tokens.length === 0 ? (
+            <p>No active tokens.</p>
+          ) : (
+            tokens.map((token) => (
+              <div key={token.id} className="stm-task">
+                <div style={{ minWidth: 0 }}>
+                  <div className="stm-task-title">
+                    {token.name} · <code>{token.prefix}…</code>
+                  </div>
+                  <p style={{ fontSize: 14 }}>
+                    {token.scopes.join(", ")} · created{" "}
+                    {formatDate(token.createdAt)} · expires{" "}
+                    {formatDate(token.expiresAt)} · last used{" "}
+                    {formatDate(token.lastUsedAt)}
+                  </p>
+                </div>
+
+                <button
+                  className="stm-btn-danger"
+                  onClick={() => handleRevoke(token)}
+                  disabled={isSubmitting}
+                >
+                  Revoke
+                </button>
+              </div>
+            ))
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,75 @@
+import React, { useState } from "react";
+import { Link } from "react-router-dom";
+import { requestPasswordReset } from "../api/auth";
+import { getFriendlyError } from "../api/friendlyError";
+
+/**
+ * ForgotPassword.jsx
+ *
+ * Forgot password page:
+ * - Collects the account email
+ * - Calls backend /api/auth/forgot-password
+ * - Always shows the same confirmation (the server never reveals
+ *   whether an account exists)
+ * - Friendly errors
+ */
+
+export default function ForgotPassword() {
+  const [email, setEmail] = useState("");
+
+  const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setError("");
+    setMessage("");
+    setIsSubmitting(true);
+
+    try {
+      const result = await requestPasswordReset(email);
+      setMessage(
+        result?.message ||
+          "If an account exists for that email, a password reset link has been sent."
+      );
+    } catch (err) {
+      setError(getFriendlyError(err));
+    } finally {
+      setIsSubmitting(false);
+    }
+  }
+
+  return (
+    <div className="stm-container">
+      <div className="stm-card stm-gap-12">
+        <h1>Secure Task Manager</h1>
+        <h2>Reset password</h2>
+
+        {error && <p className="stm-error">{error}</p>}
+        {message && <p className="stm-success">{message}</p>}
+
+        <form onSubmit={handleSubmit} className="stm-gap-12">
+          <label>
+            Email
+            <input
+              type="email"
+              autoComplete="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              required
+            />
+          </label>
+
+          <button type="submit" disabled={isSubmitting}>
+            {isSubmitting ? "Sending…" : "Send reset link"}
+          </button>
+        </form>
+
+        <p>
+          Remembered it? <Link to="/login">Sign in</Link>
+        </p>
+      </div>
+    </div>
+  );
+}
@@ -1,6 +1,18 @@
-import React, { useState } from "react";
-import { Link, useNavigate } from "react-router-dom";
-import { loginUser } from "../api/auth";
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import {
+  Link,
+  useLocation,
+  useNavigate,
+  useSearchParams,
+} from "react-router-dom";
+import {
+  completeSsoLogin,
+  getSsoConfig,
+  getSsoStartUrl,
+  loginUser,
+  loginWithSecondFactor,
+  resendVerification,
+} from "../api/auth";
 import { useAuth } from "../context/AuthContext";
 import { getFriendlyError } from "../api/friendlyError";
 
@@ -11,95 +23,294 @@ import { getFriendlyError } from "../api/friendlyError";
  * - Collects email + password
  * - Supports show/hide password toggle
  * - Calls backend /api/auth/login
- * - Stores JWT via AuthContext
+ * - Asks for an authenticator code (or recovery code) when the account
+ *   has two-factor authentication enabled
+ * - Stores access + refresh tokens via AuthContext
+ * - Offers to resend the verification email when sign-in is blocked
+ *   because the address is unverified
+ * - Offers "Sign in with <provider>" when the server has SSO configured,
+ *   and finishes SSO sign-ins (?sso=<one-time code> or ?sso_error=<reason>)
  * - Friendly errors
  */
 
+// Reasons the server's SSO callback can report (?sso_error=).
+const SSO_ERRORS = {
+  cancelled: "Single sign-on was cancelled.",
+  invalid_state:
+    "That sign-in attempt expired or was not started here. Please try again.",
+  provider_error:
+    "The identity provider could not sign you in. Please try again.",
+  email_not_verified:
+    "Your identity provider has not verified your email address, so it cannot be used to sign in.",
+  account_unverified:
+    "An account with this email exists but is not verified yet. Verify it from the email we sent, then try again.",
+  account_disabled: "This account has been disabled.",
+};
+
 export default function Login() {
   const navigate = useNavigate();
-  const { saveToken } = useAuth();
+  const location = useLocation();
+  const { saveSession } = useAuth();
+  const [searchParams] = useSearchParams();
+  const ssoCode = searchParams.get("sso") || "";
+  const ssoError = searchParams.get("sso_error");
+
+  // Optional notice passed by other pages (e.g. after registering).
+  const [notice, setNotice] = useState(location.state?.notice || "");
+  const [sso, setSso] = useState(null);
 
   const [email, setEmail] = useState("");
   const [password, setPassword] = useState("");
   const [showPassword, setShowPassword] = useState(false);
 
-  const [error, setError] = useState("");
-  const [isSubmitting, setIsSubmitting] = useState(false);
+  // Second-factor step (set when the server answers with a challenge).
+  const [challengeToken, setChallengeToken] = useState("");
+  const [code, setCode] = useState("");
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+
+  const [error, setError] = useState(
+    ssoError ? SSO_ERRORS[ssoError] || SSO_ERRORS.provider_error : "",
+  );
+  const [needsVerification, setNeedsVerification] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(Boolean(ssoCode));
+
+  // SSO login codes are single-use; StrictMode runs effects twice in development.
+  const hasCompletedSso = useRef(false);
+
+  const showError = useCallback((err) => {
+    const details = err?.data?.details;
+
+    if (Array.isArray(details) && details.length) {
+      setError(details.map((d) => `${d.field}: ${d.message}`).join("\n"));
+    } else {
+      setError(getFriendlyError(err));
+    }
+  }, []);
+
+  const completeLogin = useCallback(
+    (result) => {
+      // Bearer mode returns tokens; cookie mode sets cookies and returns a CSRF token.
+      const hasTokens = Boolean(result?.token && result?.refreshToken);
+
+      if (!hasTokens && !result?.csrfToken) {
+        setError("Login succeeded but no token was returned.");
+        return;
+      }
+
+      saveSession(result);
+      navigate("/tasks");
+    },
+    [saveSession, navigate],
+  );
+
+  useEffect(() => {
+    getSsoConfig()
+      .then((config) => setSso(config?.enabled ? config : null))
+      .catch(() => setSso(null));
+  }, []);
+
+  useEffect(() => {
+    if (!ssoCode || hasCompletedSso.current) return;
+    hasCompletedSso.current = true;
+
+    // Drop the code from the address bar (and history) right away.
+    navigate("/login", { replace: true });
+
+    completeSsoLogin(ssoCode)
+      .then((result) => {
+        if (result?.mfaRequired) {
+          setChallengeToken(result.challengeToken);
+          return;
+        }
+
+        completeLogin(result);
+      })
+      .catch(showError)
+      .finally(() => setIsSubmitting(false));
+  }, [ssoCode, navigate, completeLogin, showError]);
 
   async function handleSubmit(e) {
     e.preventDefault();
     setError("");
+    setNotice("");
+    setNeedsVerification(false);
     setIsSubmitting(true);
 
     try {
       const result = await loginUser({ email, password });
-      const token = result?.token;
 
-      if (!token) {
-        setError("Login succeeded but no token was returned.");
+      if (result?.mfaRequired) {
+        setChallengeToken(result.challengeToken);
+        setPassword("");
         return;
       }
 
-      saveToken(token);
-      navigate("/tasks");
+      completeLogin(result);
     } catch (err) {
-      const details = err?.data?.details;
-
-      if (Array.isArray(details) && details.length) {
-        setError(details.map((d) => `${d.field}: ${d.message}`).join("\n"));
-      } else {
-        setError(getFriendlyError(err));
+      if (err?.data?.code === "EMAIL_NOT_VERIFIED") {
+        setNeedsVerification(true);
       }
+
+      showError(err);
     } finally {
       setIsSubmitting(false);
     }
   }
 
+  async function handleSecondFactor(e) {
+    e.preventDefault();
+    setError("");
+    setIsSubmitting(true);
+
+    try {
+      const trimmed = code.trim();
+      const result = await loginWithSecondFactor(
+        useRecoveryCode
+          ? { challengeToken, recoveryCode: trimmed }
+          : { challengeToken, code: trimmed },
+      );
+
+      completeLogin(result);
+    } catch (err) {
+      showError(err);
+    } finally {
+      setIsSubmitting(false);
+    }
+  }
+
+  function handleCancelSecondFactor() {
+    setChallengeToken("");
+    setCode("");
+    setUseRecoveryCode(false);
+    setError("");
+  }
+
+  async function handleResendVerification() {
+    setError("");
+    setNeedsVerification(false);
+
+    try {
+      const result = await resendVerification(email);
+      setNotice(result?.message || "A new verification link has been sent.");
+    } catch (err) {
+      setError(getFriendlyError(err));
+    }
+  }
+
   return (
     <div className="stm-container">
       <div className="stm-card stm-gap-12">
         <h1>Secure Task Manager</h1>
         <h2>Sign in</h2>
 
+        {notice && <p className="stm-success">{notice}</p>}
         {error && <p className="stm-error">{error}</p>}
 
-        <form onSubmit={handleSubmit} className="stm-gap-12">
-          <label>
-            Email
-            <input
-              type="email"
-              autoComplete="email"
-              value={email}
-              onChange={(e) => setEmail(e.target.value)}
-              required
-            />
-          </label>
-
-          <label>
-            Password
-            <input
-              type={showPassword ? "text" : "password"}
-              autoComplete="current-password"
-              value={password}
-              onChange={(e) => setPassword(e.target.value)}
-              required
-            />
-          </label>
-
-          <label style={{ display: "flex", alignItems: "center", gap: 8 }}>
-            <input
-              type="checkbox"
-              checked={showPassword}
-              onChange={(e) => setShowPassword(e.target.checked)}
-              aria-label="Show password"
-            />
-            Show password
-          </label>
-
-          <button type="submit" disabled={isSubmitting}>
-            {isSubmitting ? "Signing in…" : "Sign in"}
+        {needsVerification && (
+          <button
+            type="button"
+            className="stm-btn-secondary"
+            onClick={handleResendVerification}
+          >
+            Resend verification email
           </button>
-        </form>
+        )}
+
+        {challengeToken ? (
+          <form onSubmit={handleSecondFactor} className="stm-gap-12">
+            <p>
+              {useRecoveryCode
+                ? "Enter one of your recovery codes."
+                : "Enter the 6-digit code from your authenticator app."}
+            </p>
+
+            <label>
+              {useRecoveryCode ? "Recovery code" : "Authentication code"}
+              <input
+                type="text"
+                inputMode={useRecoveryCode ? "text" : "numeric"}
+                autoComplete="one-time-code"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                required
+                autoFocus
+              />
+            </label>
+
+            <button type="submit" disabled={isSubmitting || !code.trim()}>
+              {isSubmitting ? "Verifying…" : "Verify"}
+            </button>
+
+            <button
+              type="button"
+              className="stm-btn-secondary"
+              onClick={() => {
+                setUseRecoveryCode((prev) => !prev);
+                setCode("");
+              }}
+            >
+              {useRecoveryCode
+                ? "Use authenticator app instead"
+                : "Use a recovery code instead"}
+            </button>
+
+            <button
+              type="button"
+              className="stm-btn-secondary"
+              onClick={handleCancelSecondFactor}
+            >
+              Back
+            </button>
+          </form>
+        ) : (
+          <form onSubmit={handleSubmit} className="stm-gap-12">
+            <label>
+              Email
+              <input
+                type="email"
+                autoComplete="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                required
+              />
+            </label>
+
+            <label>
+              Password
+              <input
+                type={showPassword ? "text" : "password"}
+                autoComplete="current-password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                required
+              />
+            </label>
+
+            <label style={{ display: "flex", alignItems: "center", gap: 8 }}>
+              <input
+                type="checkbox"
+                checked={showPassword}
+                onChange={(e) => setShowPassword(e.target.checked)}
+                aria-label="Show password"
+              />
+              Show password
+            </label>
+
+            <button type="submit" disabled={isSubmitting}>
+              {isSubmitting ? "Signing in…" : "Sign in"}
+            </button>
+
+            {sso && (
+              <a className="stm-btn-link" href={getSsoStartUrl()}>
+                Sign in with {sso.providerName}
+              </a>
+            )}
+          </form>
+        )}
+
+        <p>
+          <Link to="/forgot-password">Forgot your password?</Link>
+        </p>
 
         <p>
           Don’t have an account? <Link to="/register">Create one</Link>
@@ -107,4 +318,4 @@ export default function Login() {
       </div>
     </div>
   );
-}
\ No newline at end of file
+}
@@ -2,15 +2,18 @@ import React, { useMemo, useState } from "react";
 import { Link, useNavigate } from "react-router-dom";
 import { registerUser } from "../api/auth";
 import { getFriendlyError } from "../api/friendlyError";
+import PasswordStrength from "../components/PasswordStrength";
+import { usePasswordPolicy, checkPassword } from "../utils/passwordPolicy";
 
 /**
  * Register.jsx
  *
  * Registration page:
  * - Collects username, email, password, confirm password
- * - Prevents submit if passwords do not match
+ * - Live strength meter + checklist driven by the server password policy
+ * - Prevents submit if passwords do not match or break the policy
  * - Calls backend /api/auth/register
- * - Redirects to /login on success
+ * - Redirects to /login on success with a "check your email" notice
  * - Friendly errors
  */
 
@@ -31,6 +34,12 @@ export default function Register() {
     [password, confirmPassword]
   );
 
+  const policy = usePasswordPolicy();
+  const passwordCheck = useMemo(
+    () => checkPassword(password, policy, { username, email }),
+    [password, policy, username, email]
+  );
+
   async function handleSubmit(e) {
     e.preventDefault();
     setError("");
@@ -44,7 +53,11 @@ export default function Register() {
 
     try {
       await registerUser({ username, email, password });
-      navigate("/login");
+      navigate("/login", {
+        state: {
+          notice: "Account created. Check your email for a link to verify your address.",
+        },
+      });
     } catch (err) {
       const details = err?.data?.details;
 
@@ -101,6 +114,8 @@ export default function Register() {
             />
           </label>
 
+          <PasswordStrength password={password} result={passwordCheck} />
+
           <label>
             Confirm password
             <input
@@ -118,7 +133,10 @@ export default function Register() {
             </p>
           ) : null}
 
-          <button type="submit" disabled={isSubmitting || !passwordsMatch}>
+          <button
+            type="submit"
+            disabled={isSubmitting || !passwordsMatch || !passwordCheck.allMet}
+          >
             {isSubmitting ? "Creating…" : "Create account"}
           </button>
         </form>
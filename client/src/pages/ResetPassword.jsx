@@ -0,0 +1,145 @@
+import React, { useMemo, useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import { resetPassword } from "../api/auth";
+import { getFriendlyError } from "../api/friendlyError";
+import PasswordStrength from "../components/PasswordStrength";
+import { usePasswordPolicy, checkPassword } from "../utils/passwordPolicy";
+
+/**
+ * ResetPassword.jsx
+ *
+ * Reset password page (opened from the emailed link):
+ * - Reads the reset token from ?token=
+ * - Collects new password + confirmation
+ * - Live strength meter + checklist (the server also checks the password
+ *   against the account's username and email)
+ * - Calls backend /api/auth/reset-password
+ * - On success, points the user back to sign in
+ * - Friendly errors
+ */
+
+export default function ResetPassword() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token") || "";
+
+  const [password, setPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+
+  const [error, setError] = useState("");
+  const [isDone, setIsDone] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const passwordsMatch = useMemo(
+    () => password === confirmPassword,
+    [password, confirmPassword]
+  );
+
+  const policy = usePasswordPolicy();
+  const passwordCheck = useMemo(
+    () => checkPassword(password, policy),
+    [password, policy]
+  );
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setError("");
+
+    if (!passwordsMatch) {
+      setError("Passwords do not match.");
+      return;
+    }
+
+    setIsSubmitting(true);
+
+    try {
+      await resetPassword({ token, password });
+      setIsDone(true);
+    } catch (err) {
+      setError(getFriendlyError(err));
+    } finally {
+      setIsSubmitting(false);
+    }
+  }
+
+  if (!token) {
+    return (
+      <div className="stm-container">
+        <div className="stm-card stm-gap-12">
+          <h1>Secure Task Manager</h1>
+          <h2>Reset password</h2>
+          <p className="stm-error">This reset link is missing its token.</p>
+          <p>
+            <Link to="/forgot-password">Request a new link</Link>
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="stm-container">
+      <div className="stm-card stm-gap-12">
+        <h1>Secure Task Manager</h1>
+        <h2>Choose a new password</h2>
+
+        {error && <p className="stm-error">{error}</p>}
+
+        {isDone ? (
+          <>
+            <p className="stm-success">
+              Your password has been reset. You have been signed out everywhere.
+            </p>
+            <p>
+              <Link to="/login">Sign in</Link>
+            </p>
+          </>
+        ) : (
+          <form onSubmit={handleSubmit} className="stm-gap-12">
+            <label>
+              New password
+              <input
+                type="password"
+                autoComplete="new-password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                required
+              />
+            </label>
+
+            <PasswordStrength password={password} result={passwordCheck} />
+
+            <label>
+              Confirm new password
+              <input
+                type="password"
+                autoComplete="new-password"
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                required
+              />
+            </label>
+
+            {!passwordsMatch && confirmPassword.length > 0 ? (
+              <p className="stm-error" style={{ marginTop: 0 }}>
+                Passwords do not match.
+              </p>
+            ) : null}
+
+            <button
+              type="submit"
+              disabled={isSubmitting || !passwordsMatch || !passwordCheck.allMet}
+            >
+              {isSubmitting ? "Saving…" : "Reset password"}
+            </button>
+          </form>
+        )}
+
+        {!isDone && (
+          <p>
+            Link expired? <Link to="/forgot-password">Request a new one</Link>
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,289 @@
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import QRCode from "qrcode";
+import {
+  getTwoFactorStatus,
+  startTwoFactorSetup,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+} from "../api/twoFactor";
+import { getFriendlyError } from "../api/friendlyError";
+
+/**
+ * Security.jsx
+ *
+ * Protected security settings page:
+ * - Shows whether two-factor authentication (TOTP) is enabled
+ * - Enrollment: QR code + manual secret, confirmed with a code
+ * - Shows one-time recovery codes right after they are created
+ * - Regenerate recovery codes (requires password)
+ * - Disable two-factor authentication (requires password + code)
+ * - Friendly errors
+ */
+
+export default function Security() {
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const [setup, setSetup] = useState(null); // { secret, otpauthUri, qrDataUrl }
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+
+  const [code, setCode] = useState("");
+  const [password, setPassword] = useState("");
+  const [disableCode, setDisableCode] = useState("");
+
+  const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  async function loadStatus() {
+    setLoading(true);
+
+    try {
+      setStatus(await getTwoFactorStatus());
+    } catch (err) {
+      setError(getFriendlyError(err));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  /**
+   * Runs an action with shared submitting/error/message handling.
+   * @param {() => Promise<string | void>} action Resolves to a success message.
+   */
+  async function run(action) {
+    setError("");
+    setMessage("");
+    setIsSubmitting(true);
+
+    try {
+      const successMessage = await action();
+      if (successMessage) setMessage(successMessage);
+    } catch (err) {
+      setError(getFriendlyError(err));
+    } finally {
+      setIsSubmitting(false);
+    }
+  }
+
+  function handleStartSetup() {
+    return run(async () => {
+      const result = await startTwoFactorSetup();
+      const qrDataUrl = await QRCode.toDataURL(result.otpauthUri, {
+        margin: 1,
+      });
+
+      setSetup({ ...result, qrDataUrl });
+      setRecoveryCodes([]);
+      setCode("");
+    });
+  }
+
+  function handleEnable(e) {
+    e.preventDefault();
+
+    return run(async () => {
+      const result = await enableTwoFactor(code.trim());
+
+      setSetup(null);
+      setCode("");
+      setRecoveryCodes(result.recoveryCodes || []);
+      await loadStatus();
+
+      return "Two-factor authentication is on.";
+    });
+  }
+
+  function handleRegenerate(e) {
+    e.preventDefault();
+
+    return run(async () => {
+      const result = await regenerateRecoveryCodes(password);
+
+      setPassword("");
+      setRecoveryCodes(result.recoveryCodes || []);
+      await loadStatus();
+
+      return "New recovery codes created. Your old codes no longer work.";
+    });
+  }
+
+  function handleDisable(e) {
+    e.preventDefault();
+
+    const ok = window.confirm(
+      "Turn off two-factor authentication? Your recovery codes will stop working.",
+    );
+    if (!ok) return;
+
+    return run(async () => {
+      const trimmed = disableCode.trim();
+      const isTotp = /^\d{6}$/.test(trimmed);
+
+      await disableTwoFactor(
+        isTotp
+          ? { password, code: trimmed }
+          : { password, recoveryCode: trimmed },
+      );
+
+      setPassword("");
+      setDisableCode("");
+      setRecoveryCodes([]);
+      await loadStatus();
+
+      return "Two-factor authentication is off.";
+    });
+  }
+
+  return (
+    <div className="stm-container">
+      <div className="stm-row">
+        <div>
+          <h1>Security</h1>
+          <p>Protect your account with an authenticator app.</p>
+        </div>
+
+        <Link to="/tasks">Back to tasks</Link>
+      </div>
+
+      {error && <p className="stm-error">{error}</p>}
+      {message && (
+        <p className="stm-success" style={{ marginTop: 12 }}>
+          {message}
+        </p>
+      )}
+
+      <div className="stm-panel stm-gap-12" style={{ marginTop: 20 }}>
+        <h2 style={{ margin: 0 }}>Two-factor authentication</h2>
+
+        {loading && !status ? (
+          <p>Loading…</p>
+        ) : status?.enabled ? (
+          <p>
+            On · {status.recoveryCodesRemaining} recovery code
+            {status.recoveryCodesRemaining === 1 ? "" : "s"} left
+          </p>
+        ) : (
+          <p>Off</p>
+        )}
+
+        {recoveryCodes.length > 0 && (
+          <div className="stm-gap-12">
+            <p>
+              Save these recovery codes somewhere safe. Each one works once if
+              you lose access to your authenticator app. They will not be shown
+              again.
+            </p>
+            <ul className="stm-code-list">
+              {recoveryCodes.map((c) => (
+                <li key={c}>{c}</li>
+              ))}
+            </ul>
+            <button
+              className="stm-btn-secondary"
+              onClick={() => setRecoveryCodes([])}
+            >
+              I have saved my codes
+            </button>
+          </div>
+        )}
+
+        {status && !status.enabled && !setup && (
+          <button onClick={handleStartSetup} disabled={isSubmitting}>
+            Set up authenticator app
+          </button>
+        )}
+
+        {setup && (
+          <form onSubmit={handleEnable} className="stm-gap-12">
+            <p>
+              Scan this QR code with your authenticator app, or enter the key
+              manually.
+            </p>
+            <img
+              className="stm-qr"
+              src={setup.qrDataUrl}
+              alt="QR code for your authenticator app"
+            />
+            <code className="stm-secret">{setup.secret}</code>
+
+            <label>
+              Code from the app
+              <input
+                type="text"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                required
+              />
+            </label>
+
+            <button type="submit" disabled={isSubmitting || !code.trim()}>
+              {isSubmitting ? "Enabling…" : "Enable"}
+            </button>
+            <button
+              type="button"
+              className="stm-btn-secondary"
+              onClick={() => setSetup(null)}
+            >
+              Cancel
+            </button>
+          </form>
+        )}
+
+        {status?.enabled && (
+          <>
+            <form onSubmit={handleRegenerate} className="stm-gap-12">
+              <h3 style={{ margin: 0 }}>Recovery codes</h3>
+              <label>
+                Current password
+                <input
+                  type="password"
+                  autoComplete="current-password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  required
+                />
+              </label>
+              <button
+                type="submit"
+                className="stm-btn-secondary"
+                disabled={isSubmitting || !password}
+              >
+                Regenerate recovery codes
+              </button>
+            </form>
+
+            <form onSubmit={handleDisable} className="stm-gap-12">
+              <h3 style={{ margin: 0 }}>Turn off</h3>
+              <label>
+                Authentication code or recovery code
+                <input
+                  type="text"
+                  autoComplete="one-time-code"
+                  value={disableCode}
+                  onChange={(e) => setDisableCode(e.target.value)}
+                  required
+                />
+              </label>
+              <button
+                type="submit"
+                disabled={isSubmitting || !password || !disableCode.trim()}
+              >
+                Disable two-factor authentication
+              </button>
+              <p>Uses the current password entered above.</p>
+            </form>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,178 @@
+import React, { useEffect, useState } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import {
+  listSessions,
+  revokeSession,
+  revokeOtherSessions,
+} from "../api/sessions";
+import { useAuth } from "../context/AuthContext";
+import { getFriendlyError } from "../api/friendlyError";
+
+/**
+ * Sessions.jsx
+ *
+ * Protected page listing where the account is signed in:
+ * - Device, IP address, sign-in and last-seen times for each session
+ * - Marks the session of this browser
+ * - Sign out a single session, or every session except this one
+ * - Friendly errors
+ */
+
+function formatDateTime(value) {
+  return value ? new Date(value).toLocaleString() : "unknown";
+}
+
+export default function Sessions() {
+  const navigate = useNavigate();
+  const { logout } = useAuth();
+
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    async function loadSessions() {
+      try {
+        const data = await listSessions();
+        setSessions(data.sessions);
+      } catch (err) {
+        setError(getFriendlyError(err));
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    loadSessions();
+  }, []);
+
+  const otherSessions = sessions.filter((s) => !s.current);
+
+  /**
+   * Runs an action with shared submitting/error/message handling.
+   * @param {() => Promise<string | void>} action Resolves to a success message.
+   */
+  async function run(action) {
+    setError("");
+    setMessage("");
+    setIsSubmitting(true);
+
+    try {
+      const successMessage = await action();
+      if (successMessage) setMessage(successMessage);
+    } catch (err) {
+      setError(getFriendlyError(err));
+    } finally {
+      setIsSubmitting(false);
+    }
+  }
+
+  function handleRevoke(session) {
+    return run(async () => {
+      await revokeSession(session.id);
+      setSessions((prev) => prev.filter((s) => s.id !== session.id));
+
+      return `${session.device} has been signed out.`;
+    });
+  }
+
+  function handleRevokeOthers() {
+    const ok = window.confirm(
+      "Sign out all other browsers and devices? They will need to sign in again.",
+    );
+    if (!ok) return;
+
+    return run(async () => {
+      const data = await revokeOtherSessions();
+      setSessions((prev) => prev.filter((s) => s.current));
+
+      return data.revokedSessions === 1
+        ? "Signed out 1 other session."
+        : `Signed out ${data.revokedSessions} other sessions.`;
+    });
+  }
+
+  async function handleSignOutHere() {
+    await logout();
+    navigate("/login", { replace: true });
+  }
+
+  return (
+    <div className="stm-container">
+      <div className="stm-row">
+        <div>
+          <h1>Sessions</h1>
+          <p>Browsers and devices where your account is signed in.</p>
+        </div>
+
+        <Link to="/settings/account">Back to account</Link>
+      </div>
+
+      {error && <p className="stm-error">{error}</p>}
+      {message && (
+        <p className="stm-success" style={{ marginTop: 12 }}>
+          {message}
+        </p>
+      )}
+
+      <div className="stm-panel stm-gap-12" style={{ marginTop: 20 }}>
+        <div className="stm-row">
+          <h2 style={{ margin: 0 }}>Active sessions</h2>
+
+          <button
+            type="button"
+            className="stm-btn-danger"
+            onClick={handleRevokeOthers}
+            disabled={isSubmitting || otherSessions.length === 0}
+          >
+            Sign out everywhere else
+          </button>
+        </div>
+
+        {loading ? (
+          <p>Loading…</p>
+        ) : sessions.length === 0 ? (
+          <p>No active sessions.</p>
+        ) : (
+          sessions.map((session) => (
+            <div key={session.id} className="stm-task">
+              <div style={{ minWidth: 0 }}>
+                <div className="stm-task-title" title={session.userAgent || ""}>
+                  {session.device}
+                  {session.current && " · this browser"}
+                </div>
+                <p style={{ fontSize: 14 }}>
+                  {session.ipAddress || "unknown address"} · signed in{" "}
+                  {formatDateTime(session.createdAt)} · last seen{" "}
+                  {formatDateTime(session.lastSeenAt)}
+                </p>
+              </div>
+
+              {session.current ? (
+                <button
+                  type="button"
+                  className="stm-btn-secondary"
+                  onClick={handleSignOutHere}
+                  disabled={isSubmitting}
+                >
+                  Sign out
+                </button>
+              ) : (
+                <button
+                  type="button"
+                  className="stm-btn-danger"
+                  onClick={() => handleRevoke(session)}
+                  disabled={isSubmitting}
+                >
+                  Sign out
+                </button>
+              )}
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+}
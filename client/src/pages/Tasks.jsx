@@ -1,37 +1,179 @@
-import React, { useEffect, useMemo, useState } from "react";
-import { useNavigate } from "react-router-dom";
+import React, {
+  useCallback,
+  useEffect,
+  useMemo,
+  useRef,
+  useState,
+} from "react";
+import { Link, useNavigate, useParams } from "react-router-dom";
 import { useAuth } from "../context/AuthContext";
-import { getTasks, createTask, updateTask, deleteTask } from "../api/tasks";
+import {
+  getTasks,
+  searchTasks,
+  createTask,
+  updateTask,
+  bulkTasks,
+  moveTask,
+  deleteTask,
+} from "../api/tasks";
+import {
+  listNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+} from "../api/notifications";
+import { listTags, createTag, deleteTag } from "../api/tags";
+import {
+  listProjects,
+  createProject,
+  renameProject,
+  deleteProject,
+} from "../api/projects";
 import { getFriendlyError } from "../api/friendlyError";
+import { useCurrentUser, hasPermission } from "../utils/currentUser";
+import { groupTasksByDue, fromLocalInputValue } from "../utils/taskDates";
+import {
+  PRIORITIES,
+  SORT_OPTIONS,
+  DEFAULT_SORT,
+  MANUAL_SORT,
+  toSortParams,
+} from "../utils/taskOptions";
+import TaskItem from "../components/TaskItem";
+import TagSidebar from "../components/TagSidebar";
+import ProjectSidebar from "../components/ProjectSidebar";
+import SearchResults from "../components/SearchResults";
+import UndoToast from "../components/UndoToast";
 
 /**
  * Tasks.jsx
  *
- * Protected tasks page:
- * - Displays user tasks
- * - Allows create, toggle, delete
+ * Protected tasks page (/tasks for every task, /projects/inbox for tasks
+ * without a project, /projects/:projectId for one project):
+ * - Displays user tasks grouped by due date (Overdue, Today, Upcoming,
+ *   No due date, Completed); within each group, tasks follow the chosen sort
+ *   (done by the server, remembered in localStorage)
+ * - Loads tasks a page at a time; the next page loads when the end of the
+ *   list scrolls into view (or with "Load more")
+ * - Search box: full-text search in titles and descriptions (debounced);
+ *   results replace the list while it has text
+ * - Allows create (with optional priority, due date and reminder), toggle,
+ *   delete, and editing a task's project, priority, due date, reminder and
+ *   tags
+ * - Deleting moves tasks to the trash (see Trash.jsx) and shows an Undo
+ *   toast instead of asking for confirmation
+ * - Project sidebar: switch lists (remaining counts), create, rename and
+ *   delete projects; new tasks go to the open project, and the task editor
+ *   moves tasks between projects
+ * - Tag sidebar: filter by tags (any / all), create and delete tags
+ * - Manual order: drag a task's handle (or use the arrow keys on it) to move
+ *   it within its group; saved on the server
+ * - Expandable checklist per task with progress (3/5); a task can complete
+ *   itself when all steps are done
+ * - Shows unread reminders (in-app notifications) with a dismiss button;
+ *   checks for new ones every minute
  * - UX polish:
  *   - Disable Add unless input has real text
- *   - Confirm before deleting
  *   - Mark all complete + clear completed
- *   - Logout is the only top-right action
+ *   - Trash, Account + Security settings links (+ Admin for admins) and Logout
+ *     are the top-right actions
  *   - Bulk task actions live below the add-task input
  * - Friendly errors:
  *   - Shows user-friendly messages
- *   - Auto-logout + redirect on 401
+ *   - Expired access tokens are refreshed by the Axios client; if the session
+ *     is gone, AuthContext clears and ProtectedRoute redirects to /login
  */
 
+// How often the page checks for new reminders.
+const REMINDER_POLL_MS = 60 * 1000;
+
+// Pause in typing before a search is sent.
+const SEARCH_DEBOUNCE_MS = 300;
+
+// Tasks per page (the API allows up to 200).
+const TASK_PAGE_SIZE = 50;
+
+// localStorage key for the chosen sort.
+const SORT_STORAGE_KEY = "stm_task_sort";
+
+function loadSavedSort() {
+  const saved = localStorage.getItem(SORT_STORAGE_KEY);
+  return SORT_OPTIONS.some((o) => o.value === saved) ? saved : DEFAULT_SORT;
+}
+
+// Removes the tasks with the given ids from the list, remembering where they
+// were: { remaining, removed: [[index, task]] } (removed in list order).
+function removeTasks(list, ids) {
+  const removed = [];
+  const remaining = list.filter((task, index) => {
+    if (!ids.has(task.id)) return true;
+    removed.push([index, task]);
+    return false;
+  });
+
+  return { remaining, removed };
+}
+
+// Puts removed tasks back where they were, using their restored versions
+// (tasks that were not restored are left out).
+function reinsertTasks(list, removed, restored) {
+  const next = [...list];
+
+  for (const [index, task] of removed) {
+    const fresh = restored.get(task.id);
+    if (fresh && !next.some((t) => t.id === task.id)) {
+      next.splice(Math.min(index, next.length), 0, fresh);
+    }
+  }
+
+  return next;
+}
+
+// Field-level validation messages when the API sent them.
+function describeError(err) {
+  const details = err?.data?.details;
+  if (Array.isArray(details) && details.length) {
+    return details.map((d) => `${d.field}: ${d.message}`).join("\n");
+  }
+  return getFriendlyError(err);
+}
+
 export default function Tasks() {
   const navigate = useNavigate();
-  const { clearToken } = useAuth();
+  const { logout } = useAuth();
+  const { user } = useCurrentUser();
+
+  // undefined (all tasks), "inbox", or a project id (string from the URL).
+  const { projectId: projectParam } = useParams();
 
   const [tasks, setTasks] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const [searchText, setSearchText] = useState("");
+  // null until the first results for the current text arrive.
+  const [searchResults, setSearchResults] = useState(null);
   const [title, setTitle] = useState("");
+  const [dueAt, setDueAt] = useState("");
+  const [remindAt, setRemindAt] = useState("");
+  const [priority, setPriority] = useState("none");
+  const [sort, setSort] = useState(loadSavedSort);
+  const [reminders, setReminders] = useState([]);
+  const [tags, setTags] = useState([]);
+  const [selectedTagIds, setSelectedTagIds] = useState([]);
+  const [tagMatch, setTagMatch] = useState("any");
+  const [projects, setProjects] = useState([]);
+  const [inbox, setInbox] = useState(null);
+  const [draggedTask, setDraggedTask] = useState(null);
+  const [dropTargetId, setDropTargetId] = useState(null);
+  // The last deletion, until undone or dismissed: { message, ids, removed }.
+  const [undo, setUndo] = useState(null);
+  const [isUndoing, setIsUndoing] = useState(false);
 
   const [error, setError] = useState("");
   const [loading, setLoading] = useState(true);
   const [isSubmitting, setIsSubmitting] = useState(false);
 
+  const searchQuery = searchText.trim();
+
   const remainingCount = useMemo(
     () => tasks.filter((t) => !Boolean(t.completed)).length,
     [tasks]
@@ -39,33 +181,192 @@ export default function Tasks() {
 
   const canAdd = title.trim().length > 0 && !isSubmitting;
 
-  function handleUnauthorized() {
-    clearToken();
-    navigate("/login");
-  }
+  const groups = useMemo(() => groupTasksByDue(tasks), [tasks]);
 
-  async function loadTasks() {
-    setError("");
-    setLoading(true);
+  // Reordering only makes sense while the list shows the manual order.
+  const isManualOrder = sort === MANUAL_SORT;
+
+  // Names of the checked tags, as one string so reloading the tag list (new
+  // task counts) does not refetch the tasks.
+  const tagFilter = tags
+    .filter((tag) => selectedTagIds.includes(tag.id))
+    .map((tag) => tag.name)
+    .join(",");
+
+  // Query for the list; a page of more tasks is only added while it is
+  // still the current one.
+  const listParams = useMemo(
+    () => ({
+      ...toSortParams(sort),
+      tags: tagFilter ? tagFilter.split(",") : [],
+      tagMatch,
+      project: projectParam,
+      limit: TASK_PAGE_SIZE,
+    }),
+    [sort, tagFilter, tagMatch, projectParam]
+  );
+  const listParamsRef = useRef(listParams);
+
+  // The open list (project and checked tags) as a bulk-operation filter, so
+  // bulk actions also reach tasks on pages that are not loaded yet.
+  const listFilter = {
+    project:
+      projectParam === "inbox" ? "inbox" : Number(projectParam) || undefined,
+    tag: tagFilter ? tagFilter.split(",") : undefined,
+    tag_match: tagFilter ? tagMatch : undefined,
+  };
+  const loadMoreRef = useRef(null);
+
+  const currentProject = projects.find((p) => String(p.id) === projectParam);
+  const listTitle = !projectParam
+    ? "All tasks"
+    : projectParam === "inbox"
+      ? "Inbox"
+      : (currentProject?.name ?? "Project");
 
+  // Project for new tasks: the open project, otherwise the Inbox.
+  const newTaskProjectId =
+    projectParam && projectParam !== "inbox" ? Number(projectParam) : null;
+
+  const refreshProjects = useCallback(async () => {
     try {
-      const data = await getTasks();
-      const list = Array.isArray(data) ? data : data?.tasks;
-      setTasks(Array.isArray(list) ? list : []);
-    } catch (err) {
-      if (err?.status === 401) {
-        handleUnauthorized();
-        return;
+      const data = await listProjects();
+      setProjects(data.projects);
+      setInbox(data.inbox);
+    } catch {
+      // The sidebar keeps its previous counts; task errors are shown separately.
+    }
+  }, []);
+
+  useEffect(() => {
+    refreshProjects();
+  }, [refreshProjects]);
+
+  const refreshTags = useCallback(async () => {
+    try {
+      const data = await listTags();
+      setTags(data.tags);
+    } catch {
+      // The sidebar keeps its previous list; task errors are shown separately.
+    }
+  }, []);
+
+  useEffect(() => {
+    refreshTags();
+  }, [refreshTags]);
+
+  useEffect(() => {
+    // Ignore a response that arrives after the sort has changed again.
+    let isCurrent = true;
+    listParamsRef.current = listParams;
+
+    async function loadTasks() {
+      setError("");
+      setLoading(true);
+      setNextCursor(null);
+
+      try {
+        const data = await getTasks(listParams);
+        const list = Array.isArray(data) ? data : data?.tasks;
+        if (isCurrent) {
+          setTasks(Array.isArray(list) ? list : []);
+          setNextCursor(data?.next_cursor ?? null);
+        }
+      } catch (err) {
+        if (isCurrent) setError(getFriendlyError(err));
+      } finally {
+        if (isCurrent) setLoading(false);
       }
+    }
+
+    loadTasks();
+    return () => {
+      isCurrent = false;
+    };
+  }, [listParams]);
+
+  const loadMore = useCallback(async () => {
+    if (!nextCursor || isLoadingMore) return;
+    setIsLoadingMore(true);
+
+    try {
+      const data = await getTasks({ ...listParams, cursor: nextCursor });
+      if (listParamsRef.current !== listParams) return;
+
+      // Skip tasks already shown (added here after the first page loaded).
+      setTasks((prev) => [
+        ...prev,
+        ...data.tasks.filter((t) => !prev.some((p) => p.id === t.id)),
+      ]);
+      setNextCursor(data.next_cursor);
+    } catch (err) {
       setError(getFriendlyError(err));
     } finally {
-      setLoading(false);
+      setIsLoadingMore(false);
     }
-  }
+  }, [listParams, nextCursor, isLoadingMore]);
 
+  // Load the next page when the end of the list comes into view.
   useEffect(() => {
-    loadTasks();
-    // eslint-disable-next-line react-hooks/exhaustive-deps
+    const sentinel = loadMoreRef.current;
+    if (
+      !sentinel ||
+      !nextCursor ||
+      typeof IntersectionObserver !== "function"
+    ) {
+      return undefined;
+    }
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries.some((entry) => entry.isIntersecting)) loadMore();
+      },
+      { rootMargin: "200px" }
+    );
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [nextCursor, loadMore, loading]);
+
+  useEffect(() => {
+    if (!searchQuery) return undefined;
+
+    // Ignore results for text the user has already changed.
+    let isCurrent = true;
+
+    const timer = setTimeout(async () => {
+      // Only letters and digits are searched; the API rejects anything else.
+      if (!/[\p{L}\p{N}]/u.test(searchQuery)) {
+        setSearchResults([]);
+        return;
+      }
+
+      try {
+        const data = await searchTasks(searchQuery);
+        if (isCurrent) setSearchResults(data.results);
+      } catch (err) {
+        if (isCurrent) setError(describeError(err));
+      }
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => {
+      isCurrent = false;
+      clearTimeout(timer);
+    };
+  }, [searchQuery]);
+
+  useEffect(() => {
+    async function loadReminders() {
+      try {
+        const data = await listNotifications({ unread: true });
+        setReminders(data.notifications);
+      } catch {
+        // Reminders are optional here; task errors are shown separately.
+      }
+    }
+
+    loadReminders();
+    const timer = setInterval(loadReminders, REMINDER_POLL_MS);
+    return () => clearInterval(timer);
   }, []);
 
   async function handleAdd(e) {
@@ -81,23 +382,23 @@ export default function Tasks() {
     setIsSubmitting(true);
 
     try {
-      const result = await createTask({ title: trimmed });
+      const result = await createTask({
+        title: trimmed,
+        due_at: fromLocalInputValue(dueAt),
+        remind_at: fromLocalInputValue(remindAt),
+        priority,
+        project_id: newTaskProjectId,
+      });
       const task = result?.task ?? result;
 
       setTasks((prev) => [task, ...prev]);
       setTitle("");
+      setDueAt("");
+      setRemindAt("");
+      setPriority("none");
+      refreshProjects();
     } catch (err) {
-      if (err?.status === 401) {
-        handleUnauthorized();
-        return;
-      }
-
-      const details = err?.data?.details;
-      if (Array.isArray(details) && details.length) {
-        setError(details.map((d) => `${d.field}: ${d.message}`).join("\n"));
-      } else {
-        setError(getFriendlyError(err));
-      }
+      setError(describeError(err));
     } finally {
       setIsSubmitting(false);
     }
@@ -112,32 +413,126 @@ export default function Tasks() {
       });
       const updated = result?.task ?? result;
 
-      setTasks((prev) => prev.map((t) => (t.id === task.id ? updated : t)));
+      // Completing a repeating task creates its next occurrence.
+      setTasks((prev) => [
+        ...(result?.next_task ? [result.next_task] : []),
+        ...prev.map((t) => (t.id === task.id ? updated : t)),
+      ]);
+      refreshProjects();
     } catch (err) {
-      if (err?.status === 401) {
-        handleUnauthorized();
-        return;
+      setError(getFriendlyError(err));
+    }
+  }
+
+  // Rethrows so the caller (TaskItem's editor) can stay open.
+  async function handleUpdate(task, changes) {
+    setError("");
+
+    try {
+      const result = await updateTask(task.id, changes);
+      const updated = result?.task ?? result;
+
+      // A task moved out of the open project leaves this list.
+      const leftList =
+        projectParam &&
+        (updated.project_id ?? "inbox").toString() !== projectParam;
+
+      setTasks((prev) => [
+        ...(result?.next_task ? [result.next_task] : []),
+        ...(leftList
+          ? prev.filter((t) => t.id !== task.id)
+          : prev.map((t) => (t.id === task.id ? updated : t))),
+      ]);
+      if (changes.tag_ids) refreshTags();
+      if (
+        changes.project_id !== undefined ||
+        changes.auto_complete ||
+        result?.next_task
+      ) {
+        refreshProjects();
       }
+    } catch (err) {
+      setError(describeError(err));
+      throw err;
+    }
+  }
+
+  // A checklist change returns the updated task (progress, completed) and,
+  // when it completed a repeating task, the next occurrence.
+  function handleTaskChange(updated, nextTask = null) {
+    const previous = tasks.find((t) => t.id === updated.id);
+
+    setTasks((prev) => [
+      ...(nextTask ? [nextTask] : []),
+      ...prev.map((t) => (t.id === updated.id ? updated : t)),
+    ]);
+    if (previous && previous.completed !== updated.completed) refreshProjects();
+  }
+
+  function handleChecklistError(err) {
+    setError(describeError(err));
+  }
+
+  async function handleDismissReminder(notification) {
+    setReminders((prev) => prev.filter((n) => n.id !== notification.id));
+
+    try {
+      await markNotificationRead(notification.id);
+    } catch (err) {
       setError(getFriendlyError(err));
     }
   }
 
-  async function handleDelete(task) {
+  async function handleDismissAllReminders() {
+    setReminders([]);
+
+    try {
+      await markAllNotificationsRead();
+    } catch (err) {
+      setError(getFriendlyError(err));
+    }
+  }
+
+  // Takes trashed tasks off the list and offers to undo it.
+  function showUndo(message, ids) {
+    const { remaining, removed } = removeTasks(tasks, new Set(ids));
+
+    setTasks(remaining);
+    setUndo({ message, ids, removed });
+  }
+
+  const dismissUndo = useCallback(() => setUndo(null), []);
+
+  async function handleUndo() {
     setError("");
+    setIsUndoing(true);
 
-    const ok = window.confirm(
-      `Delete this task?\n\n"${task.title || "(untitled task)"}"`
-    );
-    if (!ok) return;
+    try {
+      const result = await bulkTasks([{ action: "restore", ids: undo.ids }]);
+      const restored = new Map(result.tasks.map((t) => [t.id, t]));
+
+      setTasks((prev) => reinsertTasks(prev, undo.removed, restored));
+      refreshTags();
+      refreshProjects();
+    } catch (err) {
+      setError(getFriendlyError(err));
+    } finally {
+      setIsUndoing(false);
+      setUndo(null);
+    }
+  }
+
+  async function handleDelete(task) {
+    setError("");
 
     try {
       await deleteTask(task.id);
-      setTasks((prev) => prev.filter((t) => t.id !== task.id));
+      showUndo(`"${task.title || "(untitled task)"}" moved to the trash.`, [
+        task.id,
+      ]);
+      if (task.tags?.length) refreshTags();
+      refreshProjects();
     } catch (err) {
-      if (err?.status === 401) {
-        handleUnauthorized();
-        return;
-      }
       setError(getFriendlyError(err));
     }
   }
@@ -146,19 +541,22 @@ export default function Tasks() {
     setError("");
 
     const completed = tasks.filter((t) => Boolean(t.completed));
-    if (completed.length === 0) return;
-
-    const ok = window.confirm(`Clear ${completed.length} completed task(s)?`);
-    if (!ok) return;
+    if (completed.length === 0 && !nextCursor) return;
 
     try {
-      await Promise.all(completed.map((t) => deleteTask(t.id)));
-      setTasks((prev) => prev.filter((t) => !Boolean(t.completed)));
+      // One request; the server trashes all of them or none.
+      const result = await bulkTasks([
+        { action: "delete", filter: { ...listFilter, completed: true } },
+      ]);
+      if (result.deleted_ids.length === 0) return;
+
+      showUndo(
+        `${result.deleted_ids.length} completed task(s) moved to the trash.`,
+        result.deleted_ids
+      );
+      refreshTags();
+      refreshProjects();
     } catch (err) {
-      if (err?.status === 401) {
-        handleUnauthorized();
-        return;
-      }
       setError(getFriendlyError(err));
     }
   }
@@ -167,60 +565,326 @@ export default function Tasks() {
     setError("");
 
     const incomplete = tasks.filter((t) => !Boolean(t.completed));
-    if (incomplete.length === 0) return;
+    if (incomplete.length === 0 && !nextCursor) return;
 
-    const ok = window.confirm(`Mark ${incomplete.length} task(s) as completed?`);
+    const ok = window.confirm(
+      nextCursor
+        ? "Mark every open task in this list as completed?"
+        : `Mark ${incomplete.length} task(s) as completed?`
+    );
     if (!ok) return;
 
     try {
-      const updates = await Promise.all(
-        incomplete.map((t) => updateTask(t.id, { completed: true }))
+      const result = await bulkTasks([
+        { action: "complete", filter: { ...listFilter, completed: false } },
+      ]);
+
+      // Completed repeating tasks get a new occurrence (next_task_id).
+      const nextIds = new Set(
+        result.results.map((r) => r.next_task_id).filter(Boolean)
       );
+      const updated = new Map(result.tasks.map((t) => [t.id, t]));
 
-      const normalized = updates.map((u) => u?.task ?? u);
+      setTasks((prev) => [
+        ...result.tasks.filter((t) => nextIds.has(t.id)),
+        ...prev.map((t) => updated.get(t.id) ?? t),
+      ]);
+      refreshProjects();
+    } catch (err) {
+      setError(getFriendlyError(err));
+    }
+  }
 
+  // Rethrows so the sidebar keeps the typed name.
+  async function handleCreateProject(name) {
+    setError("");
+
+    try {
+      const data = await createProject(name);
+      await refreshProjects();
+      navigate(`/projects/${data.project.id}`);
+    } catch (err) {
+      setError(describeError(err));
+      throw err;
+    }
+  }
+
+  async function handleRenameProject(project) {
+    setError("");
+
+    const name = window.prompt("Rename project", project.name);
+    if (!name || name.trim() === project.name) return;
+
+    try {
+      await renameProject(project.id, name.trim());
+      await refreshProjects();
+    } catch (err) {
+      setError(describeError(err));
+    }
+  }
+
+  async function handleDeleteProject(project) {
+    setError("");
+
+    const ok = window.confirm(
+      `Delete the project "${project.name}"? Its ${project.task_count} task(s) will move to the Inbox.`
+    );
+    if (!ok) return;
+
+    try {
+      await deleteProject(project.id);
+      await refreshProjects();
+
+      if (String(project.id) === projectParam) {
+        navigate("/projects/inbox");
+      } else {
+        setTasks((prev) =>
+          prev.map((t) =>
+            t.project_id === project.id ? { ...t, project_id: null } : t
+          )
+        );
+      }
+    } catch (err) {
+      setError(getFriendlyError(err));
+    }
+  }
+
+  /**
+   * Moves a task to another place in its due-date group and saves it; the
+   * list is reordered right away and restored if the server refuses.
+   * @param {object[]} groupTasks The group's tasks, in display order.
+   */
+  async function handleMove(groupTasks, task, toIndex) {
+    const fromIndex = groupTasks.findIndex((t) => t.id === task.id);
+    if (
+      fromIndex === -1 ||
+      toIndex < 0 ||
+      toIndex >= groupTasks.length ||
+      toIndex === fromIndex
+    ) {
+      return;
+    }
+
+    const reordered = groupTasks.filter((t) => t.id !== task.id);
+    reordered.splice(toIndex, 0, task);
+    const after = reordered[toIndex - 1] ?? null;
+    const before = reordered[toIndex + 1] ?? null;
+
+    const previous = tasks;
+    setError("");
+    setTasks((prev) => {
+      const rest = prev.filter((t) => t.id !== task.id);
+      const index = before
+        ? rest.findIndex((t) => t.id === before.id)
+        : rest.findIndex((t) => t.id === after.id) + 1;
+      rest.splice(index, 0, task);
+      return rest;
+    });
+
+    try {
+      const result = await moveTask(task.id, {
+        afterId: after?.id ?? null,
+        beforeId: before?.id ?? null,
+      });
+      const updated = result?.task ?? result;
+
+      setTasks((prev) => prev.map((t) => (t.id === updated.id ? updated : t)));
+    } catch (err) {
+      setTasks(previous);
+      setError(describeError(err));
+    }
+  }
+
+  // Drop targets: only tasks in the dragged task's group.
+  function handleDragOver(e, group, task) {
+    if (!draggedTask || !group.tasks.some((t) => t.id === draggedTask.id)) {
+      return;
+    }
+
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "move";
+    setDropTargetId(task.id);
+  }
+
+  function handleDrop(e, group, index) {
+    e.preventDefault();
+    if (draggedTask) handleMove(group.tasks, draggedTask, index);
+    handleDragEnd();
+  }
+
+  function handleDragEnd() {
+    setDraggedTask(null);
+    setDropTargetId(null);
+  }
+
+  function handleToggleTagFilter(tag) {
+    setSelectedTagIds((prev) =>
+      prev.includes(tag.id)
+        ? prev.filter((id) => id !== tag.id)
+        : [...prev, tag.id]
+    );
+  }
+
+  // Rethrows so the sidebar keeps the typed name.
+  async function handleCreateTag(payload) {
+    setError("");
+
+    try {
+      const data = await createTag(payload);
+      setTags((prev) =>
+        [...prev, { ...data.tag, task_count: 0 }].sort((a, b) =>
+          a.name.localeCompare(b.name, undefined, { sensitivity: "base" })
+        )
+      );
+    } catch (err) {
+      setError(describeError(err));
+      throw err;
+    }
+  }
+
+  async function handleDeleteTag(tag) {
+    setError("");
+
+    const ok = window.confirm(
+      `Delete the tag #${tag.name}? It will be removed from ${tag.task_count} task(s); the tasks are kept.`
+    );
+    if (!ok) return;
+
+    try {
+      await deleteTag(tag.id);
+      setTags((prev) => prev.filter((t) => t.id !== tag.id));
+      setSelectedTagIds((prev) => prev.filter((id) => id !== tag.id));
       setTasks((prev) =>
-        prev.map((t) => normalized.find((u) => u.id === t.id) ?? t)
+        prev.map((t) => ({
+          ...t,
+          tags: (t.tags ?? []).filter((tg) => tg.id !== tag.id),
+        }))
       );
     } catch (err) {
-      if (err?.status === 401) {
-        handleUnauthorized();
-        return;
-      }
       setError(getFriendlyError(err));
     }
   }
 
-  function handleLogout() {
-    clearToken();
+  function handleSearchChange(e) {
+    setSearchText(e.target.value);
+    if (!e.target.value.trim()) setSearchResults(null);
+  }
+
+  function clearSearch() {
+    setSearchText("");
+    setSearchResults(null);
+  }
+
+  function handleSortChange(e) {
+    setSort(e.target.value);
+    localStorage.setItem(SORT_STORAGE_KEY, e.target.value);
+  }
+
+  async function handleLogout() {
+    await logout();
     navigate("/login");
   }
 
   return (
-    <div className="stm-container">
+    <div className="stm-container stm-container-wide">
       <div className="stm-row">
         <div>
           <h1>Secure Task Manager</h1>
-          <p>{loading ? "Loading…" : `${remainingCount} remaining`}</p>
+          <p>
+            {listTitle}
+            {loading ? "" : ` · ${remainingCount} remaining`}
+          </p>
         </div>
 
-        <button onClick={handleLogout}>Logout</button>
+        <div style={{ display: "flex", gap: 10, alignItems: "center" }}>
+          {hasPermission(user, "users:read") && <Link to="/admin">Admin</Link>}
+          <Link to="/trash">Trash</Link>
+          <Link to="/settings/account">Account</Link>
+          <Link to="/settings/security">Security</Link>
+          <button onClick={handleLogout}>Logout</button>
+        </div>
       </div>
 
       {error && <p className="stm-error">{error}</p>}
 
-      <form onSubmit={handleAdd} className="stm-row" style={{ marginTop: 16 }}>
-        <input
-          type="text"
-          placeholder="Add a new task…"
-          value={title}
-          onChange={(e) => setTitle(e.target.value)}
-          aria-label="New task title"
-        />
+      {reminders.length > 0 && (
+        <div className="stm-panel stm-gap-12" style={{ marginTop: 16 }}>
+          <div className="stm-row">
+            <h2 style={{ margin: 0 }}>Reminders</h2>
+            <button
+              type="button"
+              className="stm-btn-secondary"
+              onClick={handleDismissAllReminders}
+            >
+              Dismiss all
+            </button>
+          </div>
 
-        <button type="submit" disabled={!canAdd}>
-          {isSubmitting ? "Adding…" : "Add"}
-        </button>
+          {reminders.map((notification) => (
+            <div key={notification.id} className="stm-task">
+              <span className="stm-task-title" title={notification.title}>
+                {notification.title}
+              </span>
+              <button
+                type="button"
+                className="stm-btn-secondary"
+                onClick={() => handleDismissReminder(notification)}
+              >
+                Dismiss
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <form onSubmit={handleAdd} className="stm-gap-12" style={{ marginTop: 16 }}>
+        <div className="stm-row">
+          <input
+            type="text"
+            placeholder="Add a new task…"
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            aria-label="New task title"
+          />
+
+          <button type="submit" disabled={!canAdd}>
+            {isSubmitting ? "Adding…" : "Add"}
+          </button>
+        </div>
+
+        <div className="stm-task-editor" style={{ paddingLeft: 0 }}>
+          <label>
+            Priority
+            <select
+              value={priority}
+              onChange={(e) => setPriority(e.target.value)}
+            >
+              {PRIORITIES.map((p) => (
+                <option key={p.value} value={p.value}>
+                  {p.label}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          <label>
+            Due (optional)
+            <input
+              type="datetime-local"
+              value={dueAt}
+              onChange={(e) => setDueAt(e.target.value)}
+            />
+          </label>
+
+          <label>
+            Remind me (optional)
+            <input
+              type="datetime-local"
+              value={remindAt}
+              onChange={(e) => setRemindAt(e.target.value)}
+            />
+          </label>
+        </div>
       </form>
 
       <div style={{ display: "flex", gap: 10, flexWrap: "wrap", marginTop: 12 }}>
@@ -239,39 +903,134 @@ export default function Tasks() {
         >
           Clear completed
         </button>
+
+        <input
+          type="search"
+          className="stm-search"
+          placeholder="Search tasks…"
+          value={searchText}
+          onChange={handleSearchChange}
+          onKeyDown={(e) => e.key === "Escape" && clearSearch()}
+          aria-label="Search tasks"
+        />
+
+        <label className="stm-sort">
+          Sort by
+          <select value={sort} onChange={handleSortChange}>
+            {SORT_OPTIONS.map((o) => (
+              <option key={o.value} value={o.value}>
+                {o.label}
+              </option>
+            ))}
+          </select>
+        </label>
       </div>
 
-      <div className="stm-gap-12" style={{ marginTop: 20 }}>
-        {loading ? (
-          <p>Loading tasks…</p>
-        ) : tasks.length === 0 ? (
-          <p>No tasks yet. Add your first one above.</p>
-        ) : (
-          tasks.map((task) => (
-            <div key={task.id} className="stm-task">
-              <div className="stm-task-left">
-                <input
-                  type="checkbox"
-                  checked={Boolean(task.completed)}
-                  onChange={() => handleToggle(task)}
-                  aria-label={`Mark "${task.title || "task"}" as completed`}
-                />
-
-                <span
-                  className={`stm-task-title ${
-                    task.completed ? "completed" : ""
-                  }`}
-                  title={task.title || ""}
-                >
-                  {task.title || "(untitled task)"}
-                </span>
-              </div>
-
-              <button onClick={() => handleDelete(task)}>Delete</button>
+      <div className="stm-layout">
+        <div className="stm-sidebar">
+          <ProjectSidebar
+            projects={projects}
+            inbox={inbox}
+            onCreate={handleCreateProject}
+            onRename={handleRenameProject}
+            onDelete={handleDeleteProject}
+          />
+
+          <TagSidebar
+            tags={tags}
+            selectedIds={selectedTagIds}
+            match={tagMatch}
+            onToggle={handleToggleTagFilter}
+            onMatchChange={setTagMatch}
+            onClear={() => setSelectedTagIds([])}
+            onCreate={handleCreateTag}
+            onDelete={handleDeleteTag}
+          />
+        </div>
+
+        <div className="stm-gap-12">
+          {searchQuery ? (
+            <SearchResults
+              query={searchQuery}
+              results={searchResults}
+              projects={projects}
+              onOpenProject={clearSearch}
+            />
+          ) : loading ? (
+            <p>Loading tasks…</p>
+          ) : tasks.length === 0 ? (
+            <p>
+              {tagFilter
+                ? "No tasks match the selected tags."
+                : "No tasks yet. Add your first one above."}
+            </p>
+          ) : (
+            groups.map((group) => (
+              <section key={group.key} className="stm-gap-12">
+                <h2 className="stm-group-title">
+                  {group.label} ({group.tasks.length})
+                </h2>
+
+                {group.tasks.map((task, index) => (
+                  <div
+                    key={task.id}
+                    className={[
+                      draggedTask?.id === task.id && "stm-dragging",
+                      dropTargetId === task.id && "stm-drop-target",
+                    ]
+                      .filter(Boolean)
+                      .join(" ")}
+                    onDragOver={(e) => handleDragOver(e, group, task)}
+                    onDragLeave={() => setDropTargetId(null)}
+                    onDrop={(e) => handleDrop(e, group, index)}
+                  >
+                    <TaskItem
+                      task={task}
+                      allTags={tags}
+                      projects={projects}
+                      onToggle={handleToggle}
+                      onDelete={handleDelete}
+                      onUpdate={handleUpdate}
+                      onTaskChange={handleTaskChange}
+                      onError={handleChecklistError}
+                      onMove={
+                        isManualOrder
+                          ? (t, offset) =>
+                              handleMove(group.tasks, t, index + offset)
+                          : undefined
+                      }
+                      onDragStart={setDraggedTask}
+                      onDragEnd={handleDragEnd}
+                    />
+                  </div>
+                ))}
+              </section>
+            ))
+          )}
+
+          {!searchQuery && !loading && nextCursor && (
+            <div ref={loadMoreRef} className="stm-load-more">
+              <button
+                type="button"
+                className="stm-btn-secondary"
+                onClick={loadMore}
+                disabled={isLoadingMore}
+              >
+                {isLoadingMore ? "Loading more tasks…" : "Load more"}
+              </button>
             </div>
-          ))
-        )}
+          )}
+        </div>
       </div>
+
+      {undo && (
+        <UndoToast
+          message={undo.message}
+          onUndo={handleUndo}
+          onDismiss={dismissUndo}
+          busy={isUndoing}
+        />
+      )}
     </div>
   );
 }
\ No newline at end of file
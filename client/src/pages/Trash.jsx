@@ -0,0 +1,177 @@
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { getTrash, restoreTask, purgeTask, emptyTrash } from "../api/tasks";
+import { getFriendlyError } from "../api/friendlyError";
+import { formatDateTime } from "../utils/taskDates";
+
+/**
+ * Trash.jsx
+ *
+ * Protected page listing deleted tasks (most recently deleted first):
+ * - When each task was deleted and when it will be deleted for good
+ * - Restore a task to its list
+ * - Delete a task forever, or empty the whole trash (these ask for
+ *   confirmation: they cannot be undone)
+ * - Friendly errors
+ */
+
+export default function Trash() {
+  const [tasks, setTasks] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    async function loadTrash() {
+      try {
+        const data = await getTrash();
+        setTasks(data.tasks);
+        setRetentionDays(data.retention_days);
+      } catch (err) {
+        setError(getFriendlyError(err));
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    loadTrash();
+  }, []);
+
+  /**
+   * Runs an action with shared submitting/error/message handling.
+   * @param {() => Promise<string | void>} action Resolves to a success message.
+   */
+  async function run(action) {
+    setError("");
+    setMessage("");
+    setIsSubmitting(true);
+
+    try {
+      const successMessage = await action();
+      if (successMessage) setMessage(successMessage);
+    } catch (err) {
+      setError(getFriendlyError(err));
+    } finally {
+      setIsSubmitting(false);
+    }
+  }
+
+  function handleRestore(task) {
+    return run(async () => {
+      await restoreTask(task.id);
+      setTasks((prev) => prev.filter((t) => t.id !== task.id));
+
+      return `"${task.title}" has been restored.`;
+    });
+  }
+
+  function handlePurge(task) {
+    const ok = window.confirm(
+      `Delete this task forever? This cannot be undone.\n\n"${task.title}"`,
+    );
+    if (!ok) return;
+
+    return run(async () => {
+      await purgeTask(task.id);
+      setTasks((prev) => prev.filter((t) => t.id !== task.id));
+
+      return `"${task.title}" has been deleted forever.`;
+    });
+  }
+
+  function handleEmpty() {
+    const ok = window.confirm(
+      `Delete all ${tasks.length} task(s) in the trash forever? This cannot be undone.`,
+    );
+    if (!ok) return;
+
+    return run(async () => {
+      const data = await emptyTrash();
+      const deletedIds = new Set(data.deleted_ids);
+      setTasks((prev) => prev.filter((t) => !deletedIds.has(t.id)));
+
+      return "The trash has been emptied.";
+    });
+  }
+
+  return (
+    <div className="stm-container">
+      <div className="stm-row">
+        <div>
+          <h1>Trash</h1>
+          <p>
+            {retentionDays === null
+              ? "Deleted tasks."
+              : `Deleted tasks are kept for ${retentionDays} day(s), then deleted for good.`}
+          </p>
+        </div>
+
+        <Link to="/tasks">Back to tasks</Link>
+      </div>
+
+      {error && <p className="stm-error">{error}</p>}
+      {message && (
+        <p className="stm-success" style={{ marginTop: 12 }}>
+          {message}
+        </p>
+      )}
+
+      <div className="stm-panel stm-gap-12" style={{ marginTop: 20 }}>
+        <div className="stm-row">
+          <h2 style={{ margin: 0 }}>Deleted tasks</h2>
+
+          <button
+            type="button"
+            className="stm-btn-danger"
+            onClick={handleEmpty}
+            disabled={isSubmitting || tasks.length === 0}
+          >
+            Empty trash
+          </button>
+        </div>
+
+        {loading ? (
+          <p>Loading…</p>
+        ) : tasks.length === 0 ? (
+          <p>The trash is empty.</p>
+        ) : (
+          tasks.map((task) => (
+            <div key={task.id} className="stm-task">
+              <div style={{ minWidth: 0 }}>
+                <div className="stm-task-title" title={task.title}>
+                  {task.title}
+                </div>
+                <p style={{ fontSize: 14 }}>
+                  Deleted {formatDateTime(task.deleted_at)} · deleted for good{" "}
+                  {formatDateTime(task.purge_at)}
+                </p>
+              </div>
+
+              <div style={{ display: "flex", gap: 10 }}>
+                <button
+                  type="button"
+                  className="stm-btn-secondary"
+                  onClick={() => handleRestore(task)}
+                  disabled={isSubmitting}
+                >
+                  Restore
+                </button>
+                <button
+                  type="button"
+                  className="stm-btn-danger"
+                  onClick={() => handlePurge(task)}
+                  disabled={isSubmitting}
+                >
+                  Delete forever
+                </button>
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,61 @@
+import React, { useEffect, useRef, useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import { verifyEmail } from "../api/auth";
+import { getFriendlyError } from "../api/friendlyError";
+
+/**
+ * VerifyEmail.jsx
+ *
+ * Email verification page (opened from the emailed link):
+ * - Reads the verification token from ?token=
+ * - Calls backend /api/auth/verify once on load
+ * - Shows success or a friendly error
+ */
+
+export default function VerifyEmail() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token") || "";
+
+  const [status, setStatus] = useState(token ? "verifying" : "error");
+  const [error, setError] = useState(
+    token ? "" : "This verification link is missing its token."
+  );
+
+  // Tokens are single-use; StrictMode runs effects twice in development.
+  const hasRequested = useRef(false);
+
+  useEffect(() => {
+    if (!token || hasRequested.current) return;
+    hasRequested.current = true;
+
+    verifyEmail(token)
+      .then(() => setStatus("verified"))
+      .catch((err) => {
+        setError(getFriendlyError(err));
+        setStatus("error");
+      });
+  }, [token]);
+
+  return (
+    <div className="stm-container">
+      <div className="stm-card stm-gap-12">
+        <h1>Secure Task Manager</h1>
+        <h2>Verify email</h2>
+
+        {status === "verifying" && <p>Verifying your email address…</p>}
+
+        {status === "verified" && (
+          <p className="stm-success">Your email address has been verified.</p>
+        )}
+
+        {status === "error" && <p className="stm-error">{error}</p>}
+
+        {status !== "verifying" && (
+          <p>
+            <Link to="/login">Continue to sign in</Link>
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,48 @@
+/**
+ * currentUser.js
+ *
+ * Loads the signed-in user's profile (GET /api/me), including their role
+ * and permissions. Used to show or guard permission-based UI.
+ * The server still checks every permission; this only decides what to show.
+ */
+
+import { useEffect, useState } from "react";
+import { getMe } from "../api/account";
+
+/**
+ * @returns {{ user: object | null, loading: boolean }}
+ */
+export function useCurrentUser() {
+  const [user, setUser] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let active = true;
+
+    getMe()
+      .then((data) => {
+        if (active) setUser(data.user);
+      })
+      .catch(() => {
+        // Treated as "no extra permissions"; auth failures are handled by Axios.
+      })
+      .finally(() => {
+        if (active) setLoading(false);
+      });
+
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  return { user, loading };
+}
+
+/**
+ * @param {object | null} user From useCurrentUser()
+ * @param {string} permission e.g. "users:read"
+ * @returns {boolean}
+ */
+export function hasPermission(user, permission) {
+  return Boolean(user?.permissions?.includes(permission));
+}
@@ -0,0 +1,138 @@
+/**
+ * passwordPolicy.js
+ *
+ * Client-side mirror of the server password policy.
+ * The rules themselves come from GET /api/auth/password-policy, so the
+ * checklist always matches what the server enforces. The server still
+ * validates every password; this only gives early feedback.
+ */
+
+import { useEffect, useState } from "react";
+import { getPasswordPolicy } from "../api/auth";
+
+// Shared across pages so the policy is fetched once per page load.
+let cachedPolicy = null;
+
+// Same threshold the server uses before matching username/email.
+const MIN_PERSONAL_MATCH_LENGTH = 3;
+
+const STRENGTH_LABELS = ["Too weak", "Weak", "Fair", "Good", "Strong"];
+
+/**
+ * Load the password policy from the server.
+ * Returns null until loaded (or if the request fails).
+ * @returns {object | null}
+ */
+export function usePasswordPolicy() {
+  const [policy, setPolicy] = useState(cachedPolicy);
+
+  useEffect(() => {
+    if (cachedPolicy) return;
+
+    let active = true;
+
+    getPasswordPolicy()
+      .then((data) => {
+        cachedPolicy = {
+          ...data,
+          commonPasswords: new Set(data.commonPasswords || []),
+        };
+        if (active) setPolicy(cachedPolicy);
+      })
+      .catch(() => {
+        // Without the policy the form still works; the server has the final say.
+      });
+
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  return policy;
+}
+
+function personalValues({ username, email }) {
+  const values = [];
+
+  if (username) values.push(username.trim());
+
+  if (email) {
+    const normalized = email.trim();
+    values.push(normalized, normalized.split("@")[0]);
+  }
+
+  return values
+    .map((value) => value.toLowerCase())
+    .filter((value) => value.length >= MIN_PERSONAL_MATCH_LENGTH);
+}
+
+/**
+ * Check a password against the policy.
+ * @param {string} password
+ * @param {object | null} policy From usePasswordPolicy()
+ * @param {{ username?: string, email?: string }} account
+ * @returns {{ checks: { id: string, label: string, met: boolean }[], allMet: boolean }}
+ */
+export function checkPassword(password, policy, account = {}) {
+  if (!policy) return { checks: [], allMet: true };
+
+  const lowered = password.toLowerCase();
+  const bytes = new TextEncoder().encode(password).length;
+
+  const checks = [
+    {
+      id: "minLength",
+      label: `At least ${policy.minLength} characters`,
+      met: password.length >= policy.minLength,
+    },
+    {
+      id: "maxLength",
+      label: `No more than ${policy.maxLength} characters`,
+      met: password.length <= policy.maxLength && bytes <= policy.maxBytes,
+    },
+  ];
+
+  if (policy.disallowPersonalInfo) {
+    checks.push({
+      id: "personal",
+      label: "Does not contain your username or email",
+      met:
+        password.length > 0 &&
+        !personalValues(account).some((value) => lowered.includes(value)),
+    });
+  }
+
+  checks.push({
+    id: "common",
+    label: "Not a common or breached password",
+    met: password.length > 0 && !policy.commonPasswords.has(lowered),
+  });
+
+  return { checks, allMet: checks.every((check) => check.met) };
+}
+
+/**
+ * Rough strength estimate (0-4) for the meter.
+ * Length counts most; mixing character types helps. A password that breaks
+ * any policy rule is never rated above "Weak".
+ * @param {string} password
+ * @param {{ allMet: boolean }} result From checkPassword()
+ * @returns {{ score: number, label: string }}
+ */
+export function estimateStrength(password, result) {
+  if (!password) return { score: 0, label: STRENGTH_LABELS[0] };
+
+  const variety = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^A-Za-z0-9]/].filter((re) =>
+    re.test(password),
+  ).length;
+
+  let score = 0;
+  if (password.length >= 8) score += 1;
+  if (password.length >= 12) score += 1;
+  if (password.length >= 16) score += 1;
+  if (variety >= 3) score += 1;
+
+  if (!result.allMet) score = Math.min(score, 1);
+
+  return { score, label: STRENGTH_LABELS[score] };
+}
@@ -0,0 +1,188 @@
+/**
+ * recurrence.js
+ *
+ * Recurring task rules for the Tasks page (the RRULE subset the API
+ * accepts: FREQ=DAILY|WEEKLY|MONTHLY, INTERVAL, BYDAY, COUNT, UNTIL):
+ * - Convert between a rule string and the state of RecurrenceEditor
+ * - Describe a rule for display ("Every 2 weeks on Mon, Thu")
+ * - The browser's timezone, sent with every rule so occurrences keep their
+ *   local time across DST changes
+ */
+
+// Monday first, as in the editor (and RRULE's default week start).
+export const WEEKDAYS = [
+  { code: "MO", label: "Mon" },
+  { code: "TU", label: "Tue" },
+  { code: "WE", label: "Wed" },
+  { code: "TH", label: "Thu" },
+  { code: "FR", label: "Fri" },
+  { code: "SA", label: "Sat" },
+  { code: "SU", label: "Sun" },
+];
+
+// Date.getDay() order (0 = Sunday).
+const JS_DAY_CODES = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+const UNITS = { DAILY: "day", WEEKLY: "week", MONTHLY: "month" };
+
+const ORDINALS = {
+  1: "first",
+  2: "second",
+  3: "third",
+  4: "fourth",
+  5: "fifth",
+  "-1": "last",
+};
+
+/** @returns {string} IANA timezone of this browser ("Europe/Berlin"). */
+export function browserTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+}
+
+/**
+ * The monthly "nth weekday" of a date: the last one when no later week of
+ * the month has it, else first to fourth.
+ * @param {Date} date
+ * @returns {{ ordinal: number, code: string }}
+ */
+export function monthlyWeekdayOf(date) {
+  const daysInMonth = new Date(
+    date.getFullYear(),
+    date.getMonth() + 1,
+    0,
+  ).getDate();
+  const ordinal =
+    date.getDate() + 7 > daysInMonth ? -1 : Math.ceil(date.getDate() / 7);
+
+  return { ordinal, code: JS_DAY_CODES[date.getDay()] };
+}
+
+/**
+ * Weekdays a newly chosen frequency starts with: every day for daily rules,
+ * the due date's weekday for weekly ones.
+ * @param {string} freq
+ * @param {Date | null} dueDate
+ */
+export function defaultByDay(freq, dueDate) {
+  if (freq === "DAILY") return WEEKDAYS.map((d) => d.code);
+  return [dueDate ? JS_DAY_CODES[dueDate.getDay()] : "MO"];
+}
+
+/**
+ * Editor state for a rule (null: does not repeat).
+ * @param {string | null} rule
+ * @param {Date | null} dueDate Defaults for a new rule (weekday, day).
+ */
+export function ruleToState(rule, dueDate) {
+  const state = {
+    freq: "none",
+    interval: 1,
+    byDay: defaultByDay("WEEKLY", dueDate),
+    monthlyBy: "day",
+    ends: "never",
+    until: "",
+    count: 10,
+  };
+  if (!rule) return state;
+
+  const parts = Object.fromEntries(
+    rule.split(";").map((part) => part.split("=")),
+  );
+
+  state.freq = parts.FREQ;
+  state.interval = Number(parts.INTERVAL || 1);
+  state.byDay = defaultByDay(parts.FREQ, dueDate);
+
+  if (parts.BYDAY) {
+    if (parts.FREQ === "MONTHLY") state.monthlyBy = "weekday";
+    else state.byDay = parts.BYDAY.split(",");
+  }
+
+  if (parts.COUNT) {
+    state.ends = "count";
+    state.count = Number(parts.COUNT);
+  } else if (parts.UNTIL) {
+    state.ends = "until";
+    state.until = `${parts.UNTIL.slice(0, 4)}-${parts.UNTIL.slice(4, 6)}-${parts.UNTIL.slice(6, 8)}`;
+  }
+
+  return state;
+}
+
+/**
+ * Rule string for an editor state, or null when it does not repeat.
+ * @param {object} state From ruleToState() / RecurrenceEditor
+ * @param {Date} dueDate Picks the weekday for monthly "nth weekday" rules.
+ */
+export function stateToRule(state, dueDate) {
+  if (state.freq === "none") return null;
+
+  const parts = [`FREQ=${state.freq}`];
+  const interval = Math.max(1, Math.floor(Number(state.interval) || 1));
+  if (interval > 1) parts.push(`INTERVAL=${interval}`);
+
+  // Daily rules only need BYDAY when some weekdays are left out.
+  const days = WEEKDAYS.map((d) => d.code).filter((code) =>
+    state.byDay.includes(code),
+  );
+  if (
+    (state.freq === "WEEKLY" && days.length > 0) ||
+    (state.freq === "DAILY" && days.length > 0 && days.length < 7)
+  ) {
+    parts.push(`BYDAY=${days.join(",")}`);
+  }
+
+  if (state.freq === "MONTHLY" && state.monthlyBy === "weekday") {
+    const { ordinal, code } = monthlyWeekdayOf(dueDate);
+    parts.push(`BYDAY=${ordinal}${code}`);
+  }
+
+  if (state.ends === "count") {
+    parts.push(`COUNT=${Math.max(1, Math.floor(Number(state.count) || 1))}`);
+  } else if (state.ends === "until" && state.until) {
+    parts.push(`UNTIL=${state.until.replaceAll("-", "")}`);
+  }
+
+  return parts.join(";");
+}
+
+/**
+ * Short description of a rule: "Weekly on Mon, Thu", "Every 2 months
+ * on the last Fri · 5 times", "Daily · until 12/31/2026".
+ * @param {string} rule
+ */
+export function describeRule(rule) {
+  const parts = Object.fromEntries(
+    rule.split(";").map((part) => part.split("=")),
+  );
+  const interval = Number(parts.INTERVAL || 1);
+  const unit = UNITS[parts.FREQ];
+  const labelOf = (code) => WEEKDAYS.find((d) => d.code === code)?.label;
+
+  let text =
+    interval > 1
+      ? `Every ${interval} ${unit}s`
+      : { DAILY: "Daily", WEEKLY: "Weekly", MONTHLY: "Monthly" }[parts.FREQ];
+
+  if (parts.BYDAY) {
+    const days = parts.BYDAY.split(",").map((day) => {
+      const [, ordinal, code] = /^([+-]?\d)?(\w\w)$/.exec(day);
+      return ordinal
+        ? `the ${ORDINALS[Number(ordinal)]} ${labelOf(code)}`
+        : labelOf(code);
+    });
+    text += ` on ${days.join(", ")}`;
+  }
+
+  if (parts.COUNT) text += ` · ${parts.COUNT} times`;
+  if (parts.UNTIL) {
+    const until = new Date(
+      Number(parts.UNTIL.slice(0, 4)),
+      Number(parts.UNTIL.slice(4, 6)) - 1,
+      Number(parts.UNTIL.slice(6, 8)),
+    );
+    text += ` · until ${until.toLocaleDateString()}`;
+  }
+
+  return text;
+}
@@ -0,0 +1,112 @@
+/**
+ * taskDates.js
+ *
+ * Due date helpers for the Tasks page:
+ * - Group tasks into Overdue / Today / Upcoming / No due date / Completed
+ *   (by the browser's local day)
+ * - Format due and reminder times for display
+ * - Convert between <input type="datetime-local"> values (local time, no
+ *   timezone) and the ISO date-times with a timezone the API requires
+ */
+
+const GROUPS = [
+  { key: "overdue", label: "Overdue" },
+  { key: "today", label: "Today" },
+  { key: "upcoming", label: "Upcoming" },
+  { key: "none", label: "No due date" },
+  { key: "completed", label: "Completed" },
+];
+
+function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+function isSameDay(a, b) {
+  return startOfDay(a).getTime() === startOfDay(b).getTime();
+}
+
+/**
+ * @param {{ completed: boolean, due_at: string | null }} task
+ * @param {Date} [now]
+ * @returns {"overdue" | "today" | "upcoming" | "none" | "completed"}
+ */
+export function dueGroupOf(task, now = new Date()) {
+  if (task.completed) return "completed";
+  if (!task.due_at) return "none";
+
+  const due = new Date(task.due_at);
+
+  if (due < now) return "overdue";
+  if (isSameDay(due, now)) return "today";
+  return "upcoming";
+}
+
+/**
+ * Tasks split into display groups (empty groups are left out). Each group
+ * keeps the list order, i.e. the sort chosen on the server.
+ * @param {object[]} tasks
+ * @param {Date} [now]
+ * @returns {{ key: string, label: string, tasks: object[] }[]}
+ */
+export function groupTasksByDue(tasks, now = new Date()) {
+  const byKey = Object.fromEntries(GROUPS.map((g) => [g.key, []]));
+
+  for (const task of tasks) {
+    byKey[dueGroupOf(task, now)].push(task);
+  }
+
+  return GROUPS.map((g) => ({ ...g, tasks: byKey[g.key] })).filter(
+    (g) => g.tasks.length > 0,
+  );
+}
+
+/**
+ * "today 17:00", "tomorrow 09:30" or a short local date and time.
+ * @param {string} iso
+ * @param {Date} [now]
+ */
+export function formatDateTime(iso, now = new Date()) {
+  const date = new Date(iso);
+  const time = date.toLocaleTimeString([], {
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+  if (isSameDay(date, now)) return `today ${time}`;
+
+  const tomorrow = new Date(now);
+  tomorrow.setDate(tomorrow.getDate() + 1);
+  if (isSameDay(date, tomorrow)) return `tomorrow ${time}`;
+
+  return date.toLocaleString([], {
+    dateStyle: "medium",
+    timeStyle: "short",
+  });
+}
+
+/**
+ * ISO date-time -> "YYYY-MM-DDTHH:mm" in local time (datetime-local value).
+ * @param {string | null} iso
+ */
+export function toLocalInputValue(iso) {
+  if (!iso) return "";
+
+  const date = new Date(iso);
+  const pad = (n) => String(n).padStart(2, "0");
+
+  return (
+    `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+    `T${pad(date.getHours())}:${pad(date.getMinutes())}`
+  );
+}
+
+/**
+ * datetime-local value (local time) -> ISO date-time in UTC, or null.
+ * @param {string} value
+ */
+export function fromLocalInputValue(value) {
+  if (!value) return null;
+
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
@@ -0,0 +1,47 @@
+/**
+ * taskOptions.js
+ *
+ * Choices shown by the Tasks page:
+ * - Task priorities, lowest to highest (matches the server's list)
+ * - Sort options for GET /api/tasks (sort field + direction); "Manual order"
+ *   is the order the user arranged by dragging
+ */
+
+export const PRIORITIES = [
+  { value: "none", label: "No priority" },
+  { value: "low", label: "Low" },
+  { value: "medium", label: "Medium" },
+  { value: "high", label: "High" },
+  { value: "urgent", label: "Urgent" },
+];
+
+export const SORT_OPTIONS = [
+  { value: "due_at:asc", label: "Due date" },
+  { value: "priority:desc", label: "Priority" },
+  { value: "created_at:desc", label: "Newest" },
+  { value: "created_at:asc", label: "Oldest" },
+  { value: "updated_at:desc", label: "Recently updated" },
+  { value: "title:asc", label: "Title (A–Z)" },
+  { value: "position:asc", label: "Manual order" },
+];
+
+export const MANUAL_SORT = "position:asc";
+
+export const DEFAULT_SORT = SORT_OPTIONS[0].value;
+
+/**
+ * @param {string} value e.g. "priority:desc"
+ * @returns {{ sort: string, order: string }} Query parameters for getTasks().
+ */
+export function toSortParams(value) {
+  const [sort, order] = value.split(":");
+  return { sort, order };
+}
+
+/**
+ * @param {string} priority
+ * @returns {string} Display label ("High")
+ */
+export function priorityLabel(priority) {
+  return PRIORITIES.find((p) => p.value === priority)?.label ?? priority;
+}
@@ -27,6 +27,7 @@ const cors = require("cors"); // Cross-origin request support
 const helmet = require("helmet"); // Secure HTTP headers
 const rateLimit = require("express-rate-limit"); // Request rate limiting
 const morgan = require("morgan"); // HTTP request logger middleware
+const cookieParser = require("cookie-parser"); // Parses auth cookies (AUTH_MODE=cookie)
 
 const config = require("./config"); // Centralized validated config
 
@@ -34,8 +35,20 @@ const swaggerUi = require("swagger-ui-express"); // Swagger UI middleware
 const openapi = require("./docs/openapi"); // OpenAPI spec (JS object)
 
 const authRoutes = require("./routes/auth"); // Auth routes
+const twoFactorRoutes = require("./routes/twoFactor"); // Two-factor settings routes
+const oidcRoutes = require("./routes/oidc"); // OpenID Connect sign-in routes
+const meRoutes = require("./routes/me"); // Account self-service routes
+const adminRoutes = require("./routes/admin"); // Admin-only routes
+const tokenRoutes = require("./routes/tokens"); // Personal access token routes
+const sessionRoutes = require("./routes/sessions"); // Active session routes
 const taskRoutes = require("./routes/tasks"); // Task routes
+const tagRoutes = require("./routes/tags"); // Task tag routes
+const projectRoutes = require("./routes/projects"); // Project (task list) routes
+const notificationRoutes = require("./routes/notifications"); // In-app notification routes
 const { notFoundHandler, errorHandler } = require("./middleware/errorHandlers"); // Centralized errors
+const { getJwks } = require("./utils/jwtKeys"); // Public JWT verification keys
+const { startReminderScheduler } = require("./notifications/reminderScheduler"); // Task reminders
+const { startTrashPurgeScheduler } = require("./jobs/trashPurgeScheduler"); // Expired trash
 
 const app = express(); // Create the Express application
 
@@ -47,6 +60,15 @@ const app = express(); // Create the Express application
  */
 app.disable("x-powered-by");
 
+/**
+ * Client IP resolution
+ * -----------------------------------------------------------------------------
+ * Purpose:
+ * - Make req.ip the real client address when running behind proxies, so
+ *   per-IP rate limits and lockouts do not lump every user together.
+ */
+app.set("trust proxy", config.trustProxy);
+
 /**
  * Swagger API Documentation (mounted early)
  * -----------------------------------------------------------------------------
@@ -104,6 +126,14 @@ app.use(
  */
 app.use(express.json());
 
+/**
+ * Cookie parsing
+ * -----------------------------------------------------------------------------
+ * Purpose:
+ * - Enable req.cookies for the HttpOnly auth cookies used in cookie mode
+ */
+app.use(cookieParser());
+
 /**
  * Request logging (Morgan)
  * -----------------------------------------------------------------------------
@@ -133,8 +163,17 @@ app.use("/api", apiLimiter);
  * Routes
  * -----------------------------------------------------------------------------
  */
+app.use("/api/auth/2fa", twoFactorRoutes);
+app.use("/api/auth/oidc", oidcRoutes);
 app.use("/api/auth", authRoutes);
+app.use("/api/me", meRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/tokens", tokenRoutes);
+app.use("/api/sessions", sessionRoutes);
 app.use("/api/tasks", taskRoutes);
+app.use("/api/tags", tagRoutes);
+app.use("/api/projects", projectRoutes);
+app.use("/api/notifications", notificationRoutes);
 
 /**
  * Health check
@@ -144,6 +183,18 @@ app.get("/api/health", (req, res) => {
   return res.json({ status: "ok", message: "Secure Task Manager API running" });
 });
 
+/**
+ * JWKS (public keys for verifying our JWTs)
+ * -----------------------------------------------------------------------------
+ * Purpose:
+ * - Let other services verify access tokens by their kid without sharing a
+ *   secret. Lists the active key and any verification-only keys.
+ */
+app.get("/.well-known/jwks.json", (req, res) => {
+  res.set("Cache-Control", "public, max-age=300");
+  return res.json(getJwks());
+});
+
 /**
  * 404 handler (no route matched)
  * -----------------------------------------------------------------------------
@@ -162,4 +213,10 @@ app.use(errorHandler);
  */
 app.listen(config.port, () => {
   console.log(`Server running on http://localhost:${config.port}`);
+
+  // Task reminders are sent from this process (REMINDER_POLL_SECONDS=0 disables).
+  startReminderScheduler();
+
+  // Expired trashed tasks are purged from here too (TRASH_PURGE_INTERVAL_MINUTES=0 disables).
+  startTrashPurgeScheduler();
 });
\ No newline at end of file
@@ -14,6 +14,8 @@
  * -----------------------------------------------------------------------------
  */
 
+const path = require("path"); // Resolve default directories relative to server/
+
 function requireEnv(name) {
     /**
      * requireEnv(name)
@@ -30,6 +32,28 @@ function requireEnv(name) {
   
     return value;
   }
+
+function optionalEnum(name, allowed, fallback) {
+    /**
+     * optionalEnum(name, allowed, fallback)
+     * ---------------------------------------------------------------------------
+     * Reads an optional environment variable restricted to a fixed set of values.
+     * - Returns the fallback when the variable is not set.
+     * - Throws on startup for any other value (typos fail fast).
+     * ---------------------------------------------------------------------------
+     */
+    const value = process.env[name];
+
+    if (!value || value.trim().length === 0) {
+      return fallback;
+    }
+
+    if (!allowed.includes(value)) {
+      throw new Error(`${name} must be one of: ${allowed.join(", ")}`);
+    }
+
+    return value;
+  }
   
   const config = {
     /**
@@ -37,6 +61,13 @@ function requireEnv(name) {
      * - If PORT is not provided, default to 3001.
      */
     port: process.env.PORT ? Number(process.env.PORT) : 3001,
+
+    /**
+     * Number of reverse proxies in front of the API (Express "trust proxy").
+     * Per-IP rate limits and lockouts rely on req.ip, so set this when
+     * deployed behind a load balancer. Default 0 (connect directly).
+     */
+    trustProxy: process.env.TRUST_PROXY ? Number(process.env.TRUST_PROXY) : 0,
   
     /**
      * Postgres connection string.
@@ -45,16 +76,255 @@ function requireEnv(name) {
     databaseUrl: requireEnv("DATABASE_URL"),
   
     /**
-     * JWT secret used to sign and verify tokens.
+     * Server-side secret for HMACs (CSRF tokens) and the default encryption key.
+     * JWTs are no longer signed with it (see jwtKeysDir).
      * This should be long, random, and kept private.
      */
     jwtSecret: requireEnv("JWT_SECRET"),
-  
+
+    /**
+     * Directory holding the JWT signing keys (see utils/jwtKeys.js):
+     * <kid>.private.pem and/or <kid>.public.pem. RSA keys sign with RS256,
+     * P-256 EC keys with ES256. Create one with: npm run generate-jwt-key
+     */
+    jwtKeysDir: process.env.JWT_KEYS_DIR || path.join(__dirname, "keys"),
+
+    /**
+     * Key id (kid) used to sign new tokens; its private key must exist.
+     * Every other key in jwtKeysDir is used only to verify tokens it signed
+     * earlier, which lets the active key be rotated without signing anyone out.
+     * When no keys exist at all, a temporary key is generated at startup.
+     */
+    jwtActiveKid: process.env.JWT_ACTIVE_KID || null,
+
+    /**
+     * Issuer (iss) and audience (aud) written into and required on every
+     * access token.
+     */
+    jwtIssuer: process.env.JWT_ISSUER || "secure-task-manager",
+
+    jwtAudience: process.env.JWT_AUDIENCE || "secure-task-manager-api",
+
+    /**
+     * Lifetime of access tokens (JWTs), in jsonwebtoken "expiresIn" format.
+     * Kept short because access tokens are sent on every request.
+     */
+    accessTokenTtl: process.env.ACCESS_TOKEN_TTL || "15m",
+
+    /**
+     * Lifetime of a login session (and its refresh tokens), in days.
+     * After this the user must sign in again even if they stay active.
+     */
+    refreshTokenTtlDays: process.env.REFRESH_TOKEN_TTL_DAYS
+      ? Number(process.env.REFRESH_TOKEN_TTL_DAYS)
+      : 30,
+
+    /**
+     * How browsers hold their session.
+     * - "bearer": tokens are returned in the response body and sent back in the
+     *   Authorization header (default)
+     * - "cookie": tokens are set as HttpOnly cookies that scripts cannot read;
+     *   state-changing requests must carry an X-CSRF-Token header
+     * Personal access tokens use the Authorization header in either mode.
+     */
+    authMode: optionalEnum("AUTH_MODE", ["bearer", "cookie"], "bearer"),
+
+    /**
+     * Mark auth cookies Secure (sent over HTTPS only). Browsers treat
+     * http://localhost as secure, so this can stay on during development.
+     */
+    cookieSecure: process.env.COOKIE_SECURE !== "false",
+
+    /**
+     * SameSite attribute of auth cookies. "strict" works when the client and
+     * API share a site (localhost:5173 and localhost:3001 do); "none" is only
+     * needed when they are on different sites and requires cookieSecure.
+     */
+    cookieSameSite: optionalEnum("COOKIE_SAME_SITE", ["strict", "lax", "none"], "strict"),
+
+    /**
+     * Key used to encrypt secrets stored in the database (e.g. TOTP secrets).
+     * Defaults to JWT_SECRET; set it separately so either can be rotated alone.
+     */
+    encryptionKey: process.env.ENCRYPTION_KEY || requireEnv("JWT_SECRET"),
+
+    /**
+     * How long a user has to enter their second factor after a correct
+     * password, in jsonwebtoken "expiresIn" format.
+     */
+    mfaChallengeTtl: process.env.MFA_CHALLENGE_TTL || "5m",
+
+    /**
+     * Issuer name shown in authenticator apps next to the account.
+     */
+    totpIssuer: process.env.TOTP_ISSUER || "Secure Task Manager",
+
+    /**
+     * Password length limits (see utils/passwordPolicy.js).
+     * bcrypt ignores everything after 72 bytes, so passwords are also
+     * capped at 72 bytes regardless of passwordMaxLength.
+     */
+    passwordMinLength: process.env.PASSWORD_MIN_LENGTH
+      ? Number(process.env.PASSWORD_MIN_LENGTH)
+      : 8,
+
+    passwordMaxLength: process.env.PASSWORD_MAX_LENGTH
+      ? Number(process.env.PASSWORD_MAX_LENGTH)
+      : 64,
+
+    /**
+     * Failed sign-in attempts allowed for one account before it is locked.
+     */
+    accountLockoutThreshold: process.env.ACCOUNT_LOCKOUT_THRESHOLD
+      ? Number(process.env.ACCOUNT_LOCKOUT_THRESHOLD)
+      : 5,
+
+    /**
+     * Failed sign-in attempts allowed from one IP address (across all
+     * accounts) before that IP is locked out.
+     */
+    ipLockoutThreshold: process.env.IP_LOCKOUT_THRESHOLD
+      ? Number(process.env.IP_LOCKOUT_THRESHOLD)
+      : 20,
+
+    /**
+     * Length of the first lockout, in seconds. Every further failure after
+     * the threshold doubles it, up to lockoutMaxSeconds.
+     */
+    lockoutBaseSeconds: process.env.LOCKOUT_BASE_SECONDS
+      ? Number(process.env.LOCKOUT_BASE_SECONDS)
+      : 60,
+
+    /**
+     * Upper bound for a single lockout, in seconds.
+     */
+    lockoutMaxSeconds: process.env.LOCKOUT_MAX_SECONDS
+      ? Number(process.env.LOCKOUT_MAX_SECONDS)
+      : 60 * 60,
+
+    /**
+     * Failure counters start over after this many minutes without a failed
+     * attempt (and without an active lockout).
+     */
+    failedLoginWindowMinutes: process.env.FAILED_LOGIN_WINDOW_MINUTES
+      ? Number(process.env.FAILED_LOGIN_WINDOW_MINUTES)
+      : 15,
+
+    /**
+     * OpenID Connect sign-in ("Sign in with SSO"). Off unless OIDC_ISSUER is
+     * set; then OIDC_CLIENT_ID is required too. OIDC_CLIENT_SECRET is only
+     * needed for confidential clients (PKCE is always used).
+     * For local testing run the bundled provider: npm run mock-idp
+     */
+    oidcIssuer: process.env.OIDC_ISSUER || null,
+
+    oidcClientId: process.env.OIDC_ISSUER ? requireEnv("OIDC_CLIENT_ID") : null,
+
+    oidcClientSecret: process.env.OIDC_CLIENT_SECRET || null,
+
+    /**
+     * Where the provider sends the browser back to (this API's callback).
+     * Must match the redirect URI registered with the provider.
+     */
+    oidcRedirectUri:
+      process.env.OIDC_REDIRECT_URI ||
+      `http://localhost:${process.env.PORT || 3001}/api/auth/oidc/callback`,
+
+    /**
+     * Provider name shown on the sign-in button.
+     */
+    oidcProviderName: process.env.OIDC_PROVIDER_NAME || "SSO",
+
     /**
      * Allowed frontend origin for CORS.
      * During local development, this is typically the frontend dev server.
      */
     clientOrigin: requireEnv("CLIENT_ORIGIN"),
+
+    /**
+     * How long a password reset link stays valid, in minutes.
+     */
+    passwordResetTtlMinutes: process.env.PASSWORD_RESET_TTL_MINUTES
+      ? Number(process.env.PASSWORD_RESET_TTL_MINUTES)
+      : 30,
+
+    /**
+     * How long an email verification link stays valid, in hours.
+     */
+    emailVerificationTtlHours: process.env.EMAIL_VERIFICATION_TTL_HOURS
+      ? Number(process.env.EMAIL_VERIFICATION_TTL_HOURS)
+      : 24,
+
+    /**
+     * Minimum time between verification emails for one account, in seconds.
+     */
+    verificationResendCooldownSeconds: process.env.VERIFICATION_RESEND_COOLDOWN_SECONDS
+      ? Number(process.env.VERIFICATION_RESEND_COOLDOWN_SECONDS)
+      : 60,
+
+    /**
+     * What accounts with an unverified email address may do.
+     * - "full": sign in with full access
+     * - "read-only": sign in, but only read tasks until verified (default)
+     * - "block": cannot sign in until verified
+     */
+    unverifiedLoginPolicy: optionalEnum(
+      "UNVERIFIED_LOGIN_POLICY",
+      ["full", "read-only", "block"],
+      "read-only"
+    ),
+
+    /**
+     * Mail transport used for account emails (see mail/index.js).
+     * - "outbox": write messages as JSON files into mailOutboxDir (default)
+     * - "console": print messages to the server log
+     */
+    mailTransport: process.env.MAIL_TRANSPORT || "outbox",
+
+    /**
+     * Directory the outbox transport writes to.
+     */
+    mailOutboxDir: process.env.MAIL_OUTBOX_DIR || path.join(__dirname, "outbox"),
+
+    /**
+     * Sender address applied to every outgoing email.
+     */
+    mailFrom: process.env.MAIL_FROM || "Secure Task Manager <no-reply@localhost>",
+
+    /**
+     * Channels that deliver notifications such as task reminders
+     * (see notifications/index.js), comma-separated.
+     * - "inapp": store them for the client to show (default)
+     * - "email": send them through the mail transport (default)
+     */
+    notifiers: (process.env.NOTIFIERS || "inapp,email")
+      .split(",")
+      .map((name) => name.trim())
+      .filter(Boolean),
+
+    /**
+     * How often the reminder scheduler looks for due reminders, in seconds.
+     * 0 disables the scheduler.
+     */
+    reminderPollSeconds: process.env.REMINDER_POLL_SECONDS
+      ? Number(process.env.REMINDER_POLL_SECONDS)
+      : 60,
+
+    /**
+     * Days a deleted task stays in the trash (restorable) before it is
+     * deleted for good.
+     */
+    trashRetentionDays: process.env.TRASH_RETENTION_DAYS
+      ? Number(process.env.TRASH_RETENTION_DAYS)
+      : 30,
+
+    /**
+     * How often expired tasks are purged from the trash, in minutes.
+     * 0 disables automatic purging.
+     */
+    trashPurgeIntervalMinutes: process.env.TRASH_PURGE_INTERVAL_MINUTES
+      ? Number(process.env.TRASH_PURGE_INTERVAL_MINUTES)
+      : 60,
   };
   
   module.exports = config;
@@ -26,7 +26,40 @@ const openapi = {
     ],
     tags: [
       { name: "Auth", description: "User registration and login" },
+      {
+        name: "Two-Factor",
+        description:
+          "TOTP authenticator enrollment and recovery codes. Personal access tokens are rejected with 403 (code: SESSION_REQUIRED).",
+      },
+      {
+        name: "Account",
+        description:
+          "Profile, password, email and account deletion. Personal access tokens are rejected with 403 (code: SESSION_REQUIRED).",
+      },
+      { name: "Admin", description: "User administration (requires admin permissions)" },
+      {
+        name: "API Tokens",
+        description: "Personal access tokens for scripts (manageable only from a signed-in session)",
+      },
+      {
+        name: "Sessions",
+        description:
+          "Where the account is signed in, and signing sessions out. Personal access tokens are rejected with 403 (code: SESSION_REQUIRED).",
+      },
       { name: "Tasks", description: "User-scoped task CRUD operations" },
+      {
+        name: "Projects",
+        description:
+          "Named task lists; tasks without a project are in the Inbox (same permissions as tasks)",
+      },
+      {
+        name: "Tags",
+        description: "Labels for tasks (same permissions as tasks: tasks:read / tasks:write)",
+      },
+      {
+        name: "Notifications",
+        description: "In-app notifications such as task reminders (requires tasks:read)",
+      },
     ],
     components: {
       securitySchemes: {
@@ -35,10 +68,37 @@ const openapi = {
           scheme: "bearer",
           bearerFormat: "JWT",
           description:
-            "Paste a valid JWT here. Example: Bearer <token>. In Swagger UI, paste ONLY the token.",
+            "Paste a valid JWT or a personal access token (stm_pat_...) here. Example: Bearer <token>. In Swagger UI, paste ONLY the token.",
+        },
+        cookieAuth: {
+          type: "apiKey",
+          in: "cookie",
+          name: "stm_access",
+          description:
+            "AUTH_MODE=cookie only. HttpOnly access cookie set by login and refresh. Requests without an Authorization header use it instead; POST, PUT, PATCH and DELETE must also send the session's X-CSRF-Token header, otherwise 403 (code: CSRF_INVALID).",
         },
       },
       schemas: {
+        /**
+         * BulkTaskResult
+         * -----------------------------------------------------------------------
+         * What happened to one task in POST /api/tasks/bulk.
+         */
+        BulkTaskResult: {
+          type: "object",
+          properties: {
+            operation: { type: "integer", description: "Index of the operation", example: 0 },
+            action: { type: "string", enum: ["update", "complete", "delete", "restore"] },
+            id: { type: "integer", example: 12 },
+            status: { type: "string", enum: ["updated", "deleted", "restored", "not_found"] },
+            next_task_id: {
+              type: "integer",
+              description: "The next occurrence created by completing a recurring task",
+            },
+          },
+          required: ["operation", "action", "id", "status"],
+        },
+
         /**
          * Task
          * -----------------------------------------------------------------------
@@ -48,12 +108,342 @@ const openapi = {
           type: "object",
           properties: {
             id: { type: "integer", example: 3 },
+            project_id: {
+              type: ["integer", "null"],
+              description: "null when the task is in the Inbox",
+              example: 4,
+            },
             title: { type: "string", example: "Updated via PUT" },
             description: { type: ["string", "null"], example: "Initial description" },
             completed: { type: "boolean", example: true },
+            priority: {
+              type: "string",
+              enum: ["none", "low", "medium", "high", "urgent"],
+              example: "high",
+            },
+            created_at: { type: "string", format: "date-time" },
+            updated_at: { type: "string", format: "date-time" },
+            due_at: {
+              type: ["string", "null"],
+              format: "date-time",
+              example: "2026-03-01T17:00:00.000Z",
+            },
+            remind_at: {
+              type: ["string", "null"],
+              format: "date-time",
+              description: "When the owner is notified (once per value set)",
+              example: "2026-03-01T09:00:00.000Z",
+            },
+            tags: {
+              type: "array",
+              description: "A-Z by name",
+              items: {
+                type: "object",
+                properties: {
+                  id: { type: "integer", example: 2 },
+                  name: { type: "string", example: "work" },
+                  color: { type: "string", example: "#3b82f6" },
+                },
+              },
+            },
+            auto_complete: {
+              type: "boolean",
+              description: "Complete the task when every checklist item is done",
+              example: false,
+            },
+            recurrence_rule: {
+              type: ["string", "null"],
+              description:
+                "RRULE subset (FREQ=DAILY|WEEKLY|MONTHLY; INTERVAL, BYDAY, COUNT or UNTIL); null when the task does not repeat",
+              example: "FREQ=WEEKLY;BYDAY=MO",
+            },
+            recurrence_timezone: {
+              type: "string",
+              description: "IANA timezone the rule is evaluated in",
+              example: "Europe/Berlin",
+            },
+            position: {
+              type: "number",
+              description: "Manual order, lowest first (sort=position); set by POST /api/tasks/{id}/move",
+              example: 1536,
+            },
+            progress: {
+              type: "object",
+              description: "Checklist progress",
+              properties: {
+                done: { type: "integer", example: 3 },
+                total: { type: "integer", example: 5 },
+              },
+            },
+          },
+          required: [
+            "id",
+            "project_id",
+            "title",
+            "description",
+            "completed",
+            "priority",
+            "created_at",
+            "updated_at",
+            "due_at",
+            "remind_at",
+            "tags",
+            "auto_complete",
+            "position",
+            "recurrence_rule",
+            "recurrence_timezone",
+            "progress",
+          ],
+        },
+
+        /**
+         * ChecklistItem
+         * -----------------------------------------------------------------------
+         * One step of a task's checklist.
+         */
+        ChecklistItem: {
+          type: "object",
+          properties: {
+            id: { type: "integer", example: 8 },
+            title: { type: "string", example: "Book the venue" },
+            completed: { type: "boolean", example: false },
+            position: { type: "integer", description: "0 = first", example: 0 },
+            created_at: { type: "string", format: "date-time" },
+          },
+        },
+
+        /**
+         * HighlightSegment
+         * -----------------------------------------------------------------------
+         * A piece of a search highlight: plain text, and whether it matched.
+         */
+        HighlightSegment: {
+          type: "object",
+          properties: {
+            text: { type: "string", example: "Meeting" },
+            match: { type: "boolean", example: true },
+          },
+          required: ["text", "match"],
+        },
+
+        /**
+         * TaskRevision
+         * -----------------------------------------------------------------------
+         * One entry of a task's history: who changed what, and when.
+         */
+        TaskRevision: {
+          type: "object",
+          properties: {
+            id: { type: "integer", example: 31 },
+            action: {
+              type: "string",
+              enum: ["create", "update", "complete", "delete", "restore", "revert"],
+              example: "update",
+            },
+            changes: {
+              type: "object",
+              description:
+                "Changed fields (title, description, completed, priority, due_at, remind_at, project_id, auto_complete, recurrence_rule, recurrence_timezone, tag_ids), each as { before, after }",
+              additionalProperties: {
+                type: "object",
+                properties: { before: {}, after: {} },
+              },
+              example: { priority: { before: "none", after: "high" } },
+            },
+            reverted_to: {
+              type: "integer",
+              nullable: true,
+              description: "For a revert, the revision the task went back to",
+              example: null,
+            },
+            created_at: { type: "string", format: "date-time" },
+            actor: {
+              type: "object",
+              properties: {
+                user_id: { type: "integer", nullable: true, example: 1 },
+                username: { type: "string", nullable: true, example: "alice" },
+                token: {
+                  type: "object",
+                  nullable: true,
+                  description: "The personal access token used, if any",
+                  properties: {
+                    id: { type: "integer", example: 4 },
+                    name: { type: "string", example: "CI script" },
+                  },
+                },
+              },
+            },
+          },
+        },
+
+        /**
+         * Project
+         * -----------------------------------------------------------------------
+         * A named list of tasks.
+         */
+        Project: {
+          type: "object",
+          properties: {
+            id: { type: "integer", example: 4 },
+            name: { type: "string", example: "Home renovation" },
+            created_at: { type: "string", format: "date-time" },
+            task_count: { type: "integer", description: "Only in GET /api/projects", example: 9 },
+            remaining_count: {
+              type: "integer",
+              description: "Tasks not completed (only in GET /api/projects)",
+              example: 5,
+            },
+          },
+        },
+
+        /**
+         * Tag
+         * -----------------------------------------------------------------------
+         * A user's label for tasks.
+         */
+        Tag: {
+          type: "object",
+          properties: {
+            id: { type: "integer", example: 2 },
+            name: { type: "string", example: "work" },
+            color: { type: "string", example: "#3b82f6" },
+            created_at: { type: "string", format: "date-time" },
+            task_count: {
+              type: "integer",
+              description: "Only in GET /api/tags",
+              example: 4,
+            },
+          },
+        },
+
+        /**
+         * Notification
+         * -----------------------------------------------------------------------
+         * An in-app notification (e.g. a task reminder).
+         */
+        Notification: {
+          type: "object",
+          properties: {
+            id: { type: "integer", example: 12 },
+            task_id: { type: ["integer", "null"], example: 3 },
+            kind: { type: "string", example: "task_reminder" },
+            title: { type: "string", example: "Reminder: Pay rent" },
+            body: { type: ["string", "null"], example: "Due 2026-03-01T17:00:00.000Z" },
             created_at: { type: "string", format: "date-time" },
+            read_at: { type: ["string", "null"], format: "date-time" },
+          },
+        },
+  
+        /**
+         * User
+         * -----------------------------------------------------------------------
+         * Public profile fields of an account (never includes password data).
+         */
+        User: {
+          type: "object",
+          properties: {
+            id: { type: "integer", example: 1 },
+            username: { type: "string", example: "shan" },
+            email: { type: "string", example: "shan@example.com" },
+            emailVerified: { type: "boolean", example: true },
+            role: { type: "string", enum: ["user", "admin"], example: "user" },
+          },
+          required: ["id", "username", "email", "emailVerified"],
+        },
+  
+        /**
+         * AccountProfile
+         * -----------------------------------------------------------------------
+         * The authenticated user's own account, as returned by /api/me.
+         */
+        AccountProfile: {
+          type: "object",
+          properties: {
+            id: { type: "integer", example: 1 },
+            username: { type: "string", example: "shan" },
+            email: { type: "string", example: "shan@example.com" },
+            emailVerified: { type: "boolean", example: true },
+            twoFactorEnabled: { type: "boolean", example: false },
+            role: { type: "string", enum: ["user", "admin"], example: "user" },
+            permissions: {
+              type: "array",
+              items: { type: "string" },
+              example: ["tasks:read", "tasks:write"],
+            },
+            createdAt: { type: "string", format: "date-time" },
+          },
+          required: ["id", "username", "email", "emailVerified", "twoFactorEnabled", "role"],
+        },
+
+        /**
+         * AdminUser
+         * -----------------------------------------------------------------------
+         * An account as shown to administrators (never includes secrets).
+         */
+        AdminUser: {
+          type: "object",
+          properties: {
+            id: { type: "integer", example: 7 },
+            username: { type: "string", example: "jamie" },
+            email: { type: "string", example: "jamie@example.com" },
+            role: { type: "string", enum: ["user", "admin"], example: "user" },
+            emailVerified: { type: "boolean", example: true },
+            twoFactorEnabled: { type: "boolean", example: false },
+            disabled: { type: "boolean", example: false },
+            disabledAt: { type: "string", format: "date-time", nullable: true },
+            activeSessions: { type: "integer", example: 1 },
+            createdAt: { type: "string", format: "date-time" },
+          },
+        },
+  
+        /**
+         * PersonalToken
+         * -----------------------------------------------------------------------
+         * A personal access token as listed to its owner (never the token value).
+         */
+        PersonalToken: {
+          type: "object",
+          properties: {
+            id: { type: "integer", example: 3 },
+            name: { type: "string", example: "Nightly backup script" },
+            prefix: { type: "string", example: "stm_pat_Xk3a" },
+            scopes: {
+              type: "array",
+              items: { type: "string", enum: ["tasks:read", "tasks:write"] },
+              example: ["tasks:read"],
+            },
+            createdAt: { type: "string", format: "date-time" },
+            expiresAt: { type: "string", format: "date-time", nullable: true },
+            lastUsedAt: { type: "string", format: "date-time", nullable: true },
+          },
+        },
+  
+        /**
+         * Session
+         * -----------------------------------------------------------------------
+         * A live sign-in session as listed to its owner.
+         */
+        Session: {
+          type: "object",
+          properties: {
+            id: { type: "string", format: "uuid" },
+            device: {
+              type: "string",
+              description: "Label guessed from the user agent (display only)",
+              example: "Firefox on Windows",
+            },
+            userAgent: { type: "string", nullable: true },
+            ipAddress: {
+              type: "string",
+              nullable: true,
+              description: "Most recent address the session was used from",
+              example: "203.0.113.7",
+            },
+            createdAt: { type: "string", format: "date-time" },
+            lastSeenAt: { type: "string", format: "date-time" },
+            expiresAt: { type: "string", format: "date-time" },
+            current: { type: "boolean", description: "True for the session making the request" },
           },
-          required: ["id", "title", "description", "completed", "created_at"],
         },
   
         /**
@@ -117,15 +507,3231 @@ const openapi = {
           properties: {
             error: { type: "string", example: "An error occurred." },
           },
-          required: ["error"],
+          required: ["error"],
+        },
+
+        /**
+         * LockoutResponse
+         * -----------------------------------------------------------------------
+         * Returned while an account or client IP is locked out after repeated
+         * failed sign-ins. The Retry-After header carries the same value.
+         */
+        LockoutResponse: {
+          type: "object",
+          properties: {
+            error: {
+              type: "string",
+              example: "Too many failed sign-in attempts. Please try again in 2 minutes.",
+            },
+            retryAfterSeconds: { type: "integer", example: 120 },
+          },
+          required: ["error"],
+        },
+  
+        /**
+         * MessageResponse
+         * -----------------------------------------------------------------------
+         * Simple confirmation response for actions without a resource body.
+         */
+        MessageResponse: {
+          type: "object",
+          properties: {
+            message: { type: "string", example: "Done." },
+          },
+          required: ["message"],
+        },
+  
+        /**
+         * RecoveryCodesResponse
+         * -----------------------------------------------------------------------
+         * One-time recovery codes. Returned only when they are created.
+         */
+        RecoveryCodesResponse: {
+          type: "object",
+          properties: {
+            recoveryCodes: {
+              type: "array",
+              items: { type: "string", example: "k3jd-9xq2-lm4p-7zrt" },
+            },
+          },
+          required: ["recoveryCodes"],
+        },
+  
+        /**
+         * RefreshTokenRequest
+         * -----------------------------------------------------------------------
+         * Request body for endpoints that operate on a refresh token.
+         */
+        RefreshTokenRequest: {
+          type: "object",
+          properties: {
+            refreshToken: { type: "string", example: "<session-id>.<secret>" },
+          },
+          required: ["refreshToken"],
+        },
+      },
+    },
+    paths: {
+      "/api/auth/password-policy": {
+        get: {
+          tags: ["Auth"],
+          summary: "Get the password rules enforced on register, reset and password change",
+          responses: {
+            200: {
+              description: "Password policy",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: {
+                      minLength: { type: "integer", example: 8 },
+                      maxLength: { type: "integer", example: 64 },
+                      maxBytes: {
+                        type: "integer",
+                        example: 72,
+                        description: "UTF-8 byte limit (bcrypt input cap)",
+                      },
+                      disallowPersonalInfo: {
+                        type: "boolean",
+                        description: "Password may not contain the username or email address",
+                      },
+                      commonPasswords: {
+                        type: "array",
+                        items: { type: "string" },
+                        description: "Rejected common/breached passwords (lowercase)",
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+  
+      "/api/auth/register": {
+        post: {
+          tags: ["Auth"],
+          summary: "Register a new user",
+          requestBody: {
+            required: true,
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    username: { type: "string", example: "shan" },
+                    email: { type: "string", example: "shan@example.com" },
+                    password: { type: "string", example: "Password123!" },
+                  },
+                  required: ["username", "email", "password"],
+                },
+              },
+            },
+          },
+          responses: {
+            201: {
+              description: "User registered (email not yet verified; a verification link is emailed)",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: {
+                      user: { $ref: "#/components/schemas/User" },
+                      message: {
+                        type: "string",
+                        example: "Account created. Check your email to verify your address.",
+                      },
+                    },
+                  },
+                },
+              },
+            },
+            400: {
+              description: "Invalid input, or a password that breaks the password policy",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ValidationError" } },
+              },
+            },
+            429: {
+              description: "Too many requests from this IP",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+          },
+        },
+      },
+  
+      "/api/auth/login": {
+        post: {
+          tags: ["Auth"],
+          summary: "Login and receive a JWT",
+          requestBody: {
+            required: true,
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    email: { type: "string", example: "shan@example.com" },
+                    password: { type: "string", example: "Password123!" },
+                  },
+                  required: ["email", "password"],
+                },
+              },
+            },
+          },
+          responses: {
+            200: {
+              description: "Login successful",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: {
+                      token: { type: "string", description: "Short-lived JWT access token" },
+                      refreshToken: {
+                        type: "string",
+                        description: "Opaque refresh token (rotated on every refresh)",
+                      },
+                      csrfToken: {
+                        type: "string",
+                        description:
+                          "AUTH_MODE=cookie only, returned instead of token and refreshToken (which are set as HttpOnly cookies). Send it as X-CSRF-Token on state-changing requests.",
+                      },
+                      user: { $ref: "#/components/schemas/User" },
+                      mfaRequired: {
+                        type: "boolean",
+                        description:
+                          "Present (true) instead of tokens when two-factor authentication is enabled",
+                      },
+                      challengeToken: {
+                        type: "string",
+                        description: "Pass to POST /api/auth/login/mfa with a code",
+                      },
+                    },
+                  },
+                },
+              },
+            },
+            401: {
+              description: "Invalid credentials",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: {
+                      error: { type: "string", example: "Invalid email or password." },
+                    },
+                    required: ["error"],
+                  },
+                },
+              },
+            },
+            403: {
+              description:
+                "Account disabled (code: ACCOUNT_DISABLED), or email address not verified and UNVERIFIED_LOGIN_POLICY is \"block\" (code: EMAIL_NOT_VERIFIED)",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+            429: {
+              description: "Account or IP temporarily locked after repeated failures, or too many requests from this IP",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/LockoutResponse" } },
+              },
+            },
+          },
+        },
+      },
+  
+      "/api/auth/refresh": {
+        post: {
+          tags: ["Auth"],
+          summary: "Exchange a refresh token for a new access token",
+          description:
+            "Rotates the refresh token: the presented token is invalidated and a new one is returned. Replaying an already-used refresh token revokes the whole session. In AUTH_MODE=cookie, send an empty body with the stm_refresh cookie and the X-CSRF-Token header; the new tokens are set as cookies and only csrfToken is returned.",
+          requestBody: {
+            required: false,
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/RefreshTokenRequest" },
+              },
+            },
+          },
+          responses: {
+            200: {
+              description: "Tokens refreshed",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: {
+                      token: { type: "string", description: "Short-lived JWT access token" },
+                      refreshToken: { type: "string", description: "Replacement refresh token" },
+                      csrfToken: { type: "string", description: "AUTH_MODE=cookie only" },
+                    },
+                  },
+                },
+              },
+            },
+            400: {
+              description: "Missing refresh token",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+            401: {
+              description: "Invalid, expired, revoked or reused refresh token",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+            403: {
+              description: "Refresh cookie sent without a valid X-CSRF-Token header (code: CSRF_INVALID)",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+          },
+        },
+      },
+  
+      "/api/auth/logout": {
+        post: {
+          tags: ["Auth"],
+          summary: "Revoke the current session",
+          description:
+            "In AUTH_MODE=cookie, send an empty body with the stm_refresh cookie and the X-CSRF-Token header; the auth cookies are cleared.",
+          requestBody: {
+            required: false,
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/RefreshTokenRequest" },
+              },
+            },
+          },
+          responses: {
+            200: {
+              description: "Session revoked (also returned if it was already gone)",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: {
+                      message: { type: "string", example: "Logged out." },
+                    },
+                    required: ["message"],
+                  },
+                },
+              },
+            },
+            400: {
+              description: "Missing refresh token",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+            403: {
+              description: "Refresh cookie sent without a valid X-CSRF-Token header (code: CSRF_INVALID)",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+          },
+        },
+      },
+  
+      "/api/auth/oidc": {
+        get: {
+          tags: ["Auth"],
+          summary: "Whether single sign-on (OpenID Connect) is configured",
+          responses: {
+            200: {
+              description: "SSO availability",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: {
+                      enabled: { type: "boolean" },
+                      providerName: {
+                        type: "string",
+                        nullable: true,
+                        description: "Button label (OIDC_PROVIDER_NAME); null when disabled",
+                      },
+                    },
+                    required: ["enabled", "providerName"],
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+  
+      "/api/auth/oidc/start": {
+        get: {
+          tags: ["Auth"],
+          summary: "Start single sign-on (browser navigation)",
+          description:
+            "Creates a sign-in request (state, nonce and a PKCE code verifier), binds the state to the browser with the short-lived HttpOnly stm_oidc_state cookie, and redirects to the provider's authorization endpoint.",
+          responses: {
+            302: { description: "Redirect to the identity provider" },
+            404: {
+              description: "Single sign-on is not configured",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+            502: {
+              description: "The identity provider could not be reached",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+          },
+        },
+      },
+  
+      "/api/auth/oidc/callback": {
+        get: {
+          tags: ["Auth"],
+          summary: "Provider redirect target (browser navigation)",
+          description:
+            "Checks state against the stm_oidc_state cookie, exchanges the code with the PKCE verifier, verifies the ID token (signature, issuer, audience, nonce), then finds, links or creates the local account. An existing account is linked by email only when the provider reports email_verified and the local address is verified too. Redirects to CLIENT_ORIGIN/login?sso=<one-time login code>, or to CLIENT_ORIGIN/login?sso_error=<reason> where reason is one of cancelled, invalid_state, provider_error, email_not_verified, account_unverified, account_disabled.",
+          parameters: [
+            { name: "code", in: "query", schema: { type: "string" } },
+            { name: "state", in: "query", schema: { type: "string" } },
+            { name: "error", in: "query", schema: { type: "string" } },
+          ],
+          responses: {
+            302: { description: "Redirect to the client's login page" },
+          },
+        },
+      },
+  
+      "/api/auth/oidc/complete": {
+        post: {
+          tags: ["Auth"],
+          summary: "Exchange the one-time SSO login code for a session",
+          description:
+            "Responds like POST /api/auth/login, including the second-factor challenge when the account has two-factor authentication enabled. Login codes are single-use and expire after 2 minutes.",
+          requestBody: {
+            required: true,
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    code: { type: "string", description: "The sso query value from the callback redirect" },
+                  },
+                  required: ["code"],
+                },
+              },
+            },
+          },
+          responses: {
+            200: { description: "Same body as a successful POST /api/auth/login" },
+            400: {
+              description: "Missing login code",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+            401: {
+              description: "Invalid, expired or already used login code",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+            403: {
+              description: "Account disabled (code: ACCOUNT_DISABLED)",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+          },
+        },
+      },
+  
+      "/.well-known/jwks.json": {
+        get: {
+          tags: ["Auth"],
+          summary: "Public keys for verifying access tokens (JWK Set)",
+          description:
+            "Access tokens are signed with RS256 or ES256 and name their key in the kid header. Lists the active signing key first, then keys kept only to verify older tokens. Tokens carry iss (JWT_ISSUER) and aud (JWT_AUDIENCE) claims that verifiers must check.",
+          responses: {
+            200: {
+              description: "JWK Set",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: {
+                      keys: {
+                        type: "array",
+                        items: {
+                          type: "object",
+                          properties: {
+                            kid: { type: "string", example: "2026-01" },
+                            kty: { type: "string", enum: ["RSA", "EC"] },
+                            alg: { type: "string", enum: ["RS256", "ES256"] },
+                            use: { type: "string", example: "sig" },
+                          },
+                        },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+  
+      "/api/auth/csrf": {
+        get: {
+          tags: ["Auth"],
+          summary: "Re-issue the session's CSRF token (cookie mode)",
+          description:
+            "AUTH_MODE=cookie only. Returns the CSRF token for the session in the stm_access cookie, for a client that lost it.",
+          security: [{ cookieAuth: [] }],
+          responses: {
+            200: {
+              description: "CSRF token",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: {
+                      csrfToken: { type: "string" },
+                    },
+                  },
+                },
+              },
+            },
+            401: {
+              description: "No valid access cookie",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+          },
+        },
+      },
+  
+      "/api/auth/forgot-password": {
+        post: {
+          tags: ["Auth"],
+          summary: "Request a password reset email",
+          description:
+            "Always returns the same response so callers cannot tell whether an email is registered.",
+          requestBody: {
+            required: true,
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    email: { type: "string", example: "shan@example.com" },
+                  },
+                  required: ["email"],
+                },
+              },
+            },
+          },
+          responses: {
+            200: {
+              description: "Request accepted",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/MessageResponse" } },
+              },
+            },
+            400: {
+              description: "Invalid email format",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+            429: {
+              description: "Too many requests from this IP",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+          },
+        },
+      },
+  
+      "/api/auth/reset-password": {
+        post: {
+          tags: ["Auth"],
+          summary: "Set a new password using a reset token",
+          description:
+            "Reset tokens are single-use and expire. A successful reset signs the user out of every session.",
+          requestBody: {
+            required: true,
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    token: { type: "string", description: "Token from the reset email link" },
+                    password: { type: "string", example: "NewPassword123!" },
+                  },
+                  required: ["token", "password"],
+                },
+              },
+            },
+          },
+          responses: {
+            200: {
+              description: "Password reset",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/MessageResponse" } },
+              },
+            },
+            400: {
+              description:
+                "Invalid or expired token, or a password that breaks the password policy (details lists every unmet rule)",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ValidationError" } },
+              },
+            },
+            429: {
+              description: "Too many requests from this IP",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+          },
+        },
+      },
+  
+      "/api/auth/verify": {
+        get: {
+          tags: ["Auth"],
+          summary: "Verify an email address",
+          parameters: [
+            {
+              name: "token",
+              in: "query",
+              required: true,
+              description: "Token from the verification email link",
+              schema: { type: "string" },
+            },
+          ],
+          responses: {
+            200: {
+              description: "Email verified",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/MessageResponse" } },
+              },
+            },
+            400: {
+              description: "Missing, invalid, expired or used token",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+          },
+        },
+      },
+  
+      "/api/auth/resend-verification": {
+        post: {
+          tags: ["Auth"],
+          summary: "Resend the email verification link",
+          description:
+            "Always returns the same response. At most one email is sent per account per cooldown window.",
+          requestBody: {
+            required: true,
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    email: { type: "string", example: "shan@example.com" },
+                  },
+                  required: ["email"],
+                },
+              },
+            },
+          },
+          responses: {
+            200: {
+              description: "Request accepted",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/MessageResponse" } },
+              },
+            },
+            400: {
+              description: "Invalid email format",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+            429: {
+              description: "Too many requests from this IP",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+          },
+        },
+      },
+  
+      "/api/auth/login/mfa": {
+        post: {
+          tags: ["Auth"],
+          summary: "Complete login with a second factor",
+          description:
+            "Send either code (6-digit TOTP) or recoveryCode together with the challengeToken returned by /api/auth/login.",
+          requestBody: {
+            required: true,
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    challengeToken: { type: "string" },
+                    code: { type: "string", example: "123456" },
+                    recoveryCode: { type: "string", example: "k3jd-9xq2-lm4p-7zrt" },
+                  },
+                  required: ["challengeToken"],
+                },
+              },
+            },
+          },
+          responses: {
+            200: {
+              description: "Login successful",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: {
+                      token: { type: "string", description: "Short-lived JWT access token" },
+                      refreshToken: { type: "string", description: "Opaque refresh token" },
+                      user: { $ref: "#/components/schemas/User" },
+                    },
+                    required: ["token", "refreshToken", "user"],
+                  },
+                },
+              },
+            },
+            400: {
+              description: "Missing fields",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+            401: {
+              description: "Expired challenge or invalid code",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+            429: {
+              description: "Account or IP temporarily locked after repeated failures, or too many attempts from this IP",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/LockoutResponse" } },
+              },
+            },
+          },
+        },
+      },
+  
+      "/api/auth/2fa": {
+        get: {
+          tags: ["Two-Factor"],
+          summary: "Get two-factor status for the authenticated user",
+          security: [{ bearerAuth: [] }],
+          responses: {
+            200: {
+              description: "Current status",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: {
+                      enabled: { type: "boolean", example: true },
+                      recoveryCodesRemaining: { type: "integer", example: 8 },
+                    },
+                    required: ["enabled", "recoveryCodesRemaining"],
+                  },
+                },
+              },
+            },
+            401: {
+              description: "Unauthorized (missing or invalid JWT)",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/UnauthorizedError" },
+                },
+              },
+            },
+          },
+        },
+      },
+  
+      "/api/auth/2fa/setup": {
+        post: {
+          tags: ["Two-Factor"],
+          summary: "Start authenticator enrollment",
+          description:
+            "Returns a new pending secret. Scan the otpauth URI (QR code), then confirm with /api/auth/2fa/enable.",
+          security: [{ bearerAuth: [] }],
+          responses: {
+            200: {
+              description: "Pending secret created",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: {
+                      secret: { type: "string", example: "JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP" },
+                      otpauthUri: { type: "string", example: "otpauth://totp/..." },
+                    },
+                    required: ["secret", "otpauthUri"],
+                  },
+                },
+              },
+            },
+            401: {
+              description: "Unauthorized (missing or invalid JWT)",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/UnauthorizedError" },
+                },
+              },
+            },
+            409: {
+              description: "Already enabled",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+          },
+        },
+      },
+  
+      "/api/auth/2fa/enable": {
+        post: {
+          tags: ["Two-Factor"],
+          summary: "Confirm enrollment with a code from the authenticator",
+          security: [{ bearerAuth: [] }],
+          requestBody: {
+            required: true,
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    code: { type: "string", example: "123456" },
+                  },
+                  required: ["code"],
+                },
+              },
+            },
+          },
+          responses: {
+            200: {
+              description: "New recovery codes (shown once)",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/RecoveryCodesResponse" } },
+              },
+            },
+            400: {
+              description: "Missing or invalid code, or setup not started",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+            401: {
+              description: "Unauthorized (missing or invalid JWT)",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/UnauthorizedError" },
+                },
+              },
+            },
+          },
+        },
+      },
+  
+      "/api/auth/2fa/disable": {
+        post: {
+          tags: ["Two-Factor"],
+          summary: "Disable two-factor authentication",
+          description: "Requires the current password and a TOTP code or recovery code.",
+          security: [{ bearerAuth: [] }],
+          requestBody: {
+            required: true,
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    password: { type: "string" },
+                    code: { type: "string", example: "123456" },
+                    recoveryCode: { type: "string" },
+                  },
+                  required: ["password"],
+                },
+              },
+            },
+          },
+          responses: {
+            200: {
+              description: "Disabled",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/MessageResponse" } },
+              },
+            },
+            400: {
+              description: "Not enabled",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+            401: {
+              description: "Unauthorized (missing or invalid JWT)",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/UnauthorizedError" },
+                },
+              },
+            },
+            403: {
+              description: "Incorrect password or code",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+            429: {
+              description: "Account or IP temporarily locked after repeated wrong passwords or codes, or too many requests from this IP",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/LockoutResponse" } },
+              },
+            },
+          },
+        },
+      },
+  
+      "/api/auth/2fa/recovery-codes": {
+        post: {
+          tags: ["Two-Factor"],
+          summary: "Regenerate recovery codes",
+          description: "Invalidates all existing recovery codes. Requires the current password.",
+          security: [{ bearerAuth: [] }],
+          requestBody: {
+            required: true,
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    password: { type: "string" },
+                  },
+                  required: ["password"],
+                },
+              },
+            },
+          },
+          responses: {
+            200: {
+              description: "New recovery codes (shown once)",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/RecoveryCodesResponse" } },
+              },
+            },
+            400: {
+              description: "Not enabled",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+            401: {
+              description: "Unauthorized (missing or invalid JWT)",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/UnauthorizedError" },
+                },
+              },
+            },
+            403: {
+              description: "Incorrect password",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+            429: {
+              description: "Account or IP temporarily locked after repeated wrong passwords or codes, or too many requests from this IP",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/LockoutResponse" } },
+              },
+            },
+          },
+        },
+      },
+  
+      "/api/me": {
+        get: {
+          tags: ["Account"],
+          summary: "Get the authenticated user's profile",
+          security: [{ bearerAuth: [] }],
+          responses: {
+            200: {
+              description: "Profile",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: {
+                      user: { $ref: "#/components/schemas/AccountProfile" },
+                    },
+                  },
+                },
+              },
+            },
+            401: {
+              description: "Unauthorized (missing or invalid JWT)",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/UnauthorizedError" },
+                },
+              },
+            },
+            404: {
+              description: "Account no longer exists",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+          },
+        },
+        patch: {
+          tags: ["Account"],
+          summary: "Change username",
+          security: [{ bearerAuth: [] }],
+          requestBody: {
+            required: true,
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    username: { type: "string", example: "shan_c" },
+                  },
+                  required: ["username"],
+                },
+              },
+            },
+          },
+          responses: {
+            200: {
+              description: "Updated profile",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: {
+                      user: { $ref: "#/components/schemas/AccountProfile" },
+                    },
+                  },
+                },
+              },
+            },
+            400: {
+              description: "Invalid username",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+            401: {
+              description: "Unauthorized (missing or invalid JWT)",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/UnauthorizedError" },
+                },
+              },
+            },
+            404: {
+              description: "Account no longer exists",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+            409: {
+              description: "Username already in use",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+          },
+        },
+        delete: {
+          tags: ["Account"],
+          summary: "Delete the account and all of its tasks",
+          description:
+            "Requires the current password, plus code or recoveryCode when two-factor authentication is enabled.",
+          security: [{ bearerAuth: [] }],
+          requestBody: {
+            required: true,
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    password: { type: "string" },
+                    code: { type: "string", example: "123456" },
+                    recoveryCode: { type: "string", example: "k3jd-9xq2-lm4p-7zrt" },
+                  },
+                  required: ["password"],
+                },
+              },
+            },
+          },
+          responses: {
+            200: {
+              description: "Account deleted",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/MessageResponse" } },
+              },
+            },
+            400: {
+              description: "Second factor required but missing",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+            401: {
+              description: "Unauthorized (missing or invalid JWT)",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/UnauthorizedError" },
+                },
+              },
+            },
+            403: {
+              description: "Wrong password or second factor",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+            429: {
+              description: "Account or IP temporarily locked after repeated wrong passwords or codes, or too many requests from this IP",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/LockoutResponse" } },
+              },
+            },
+          },
+        },
+      },
+  
+      "/api/me/password": {
+        post: {
+          tags: ["Account"],
+          summary: "Change password",
+          security: [{ bearerAuth: [] }],
+          requestBody: {
+            required: true,
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    currentPassword: { type: "string" },
+                    newPassword: { type: "string", example: "NewPassword123!" },
+                  },
+                  required: ["currentPassword", "newPassword"],
+                },
+              },
+            },
+          },
+          responses: {
+            200: {
+              description: "Password changed; other sessions signed out",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/MessageResponse" } },
+              },
+            },
+            400: {
+              description: "New password breaks the password policy",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ValidationError" } },
+              },
+            },
+            401: {
+              description: "Unauthorized (missing or invalid JWT)",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/UnauthorizedError" },
+                },
+              },
+            },
+            403: {
+              description: "Current password is incorrect",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+            429: {
+              description: "Account or IP temporarily locked after repeated wrong passwords or codes, or too many requests from this IP",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/LockoutResponse" } },
+              },
+            },
+          },
+        },
+      },
+  
+      "/api/me/email": {
+        post: {
+          tags: ["Account"],
+          summary: "Change email address",
+          description:
+            "The new address starts unverified; a verification link is sent to it and a notice to the old address.",
+          security: [{ bearerAuth: [] }],
+          requestBody: {
+            required: true,
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    password: { type: "string" },
+                    email: { type: "string", example: "new@example.com" },
+                  },
+                  required: ["password", "email"],
+                },
+              },
+            },
+          },
+          responses: {
+            200: {
+              description: "Email changed (unverified until the emailed link is opened)",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: {
+                      user: { $ref: "#/components/schemas/AccountProfile" },
+                      message: { type: "string" },
+                    },
+                  },
+                },
+              },
+            },
+            400: {
+              description: "Invalid or unchanged email address",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+            401: {
+              description: "Unauthorized (missing or invalid JWT)",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/UnauthorizedError" },
+                },
+              },
+            },
+            403: {
+              description: "Incorrect password",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+            404: {
+              description: "Account no longer exists",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+            409: {
+              description: "Email already in use",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+            429: {
+              description: "Account or IP temporarily locked after repeated wrong passwords or codes, or too many requests from this IP",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/LockoutResponse" } },
+              },
+            },
+          },
+        },
+      },
+  
+      "/api/admin/users": {
+        get: {
+          tags: ["Admin"],
+          summary: "List user accounts",
+          description: "Requires the users:read permission.",
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              name: "search",
+              in: "query",
+              schema: { type: "string", maxLength: 100 },
+              description: "Matches username or email (case-insensitive substring)",
+            },
+            {
+              name: "limit",
+              in: "query",
+              schema: { type: "integer", minimum: 1, maximum: 100, default: 25 },
+            },
+            { name: "offset", in: "query", schema: { type: "integer", minimum: 0, default: 0 } },
+          ],
+          responses: {
+            200: {
+              description: "Page of users, newest first",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: {
+                      users: { type: "array", items: { $ref: "#/components/schemas/AdminUser" } },
+                      total: { type: "integer", example: 42 },
+                      limit: { type: "integer", example: 25 },
+                      offset: { type: "integer", example: 0 },
+                    },
+                  },
+                },
+              },
+            },
+            400: {
+              description: "Invalid query parameters",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ValidationError" } },
+              },
+            },
+            401: {
+              description: "Unauthorized (missing or invalid JWT)",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/UnauthorizedError" },
+                },
+              },
+            },
+            403: {
+              description: "Missing permission (code: FORBIDDEN)",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+          },
+        },
+      },
+  
+      "/api/admin/users/{id}/disable": {
+        post: {
+          tags: ["Admin"],
+          summary: "Disable an account",
+          description: "The account can no longer sign in and all of its sessions are revoked. Requires the users:manage permission.",
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            { name: "id", in: "path", required: true, schema: { type: "integer", minimum: 1 } },
+          ],
+          responses: {
+            200: {
+              description: "Account disabled",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: {
+                      user: { $ref: "#/components/schemas/AdminUser" },
+                    },
+                  },
+                },
+              },
+            },
+            400: {
+              description: "Invalid id, or attempting to disable your own account",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+            401: {
+              description: "Unauthorized (missing or invalid JWT)",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/UnauthorizedError" },
+                },
+              },
+            },
+            403: {
+              description: "Missing permission (code: FORBIDDEN)",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+            404: {
+              description: "User not found",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+          },
+        },
+      },
+  
+      "/api/admin/users/{id}/enable": {
+        post: {
+          tags: ["Admin"],
+          summary: "Re-enable a disabled account",
+          description: "Lets the account sign in again. Requires the users:manage permission.",
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            { name: "id", in: "path", required: true, schema: { type: "integer", minimum: 1 } },
+          ],
+          responses: {
+            200: {
+              description: "Account enabled",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: {
+                      user: { $ref: "#/components/schemas/AdminUser" },
+                    },
+                  },
+                },
+              },
+            },
+            400: {
+              description: "Invalid id",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ValidationError" } },
+              },
+            },
+            401: {
+              description: "Unauthorized (missing or invalid JWT)",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/UnauthorizedError" },
+                },
+              },
+            },
+            403: {
+              description: "Missing permission (code: FORBIDDEN)",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+            404: {
+              description: "User not found",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+          },
+        },
+      },
+  
+      "/api/admin/users/{id}/logout": {
+        post: {
+          tags: ["Admin"],
+          summary: "Sign an account out everywhere",
+          description: "Revokes every session of the account; the account stays enabled. Requires the sessions:revoke permission.",
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            { name: "id", in: "path", required: true, schema: { type: "integer", minimum: 1 } },
+          ],
+          responses: {
+            200: {
+              description: "Sessions revoked",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: {
+                      revokedSessions: { type: "integer", example: 2 },
+                      user: { $ref: "#/components/schemas/AdminUser" },
+                    },
+                  },
+                },
+              },
+            },
+            400: {
+              description: "Invalid id",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ValidationError" } },
+              },
+            },
+            401: {
+              description: "Unauthorized (missing or invalid JWT)",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/UnauthorizedError" },
+                },
+              },
+            },
+            403: {
+              description: "Missing permission (code: FORBIDDEN)",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+            404: {
+              description: "User not found",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+          },
+        },
+      },
+  
+      "/api/tokens": {
+        get: {
+          tags: ["API Tokens"],
+          summary: "List active personal access tokens",
+          security: [{ bearerAuth: [] }],
+          responses: {
+            200: {
+              description: "Active tokens, newest first",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: {
+                      tokens: { type: "array", items: { $ref: "#/components/schemas/PersonalToken" } },
+                    },
+                  },
+                },
+              },
+            },
+            401: {
+              description: "Unauthorized (missing or invalid JWT)",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/UnauthorizedError" },
+                },
+              },
+            },
+            403: {
+              description: "Personal access tokens cannot manage tokens (code: SESSION_REQUIRED)",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+          },
+        },
+        post: {
+          tags: ["API Tokens"],
+          summary: "Create a personal access token",
+          description:
+            "The token value is returned only in this response. Scopes must be permissions the account's role already has. At most 25 active tokens per account.",
+          security: [{ bearerAuth: [] }],
+          requestBody: {
+            required: true,
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  required: ["name", "scopes"],
+                  properties: {
+                    name: { type: "string", minLength: 1, maxLength: 100, example: "Nightly backup script" },
+                    scopes: {
+                      type: "array",
+                      minItems: 1,
+                      items: { type: "string", enum: ["tasks:read", "tasks:write"] },
+                      example: ["tasks:read"],
+                    },
+                    expiresInDays: {
+                      type: "integer",
+                      minimum: 1,
+                      maximum: 365,
+                      nullable: true,
+                      default: 30,
+                      description: "null creates a token that never expires",
+                    },
+                  },
+                },
+              },
+            },
+          },
+          responses: {
+            201: {
+              description: "Token created",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: {
+                      token: { type: "string", example: "stm_pat_Xk3a..." },
+                      personalToken: { $ref: "#/components/schemas/PersonalToken" },
+                    },
+                  },
+                },
+              },
+            },
+            400: {
+              description: "Invalid input or too many active tokens",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ValidationError" } },
+              },
+            },
+            401: {
+              description: "Unauthorized (missing or invalid JWT)",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/UnauthorizedError" },
+                },
+              },
+            },
+            403: {
+              description: "Scope not allowed for the account's role, or called with a personal access token (code: SESSION_REQUIRED)",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+          },
+        },
+      },
+  
+      "/api/tokens/{id}": {
+        delete: {
+          tags: ["API Tokens"],
+          summary: "Revoke a personal access token",
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            { name: "id", in: "path", required: true, schema: { type: "integer", minimum: 1 } },
+          ],
+          responses: {
+            204: { description: "Token revoked" },
+            400: {
+              description: "Invalid id",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ValidationError" } },
+              },
+            },
+            401: {
+              description: "Unauthorized (missing or invalid JWT)",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/UnauthorizedError" },
+                },
+              },
+            },
+            403: {
+              description: "Personal access tokens cannot manage tokens (code: SESSION_REQUIRED)",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+            404: {
+              description: "Token not found or already revoked",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+          },
+        },
+      },
+  
+      "/api/sessions": {
+        get: {
+          tags: ["Sessions"],
+          summary: "List the account's live sessions",
+          security: [{ bearerAuth: [] }],
+          responses: {
+            200: {
+              description: "Live sessions, most recently active first",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: {
+                      sessions: { type: "array", items: { $ref: "#/components/schemas/Session" } },
+                    },
+                  },
+                },
+              },
+            },
+            401: {
+              description: "Unauthorized (missing or invalid JWT)",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/UnauthorizedError" },
+                },
+              },
+            },
+            403: {
+              description: "Personal access tokens cannot manage sessions (code: SESSION_REQUIRED)",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+          },
+        },
+      },
+  
+      "/api/sessions/revoke-others": {
+        post: {
+          tags: ["Sessions"],
+          summary: "Sign out everywhere else",
+          description: "Revokes every session except the one making the request.",
+          security: [{ bearerAuth: [] }],
+          responses: {
+            200: {
+              description: "Other sessions revoked",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: {
+                      revokedSessions: { type: "integer", example: 2 },
+                    },
+                    required: ["revokedSessions"],
+                  },
+                },
+              },
+            },
+            401: {
+              description: "Unauthorized (missing or invalid JWT)",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/UnauthorizedError" },
+                },
+              },
+            },
+            403: {
+              description: "Personal access tokens cannot manage sessions (code: SESSION_REQUIRED)",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+          },
+        },
+      },
+  
+      "/api/sessions/{id}": {
+        delete: {
+          tags: ["Sessions"],
+          summary: "Sign out one session",
+          description:
+            "Its access tokens stop working on their next request. Revoking the current session signs this client out.",
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            { name: "id", in: "path", required: true, schema: { type: "string", format: "uuid" } },
+          ],
+          responses: {
+            204: { description: "Session revoked" },
+            401: {
+              description: "Unauthorized (missing or invalid JWT)",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/UnauthorizedError" },
+                },
+              },
+            },
+            403: {
+              description: "Personal access tokens cannot manage sessions (code: SESSION_REQUIRED)",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+            404: {
+              description: "Session not found or already ended",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+          },
+        },
+      },
+  
+      "/api/tasks": {
+        get: {
+          tags: ["Tasks"],
+          summary: "List tasks for the authenticated user",
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              name: "sort",
+              in: "query",
+              description: "position is the user's manual order (see POST /api/tasks/{id}/move)",
+              schema: {
+                type: "string",
+                enum: ["created_at", "updated_at", "priority", "due_at", "title", "position"],
+                default: "created_at",
+              },
+            },
+            {
+              name: "order",
+              in: "query",
+              description:
+                "Defaults to the field's natural direction: desc for created_at, updated_at and priority (urgent first), asc for due_at, title and position. Tasks without a due date always come last; ties are broken by id.",
+              schema: { type: "string", enum: ["asc", "desc"] },
+            },
+            {
+              name: "tag",
+              in: "query",
+              description:
+                'Only tasks with these tags (names, case-insensitive; a leading "#" is ignored). Repeat the parameter or separate names with commas.',
+              schema: { type: "array", items: { type: "string" }, example: ["work", "home"] },
+              style: "form",
+              explode: true,
+            },
+            {
+              name: "tag_match",
+              in: "query",
+              description: "any: tasks with at least one of the tags; all: tasks with every tag",
+              schema: { type: "string", enum: ["any", "all"], default: "any" },
+            },
+            {
+              name: "project",
+              in: "query",
+              description:
+                'Only tasks in this project (id), or "inbox" for tasks without a project. Omit for every project.',
+              schema: { type: "string", example: "inbox" },
+            },
+            {
+              name: "completed",
+              in: "query",
+              description: "Only completed (true) or open (false) tasks. Omit for both.",
+              schema: { type: "boolean" },
+            },
+            {
+              name: "created_after",
+              in: "query",
+              description: "Only tasks created after this time (ISO 8601 with a timezone)",
+              schema: { type: "string", format: "date-time", example: "2026-03-01T00:00:00Z" },
+            },
+            {
+              name: "created_before",
+              in: "query",
+              description: "Only tasks created before this time (ISO 8601 with a timezone)",
+              schema: { type: "string", format: "date-time", example: "2026-04-01T00:00:00+02:00" },
+            },
+            {
+              name: "limit",
+              in: "query",
+              description: "Page size",
+              schema: { type: "integer", minimum: 1, maximum: 200, default: 50 },
+            },
+            {
+              name: "cursor",
+              in: "query",
+              description:
+                "next_cursor from the previous page, to fetch the tasks after it. Opaque; only valid with the same sort and order (other filters should match too).",
+              schema: { type: "string" },
+            },
+            {
+              name: "fields",
+              in: "query",
+              description: "Comma-separated task fields to return (id is always included). Omit for every field.",
+              schema: { type: "string", example: "title,completed,due_at" },
+            },
+          ],
+          responses: {
+            200: {
+              description: "One page of tasks",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: {
+                      tasks: {
+                        type: "array",
+                        description: "With fields, each task has only id and the selected fields",
+                        items: { $ref: "#/components/schemas/Task" },
+                      },
+                      next_cursor: {
+                        type: ["string", "null"],
+                        description: "Cursor for the next page; null on the last page",
+                      },
+                    },
+                    required: ["tasks", "next_cursor"],
+                  },
+                },
+              },
+            },
+            400: {
+              description:
+                "Unknown sort field, order, tag_match or field, an invalid tag name, project, filter or limit, or a malformed cursor or one from another sort",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ValidationError" } },
+              },
+            },
+            401: {
+              description: "Unauthorized (missing or invalid JWT)",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/UnauthorizedError" },
+                },
+              },
+            },
+            403: {
+              description: "Missing the tasks:read permission (code: FORBIDDEN)",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+          },
+        },
+  
+        post: {
+          tags: ["Tasks"],
+          summary: "Create a new task for the authenticated user",
+          security: [{ bearerAuth: [] }],
+          requestBody: {
+            required: true,
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    title: { type: "string", example: "Zod PUT test" },
+                    description: { type: "string", example: "Initial description" },
+                    due_at: {
+                      type: ["string", "null"],
+                      format: "date-time",
+                      description: "ISO 8601 with a timezone (Z or an offset)",
+                      example: "2026-03-01T17:00:00Z",
+                    },
+                    remind_at: {
+                      type: ["string", "null"],
+                      format: "date-time",
+                      description: "ISO 8601 with a timezone; setting it re-arms the reminder",
+                      example: "2026-03-01T09:00:00+01:00",
+                    },
+                    priority: {
+                      type: "string",
+                      enum: ["none", "low", "medium", "high", "urgent"],
+                      description: "Defaults to none when creating",
+                    },
+                    tag_ids: {
+                      type: "array",
+                      items: { type: "integer" },
+                      description: "The user's tag ids (replaces the task's tags; [] removes all)",
+                      example: [2, 5],
+                    },
+                    auto_complete: {
+                      type: "boolean",
+                      description: "Complete the task when every checklist item is done",
+                    },
+                    project_id: {
+                      type: ["integer", "null"],
+                      description: "One of the user's projects; null for the Inbox",
+                      example: 4,
+                    },
+                    recurrence_rule: {
+                      type: ["string", "null"],
+                      description:
+                        "Repeat the task (requires due_at). RRULE subset: FREQ=DAILY|WEEKLY|MONTHLY, INTERVAL, BYDAY (MO,WE; 2TU or -1FR for monthly), COUNT or UNTIL. The series starts at due_at.",
+                      example: "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;COUNT=10",
+                    },
+                    recurrence_timezone: {
+                      type: "string",
+                      description: "IANA timezone for the rule (default UTC); occurrences keep their local time across DST changes",
+                      example: "Europe/Berlin",
+                    },
+                  },
+                  required: ["title"],
+                },
+              },
+            },
+          },
+          responses: {
+            201: {
+              description: "Task created",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: {
+                      task: { $ref: "#/components/schemas/Task" },
+                    },
+                    required: ["task"],
+                  },
+                },
+              },
+            },
+            400: {
+              description: "Invalid input (including tag ids or a project that are not the user's)",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ValidationError" } },
+              },
+            },
+            401: {
+              description: "Unauthorized (missing or invalid JWT)",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/UnauthorizedError" },
+                },
+              },
+            },
+            403: {
+              description:
+                "Email address not verified under the read-only policy (code: EMAIL_NOT_VERIFIED), or missing the tasks:write permission (code: FORBIDDEN)",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+          },
+        },
+      },
+  
+      "/api/tasks/search": {
+        get: {
+          tags: ["Tasks"],
+          summary: "Full-text search in the authenticated user's task titles and descriptions",
+          description:
+            "Every word of q must match the start of a word in the title or description (case-insensitive; punctuation is ignored). Title matches rank above description matches; ties go to the most recently updated task.",
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              name: "q",
+              in: "query",
+              required: true,
+              description: "Search text, up to 200 characters and 10 words",
+              schema: { type: "string", maxLength: 200, example: "meet notes" },
+            },
+            {
+              name: "limit",
+              in: "query",
+              schema: { type: "integer", minimum: 1, maximum: 50, default: 20 },
+            },
+          ],
+          responses: {
+            200: {
+              description: "Matching tasks, best match first",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: {
+                      results: {
+                        type: "array",
+                        items: {
+                          type: "object",
+                          properties: {
+                            task: { $ref: "#/components/schemas/Task" },
+                            highlight: {
+                              type: "object",
+                              description:
+                                "The text split into plain-text segments; segments with match: true are the words that matched.",
+                              properties: {
+                                title: {
+                                  type: "array",
+                                  items: { $ref: "#/components/schemas/HighlightSegment" },
+                                  example: [
+                                    { text: "Meeting", match: true },
+                                    { text: " ", match: false },
+                                    { text: "notes", match: true },
+                                  ],
+                                },
+                                description: {
+                                  type: ["array", "null"],
+                                  items: { $ref: "#/components/schemas/HighlightSegment" },
+                                  description: "Up to two fragments around the matches; null without a description",
+                                  example: [
+                                    { text: "Bring the ", match: false },
+                                    { text: "notes", match: true },
+                                    { text: " from last week", match: false },
+                                  ],
+                                },
+                              },
+                              required: ["title", "description"],
+                            },
+                          },
+                          required: ["task", "highlight"],
+                        },
+                      },
+                    },
+                    required: ["results"],
+                  },
+                },
+              },
+            },
+            400: {
+              description: "Missing or empty q, more than 10 words, or an invalid limit",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ValidationError" } },
+              },
+            },
+            401: {
+              description: "Unauthorized (missing or invalid JWT)",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/UnauthorizedError" },
+                },
+              },
+            },
+            403: {
+              description: "Missing the tasks:read permission (code: FORBIDDEN)",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+          },
+        },
+      },
+  
+      "/api/tasks/trash": {
+        get: {
+          tags: ["Tasks"],
+          summary: "List the authenticated user's deleted tasks",
+          description:
+            "Deleted tasks stay in the trash for TRASH_RETENTION_DAYS (default 30), then are deleted for good. Most recently deleted first.",
+          security: [{ bearerAuth: [] }],
+          responses: {
+            200: {
+              description: "Trashed tasks",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: {
+                      tasks: {
+                        type: "array",
+                        items: {
+                          allOf: [
+                            { $ref: "#/components/schemas/Task" },
+                            {
+                              type: "object",
+                              properties: {
+                                deleted_at: { type: "string", format: "date-time" },
+                                purge_at: {
+                                  type: "string",
+                                  format: "date-time",
+                                  description: "When the task will be deleted for good",
+                                },
+                              },
+                              required: ["deleted_at", "purge_at"],
+                            },
+                          ],
+                        },
+                      },
+                      retention_days: { type: "integer", example: 30 },
+                    },
+                    required: ["tasks", "retention_days"],
+                  },
+                },
+              },
+            },
+            401: {
+              description: "Unauthorized (missing or invalid JWT)",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/UnauthorizedError" },
+                },
+              },
+            },
+            403: {
+              description: "Missing the tasks:read permission (code: FORBIDDEN)",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+          },
+        },
+        delete: {
+          tags: ["Tasks"],
+          summary: "Empty the trash (permanently delete every trashed task)",
+          security: [{ bearerAuth: [] }],
+          responses: {
+            200: {
+              description: "Trash emptied",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: {
+                      message: { type: "string", example: "Trash emptied." },
+                      deleted_ids: { type: "array", items: { type: "integer" } },
+                    },
+                    required: ["message", "deleted_ids"],
+                  },
+                },
+              },
+            },
+            401: {
+              description: "Unauthorized (missing or invalid JWT)",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/UnauthorizedError" },
+                },
+              },
+            },
+            403: {
+              description:
+                "Email address not verified under the read-only policy (code: EMAIL_NOT_VERIFIED), or missing the tasks:write permission (code: FORBIDDEN)",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+          },
+        },
+      },
+  
+      "/api/tasks/trash/{id}": {
+        delete: {
+          tags: ["Tasks"],
+          summary: "Permanently delete a task from the trash",
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            { name: "id", in: "path", required: true, schema: { type: "integer", minimum: 1 } },
+          ],
+          responses: {
+            200: {
+              description: "Task permanently deleted",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: {
+                      message: { type: "string", example: "Task permanently deleted." },
+                      taskId: { type: "integer", example: 3 },
+                    },
+                    required: ["message", "taskId"],
+                  },
+                },
+              },
+            },
+            400: {
+              description: "Invalid id",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ValidationError" } },
+              },
+            },
+            401: {
+              description: "Unauthorized (missing or invalid JWT)",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/UnauthorizedError" },
+                },
+              },
+            },
+            403: {
+              description:
+                "Email address not verified under the read-only policy (code: EMAIL_NOT_VERIFIED), or missing the tasks:write permission (code: FORBIDDEN)",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+            404: {
+              description: "Task not in the user's trash",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/NotFoundError" } },
+              },
+            },
+          },
+        },
+      },
+  
+      "/api/tasks/bulk": {
+        post: {
+          tags: ["Tasks"],
+          summary: "Update, complete, delete or restore many tasks in one transaction",
+          description:
+            "Operations run in order, and a filter sees the changes of earlier operations. Either every operation succeeds or nothing changes. Completing a recurring task creates its next occurrence.",
+          security: [{ bearerAuth: [] }],
+          requestBody: {
+            required: true,
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    operations: {
+                      type: "array",
+                      minItems: 1,
+                      maxItems: 20,
+                      items: {
+                        type: "object",
+                        description: "Give either ids or filter (restore takes ids only)",
+                        properties: {
+                          action: {
+                            type: "string",
+                            enum: ["update", "complete", "delete", "restore"],
+                            description: "delete moves tasks to the trash; restore takes trashed tasks out of it",
+                          },
+                          ids: {
+                            type: "array",
+                            items: { type: "integer" },
+                            minItems: 1,
+                            maxItems: 500,
+                            example: [12, 15],
+                          },
+                          filter: {
+                            type: "object",
+                            description:
+                              "Same filters as GET /api/tasks; at least one besides tag_match. May match at most 1000 tasks.",
+                            properties: {
+                              completed: { type: "boolean" },
+                              project: {
+                                oneOf: [{ type: "integer" }, { type: "string", enum: ["inbox"] }],
+                              },
+                              tag: { type: "array", items: { type: "string" }, maxItems: 20 },
+                              tag_match: { type: "string", enum: ["any", "all"], default: "any" },
+                              created_after: { type: "string", format: "date-time" },
+                              created_before: { type: "string", format: "date-time" },
+                            },
+                          },
+                          changes: {
+                            type: "object",
+                            description: "Required for update; at least one field",
+                            properties: {
+                              completed: { type: "boolean" },
+                              priority: { type: "string", enum: ["none", "low", "medium", "high", "urgent"] },
+                              due_at: { type: ["string", "null"], format: "date-time" },
+                              remind_at: {
+                                type: ["string", "null"],
+                                format: "date-time",
+                                description: "Setting it re-arms the reminder",
+                              },
+                              project_id: {
+                                type: ["integer", "null"],
+                                description: "One of the user's projects; null for the Inbox",
+                              },
+                            },
+                          },
+                        },
+                        required: ["action"],
+                      },
+                    },
+                  },
+                  required: ["operations"],
+                  example: {
+                    operations: [
+                      { action: "complete", filter: { completed: false, project: 4 } },
+                      { action: "delete", ids: [12, 15] },
+                    ],
+                  },
+                },
+              },
+            },
+          },
+          responses: {
+            200: {
+              description: "Every operation succeeded",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: {
+                      results: {
+                        type: "array",
+                        description: "One entry per task per operation, in order",
+                        items: { $ref: "#/components/schemas/BulkTaskResult" },
+                      },
+                      tasks: {
+                        type: "array",
+                        description:
+                          "The updated and restored tasks and new occurrences, as they are after every operation",
+                        items: { $ref: "#/components/schemas/Task" },
+                      },
+                      deleted_ids: {
+                        type: "array",
+                        description: "Tasks moved to the trash",
+                        items: { type: "integer" },
+                      },
+                    },
+                    required: ["results", "tasks", "deleted_ids"],
+                  },
+                },
+              },
+            },
+            400: {
+              description:
+                "Invalid input, an unknown project, a filter matching more than 1000 tasks, or a recurring task left without a due date. Nothing was changed.",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ValidationError" } },
+              },
+            },
+            401: {
+              description: "Unauthorized (missing or invalid JWT)",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/UnauthorizedError" },
+                },
+              },
+            },
+            403: {
+              description:
+                "Email address not verified under the read-only policy (code: EMAIL_NOT_VERIFIED), or missing the tasks:write permission (code: FORBIDDEN)",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+            404: {
+              description:
+                "Some ids are not the user's tasks (or, for restore, not in the trash). Nothing was changed.",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: {
+                      error: { type: "string", example: "Some tasks were not found. No changes were made." },
+                      results: {
+                        type: "array",
+                        items: { $ref: "#/components/schemas/BulkTaskResult" },
+                      },
+                    },
+                    required: ["error", "results"],
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+  
+      "/api/tasks/{id}": {
+        put: {
+          tags: ["Tasks"],
+          summary: "Update a task owned by the authenticated user",
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              name: "id",
+              in: "path",
+              required: true,
+              schema: { type: "integer", example: 3 },
+            },
+          ],
+          requestBody: {
+            required: true,
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    title: { type: "string", example: "Updated via PUT" },
+                    description: { type: "string", example: "Updated description" },
+                    completed: { type: "boolean", example: true },
+                    due_at: {
+                      type: ["string", "null"],
+                      format: "date-time",
+                      description: "ISO 8601 with a timezone (Z or an offset)",
+                      example: "2026-03-01T17:00:00Z",
+                    },
+                    remind_at: {
+                      type: ["string", "null"],
+                      format: "date-time",
+                      description: "ISO 8601 with a timezone; setting it re-arms the reminder",
+                      example: "2026-03-01T09:00:00+01:00",
+                    },
+                    priority: {
+                      type: "string",
+                      enum: ["none", "low", "medium", "high", "urgent"],
+                    },
+                    tag_ids: {
+                      type: "array",
+                      items: { type: "integer" },
+                      description: "The user's tag ids (replaces the task's tags; [] removes all)",
+                      example: [2, 5],
+                    },
+                    auto_complete: {
+                      type: "boolean",
+                      description: "Complete the task when every checklist item is done",
+                    },
+                    project_id: {
+                      type: ["integer", "null"],
+                      description: "One of the user's projects; null for the Inbox",
+                      example: 4,
+                    },
+                    recurrence_rule: {
+                      type: ["string", "null"],
+                      description:
+                        "Sets the recurrence and restarts the series at the task's due date; null stops repeating. Completing a recurring task creates its next occurrence (returned as next_task).",
+                      example: "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;COUNT=10",
+                    },
+                    recurrence_timezone: {
+                      type: "string",
+                      description: "IANA timezone for the rule (default UTC); occurrences keep their local time across DST changes",
+                      example: "Europe/Berlin",
+                    },
+                  },
+                },
+              },
+            },
+          },
+          responses: {
+            200: {
+              description: "Task updated (with next_task when a recurring task was completed)",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: {
+                      task: { $ref: "#/components/schemas/Task" },
+                      next_task: {
+                        $ref: "#/components/schemas/Task",
+                        description: "The next occurrence, when this update completed a recurring task",
+                      },
+                    },
+                    required: ["task"],
+                  },
+                },
+              },
+            },
+            400: {
+              description: "Invalid input (including tag ids or a project that are not the user's)",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ValidationError" } },
+              },
+            },
+            401: {
+              description: "Unauthorized (missing or invalid JWT)",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/UnauthorizedError" },
+                },
+              },
+            },
+            403: {
+              description:
+                "Email address not verified under the read-only policy (code: EMAIL_NOT_VERIFIED), or missing the tasks:write permission (code: FORBIDDEN)",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+            404: {
+              description: "Task not found (or not owned by user)",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/NotFoundError" },
+                },
+              },
+            },
+          },
+        },
+  
+        delete: {
+          tags: ["Tasks"],
+          summary: "Move a task owned by the authenticated user to the trash",
+          description:
+            "The task leaves every list and search. Restore it with POST /api/tasks/{id}/restore until it is purged (TRASH_RETENTION_DAYS later, or from the trash endpoints).",
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            {
+              name: "id",
+              in: "path",
+              required: true,
+              schema: { type: "integer", example: 3 },
+            },
+          ],
+          responses: {
+            200: {
+              description: "Task moved to the trash",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: {
+                      message: { type: "string", example: "Task moved to the trash." },
+                      taskId: { type: "integer", example: 3 },
+                    },
+                    required: ["message", "taskId"],
+                  },
+                },
+              },
+            },
+            400: {
+              description: "Invalid id",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ValidationError" } },
+              },
+            },
+            401: {
+              description: "Unauthorized (missing or invalid JWT)",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/UnauthorizedError" },
+                },
+              },
+            },
+            403: {
+              description:
+                "Email address not verified under the read-only policy (code: EMAIL_NOT_VERIFIED), or missing the tasks:write permission (code: FORBIDDEN)",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+            404: {
+              description: "Task not found (or not owned by user)",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/NotFoundError" },
+                },
+              },
+            },
+          },
+        },
+      },
+  
+      "/api/tasks/{id}/move": {
+        post: {
+          tags: ["Tasks"],
+          summary: "Move a task in the manual order",
+          description:
+            "Places the task between after_id (right above it) and before_id (right below it). Send both when known; with one, the other side is the next task in the full list or the end of the list. Only the moved task changes (updated_at is kept). New tasks start at the top.",
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            { name: "id", in: "path", required: true, schema: { type: "integer", minimum: 1 } },
+          ],
+          requestBody: {
+            required: true,
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    after_id: { type: ["integer", "null"], example: 4 },
+                    before_id: { type: ["integer", "null"], example: 9 },
+                  },
+                  description: "At least one of after_id and before_id is required",
+                },
+              },
+            },
+          },
+          responses: {
+            200: {
+              description: "Task moved",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: { task: { $ref: "#/components/schemas/Task" } },
+                    required: ["task"],
+                  },
+                },
+              },
+            },
+            400: {
+              description: "Invalid input, or a neighbor that is not one of the user's tasks (or is the task itself)",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ValidationError" } },
+              },
+            },
+            401: {
+              description: "Unauthorized (missing or invalid JWT)",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/UnauthorizedError" },
+                },
+              },
+            },
+            403: {
+              description:
+                "Email address not verified under the read-only policy (code: EMAIL_NOT_VERIFIED), or missing the tasks:write permission (code: FORBIDDEN)",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+            404: {
+              description: "Task not found (or not owned by user)",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/NotFoundError" } },
+              },
+            },
+            409: {
+              description: "after_id comes after before_id (the client's list is out of date)",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+          },
+        },
+      },
+  
+      "/api/tasks/{id}/restore": {
+        post: {
+          tags: ["Tasks"],
+          summary: "Take a task out of the trash",
+          description:
+            "The task comes back with its tags, checklist, project and position (in the Inbox if its project was deleted).",
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            { name: "id", in: "path", required: true, schema: { type: "integer", minimum: 1 } },
+          ],
+          responses: {
+            200: {
+              description: "Task restored",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: { task: { $ref: "#/components/schemas/Task" } },
+                    required: ["task"],
+                  },
+                },
+              },
+            },
+            400: {
+              description: "Invalid id",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ValidationError" } },
+              },
+            },
+            401: {
+              description: "Unauthorized (missing or invalid JWT)",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/UnauthorizedError" },
+                },
+              },
+            },
+            403: {
+              description:
+                "Email address not verified under the read-only policy (code: EMAIL_NOT_VERIFIED), or missing the tasks:write permission (code: FORBIDDEN)",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+            404: {
+              description: "Task not in the user's trash",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/NotFoundError" } },
+              },
+            },
+          },
+        },
+      },
+  
+      "/api/tasks/{id}/history": {
+        get: {
+          tags: ["Tasks"],
+          summary: "List a task's revisions, newest first",
+          description:
+            "Every create, update, completion, delete, restore and revert of the task, with the changed fields and who made the change. Also works for tasks in the trash.",
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            { name: "id", in: "path", required: true, schema: { type: "integer", minimum: 1 } },
+            {
+              name: "limit",
+              in: "query",
+              schema: { type: "integer", minimum: 1, maximum: 100, default: 50 },
+            },
+            {
+              name: "before",
+              in: "query",
+              schema: { type: "integer", minimum: 1 },
+              description: "Only revisions older than this revision id (pass next_before)",
+            },
+          ],
+          responses: {
+            200: {
+              description: "Page of revisions",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: {
+                      revisions: {
+                        type: "array",
+                        items: { $ref: "#/components/schemas/TaskRevision" },
+                      },
+                      next_before: {
+                        type: "integer",
+                        nullable: true,
+                        description: "before value for the next (older) page; null when there is none",
+                      },
+                    },
+                    required: ["revisions", "next_before"],
+                  },
+                },
+              },
+            },
+            400: {
+              description: "Invalid id or query",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ValidationError" } },
+              },
+            },
+            401: {
+              description: "Unauthorized (missing or invalid JWT)",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/UnauthorizedError" },
+                },
+              },
+            },
+            403: {
+              description:
+                "Email address not verified under the read-only policy (code: EMAIL_NOT_VERIFIED), or missing the tasks:read permission (code: FORBIDDEN)",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+            404: {
+              description: "Task not found",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/NotFoundError" } },
+              },
+            },
+          },
+        },
+      },
+  
+      "/api/tasks/{id}/revert": {
+        post: {
+          tags: ["Tasks"],
+          summary: "Put a task back to an earlier revision",
+          description:
+            "Undoes every change made after the given revision and records the revert as a new revision. A project deleted since becomes the Inbox; deleted tags are left out.",
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            { name: "id", in: "path", required: true, schema: { type: "integer", minimum: 1 } },
+          ],
+          requestBody: {
+            required: true,
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: { revision_id: { type: "integer", minimum: 1, example: 31 } },
+                  required: ["revision_id"],
+                  additionalProperties: false,
+                },
+              },
+            },
+          },
+          responses: {
+            200: {
+              description: "Task as it is after the revert",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: { task: { $ref: "#/components/schemas/Task" } },
+                    required: ["task"],
+                  },
+                },
+              },
+            },
+            400: {
+              description:
+                "Invalid input, a revision that is not one of the task's, or a recurring task that would be left without a due date",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ValidationError" } },
+              },
+            },
+            401: {
+              description: "Unauthorized (missing or invalid JWT)",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/UnauthorizedError" },
+                },
+              },
+            },
+            403: {
+              description:
+                "Email address not verified under the read-only policy (code: EMAIL_NOT_VERIFIED), or missing the tasks:write permission (code: FORBIDDEN)",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+            404: {
+              description: "Task not found or in the trash",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/NotFoundError" } },
+              },
+            },
+          },
+        },
+      },
+  
+      "/api/tasks/{id}/checklist": {
+        get: {
+          tags: ["Tasks"],
+          summary: "List a task's checklist items in order",
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            { name: "id", in: "path", required: true, schema: { type: "integer", minimum: 1 } },
+          ],
+          responses: {
+            200: {
+              description: "Checklist items",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: {
+                      items: {
+                        type: "array",
+                        items: { $ref: "#/components/schemas/ChecklistItem" },
+                      },
+                    },
+                    required: ["items"],
+                  },
+                },
+              },
+            },
+            400: {
+              description: "Invalid id",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ValidationError" } },
+              },
+            },
+            401: {
+              description: "Unauthorized (missing or invalid JWT)",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/UnauthorizedError" },
+                },
+              },
+            },
+            403: {
+              description: "Missing the tasks:read permission (code: FORBIDDEN)",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+            404: {
+              description: "Task not found (or not owned by user)",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/NotFoundError" } },
+              },
+            },
+          },
+        },
+
+        post: {
+          tags: ["Tasks"],
+          summary: "Add an item to the end of a task's checklist",
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            { name: "id", in: "path", required: true, schema: { type: "integer", minimum: 1 } },
+          ],
+          requestBody: {
+            required: true,
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    title: { type: "string", example: "Book the venue" },
+                  },
+                  required: ["title"],
+                },
+              },
+            },
+          },
+          responses: {
+            201: {
+              description: "Item added; task has the new progress",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: {
+                      item: { $ref: "#/components/schemas/ChecklistItem" },
+                      task: { $ref: "#/components/schemas/Task" },
+                      next_task: {
+                        $ref: "#/components/schemas/Task",
+                        description: "The next occurrence, when this change completed a recurring task",
+                      },
+                    },
+                    required: ["item", "task"],
+                  },
+                },
+              },
+            },
+            400: {
+              description: "Invalid input, or the checklist already has 100 items",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ValidationError" } },
+              },
+            },
+            401: {
+              description: "Unauthorized (missing or invalid JWT)",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/UnauthorizedError" },
+                },
+              },
+            },
+            403: {
+              description:
+                "Email address not verified under the read-only policy (code: EMAIL_NOT_VERIFIED), or missing the tasks:write permission (code: FORBIDDEN)",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+            404: {
+              description: "Task not found (or not owned by user)",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/NotFoundError" } },
+              },
+            },
+          },
+        },
+      },
+
+      "/api/tasks/{id}/checklist/order": {
+        put: {
+          tags: ["Tasks"],
+          summary: "Reorder a task's checklist",
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            { name: "id", in: "path", required: true, schema: { type: "integer", minimum: 1 } },
+          ],
+          requestBody: {
+            required: true,
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    item_ids: {
+                      type: "array",
+                      items: { type: "integer" },
+                      description: "Every item id of the task, in the new order",
+                      example: [9, 8, 10],
+                    },
+                  },
+                  required: ["item_ids"],
+                },
+              },
+            },
+          },
+          responses: {
+            200: {
+              description: "Checklist reordered",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: {
+                      items: {
+                        type: "array",
+                        items: { $ref: "#/components/schemas/ChecklistItem" },
+                      },
+                      task: { $ref: "#/components/schemas/Task" },
+                      next_task: {
+                        $ref: "#/components/schemas/Task",
+                        description: "The next occurrence, when this change completed a recurring task",
+                      },
+                    },
+                    required: ["items", "task"],
+                  },
+                },
+              },
+            },
+            400: {
+              description: "Invalid input, or item_ids does not list every item exactly once",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ValidationError" } },
+              },
+            },
+            401: {
+              description: "Unauthorized (missing or invalid JWT)",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/UnauthorizedError" },
+                },
+              },
+            },
+            403: {
+              description:
+                "Email address not verified under the read-only policy (code: EMAIL_NOT_VERIFIED), or missing the tasks:write permission (code: FORBIDDEN)",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+            404: {
+              description: "Task not found (or not owned by user)",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/NotFoundError" } },
+              },
+            },
+          },
+        },
+      },
+
+      "/api/tasks/{id}/checklist/{itemId}": {
+        put: {
+          tags: ["Tasks"],
+          summary: "Rename, check or uncheck a checklist item",
+          description:
+            "With auto_complete on, the task is completed when every item is done and reopened when one is unchecked.",
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            { name: "id", in: "path", required: true, schema: { type: "integer", minimum: 1 } },
+            { name: "itemId", in: "path", required: true, schema: { type: "integer", minimum: 1 } },
+          ],
+          requestBody: {
+            required: true,
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    title: { type: "string", example: "Book the venue" },
+                    completed: { type: "boolean", example: true },
+                  },
+                },
+              },
+            },
+          },
+          responses: {
+            200: {
+              description: "Item updated; task has the new progress and completed state",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: {
+                      item: { $ref: "#/components/schemas/ChecklistItem" },
+                      task: { $ref: "#/components/schemas/Task" },
+                      next_task: {
+                        $ref: "#/components/schemas/Task",
+                        description: "The next occurrence, when this change completed a recurring task",
+                      },
+                    },
+                    required: ["item", "task"],
+                  },
+                },
+              },
+            },
+            400: {
+              description: "Invalid input",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ValidationError" } },
+              },
+            },
+            401: {
+              description: "Unauthorized (missing or invalid JWT)",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/UnauthorizedError" },
+                },
+              },
+            },
+            403: {
+              description:
+                "Email address not verified under the read-only policy (code: EMAIL_NOT_VERIFIED), or missing the tasks:write permission (code: FORBIDDEN)",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+            404: {
+              description: "Task or checklist item not found",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+          },
+        },
+
+        delete: {
+          tags: ["Tasks"],
+          summary: "Remove a checklist item",
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            { name: "id", in: "path", required: true, schema: { type: "integer", minimum: 1 } },
+            { name: "itemId", in: "path", required: true, schema: { type: "integer", minimum: 1 } },
+          ],
+          responses: {
+            200: {
+              description: "Item removed; task has the new progress",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: {
+                      task: { $ref: "#/components/schemas/Task" },
+                      next_task: {
+                        $ref: "#/components/schemas/Task",
+                        description: "The next occurrence, when this change completed a recurring task",
+                      },
+                    },
+                    required: ["task"],
+                  },
+                },
+              },
+            },
+            400: {
+              description: "Invalid id",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ValidationError" } },
+              },
+            },
+            401: {
+              description: "Unauthorized (missing or invalid JWT)",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/UnauthorizedError" },
+                },
+              },
+            },
+            403: {
+              description:
+                "Email address not verified under the read-only policy (code: EMAIL_NOT_VERIFIED), or missing the tasks:write permission (code: FORBIDDEN)",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+            404: {
+              description: "Task or checklist item not found",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+          },
+        },
+      },
+
+      "/api/projects": {
+        get: {
+          tags: ["Projects"],
+          summary: "List the authenticated user's projects (A-Z) and the Inbox, with task counts",
+          security: [{ bearerAuth: [] }],
+          responses: {
+            200: {
+              description: "Projects and Inbox counts",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: {
+                      projects: { type: "array", items: { $ref: "#/components/schemas/Project" } },
+                      inbox: {
+                        type: "object",
+                        properties: {
+                          task_count: { type: "integer", example: 3 },
+                          remaining_count: { type: "integer", example: 2 },
+                        },
+                      },
+                    },
+                    required: ["projects", "inbox"],
+                  },
+                },
+              },
+            },
+            401: {
+              description: "Unauthorized (missing or invalid JWT)",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/UnauthorizedError" },
+                },
+              },
+            },
+            403: {
+              description: "Missing the tasks:read permission (code: FORBIDDEN)",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+          },
         },
-      },
-    },
-    paths: {
-      "/api/auth/register": {
+
         post: {
-          tags: ["Auth"],
-          summary: "Register a new user",
+          tags: ["Projects"],
+          summary: "Create a project",
+          security: [{ bearerAuth: [] }],
           requestBody: {
             required: true,
             content: {
@@ -133,24 +3739,26 @@ const openapi = {
                 schema: {
                   type: "object",
                   properties: {
-                    email: { type: "string", example: "shan@example.com" },
-                    password: { type: "string", example: "Password123!" },
+                    name: {
+                      type: "string",
+                      description: '1-100 characters; "Inbox" is reserved',
+                      example: "Home renovation",
+                    },
                   },
-                  required: ["email", "password"],
+                  required: ["name"],
                 },
               },
             },
           },
           responses: {
             201: {
-              description: "User registered",
+              description: "Project created",
               content: {
                 "application/json": {
                   schema: {
                     type: "object",
-                    properties: {
-                      message: { type: "string", example: "User registered successfully." },
-                    },
+                    properties: { project: { $ref: "#/components/schemas/Project" } },
+                    required: ["project"],
                   },
                 },
               },
@@ -161,14 +3769,39 @@ const openapi = {
                 "application/json": { schema: { $ref: "#/components/schemas/ValidationError" } },
               },
             },
+            401: {
+              description: "Unauthorized (missing or invalid JWT)",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/UnauthorizedError" },
+                },
+              },
+            },
+            403: {
+              description:
+                "Email address not verified under the read-only policy (code: EMAIL_NOT_VERIFIED), or missing the tasks:write permission (code: FORBIDDEN)",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+            409: {
+              description: "The user already has a project with that name (any case)",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
           },
         },
       },
-  
-      "/api/auth/login": {
-        post: {
-          tags: ["Auth"],
-          summary: "Login and receive a JWT",
+
+      "/api/projects/{id}": {
+        put: {
+          tags: ["Projects"],
+          summary: "Rename a project",
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            { name: "id", in: "path", required: true, schema: { type: "integer", minimum: 1 } },
+          ],
           requestBody: {
             required: true,
             content: {
@@ -176,66 +3809,122 @@ const openapi = {
                 schema: {
                   type: "object",
                   properties: {
-                    email: { type: "string", example: "shan@example.com" },
-                    password: { type: "string", example: "Password123!" },
+                    name: {
+                      type: "string",
+                      description: '1-100 characters; "Inbox" is reserved',
+                      example: "Home renovation",
+                    },
                   },
-                  required: ["email", "password"],
+                  required: ["name"],
                 },
               },
             },
           },
           responses: {
             200: {
-              description: "Login successful",
+              description: "Project renamed",
               content: {
                 "application/json": {
                   schema: {
                     type: "object",
-                    properties: {
-                      token: { type: "string", description: "JWT access token" },
-                    },
-                    required: ["token"],
+                    properties: { project: { $ref: "#/components/schemas/Project" } },
+                    required: ["project"],
                   },
                 },
               },
             },
+            400: {
+              description: "Invalid input",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ValidationError" } },
+              },
+            },
             401: {
-              description: "Invalid credentials",
+              description: "Unauthorized (missing or invalid JWT)",
               content: {
                 "application/json": {
-                  schema: {
-                    type: "object",
-                    properties: {
-                      error: { type: "string", example: "Invalid email or password." },
-                    },
-                    required: ["error"],
-                  },
+                  schema: { $ref: "#/components/schemas/UnauthorizedError" },
                 },
               },
             },
+            403: {
+              description:
+                "Email address not verified under the read-only policy (code: EMAIL_NOT_VERIFIED), or missing the tasks:write permission (code: FORBIDDEN)",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+            404: {
+              description: "Project not found",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+            409: {
+              description: "The user already has a project with that name (any case)",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+          },
+        },
+
+        delete: {
+          tags: ["Projects"],
+          summary: "Delete a project (its tasks move to the Inbox)",
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            { name: "id", in: "path", required: true, schema: { type: "integer", minimum: 1 } },
+          ],
+          responses: {
+            204: { description: "Project deleted" },
+            400: {
+              description: "Invalid id",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ValidationError" } },
+              },
+            },
+            401: {
+              description: "Unauthorized (missing or invalid JWT)",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/UnauthorizedError" },
+                },
+              },
+            },
+            403: {
+              description:
+                "Email address not verified under the read-only policy (code: EMAIL_NOT_VERIFIED), or missing the tasks:write permission (code: FORBIDDEN)",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+            404: {
+              description: "Project not found",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
           },
         },
       },
-  
-      "/api/tasks": {
+
+      "/api/tags": {
         get: {
-          tags: ["Tasks"],
-          summary: "List tasks for the authenticated user",
+          tags: ["Tags"],
+          summary: "List the authenticated user's tags (A-Z, with task counts)",
           security: [{ bearerAuth: [] }],
           responses: {
             200: {
-              description: "List of tasks",
+              description: "List of tags",
               content: {
                 "application/json": {
                   schema: {
                     type: "object",
                     properties: {
-                      tasks: {
-                        type: "array",
-                        items: { $ref: "#/components/schemas/Task" },
-                      },
+                      tags: { type: "array", items: { $ref: "#/components/schemas/Tag" } },
                     },
-                    required: ["tasks"],
+                    required: ["tags"],
                   },
                 },
               },
@@ -248,12 +3937,18 @@ const openapi = {
                 },
               },
             },
+            403: {
+              description: "Missing the tasks:read permission (code: FORBIDDEN)",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
           },
         },
-  
+
         post: {
-          tags: ["Tasks"],
-          summary: "Create a new task for the authenticated user",
+          tags: ["Tags"],
+          summary: "Create a tag",
           security: [{ bearerAuth: [] }],
           requestBody: {
             required: true,
@@ -262,25 +3957,27 @@ const openapi = {
                 schema: {
                   type: "object",
                   properties: {
-                    title: { type: "string", example: "Zod PUT test" },
-                    description: { type: "string", example: "Initial description" },
+                    name: {
+                      type: "string",
+                      description: 'Letters, digits, "-" and "_" (1-32); a leading "#" is dropped',
+                      example: "work",
+                    },
+                    color: { type: "string", pattern: "^#[0-9a-fA-F]{6}$", example: "#3b82f6" },
                   },
-                  required: ["title"],
+                  required: ["name"],
                 },
               },
             },
           },
           responses: {
             201: {
-              description: "Task created",
+              description: "Tag created",
               content: {
                 "application/json": {
                   schema: {
                     type: "object",
-                    properties: {
-                      task: { $ref: "#/components/schemas/Task" },
-                    },
-                    required: ["task"],
+                    properties: { tag: { $ref: "#/components/schemas/Tag" } },
+                    required: ["tag"],
                   },
                 },
               },
@@ -299,22 +3996,30 @@ const openapi = {
                 },
               },
             },
+            403: {
+              description:
+                "Email address not verified under the read-only policy (code: EMAIL_NOT_VERIFIED), or missing the tasks:write permission (code: FORBIDDEN)",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+            409: {
+              description: "The user already has a tag with that name (any case)",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
           },
         },
       },
-  
-      "/api/tasks/{id}": {
+
+      "/api/tags/{id}": {
         put: {
-          tags: ["Tasks"],
-          summary: "Update a task owned by the authenticated user",
+          tags: ["Tags"],
+          summary: "Rename or recolor a tag",
           security: [{ bearerAuth: [] }],
           parameters: [
-            {
-              name: "id",
-              in: "path",
-              required: true,
-              schema: { type: "integer", example: 3 },
-            },
+            { name: "id", in: "path", required: true, schema: { type: "integer", minimum: 1 } },
           ],
           requestBody: {
             required: true,
@@ -323,9 +4028,12 @@ const openapi = {
                 schema: {
                   type: "object",
                   properties: {
-                    title: { type: "string", example: "Updated via PUT" },
-                    description: { type: "string", example: "Updated description" },
-                    completed: { type: "boolean", example: true },
+                    name: {
+                      type: "string",
+                      description: 'Letters, digits, "-" and "_" (1-32); a leading "#" is dropped',
+                      example: "work",
+                    },
+                    color: { type: "string", pattern: "^#[0-9a-fA-F]{6}$", example: "#3b82f6" },
                   },
                 },
               },
@@ -333,15 +4041,13 @@ const openapi = {
           },
           responses: {
             200: {
-              description: "Task updated",
+              description: "Tag updated",
               content: {
                 "application/json": {
                   schema: {
                     type: "object",
-                    properties: {
-                      task: { $ref: "#/components/schemas/Task" },
-                    },
-                    required: ["task"],
+                    properties: { tag: { $ref: "#/components/schemas/Tag" } },
+                    required: ["tag"],
                   },
                 },
               },
@@ -360,41 +4066,155 @@ const openapi = {
                 },
               },
             },
+            403: {
+              description:
+                "Email address not verified under the read-only policy (code: EMAIL_NOT_VERIFIED), or missing the tasks:write permission (code: FORBIDDEN)",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
             404: {
-              description: "Task not found (or not owned by user)",
+              description: "Tag not found",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+            409: {
+              description: "The user already has a tag with that name (any case)",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+          },
+        },
+
+        delete: {
+          tags: ["Tags"],
+          summary: "Delete a tag (it is removed from its tasks; the tasks are kept)",
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            { name: "id", in: "path", required: true, schema: { type: "integer", minimum: 1 } },
+          ],
+          responses: {
+            204: { description: "Tag deleted" },
+            400: {
+              description: "Invalid id",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ValidationError" } },
+              },
+            },
+            401: {
+              description: "Unauthorized (missing or invalid JWT)",
               content: {
                 "application/json": {
-                  schema: { $ref: "#/components/schemas/NotFoundError" },
+                  schema: { $ref: "#/components/schemas/UnauthorizedError" },
                 },
               },
             },
+            403: {
+              description:
+                "Email address not verified under the read-only policy (code: EMAIL_NOT_VERIFIED), or missing the tasks:write permission (code: FORBIDDEN)",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
+            404: {
+              description: "Tag not found",
+              content: {
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
+              },
+            },
           },
         },
-  
-        delete: {
-          tags: ["Tasks"],
-          summary: "Delete a task owned by the authenticated user",
+      },
+
+      "/api/notifications": {
+        get: {
+          tags: ["Notifications"],
+          summary: "List notifications, newest first (at most 50)",
           security: [{ bearerAuth: [] }],
           parameters: [
             {
-              name: "id",
-              in: "path",
-              required: true,
-              schema: { type: "integer", example: 3 },
+              name: "unread",
+              in: "query",
+              description: "true to list only unread notifications",
+              schema: { type: "string", enum: ["true", "false"] },
             },
           ],
           responses: {
             200: {
-              description: "Task deleted",
+              description: "Notifications",
               content: {
                 "application/json": {
                   schema: {
                     type: "object",
                     properties: {
-                      message: { type: "string", example: "Task deleted." },
-                      taskId: { type: "integer", example: 3 },
+                      notifications: {
+                        type: "array",
+                        items: { $ref: "#/components/schemas/Notification" },
+                      },
                     },
-                    required: ["message", "taskId"],
+                  },
+                },
+              },
+            },
+            401: {
+              description: "Unauthorized (missing or invalid JWT)",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/UnauthorizedError" },
+                },
+              },
+            },
+          },
+        },
+      },
+  
+      "/api/notifications/read-all": {
+        post: {
+          tags: ["Notifications"],
+          summary: "Mark every notification as read",
+          security: [{ bearerAuth: [] }],
+          responses: {
+            200: {
+              description: "Number of notifications marked",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: { marked: { type: "integer", example: 2 } },
+                  },
+                },
+              },
+            },
+            401: {
+              description: "Unauthorized (missing or invalid JWT)",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/UnauthorizedError" },
+                },
+              },
+            },
+          },
+        },
+      },
+  
+      "/api/notifications/{id}/read": {
+        post: {
+          tags: ["Notifications"],
+          summary: "Mark a notification as read",
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            { name: "id", in: "path", required: true, schema: { type: "integer", minimum: 1 } },
+          ],
+          responses: {
+            200: {
+              description: "Notification marked as read",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: { notification: { $ref: "#/components/schemas/Notification" } },
                   },
                 },
               },
@@ -414,11 +4234,9 @@ const openapi = {
               },
             },
             404: {
-              description: "Task not found (or not owned by user)",
+              description: "Notification not found",
               content: {
-                "application/json": {
-                  schema: { $ref: "#/components/schemas/NotFoundError" },
-                },
+                "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } },
               },
             },
           },
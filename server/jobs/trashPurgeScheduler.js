@@ -0,0 +1,87 @@
+/**
+ * jobs/trashPurgeScheduler.js
+ * -----------------------------------------------------------------------------
+ * Background purge of expired trashed tasks
+ *
+ * Purpose:
+ * - Permanently delete tasks that have been in the trash for longer than
+ *   TRASH_RETENTION_DAYS (see models/taskTrash.js).
+ *
+ * Behavior:
+ * - Runs once at startup and then every TRASH_PURGE_INTERVAL_MINUTES (0
+ *   disables it; running it on several instances is safe).
+ * - Each run deletes in batches until nothing expired is left.
+ * - A run never overlaps the previous one, and the timer does not keep the
+ *   process alive on shutdown.
+ * -----------------------------------------------------------------------------
+ */
+
+const config = require("../config"); // Retention and interval
+const { purgeExpiredTasks } = require("../models/taskTrash"); // Expired trash
+
+// Tasks deleted per statement, so one run never holds many row locks at once.
+const BATCH_SIZE = 500;
+
+let timer = null;
+let running = false;
+
+/**
+ * purgeExpiredTrash()
+ * -----------------------------------------------------------------------------
+ * One run. Returns the number of tasks deleted.
+ */
+async function purgeExpiredTrash() {
+  let purged = 0;
+  let deleted;
+
+  do {
+    deleted = await purgeExpiredTasks(config.trashRetentionDays, BATCH_SIZE);
+    purged += deleted;
+  } while (deleted === BATCH_SIZE);
+
+  return purged;
+}
+
+/**
+ * runPurge()
+ * -----------------------------------------------------------------------------
+ * One run, skipped while the previous one is still going. Errors are logged.
+ */
+async function runPurge() {
+  if (running) return;
+  running = true;
+
+  try {
+    await purgeExpiredTrash();
+  } catch (err) {
+    console.error("TRASH PURGE ERROR:", err);
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * startTrashPurgeScheduler()
+ * -----------------------------------------------------------------------------
+ * Starts purging (no-op when disabled or already started).
+ */
+function startTrashPurgeScheduler() {
+  if (timer || config.trashPurgeIntervalMinutes === 0) return;
+
+  timer = setInterval(runPurge, config.trashPurgeIntervalMinutes * 60 * 1000);
+  timer.unref();
+
+  runPurge();
+}
+
+/**
+ * stopTrashPurgeScheduler()
+ * -----------------------------------------------------------------------------
+ * Stops purging (a run in progress finishes on its own).
+ */
+function stopTrashPurgeScheduler() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = { startTrashPurgeScheduler, stopTrashPurgeScheduler, purgeExpiredTrash };
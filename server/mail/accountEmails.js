@@ -0,0 +1,44 @@
+/**
+ * mail/accountEmails.js
+ * -----------------------------------------------------------------------------
+ * Account emails sent from more than one route
+ *
+ * Purpose:
+ * - Issue a verification token and email the link (registration, resend,
+ *   email change).
+ * - Warn the previous address when an account's email is changed.
+ *
+ * Delivery is never awaited so response timing does not depend on the
+ * transport (and cannot hint whether an account exists).
+ * -----------------------------------------------------------------------------
+ */
+
+const { sendMail } = require("./index"); // Pluggable mail delivery
+const { emailVerificationMessage, emailChangedMessage } = require("./messages"); // Templates
+const { createEmailVerificationToken } = require("../models/emailVerifications"); // Tokens
+
+/**
+ * sendVerificationEmail(user)
+ * -----------------------------------------------------------------------------
+ * Issues a verification token for user.email and emails the link.
+ */
+async function sendVerificationEmail(user) {
+  const token = await createEmailVerificationToken(user.id, user.email);
+
+  sendMail(emailVerificationMessage(user, token)).catch((err) => {
+    console.error("VERIFICATION MAIL ERROR:", err);
+  });
+}
+
+/**
+ * sendEmailChangedNotice(user, previousEmail)
+ * -----------------------------------------------------------------------------
+ * Tells the old address that the account now uses user.email.
+ */
+function sendEmailChangedNotice(user, previousEmail) {
+  sendMail(emailChangedMessage(user, previousEmail)).catch((err) => {
+    console.error("EMAIL CHANGED MAIL ERROR:", err);
+  });
+}
+
+module.exports = { sendVerificationEmail, sendEmailChangedNotice };
@@ -0,0 +1,25 @@
+/**
+ * mail/consoleTransport.js
+ * -----------------------------------------------------------------------------
+ * Console mail transport (development)
+ *
+ * Purpose:
+ * - Print messages to the server log instead of delivering them.
+ * - Handy when running the API locally without a writable outbox directory.
+ * -----------------------------------------------------------------------------
+ */
+
+function createConsoleTransport() {
+  return {
+    name: "console",
+
+    async send(message) {
+      console.log(
+        `MAIL to=${message.to} subject="${message.subject}"\n${message.text}\n`
+      );
+      return { id: null };
+    },
+  };
+}
+
+module.exports = createConsoleTransport;
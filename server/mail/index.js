@@ -0,0 +1,57 @@
+/**
+ * mail/index.js
+ * -----------------------------------------------------------------------------
+ * Mail delivery abstraction
+ *
+ * Purpose:
+ * - Give routes one function to send mail: sendMail({ to, subject, text }).
+ * - Keep the delivery mechanism (transport) pluggable.
+ *
+ * Transports:
+ * - Every transport is an object: { name: string, send(message): Promise }.
+ * - Built-in: "outbox" (JSON files on disk) and "console" (server log).
+ * - The active transport is chosen by MAIL_TRANSPORT (see config.js).
+ * - setTransport() swaps in another implementation (e.g. a real provider
+ *   or an in-memory transport inside tests).
+ * -----------------------------------------------------------------------------
+ */
+
+const config = require("../config"); // Centralized configuration
+const createOutboxTransport = require("./outboxTransport"); // File-based stand-in
+const createConsoleTransport = require("./consoleTransport"); // Log-based stand-in
+
+const builtInTransports = {
+  outbox: () => createOutboxTransport(config.mailOutboxDir),
+  console: () => createConsoleTransport(),
+};
+
+if (!builtInTransports[config.mailTransport]) {
+  // Fail fast on startup, like missing environment variables in config.js.
+  throw new Error(`Unknown MAIL_TRANSPORT: ${config.mailTransport}`);
+}
+
+let transport = builtInTransports[config.mailTransport]();
+
+/**
+ * setTransport(nextTransport)
+ * -----------------------------------------------------------------------------
+ * Replace the active transport. Must provide an async send(message) method.
+ */
+function setTransport(nextTransport) {
+  if (!nextTransport || typeof nextTransport.send !== "function") {
+    throw new Error("Mail transport must implement send(message).");
+  }
+  transport = nextTransport;
+}
+
+/**
+ * sendMail({ to, subject, text })
+ * -----------------------------------------------------------------------------
+ * Sends a plain-text message through the active transport.
+ * The configured sender address is applied here so callers never set it.
+ */
+async function sendMail({ to, subject, text }) {
+  return transport.send({ from: config.mailFrom, to, subject, text });
+}
+
+module.exports = { sendMail, setTransport };
@@ -0,0 +1,113 @@
+/**
+ * mail/messages.js
+ * -----------------------------------------------------------------------------
+ * Plain-text email templates
+ *
+ * Purpose:
+ * - Keep user-facing email wording out of route handlers.
+ * - Build links back into the frontend (CLIENT_ORIGIN).
+ * -----------------------------------------------------------------------------
+ */
+
+const config = require("../config"); // Centralized configuration
+
+/**
+ * passwordResetMessage(user, token)
+ * -----------------------------------------------------------------------------
+ * Email containing a single-use password reset link.
+ */
+function passwordResetMessage(user, token) {
+  const link = `${config.clientOrigin}/reset-password?token=${encodeURIComponent(token)}`;
+
+  return {
+    to: user.email,
+    subject: "Reset your Secure Task Manager password",
+    text: [
+      `Hi ${user.username},`,
+      "",
+      "We received a request to reset your password. Open the link below to choose a new one:",
+      "",
+      link,
+      "",
+      `This link expires in ${config.passwordResetTtlMinutes} minutes and can only be used once.`,
+      "If you did not request a reset, you can ignore this email.",
+    ].join("\n"),
+  };
+}
+
+/**
+ * emailVerificationMessage(user, token)
+ * -----------------------------------------------------------------------------
+ * Email containing a link that confirms the user owns user.email.
+ */
+function emailVerificationMessage(user, token) {
+  const link = `${config.clientOrigin}/verify-email?token=${encodeURIComponent(token)}`;
+
+  return {
+    to: user.email,
+    subject: "Verify your Secure Task Manager email address",
+    text: [
+      `Hi ${user.username},`,
+      "",
+      "Please confirm this email address by opening the link below:",
+      "",
+      link,
+      "",
+      `This link expires in ${config.emailVerificationTtlHours} hours.`,
+      "If you did not create an account, you can ignore this email.",
+    ].join("\n"),
+  };
+}
+
+/**
+ * emailChangedMessage(user, previousEmail)
+ * -----------------------------------------------------------------------------
+ * Sent to the OLD address after an email change, so the owner notices if
+ * someone else changed it.
+ */
+function emailChangedMessage(user, previousEmail) {
+  return {
+    to: previousEmail,
+    subject: "Your Secure Task Manager email address was changed",
+    text: [
+      `Hi ${user.username},`,
+      "",
+      `The email address on your account was changed from ${previousEmail} to ${user.email}.`,
+      "",
+      "If you made this change, no action is needed.",
+      "If you did not, reset your password and contact support right away.",
+    ].join("\n"),
+  };
+}
+
+/**
+ * taskReminderMessage(user, task)
+ * -----------------------------------------------------------------------------
+ * A task's reminder time has come. Times are written in UTC because the
+ * server does not know the reader's timezone.
+ */
+function taskReminderMessage(user, task) {
+  const due = task.due_at
+    ? `It is due ${new Date(task.due_at).toUTCString()}.`
+    : "It has no due date.";
+
+  return {
+    to: user.email,
+    subject: `Reminder: ${task.title}`,
+    text: [
+      `Hi ${user.username},`,
+      "",
+      `This is your reminder for the task "${task.title}".`,
+      due,
+      "",
+      `Open your tasks: ${config.clientOrigin}/tasks`,
+    ].join("\n"),
+  };
+}
+
+module.exports = {
+  passwordResetMessage,
+  emailVerificationMessage,
+  emailChangedMessage,
+  taskReminderMessage,
+};
@@ -0,0 +1,46 @@
+/**
+ * mail/outboxTransport.js
+ * -----------------------------------------------------------------------------
+ * Outbox mail transport (development and tests)
+ *
+ * Purpose:
+ * - Stand in for a real mail provider without any network access.
+ * - Write every message as a JSON file into a local outbox directory so it can
+ *   be opened by a developer or read back by a test.
+ *
+ * File naming:
+ *   <ISO timestamp>-<random>.json (sorts chronologically)
+ * -----------------------------------------------------------------------------
+ */
+
+const crypto = require("crypto"); // Random suffix for unique file names
+const fs = require("fs/promises"); // Async file system access
+const path = require("path"); // Cross-platform path handling
+
+/**
+ * createOutboxTransport(outboxDir)
+ * -----------------------------------------------------------------------------
+ * Returns a transport object with the shared { name, send(message) } shape.
+ */
+function createOutboxTransport(outboxDir) {
+  return {
+    name: "outbox",
+
+    async send(message) {
+      await fs.mkdir(outboxDir, { recursive: true });
+
+      const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+      const fileName = `${timestamp}-${crypto.randomBytes(4).toString("hex")}.json`;
+      const filePath = path.join(outboxDir, fileName);
+
+      await fs.writeFile(
+        filePath,
+        JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+      );
+
+      return { id: fileName };
+    },
+  };
+}
+
+module.exports = createOutboxTransport;
@@ -6,23 +6,131 @@
  * Purpose:
  * - Protect API endpoints that require a logged-in user.
  * - Read the Authorization header from the incoming request.
- * - Verify the JWT (signature + expiration).
- * - If valid, attach the authenticated user's identity to req.user.
+ * - Verify the JWT (signature by a known key id, algorithm, issuer, audience
+ *   and expiration; see utils/jwtKeys.js).
+ * - Confirm the server-side session named in the token is still active
+ *   (so logout, refresh-token reuse detection and sessions revoked from the
+ *   sessions page take effect immediately).
+ * - If valid, attach the authenticated user's identity and role to req.user.
+ * - Also accept personal access tokens (stm_pat_...) for scripts. These carry
+ *   scopes (req.user.scopes) that requirePermission() enforces, and have no
+ *   session (req.user.sessionId is null).
+ * - In AUTH_MODE=cookie, requests without an Authorization header are
+ *   authenticated by the HttpOnly access cookie instead; state-changing ones
+ *   must also send the session's CSRF token (see utils/csrf.js).
  *
  * Expected request header:
  *   Authorization: Bearer <JWT_TOKEN>
+ *   Authorization: Bearer <PERSONAL_ACCESS_TOKEN>
+ *   (or, in cookie mode) Cookie: stm_access=<JWT_TOKEN> + X-CSRF-Token: <token>
  * -----------------------------------------------------------------------------
  */
 
-const jwt = require("jsonwebtoken"); // Used to verify JWT tokens
-const config = require("../config"); // Centralized configuration (validated env vars)
+const { verifyAccessToken } = require("../utils/tokens"); // JWT verification (keyring)
+const { findActiveSession } = require("../models/sessions"); // Session revocation check
+const { isPersonalToken, usePersonalToken } = require("../models/personalTokens"); // API tokens
+const { readAccessCookie } = require("../utils/authCookies"); // Cookie-mode access token
+const { requiresCsrf, hasValidCsrfToken, sendCsrfError } = require("../utils/csrf"); // CSRF checks
 
-function authMiddleware(req, res, next) {
+/**
+ * authenticatePersonalToken(token, req, res, next)
+ * -----------------------------------------------------------------------------
+ * Resolves a personal access token and attaches its identity to req.user.
+ */
+async function authenticatePersonalToken(token, req, res, next) {
+  let personalToken;
+
+  try {
+    personalToken = await usePersonalToken(token);
+  } catch (err) {
+    return next(err);
+  }
+
+  if (!personalToken) {
+    return res.status(401).json({ error: "Invalid, expired or revoked API token." });
+  }
+
+  req.user = {
+    userId: personalToken.userId,
+    sessionId: null,
+    tokenId: personalToken.tokenId,
+    scopes: personalToken.scopes,
+    emailVerified: personalToken.emailVerified,
+    role: personalToken.role,
+  };
+
+  return next();
+}
+
+/**
+ * authenticateSessionToken(token, req, res, next, { fromCookie })
+ * -----------------------------------------------------------------------------
+ * Verifies a session access token (JWT) and attaches its identity to req.user.
+ * Tokens read from the auth cookie must come with a valid CSRF token on
+ * state-changing requests.
+ */
+async function authenticateSessionToken(token, req, res, next, { fromCookie }) {
+  let payload;
+
+  try {
+    // Verify signature, kid, algorithm, issuer, audience and expiration.
+    // If verification fails, verifyAccessToken throws an error (caught below).
+    payload = verifyAccessToken(token);
+  } catch (err) {
+    // Token invalid or expired.
+    return res.status(401).json({ error: "Invalid or expired token." });
+  }
+
+  // Every access token must belong to a session (older tokens without one are rejected).
+  if (!payload.sid) {
+    return res.status(401).json({ error: "Invalid or expired token." });
+  }
+
+  // The browser attaches cookies to cross-site requests too; the CSRF header
+  // proves the request came from our own client.
+  if (fromCookie && requiresCsrf(req) && !hasValidCsrfToken(req, payload.sid)) {
+    return sendCsrfError(res);
+  }
+
+  let session;
+
+  try {
+    // A revoked or expired session invalidates its access tokens right away.
+    // This also records the request as the session's last activity.
+    session = await findActiveSession(payload.sid, payload.userId, req.ip);
+    if (!session) {
+      return res.status(401).json({ error: "Session has been revoked." });
+    }
+  } catch (err) {
+    // Database failures are server errors, not authentication failures.
+    return next(err);
+  }
+
+  // Attach user identity for downstream route handlers.
+  req.user = {
+    userId: payload.userId,
+    sessionId: payload.sid,
+    emailVerified: session.emailVerified,
+    role: session.role,
+  };
+
+  // Continue request.
+  return next();
+}
+
+async function authMiddleware(req, res, next) {
   // Read the Authorization header (Express lowercases header keys).
   const authHeader = req.headers.authorization;
 
-  // If missing, user is not authenticated.
+  // Without a header, fall back to the access cookie (AUTH_MODE=cookie only).
   if (!authHeader) {
+    const cookieToken = readAccessCookie(req);
+
+    if (cookieToken) {
+      return authenticateSessionToken(cookieToken, req, res, next, { fromCookie: true });
+    }
+
+    // If missing, user is not authenticated.
     return res.status(401).json({ error: "Missing Authorization header." });
   }
 
@@ -39,20 +147,12 @@ function authMiddleware(req, res, next) {
   // Extract token portion.
   const token = parts[1];
 
-  try {
-    // Verify signature and expiration using the validated JWT secret from config.
-    // If verification fails, jwt.verify throws an error (caught below).
-    const payload = jwt.verify(token, config.jwtSecret);
-
-    // Attach user identity for downstream route handlers.
-    req.user = { userId: payload.userId };
-
-    // Continue request.
-    return next();
-  } catch (err) {
-    // Token invalid or expired.
-    return res.status(401).json({ error: "Invalid or expired token." });
+  // Personal access tokens are opaque, not JWTs.
+  if (isPersonalToken(token)) {
+    return authenticatePersonalToken(token, req, res, next);
   }
+
+  return authenticateSessionToken(token, req, res, next, { fromCookie: false });
 }
 
-module.exports = authMiddleware; // Export middleware for use in routes
\ No newline at end of file
+module.exports = authMiddleware; // Export middleware for use in routes
@@ -0,0 +1,38 @@
+/**
+ * middleware/requirePermission.js
+ * -----------------------------------------------------------------------------
+ * Permission Check Middleware
+ *
+ * Purpose:
+ * - Allow a route only when the signed-in user's role grants a permission.
+ * - For personal access tokens, the token's scopes must ALSO include it, so a
+ *   token can never do more than its owner (or than it was created for).
+ *
+ * Usage:
+ *   router.get("/users", requirePermission("users:read"), handler);
+ *
+ * Requirements:
+ * - Must run AFTER authMiddleware (relies on req.user.role, which is read
+ *   from the database on every request, so role changes apply immediately).
+ * -----------------------------------------------------------------------------
+ */
+
+const { hasPermission } = require("../utils/permissions"); // Role -> permission map
+
+function requirePermission(permission) {
+  return function permissionMiddleware(req, res, next) {
+    const roleAllows = req.user && hasPermission(req.user.role, permission);
+    const scopeAllows = !req.user?.scopes || req.user.scopes.includes(permission);
+
+    if (roleAllows && scopeAllows) {
+      return next();
+    }
+
+    return res.status(403).json({
+      error: "You do not have permission to perform this action.",
+      code: "FORBIDDEN",
+    });
+  };
+}
+
+module.exports = requirePermission; // Export middleware factory for use in routes
@@ -0,0 +1,30 @@
+/**
+ * middleware/requireSession.js
+ * -----------------------------------------------------------------------------
+ * Interactive Session Middleware
+ *
+ * Purpose:
+ * - Reject personal access tokens on routes that manage the account itself
+ *   (profile, password, two-factor, API tokens). A leaked script token must
+ *   not be able to take over the account or mint more tokens.
+ *
+ * Requirements:
+ * - Must run AFTER authMiddleware (relies on req.user.sessionId).
+ *
+ * Notes:
+ * - Responds 403 rather than 401 so browser clients do not try to refresh.
+ * -----------------------------------------------------------------------------
+ */
+
+function requireSession(req, res, next) {
+  if (req.user && req.user.sessionId) {
+    return next();
+  }
+
+  return res.status(403).json({
+    error: "API tokens cannot be used for this endpoint. Sign in instead.",
+    code: "SESSION_REQUIRED",
+  });
+}
+
+module.exports = requireSession; // Export middleware for use in routes
@@ -0,0 +1,40 @@
+/**
+ * middleware/requireVerifiedEmail.js
+ * -----------------------------------------------------------------------------
+ * Email Verification Policy Middleware
+ *
+ * Purpose:
+ * - Enforce config.unverifiedLoginPolicy on protected routes.
+ * - With "read-only", unverified users may read (GET/HEAD/OPTIONS) but not
+ *   change anything.
+ *
+ * Requirements:
+ * - Must run AFTER authMiddleware (relies on req.user.emailVerified).
+ *
+ * Notes:
+ * - "block" is enforced at login, so blocked users never get a token.
+ * - "full" allows everything.
+ * -----------------------------------------------------------------------------
+ */
+
+const config = require("../config"); // Centralized configuration
+
+const READ_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+function requireVerifiedEmail(req, res, next) {
+  // Verified users and read requests are always allowed.
+  if (req.user.emailVerified || READ_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  if (config.unverifiedLoginPolicy === "full") {
+    return next();
+  }
+
+  return res.status(403).json({
+    error: "Please verify your email address before making changes.",
+    code: "EMAIL_NOT_VERIFIED",
+  });
+}
+
+module.exports = requireVerifiedEmail; // Export middleware for use in routes
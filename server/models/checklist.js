@@ -0,0 +1,184 @@
+/**
+ * models/checklist.js
+ * -----------------------------------------------------------------------------
+ * Task checklists (ordered steps inside a task)
+ *
+ * Purpose:
+ * - Add, edit, remove and reorder a task's checklist items.
+ * - Keep the task in step with its checklist (updated_at and the
+ *   auto_complete rule).
+ *
+ * Notes:
+ * - Item functions take a task id the caller has already checked with
+ *   lockUserTask() in the same transaction, so every change is scoped to the
+ *   task's owner and concurrent appends cannot pick the same position.
+ * -----------------------------------------------------------------------------
+ */
+
+const pool = require("./db"); // PostgreSQL connection pool
+
+const MAX_CHECKLIST_ITEMS = 100;
+
+const ITEM_COLUMNS = "id, title, completed, position, created_at";
+
+/**
+ * lockUserTask(userId, taskId, db)
+ * -----------------------------------------------------------------------------
+ * Returns true if the task exists, belongs to the user and is not in the
+ * trash, locking it until the transaction ends.
+ */
+async function lockUserTask(userId, taskId, db = pool) {
+  const result = await db.query(
+    "SELECT id FROM tasks WHERE user_id = $1 AND id = $2 AND deleted_at IS NULL FOR UPDATE",
+    [userId, taskId]
+  );
+
+  return result.rows.length > 0;
+}
+
+/**
+ * listChecklistItems(taskId, db)
+ * -----------------------------------------------------------------------------
+ * In checklist order.
+ */
+async function listChecklistItems(taskId, db = pool) {
+  const result = await db.query(
+    `
+    SELECT ${ITEM_COLUMNS}
+    FROM task_checklist_items
+    WHERE task_id = $1
+    ORDER BY position, id
+    `,
+    [taskId]
+  );
+
+  return result.rows;
+}
+
+/**
+ * addChecklistItem(taskId, title, db)
+ * -----------------------------------------------------------------------------
+ * Appends an item. Returns it, or null when the task already has
+ * MAX_CHECKLIST_ITEMS items.
+ */
+async function addChecklistItem(taskId, title, db = pool) {
+  const result = await db.query(
+    `
+    INSERT INTO task_checklist_items (task_id, title, position)
+    SELECT $1, $2, COALESCE(MAX(position) + 1, 0)
+    FROM task_checklist_items
+    WHERE task_id = $1
+    HAVING COUNT(*) < $3
+    RETURNING ${ITEM_COLUMNS}
+    `,
+    [taskId, title, MAX_CHECKLIST_ITEMS]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * updateChecklistItem(taskId, itemId, { title, completed }, db)
+ * -----------------------------------------------------------------------------
+ * Changes the provided fields. Returns the item, or null if it is not on
+ * this task.
+ */
+async function updateChecklistItem(taskId, itemId, { title, completed }, db = pool) {
+  const result = await db.query(
+    `
+    UPDATE task_checklist_items
+    SET title = COALESCE($3, title), completed = COALESCE($4, completed)
+    WHERE id = $1 AND task_id = $2
+    RETURNING ${ITEM_COLUMNS}
+    `,
+    [itemId, taskId, title ?? null, completed ?? null]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * deleteChecklistItem(taskId, itemId, db)
+ * -----------------------------------------------------------------------------
+ * Returns true if an item was deleted.
+ */
+async function deleteChecklistItem(taskId, itemId, db = pool) {
+  const result = await db.query("DELETE FROM task_checklist_items WHERE id = $1 AND task_id = $2", [
+    itemId,
+    taskId,
+  ]);
+
+  return result.rowCount > 0;
+}
+
+/**
+ * reorderChecklistItems(taskId, itemIds, db)
+ * -----------------------------------------------------------------------------
+ * Puts the items in the order of itemIds, which must list every item of the
+ * task exactly once.
+ *
+ * Returns:
+ * - the items in their new order
+ * - null if itemIds does not match the task's items
+ */
+async function reorderChecklistItems(taskId, itemIds, db = pool) {
+  const current = await listChecklistItems(taskId, db);
+  const currentIds = new Set(current.map((item) => item.id));
+
+  const isPermutation =
+    itemIds.length === current.length &&
+    new Set(itemIds).size === itemIds.length &&
+    itemIds.every((id) => currentIds.has(id));
+
+  if (!isPermutation) return null;
+
+  await db.query(
+    `
+    UPDATE task_checklist_items ci
+    SET position = o.ord - 1
+    FROM UNNEST($2::int[]) WITH ORDINALITY AS o(id, ord)
+    WHERE ci.id = o.id AND ci.task_id = $1
+    `,
+    [taskId, itemIds]
+  );
+
+  return listChecklistItems(taskId, db);
+}
+
+/**
+ * syncTaskWithChecklist(taskId, db)
+ * -----------------------------------------------------------------------------
+ * Call after any checklist change. Refreshes the task's updated_at and, when
+ * the task has auto_complete on and at least one item, sets completed to
+ * whether every item is done.
+ */
+async function syncTaskWithChecklist(taskId, db = pool) {
+  await db.query(
+    `
+    UPDATE tasks t
+    SET updated_at = NOW(),
+        completed = CASE
+          WHEN t.auto_complete AND p.total > 0 THEN p.done = p.total
+          ELSE t.completed
+        END
+    FROM (
+      SELECT COUNT(*) AS total, COUNT(*) FILTER (WHERE completed) AS done
+      FROM task_checklist_items
+      WHERE task_id = $1
+    ) p
+    WHERE t.id = $1
+    `,
+    [taskId]
+  );
+}
+
+module.exports = {
+  MAX_CHECKLIST_ITEMS,
+  lockUserTask,
+  listChecklistItems,
+  addChecklistItem,
+  updateChecklistItem,
+  deleteChecklistItem,
+  reorderChecklistItems,
+  syncTaskWithChecklist,
+};
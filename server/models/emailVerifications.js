@@ -0,0 +1,102 @@
+/**
+ * models/emailVerifications.js
+ * -----------------------------------------------------------------------------
+ * Email verification tokens
+ *
+ * Purpose:
+ * - Issue a verification token for a user's current email address.
+ * - Verify the account when a valid token is presented.
+ * - Support resend throttling (one email per cooldown window).
+ *
+ * Security:
+ * - Only hashes of tokens are stored; tokens are single-use and expire.
+ * - A token is bound to the address it was sent to, so it cannot verify an
+ *   address the account no longer uses.
+ * -----------------------------------------------------------------------------
+ */
+
+const pool = require("./db"); // PostgreSQL connection pool
+const config = require("../config"); // Centralized configuration
+const { generateOpaqueToken, hashToken } = require("../utils/tokens");
+
+/**
+ * createEmailVerificationToken(userId, email)
+ * -----------------------------------------------------------------------------
+ * Returns the raw token to email to the user.
+ * Earlier unused tokens for the user are invalidated.
+ */
+async function createEmailVerificationToken(userId, email) {
+  const token = generateOpaqueToken();
+
+  await pool.query(
+    `
+    UPDATE email_verification_tokens
+    SET used_at = NOW()
+    WHERE user_id = $1 AND used_at IS NULL
+    `,
+    [userId]
+  );
+
+  await pool.query(
+    `
+    INSERT INTO email_verification_tokens (user_id, email, token_hash, expires_at)
+    VALUES ($1, $2, $3, NOW() + make_interval(hours => $4))
+    `,
+    [userId, email, hashToken(token), config.emailVerificationTtlHours]
+  );
+
+  return token;
+}
+
+/**
+ * wasVerificationRecentlySent(userId)
+ * -----------------------------------------------------------------------------
+ * True when a verification email went out within the resend cooldown.
+ */
+async function wasVerificationRecentlySent(userId) {
+  const result = await pool.query(
+    `
+    SELECT 1
+    FROM email_verification_tokens
+    WHERE user_id = $1 AND created_at > NOW() - make_interval(secs => $2)
+    LIMIT 1
+    `,
+    [userId, config.verificationResendCooldownSeconds]
+  );
+
+  return result.rows.length > 0;
+}
+
+/**
+ * verifyEmailToken(token)
+ * -----------------------------------------------------------------------------
+ * Consumes the token and marks the user's email as verified in one statement.
+ * Returns the user id, or null when the token is unknown, expired, used, or
+ * was issued for an address the account no longer has.
+ */
+async function verifyEmailToken(token) {
+  const result = await pool.query(
+    `
+    WITH consumed AS (
+      UPDATE email_verification_tokens
+      SET used_at = NOW()
+      WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+      RETURNING user_id, email
+    )
+    UPDATE users
+    SET email_verified_at = COALESCE(users.email_verified_at, NOW())
+    FROM consumed
+    WHERE users.id = consumed.user_id AND users.email = consumed.email
+    RETURNING users.id
+    `,
+    [hashToken(token)]
+  );
+
+  return result.rows.length > 0 ? result.rows[0].id : null;
+}
+
+module.exports = {
+  createEmailVerificationToken,
+  wasVerificationRecentlySent,
+  verifyEmailToken,
+};
@@ -0,0 +1,132 @@
+/**
+ * models/loginThrottle.js
+ * -----------------------------------------------------------------------------
+ * Failed sign-in tracking and temporary lockouts
+ *
+ * Purpose:
+ * - Count failed sign-in attempts per account (email) and per client IP.
+ * - Lock an account or IP once it reaches its threshold, with exponential
+ *   backoff: every further failure doubles the lockout, up to a maximum.
+ * - Record each lockout in lockout_events for auditing.
+ *
+ * Security:
+ * - Accounts are tracked by normalized email, so an address that is not
+ *   registered is throttled exactly like one that is.
+ * - Only a fully successful sign-in (or a password reset) clears the account
+ *   counter; IP counters are never cleared early, so one valid account cannot
+ *   be used to reset an IP that is guessing passwords for others.
+ * -----------------------------------------------------------------------------
+ */
+
+const pool = require("./db"); // PostgreSQL connection pool
+const config = require("../config"); // Centralized configuration
+
+/**
+ * lockoutSeconds(failedCount, threshold)
+ * -----------------------------------------------------------------------------
+ * Exponential backoff: base, 2x base, 4x base, ... capped at the maximum.
+ */
+function lockoutSeconds(failedCount, threshold) {
+  const doublings = failedCount - threshold;
+  return Math.min(config.lockoutBaseSeconds * 2 ** doublings, config.lockoutMaxSeconds);
+}
+
+/**
+ * getLockout(email, ip)
+ * -----------------------------------------------------------------------------
+ * Checks whether the account or the IP address is currently locked.
+ *
+ * Returns:
+ * - { retryAfterSeconds } for the longest active lockout
+ * - null when neither is locked
+ */
+async function getLockout(email, ip) {
+  const result = await pool.query(
+    `
+    SELECT CEIL(EXTRACT(EPOCH FROM MAX(locked_until) - NOW()))::int AS retry_after
+    FROM login_throttles
+    WHERE ((scope = 'account' AND key = $1) OR (scope = 'ip' AND key = $2))
+      AND locked_until > NOW()
+    `,
+    [email, ip]
+  );
+
+  const retryAfter = result.rows[0].retry_after;
+  return retryAfter ? { retryAfterSeconds: retryAfter } : null;
+}
+
+/**
+ * recordScopeFailure(scope, key, threshold, ip)
+ * -----------------------------------------------------------------------------
+ * Increments one counter and applies a lockout once it reaches the threshold.
+ * The counter starts over when the last failure and any lockout ended more
+ * than config.failedLoginWindowMinutes ago.
+ */
+async function recordScopeFailure(scope, key, threshold, ip) {
+  const counted = await pool.query(
+    `
+    INSERT INTO login_throttles (scope, key, failed_count, last_failed_at)
+    VALUES ($1, $2, 1, NOW())
+    ON CONFLICT (scope, key) DO UPDATE
+    SET failed_count = CASE
+          WHEN GREATEST(login_throttles.last_failed_at, login_throttles.locked_until)
+               < NOW() - make_interval(mins => $3)
+          THEN 1
+          ELSE login_throttles.failed_count + 1
+        END,
+        last_failed_at = NOW()
+    RETURNING failed_count
+    `,
+    [scope, key, config.failedLoginWindowMinutes]
+  );
+
+  const failedCount = counted.rows[0].failed_count;
+  if (failedCount < threshold) return;
+
+  const seconds = lockoutSeconds(failedCount, threshold);
+
+  const locked = await pool.query(
+    `
+    UPDATE login_throttles
+    SET locked_until = NOW() + make_interval(secs => $3)
+    WHERE scope = $1 AND key = $2
+    RETURNING locked_until
+    `,
+    [scope, key, seconds]
+  );
+
+  await pool.query(
+    `
+    INSERT INTO lockout_events (scope, key, ip_address, failed_count, locked_until)
+    VALUES ($1, $2, $3, $4, $5)
+    `,
+    [scope, key, ip, failedCount, locked.rows[0].locked_until]
+  );
+
+  console.warn(
+    `LOGIN LOCKOUT: ${scope} ${key} locked for ${seconds}s after ${failedCount} failed attempts.`
+  );
+}
+
+/**
+ * recordFailedLogin(email, ip)
+ * -----------------------------------------------------------------------------
+ * Records a failed password or second-factor attempt against both the
+ * account and the client IP.
+ */
+async function recordFailedLogin(email, ip) {
+  await recordScopeFailure("account", email, config.accountLockoutThreshold, ip);
+  await recordScopeFailure("ip", ip, config.ipLockoutThreshold, ip);
+}
+
+/**
+ * clearAccountFailures(email, db)
+ * -----------------------------------------------------------------------------
+ * Resets the account counter (and any lockout) after a successful sign-in
+ * or password reset. Accepts an optional transaction client.
+ */
+async function clearAccountFailures(email, db = pool) {
+  await db.query("DELETE FROM login_throttles WHERE scope = 'account' AND key = $1", [email]);
+}
+
+module.exports = { getLockout, recordFailedLogin, clearAccountFailures };
@@ -0,0 +1,153 @@
+/**
+ * models/notifications.js
+ * -----------------------------------------------------------------------------
+ * In-app notifications
+ *
+ * Purpose:
+ * - Store notifications for a user (written by notifications/inAppNotifier.js).
+ * - List them and mark them read.
+ * - Claim task reminders that are due, for the reminder scheduler.
+ * -----------------------------------------------------------------------------
+ */
+
+const pool = require("./db"); // PostgreSQL connection pool
+
+const NOTIFICATION_COLUMNS = "id, task_id, kind, title, body, created_at, read_at";
+
+/**
+ * createNotification({ userId, taskId, kind, title, body }, db)
+ * -----------------------------------------------------------------------------
+ * Returns the stored notification row.
+ */
+async function createNotification({ userId, taskId = null, kind, title, body = null }, db = pool) {
+  const result = await db.query(
+    `
+    INSERT INTO notifications (user_id, task_id, kind, title, body)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING ${NOTIFICATION_COLUMNS}
+    `,
+    [userId, taskId, kind, title, body]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * listNotifications(userId, { unreadOnly, limit })
+ * -----------------------------------------------------------------------------
+ * Newest first.
+ */
+async function listNotifications(userId, { unreadOnly = false, limit = 50 } = {}) {
+  const result = await pool.query(
+    `
+    SELECT ${NOTIFICATION_COLUMNS}
+    FROM notifications
+    WHERE user_id = $1 AND ($2::boolean = FALSE OR read_at IS NULL)
+    ORDER BY created_at DESC, id DESC
+    LIMIT $3
+    `,
+    [userId, unreadOnly, limit]
+  );
+
+  return result.rows;
+}
+
+/**
+ * markNotificationRead(userId, notificationId)
+ * -----------------------------------------------------------------------------
+ * Scoped to the owner. Returns the notification, or null when it does not
+ * exist or belongs to someone else. Marking a read notification again is a
+ * no-op (read_at keeps its first value).
+ */
+async function markNotificationRead(userId, notificationId) {
+  const result = await pool.query(
+    `
+    UPDATE notifications
+    SET read_at = COALESCE(read_at, NOW())
+    WHERE id = $1 AND user_id = $2
+    RETURNING ${NOTIFICATION_COLUMNS}
+    `,
+    [notificationId, userId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * markAllNotificationsRead(userId)
+ * -----------------------------------------------------------------------------
+ * Returns the number of notifications marked.
+ */
+async function markAllNotificationsRead(userId) {
+  const result = await pool.query(
+    `
+    UPDATE notifications
+    SET read_at = NOW()
+    WHERE user_id = $1 AND read_at IS NULL
+    `,
+    [userId]
+  );
+
+  return result.rowCount;
+}
+
+/**
+ * claimDueReminders(limit)
+ * -----------------------------------------------------------------------------
+ * Marks up to `limit` due reminders as sent and returns them with their
+ * owner. Claiming first (one UPDATE, SKIP LOCKED) means two API instances
+ * never send the same reminder; a reminder whose delivery then fails is
+ * logged, not retried.
+ *
+ * Completed tasks are claimed too, but flagged so no reminder is sent.
+ *
+ * Returns:
+ * - [{ task: { id, title, due_at, remind_at, completed },
+ *      user: { id, username, email, email_verified_at, disabled_at } }]
+ */
+async function claimDueReminders(limit = 100) {
+  const result = await pool.query(
+    `
+    WITH due AS (
+      SELECT id
+      FROM tasks
+      WHERE remind_at IS NOT NULL AND reminded_at IS NULL AND remind_at <= NOW() AND deleted_at IS NULL
+      ORDER BY remind_at
+      LIMIT $1
+      FOR UPDATE SKIP LOCKED
+    )
+    UPDATE tasks t
+    SET reminded_at = NOW()
+    FROM due, users u
+    WHERE t.id = due.id AND u.id = t.user_id
+    RETURNING t.id, t.title, t.due_at, t.remind_at, t.completed,
+              u.id AS user_id, u.username, u.email, u.email_verified_at, u.disabled_at
+    `,
+    [limit]
+  );
+
+  return result.rows.map((row) => ({
+    task: {
+      id: row.id,
+      title: row.title,
+      due_at: row.due_at,
+      remind_at: row.remind_at,
+      completed: row.completed,
+    },
+    user: {
+      id: row.user_id,
+      username: row.username,
+      email: row.email,
+      email_verified_at: row.email_verified_at,
+      disabled_at: row.disabled_at,
+    },
+  }));
+}
+
+module.exports = {
+  createNotification,
+  listNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  claimDueReminders,
+};
@@ -0,0 +1,252 @@
+/**
+ * models/oidcLogins.js
+ * -----------------------------------------------------------------------------
+ * OpenID Connect sign-in state
+ *
+ * Purpose:
+ * - Remember the PKCE code verifier and nonce while the user is at the
+ *   identity provider (found by the state parameter).
+ * - Hand the client a single-use login code after the callback, which it
+ *   exchanges for a session (tokens never appear in a URL).
+ * - Find or create the local account for a provider identity.
+ *
+ * Security:
+ * - Only hashes of the state and login code are stored.
+ * - Each step is a single conditional UPDATE, so neither the state nor the
+ *   login code can be used twice.
+ * - Accounts are linked by email only when both the provider and this app
+ *   have verified the address (an unverified local account could belong to
+ *   someone who registered another person's email).
+ * -----------------------------------------------------------------------------
+ */
+
+const crypto = require("crypto"); // Random username suffixes
+const bcrypt = require("bcrypt"); // Hash the unusable password of SSO-created accounts
+const pool = require("./db"); // PostgreSQL connection pool
+const { withTransaction } = require("./transaction"); // Atomic account + identity insert
+const { generateOpaqueToken, hashToken } = require("../utils/tokens"); // Random tokens + hashing
+
+const SALT_ROUNDS = 12;
+
+// Time allowed at the provider, and for the client to redeem its login code.
+const LOGIN_REQUEST_TTL_MINUTES = 10;
+const LOGIN_CODE_TTL_MINUTES = 2;
+
+// Columns startSessionResponse and the login checks need.
+const LOGIN_COLUMN_NAMES = [
+  "id",
+  "username",
+  "email",
+  "role",
+  "email_verified_at",
+  "totp_enabled_at",
+  "disabled_at",
+];
+const LOGIN_COLUMNS = LOGIN_COLUMN_NAMES.join(", ");
+const USER_LOGIN_COLUMNS = LOGIN_COLUMN_NAMES.map((column) => `u.${column}`).join(", ");
+
+/**
+ * createOidcLoginRequest({ codeVerifier, nonce })
+ * -----------------------------------------------------------------------------
+ * Returns the raw state to send to the provider.
+ */
+async function createOidcLoginRequest({ codeVerifier, nonce }) {
+  const state = generateOpaqueToken();
+
+  // Keep the table small: abandoned sign-ins are useless after they expire.
+  await pool.query(
+    "DELETE FROM oidc_login_requests WHERE expires_at < NOW() - INTERVAL '1 day'"
+  );
+
+  await pool.query(
+    `
+    INSERT INTO oidc_login_requests (state_hash, code_verifier, nonce, expires_at)
+    VALUES ($1, $2, $3, NOW() + make_interval(mins => $4))
+    `,
+    [hashToken(state), codeVerifier, nonce, LOGIN_REQUEST_TTL_MINUTES]
+  );
+
+  return state;
+}
+
+/**
+ * takeOidcLoginRequest(state)
+ * -----------------------------------------------------------------------------
+ * Marks the request as called back and returns { id, codeVerifier, nonce }.
+ * Returns null when the state is unknown, expired or already used.
+ */
+async function takeOidcLoginRequest(state) {
+  const result = await pool.query(
+    `
+    UPDATE oidc_login_requests
+    SET callback_at = NOW()
+    WHERE state_hash = $1 AND callback_at IS NULL AND expires_at > NOW()
+    RETURNING id, code_verifier, nonce
+    `,
+    [hashToken(state)]
+  );
+
+  if (result.rows.length === 0) return null;
+
+  const row = result.rows[0];
+  return { id: row.id, codeVerifier: row.code_verifier, nonce: row.nonce };
+}
+
+/**
+ * issueOidcLoginCode(requestId, userId)
+ * -----------------------------------------------------------------------------
+ * Returns the raw single-use login code for the client.
+ */
+async function issueOidcLoginCode(requestId, userId) {
+  const code = generateOpaqueToken();
+
+  await pool.query(
+    `
+    UPDATE oidc_login_requests
+    SET user_id = $1, login_code_hash = $2, expires_at = NOW() + make_interval(mins => $3)
+    WHERE id = $4
+    `,
+    [userId, hashToken(code), LOGIN_CODE_TTL_MINUTES, requestId]
+  );
+
+  return code;
+}
+
+/**
+ * redeemOidcLoginCode(code)
+ * -----------------------------------------------------------------------------
+ * Uses up a login code. Returns the account's users row, or null when the
+ * code is unknown, expired or already used.
+ */
+async function redeemOidcLoginCode(code) {
+  const result = await pool.query(
+    `
+    UPDATE oidc_login_requests r
+    SET completed_at = NOW()
+    FROM users u
+    WHERE r.login_code_hash = $1
+      AND r.completed_at IS NULL
+      AND r.expires_at > NOW()
+      AND u.id = r.user_id
+    RETURNING ${USER_LOGIN_COLUMNS}
+    `,
+    [hashToken(code)]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * uniqueUsername(base, db)
+ * -----------------------------------------------------------------------------
+ * A free username derived from the provider's profile (3-50 characters).
+ */
+async function uniqueUsername(base, db) {
+  let stem = base.replace(/\s+/g, "").slice(0, 40);
+  if (stem.length < 3) stem = `user${stem}`;
+
+  let candidate = stem;
+
+  for (let attempt = 0; attempt < 5; attempt += 1) {
+    const taken = await db.query("SELECT 1 FROM users WHERE username = $1", [candidate]);
+    if (taken.rows.length === 0) return candidate;
+
+    candidate = `${stem}-${crypto.randomBytes(3).toString("hex")}`;
+  }
+
+  throw new Error("Could not find a free username for the SSO account.");
+}
+
+/**
+ * findOrCreateOidcUser(issuer, claims)
+ * -----------------------------------------------------------------------------
+ * Resolves verified ID token claims to a local account:
+ * 1. an account already linked to (issuer, sub)
+ * 2. otherwise an account with the same verified email, which gets linked
+ * 3. otherwise a new account (email already verified by the provider, with
+ *    an unusable password until the user sets one via "Forgot password")
+ *
+ * Returns:
+ * - { user } with the users row
+ * - { error: "email_not_verified" } when the provider has not verified the
+ *   email and no identity is linked yet
+ * - { error: "account_unverified" } when a local account with that email
+ *   exists but has not verified it
+ */
+async function findOrCreateOidcUser(issuer, claims) {
+  const linked = await pool.query(
+    `
+    UPDATE user_identities i
+    SET last_login_at = NOW(), email = $3
+    FROM users u
+    WHERE i.issuer = $1 AND i.subject = $2 AND u.id = i.user_id
+    RETURNING ${USER_LOGIN_COLUMNS}
+    `,
+    [issuer, claims.sub, claims.email || null]
+  );
+
+  if (linked.rows.length > 0) {
+    return { user: linked.rows[0] };
+  }
+
+  if (!claims.email || claims.email_verified !== true) {
+    return { error: "email_not_verified" };
+  }
+
+  const email = claims.email.toLowerCase();
+
+  const existing = await pool.query(`SELECT ${LOGIN_COLUMNS} FROM users WHERE email = $1`, [
+    email,
+  ]);
+
+  if (existing.rows.length > 0 && existing.rows[0].email_verified_at === null) {
+    return { error: "account_unverified" };
+  }
+
+  // Hashed before the transaction so bcrypt does not hold a pooled client.
+  const unusablePasswordHash =
+    existing.rows.length > 0
+      ? null
+      : await bcrypt.hash(generateOpaqueToken(), SALT_ROUNDS);
+
+  const user = await withTransaction(async (client) => {
+    let row = existing.rows[0];
+
+    if (!row) {
+      const username = await uniqueUsername(
+        claims.preferred_username || claims.name || email.split("@")[0],
+        client
+      );
+
+      const created = await client.query(
+        `
+        INSERT INTO users (username, email, password_hash, email_verified_at)
+        VALUES ($1, $2, $3, NOW())
+        RETURNING ${LOGIN_COLUMNS}
+        `,
+        [username, email, unusablePasswordHash]
+      );
+      row = created.rows[0];
+    }
+
+    await client.query(
+      `
+      INSERT INTO user_identities (user_id, issuer, subject, email, last_login_at)
+      VALUES ($1, $2, $3, $4, NOW())
+      `,
+      [row.id, issuer, claims.sub, email]
+    );
+
+    return row;
+  });
+
+  return { user };
+}
+
+module.exports = {
+  createOidcLoginRequest,
+  takeOidcLoginRequest,
+  issueOidcLoginCode,
+  redeemOidcLoginCode,
+  findOrCreateOidcUser,
+};
@@ -0,0 +1,97 @@
+/**
+ * models/passwordResets.js
+ * -----------------------------------------------------------------------------
+ * Password reset tokens
+ *
+ * Purpose:
+ * - Issue a reset token for a user (only its hash is stored).
+ * - Look up the account a valid token belongs to (without using it up).
+ * - Consume a token exactly once before it expires.
+ *
+ * Security:
+ * - Issuing a new token invalidates any earlier unused ones for that user.
+ * - Consumption is a single conditional UPDATE, so a token cannot be used
+ *   twice even by concurrent requests.
+ * -----------------------------------------------------------------------------
+ */
+
+const pool = require("./db"); // PostgreSQL connection pool
+const config = require("../config"); // Centralized configuration
+const { generateOpaqueToken, hashToken } = require("../utils/tokens");
+
+/**
+ * createPasswordResetToken(userId)
+ * -----------------------------------------------------------------------------
+ * Returns the raw token to email to the user.
+ */
+async function createPasswordResetToken(userId) {
+  const token = generateOpaqueToken();
+
+  // Only the most recent link should work.
+  await pool.query(
+    `
+    UPDATE password_reset_tokens
+    SET used_at = NOW()
+    WHERE user_id = $1 AND used_at IS NULL
+    `,
+    [userId]
+  );
+
+  await pool.query(
+    `
+    INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
+    VALUES ($1, $2, NOW() + make_interval(mins => $3))
+    `,
+    [userId, hashToken(token), config.passwordResetTtlMinutes]
+  );
+
+  return token;
+}
+
+/**
+ * findPasswordResetUser(token)
+ * -----------------------------------------------------------------------------
+ * Returns { id, username, email } for the owner of a valid, unused token so
+ * the new password can be checked against the account before it is set.
+ * Returns null when the token is unknown, expired or already used.
+ */
+async function findPasswordResetUser(token) {
+  const result = await pool.query(
+    `
+    SELECT u.id, u.username, u.email
+    FROM password_reset_tokens t
+    JOIN users u ON u.id = t.user_id
+    WHERE t.token_hash = $1 AND t.used_at IS NULL AND t.expires_at > NOW()
+    `,
+    [hashToken(token)]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * consumePasswordResetToken(token, db)
+ * -----------------------------------------------------------------------------
+ * Marks the token as used and returns its user id.
+ * Returns null when the token is unknown, expired or already used.
+ * Accepts an optional transaction client.
+ */
+async function consumePasswordResetToken(token, db = pool) {
+  const result = await db.query(
+    `
+    UPDATE password_reset_tokens
+    SET used_at = NOW()
+    WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+    RETURNING user_id
+    `,
+    [hashToken(token)]
+  );
+
+  return result.rows.length > 0 ? result.rows[0].user_id : null;
+}
+
+module.exports = {
+  createPasswordResetToken,
+  findPasswordResetUser,
+  consumePasswordResetToken,
+};
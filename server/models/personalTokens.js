@@ -0,0 +1,187 @@
+/**
+ * models/personalTokens.js
+ * -----------------------------------------------------------------------------
+ * Personal access tokens (API tokens for scripts and automation)
+ *
+ * Purpose:
+ * - Create named tokens with scopes and an optional expiry.
+ * - Resolve a presented token to its user and scopes (authMiddleware).
+ * - List and revoke a user's tokens.
+ *
+ * Token format:
+ *   stm_pat_<random secret>
+ *
+ * Security:
+ * - Only SHA-256 hashes are stored; the raw token is shown once at creation.
+ * - Revoked, expired and disabled-account tokens are rejected.
+ * - last_used_at is updated on every accepted request.
+ * -----------------------------------------------------------------------------
+ */
+
+const pool = require("./db"); // PostgreSQL connection pool
+const { generateOpaqueToken, hashToken } = require("../utils/tokens"); // Random tokens + hashing
+
+const TOKEN_PREFIX = "stm_pat_";
+
+// How much of the token is kept in clear text to identify it in lists.
+const DISPLAY_PREFIX_LENGTH = TOKEN_PREFIX.length + 4;
+
+/**
+ * isPersonalToken(token)
+ * -----------------------------------------------------------------------------
+ * True when a bearer credential looks like a personal access token
+ * (as opposed to a JWT access token).
+ */
+function isPersonalToken(token) {
+  return typeof token === "string" && token.startsWith(TOKEN_PREFIX);
+}
+
+/**
+ * toTokenView(row)
+ * -----------------------------------------------------------------------------
+ * Client-facing shape of a token row (never includes the hash).
+ */
+function toTokenView(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: row.token_prefix,
+    scopes: row.scopes,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    lastUsedAt: row.last_used_at,
+  };
+}
+
+/**
+ * createPersonalToken(userId, { name, scopes, expiresInDays })
+ * -----------------------------------------------------------------------------
+ * expiresInDays: number of days, or null for a token that does not expire.
+ *
+ * Returns { token, personalToken } where token is the raw value (shown once).
+ */
+async function createPersonalToken(userId, { name, scopes, expiresInDays }) {
+  const token = `${TOKEN_PREFIX}${generateOpaqueToken()}`;
+
+  const result = await pool.query(
+    `
+    INSERT INTO personal_access_tokens (user_id, name, token_hash, token_prefix, scopes, expires_at)
+    VALUES ($1, $2, $3, $4, $5,
+            CASE WHEN $6::int IS NULL THEN NULL ELSE NOW() + make_interval(days => $6::int) END)
+    RETURNING id, name, token_prefix, scopes, created_at, expires_at, last_used_at
+    `,
+    [
+      userId,
+      name,
+      hashToken(token),
+      token.slice(0, DISPLAY_PREFIX_LENGTH),
+      scopes,
+      expiresInDays,
+    ]
+  );
+
+  return { token, personalToken: toTokenView(result.rows[0]) };
+}
+
+/**
+ * countActivePersonalTokens(userId)
+ * -----------------------------------------------------------------------------
+ * Number of tokens that are neither revoked nor expired.
+ */
+async function countActivePersonalTokens(userId) {
+  const result = await pool.query(
+    `
+    SELECT COUNT(*) FROM personal_access_tokens
+    WHERE user_id = $1 AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())
+    `,
+    [userId]
+  );
+
+  return Number(result.rows[0].count);
+}
+
+/**
+ * listPersonalTokens(userId)
+ * -----------------------------------------------------------------------------
+ * Active (not revoked, not expired) tokens, newest first.
+ */
+async function listPersonalTokens(userId) {
+  const result = await pool.query(
+    `
+    SELECT id, name, token_prefix, scopes, created_at, expires_at, last_used_at
+    FROM personal_access_tokens
+    WHERE user_id = $1 AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())
+    ORDER BY created_at DESC, id DESC
+    `,
+    [userId]
+  );
+
+  return result.rows.map(toTokenView);
+}
+
+/**
+ * revokePersonalToken(userId, tokenId)
+ * -----------------------------------------------------------------------------
+ * Scoped to the owner, so one user cannot revoke another user's token.
+ * Returns true when a live token was revoked.
+ */
+async function revokePersonalToken(userId, tokenId) {
+  const result = await pool.query(
+    `
+    UPDATE personal_access_tokens
+    SET revoked_at = NOW()
+    WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+    `,
+    [tokenId, userId]
+  );
+
+  return result.rowCount > 0;
+}
+
+/**
+ * usePersonalToken(token)
+ * -----------------------------------------------------------------------------
+ * Used by authMiddleware. Records the use and returns the token's identity.
+ *
+ * Returns:
+ * - { tokenId, userId, scopes, role, emailVerified } for a live token
+ * - null when the token is unknown, revoked or expired, or the account is
+ *   disabled
+ */
+async function usePersonalToken(token) {
+  const result = await pool.query(
+    `
+    UPDATE personal_access_tokens t
+    SET last_used_at = NOW()
+    FROM users u
+    WHERE t.token_hash = $1
+      AND t.revoked_at IS NULL
+      AND (t.expires_at IS NULL OR t.expires_at > NOW())
+      AND u.id = t.user_id
+      AND u.disabled_at IS NULL
+    RETURNING t.id, t.user_id, t.scopes, u.role, u.email_verified_at
+    `,
+    [hashToken(token)]
+  );
+
+  if (result.rows.length === 0) return null;
+
+  const row = result.rows[0];
+
+  return {
+    tokenId: row.id,
+    userId: row.user_id,
+    scopes: row.scopes,
+    role: row.role,
+    emailVerified: row.email_verified_at !== null,
+  };
+}
+
+module.exports = {
+  isPersonalToken,
+  createPersonalToken,
+  countActivePersonalTokens,
+  listPersonalTokens,
+  revokePersonalToken,
+  usePersonalToken,
+};
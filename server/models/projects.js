@@ -0,0 +1,136 @@
+/**
+ * models/projects.js
+ * -----------------------------------------------------------------------------
+ * Projects (named task lists)
+ *
+ * Purpose:
+ * - CRUD for a user's projects (routes/projects.js), with task counts.
+ * - Check that a task's project_id belongs to the user (routes/tasks.js).
+ *
+ * Notes:
+ * - Every query is scoped to the owning user.
+ * - Tasks without a project are in the Inbox (project_id NULL).
+ * - Project names are unique per user regardless of case
+ *   (projects_user_id_name_idx); a duplicate name makes createProject /
+ *   renameProject throw a unique violation (Postgres error 23505).
+ * -----------------------------------------------------------------------------
+ */
+
+const pool = require("./db"); // PostgreSQL connection pool
+
+const PROJECT_COLUMNS = "id, name, created_at";
+
+/**
+ * listProjects(userId)
+ * -----------------------------------------------------------------------------
+ * A-Z, each with task_count and remaining_count (tasks not completed), plus
+ * the same counts for the Inbox.
+ *
+ * Returns:
+ * - { projects: [...], inbox: { task_count, remaining_count } }
+ */
+async function listProjects(userId) {
+  const [projects, inbox] = await Promise.all([
+    pool.query(
+      `
+      SELECT p.id, p.name, p.created_at,
+             COUNT(t.id)::int AS task_count,
+             COUNT(t.id) FILTER (WHERE NOT t.completed)::int AS remaining_count
+      FROM projects p
+      LEFT JOIN tasks t ON t.project_id = p.id AND t.deleted_at IS NULL
+      WHERE p.user_id = $1
+      GROUP BY p.id
+      ORDER BY LOWER(p.name), p.id
+      `,
+      [userId]
+    ),
+    pool.query(
+      `
+      SELECT COUNT(*)::int AS task_count,
+             COUNT(*) FILTER (WHERE NOT completed)::int AS remaining_count
+      FROM tasks
+      WHERE user_id = $1 AND project_id IS NULL AND deleted_at IS NULL
+      `,
+      [userId]
+    ),
+  ]);
+
+  return { projects: projects.rows, inbox: inbox.rows[0] };
+}
+
+/**
+ * createProject(userId, name)
+ * -----------------------------------------------------------------------------
+ * Returns the new project.
+ */
+async function createProject(userId, name) {
+  const result = await pool.query(
+    `
+    INSERT INTO projects (user_id, name)
+    VALUES ($1, $2)
+    RETURNING ${PROJECT_COLUMNS}
+    `,
+    [userId, name]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * renameProject(userId, projectId, name)
+ * -----------------------------------------------------------------------------
+ * Returns the project, or null when it does not exist or belongs to someone
+ * else.
+ */
+async function renameProject(userId, projectId, name) {
+  const result = await pool.query(
+    `
+    UPDATE projects
+    SET name = $3
+    WHERE id = $1 AND user_id = $2
+    RETURNING ${PROJECT_COLUMNS}
+    `,
+    [projectId, userId, name]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * deleteProject(userId, projectId)
+ * -----------------------------------------------------------------------------
+ * Its tasks move to the Inbox (ON DELETE SET NULL). Returns true if a project
+ * was deleted.
+ */
+async function deleteProject(userId, projectId) {
+  const result = await pool.query("DELETE FROM projects WHERE id = $1 AND user_id = $2", [
+    projectId,
+    userId,
+  ]);
+
+  return result.rowCount > 0;
+}
+
+/**
+ * isUserProject(userId, projectId, db)
+ * -----------------------------------------------------------------------------
+ * True if the project exists and belongs to the user. Inside a transaction,
+ * the project row is locked so it cannot be deleted before the caller's
+ * write commits.
+ */
+async function isUserProject(userId, projectId, db = pool) {
+  const result = await db.query(
+    "SELECT id FROM projects WHERE id = $1 AND user_id = $2 FOR SHARE",
+    [projectId, userId]
+  );
+
+  return result.rows.length > 0;
+}
+
+module.exports = {
+  listProjects,
+  createProject,
+  renameProject,
+  deleteProject,
+  isUserProject,
+};
@@ -0,0 +1,105 @@
+/**
+ * models/recurrence.js
+ * -----------------------------------------------------------------------------
+ * Recurring tasks
+ *
+ * Purpose:
+ * - Create the next occurrence of a recurring task once it is completed
+ *   (PUT /api/tasks/:id, or a checklist with auto_complete).
+ *
+ * Notes:
+ * - The next occurrence copies the task (project, priority, tags, checklist
+ *   with every item unchecked, reminder offset) and gets the series' next
+ *   due date after both the completed due date and now; occurrences that
+ *   passed while the task was open are skipped.
+ * - It goes to the top of the manual order, like any new task.
+ * -----------------------------------------------------------------------------
+ */
+
+const pool = require("./db"); // PostgreSQL connection pool
+const { firstPosition } = require("./taskPositions"); // Manual order
+const { nextOccurrence } = require("../utils/recurrence"); // RRULE evaluation
+
+/**
+ * spawnNextOccurrence(userId, taskId, db)
+ * -----------------------------------------------------------------------------
+ * Call in the transaction that may have completed the task. Does nothing
+ * unless the task is completed, recurring, and has no next occurrence yet.
+ *
+ * Returns:
+ * - the new task's id, or null when none was created (including when the
+ *   series has ended)
+ */
+async function spawnNextOccurrence(userId, taskId, db = pool) {
+  const result = await db.query(
+    `
+    SELECT project_id, title, description, priority, due_at, remind_at, auto_complete,
+           recurrence_rule, recurrence_timezone, recurrence_start
+    FROM tasks
+    WHERE user_id = $1 AND id = $2 AND completed
+      AND recurrence_rule IS NOT NULL AND next_occurrence_id IS NULL
+    FOR UPDATE
+    `,
+    [userId, taskId]
+  );
+
+  const task = result.rows[0];
+  if (!task) return null;
+
+  const now = new Date();
+  const dueAt = nextOccurrence(
+    task.recurrence_rule,
+    task.recurrence_timezone,
+    task.recurrence_start,
+    task.due_at > now ? task.due_at : now
+  );
+  if (!dueAt) return null;
+
+  // Same reminder lead time as the completed occurrence.
+  const remindAt = task.remind_at ? new Date(dueAt.getTime() - (task.due_at - task.remind_at)) : null;
+
+  const inserted = await db.query(
+    `
+    INSERT INTO tasks
+      (user_id, project_id, title, description, priority, due_at, remind_at, auto_complete,
+       recurrence_rule, recurrence_timezone, recurrence_start, position)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+    RETURNING id
+    `,
+    [
+      userId,
+      task.project_id,
+      task.title,
+      task.description,
+      task.priority,
+      dueAt,
+      remindAt,
+      task.auto_complete,
+      task.recurrence_rule,
+      task.recurrence_timezone,
+      task.recurrence_start,
+      await firstPosition(userId, db),
+    ]
+  );
+
+  const nextId = inserted.rows[0].id;
+
+  await db.query("INSERT INTO task_tags (task_id, tag_id) SELECT $1, tag_id FROM task_tags WHERE task_id = $2", [
+    nextId,
+    taskId,
+  ]);
+  await db.query(
+    `
+    INSERT INTO task_checklist_items (task_id, title, position)
+    SELECT $1, title, position
+    FROM task_checklist_items
+    WHERE task_id = $2
+    `,
+    [nextId, taskId]
+  );
+  await db.query("UPDATE tasks SET next_occurrence_id = $1 WHERE id = $2", [nextId, taskId]);
+
+  return nextId;
+}
+
+module.exports = { spawnNextOccurrence };
@@ -0,0 +1,383 @@
+-- -----------------------------------------------------------------------------
+-- models/schema.sql
+-- -----------------------------------------------------------------------------
+-- Database schema for Secure Task Manager.
+--
+-- Purpose:
+-- - Document every table the API depends on in one place.
+-- - Allow a fresh database to be created with a single command:
+--     psql "$DATABASE_URL" -f models/schema.sql
+--
+-- Notes:
+-- - Statements are idempotent (IF NOT EXISTS) so the file can be re-run
+--   against an existing database to pick up new tables and columns.
+-- -----------------------------------------------------------------------------
+
+-- Registered accounts.
+CREATE TABLE IF NOT EXISTS users (
+  id            SERIAL PRIMARY KEY,
+  username      VARCHAR(50)  NOT NULL UNIQUE,
+  email         VARCHAR(255) NOT NULL UNIQUE,
+  password_hash TEXT         NOT NULL,
+  created_at    TIMESTAMPTZ  NOT NULL DEFAULT NOW()
+);
+
+-- User-scoped tasks.
+CREATE TABLE IF NOT EXISTS tasks (
+  id          SERIAL PRIMARY KEY,
+  user_id     INTEGER      NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  title       VARCHAR(255) NOT NULL,
+  description TEXT,
+  completed   BOOLEAN      NOT NULL DEFAULT FALSE,
+  created_at  TIMESTAMPTZ  NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS tasks_user_id_idx ON tasks (user_id);
+
+-- Server-side login sessions.
+-- - One row per successful login.
+-- - Only a SHA-256 hash of the current refresh token is stored.
+-- - The hash is replaced on every refresh (rotation); presenting an older
+--   token for the same session is treated as reuse and revokes the session.
+CREATE TABLE IF NOT EXISTS sessions (
+  id                 UUID        PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id            INTEGER     NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  refresh_token_hash CHAR(64)    NOT NULL,
+  created_at         TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_used_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at         TIMESTAMPTZ NOT NULL,
+  revoked_at         TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS sessions_user_id_idx ON sessions (user_id);
+
+-- Password reset tokens.
+-- - Only a SHA-256 hash of the emailed token is stored.
+-- - used_at makes each token single-use; expires_at bounds its lifetime.
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+  id         SERIAL PRIMARY KEY,
+  user_id    INTEGER     NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash CHAR(64)    NOT NULL UNIQUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at    TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS password_reset_tokens_user_id_idx ON password_reset_tokens (user_id);
+
+-- Email verification.
+-- - email_verified_at is NULL until the user opens their verification link.
+-- - The temporary default marks accounts that existed before verification
+--   was introduced as verified; new accounts start unverified.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMPTZ DEFAULT NOW();
+ALTER TABLE users ALTER COLUMN email_verified_at DROP DEFAULT;
+
+-- Email verification tokens (same rules as password reset tokens).
+-- - email records which address the link was sent to; the token only
+--   verifies the account while that is still its address.
+CREATE TABLE IF NOT EXISTS email_verification_tokens (
+  id         SERIAL PRIMARY KEY,
+  user_id    INTEGER      NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  email      VARCHAR(255) NOT NULL,
+  token_hash CHAR(64)     NOT NULL UNIQUE,
+  created_at TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ  NOT NULL,
+  used_at    TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS email_verification_tokens_user_id_idx ON email_verification_tokens (user_id);
+
+-- TOTP two-factor authentication.
+-- - Secrets are stored encrypted (utils/encryption.js), never in plaintext.
+-- - totp_pending_secret holds a secret during enrollment until the user
+--   confirms it with a valid code.
+-- - totp_last_used_step blocks replaying a code that was already accepted.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_pending_secret TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_used_step BIGINT;
+
+-- One-time recovery codes for when the authenticator is unavailable.
+-- Only SHA-256 hashes are stored; each code works once.
+CREATE TABLE IF NOT EXISTS recovery_codes (
+  id         SERIAL PRIMARY KEY,
+  user_id    INTEGER     NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  code_hash  CHAR(64)    NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  used_at    TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS recovery_codes_user_id_idx ON recovery_codes (user_id);
+
+-- Failed sign-in tracking for brute-force protection.
+-- - scope is 'account' (key = normalized email) or 'ip' (key = client IP).
+-- - Accounts are keyed by email rather than user id so unknown addresses
+--   are throttled exactly like real ones (no user enumeration).
+CREATE TABLE IF NOT EXISTS login_throttles (
+  scope          VARCHAR(10)  NOT NULL,
+  key            VARCHAR(255) NOT NULL,
+  failed_count   INTEGER      NOT NULL DEFAULT 0,
+  last_failed_at TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+  locked_until   TIMESTAMPTZ,
+  PRIMARY KEY (scope, key)
+);
+
+-- Audit trail of every lockout that was applied.
+CREATE TABLE IF NOT EXISTS lockout_events (
+  id           SERIAL PRIMARY KEY,
+  scope        VARCHAR(10)  NOT NULL,
+  key          VARCHAR(255) NOT NULL,
+  ip_address   VARCHAR(64),
+  failed_count INTEGER      NOT NULL,
+  locked_until TIMESTAMPTZ  NOT NULL,
+  created_at   TIMESTAMPTZ  NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS lockout_events_created_at_idx ON lockout_events (created_at);
+
+-- Roles and account status.
+-- - role drives permissions (see utils/permissions.js).
+-- - disabled_at is set by an admin; disabled accounts cannot sign in and
+--   their sessions stop working immediately.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'user';
+ALTER TABLE users ADD COLUMN IF NOT EXISTS disabled_at TIMESTAMPTZ;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'users_role_check') THEN
+    ALTER TABLE users ADD CONSTRAINT users_role_check CHECK (role IN ('user', 'admin'));
+  END IF;
+END $$;
+
+-- Personal access tokens for scripts and automation.
+-- - Only SHA-256 hashes are stored; token_prefix is kept so users can tell
+--   tokens apart in the settings page.
+-- - scopes limit what the token may do (see utils/permissions.js).
+-- - expires_at NULL means the token does not expire.
+CREATE TABLE IF NOT EXISTS personal_access_tokens (
+  id           SERIAL PRIMARY KEY,
+  user_id      INTEGER      NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name         VARCHAR(100) NOT NULL,
+  token_hash   CHAR(64)     NOT NULL UNIQUE,
+  token_prefix VARCHAR(20)  NOT NULL,
+  scopes       TEXT[]       NOT NULL,
+  created_at   TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+  expires_at   TIMESTAMPTZ,
+  last_used_at TIMESTAMPTZ,
+  revoked_at   TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS personal_access_tokens_user_id_idx ON personal_access_tokens (user_id);
+
+-- OpenID Connect sign-in: identities at the provider linked to local accounts.
+-- - (issuer, subject) is the provider's stable id for the person; the email
+--   can change at the provider and is kept only for reference.
+CREATE TABLE IF NOT EXISTS user_identities (
+  id            SERIAL PRIMARY KEY,
+  user_id       INTEGER      NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  issuer        VARCHAR(255) NOT NULL,
+  subject       VARCHAR(255) NOT NULL,
+  email         VARCHAR(255),
+  created_at    TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+  last_login_at TIMESTAMPTZ,
+  UNIQUE (issuer, subject)
+);
+
+CREATE INDEX IF NOT EXISTS user_identities_user_id_idx ON user_identities (user_id);
+
+-- In-flight OpenID Connect sign-ins.
+-- - While the user is at the provider: the PKCE code verifier and nonce,
+--   found by the hash of the state parameter.
+-- - After the callback: the account and a single-use login code (hashed)
+--   that the client exchanges for a session.
+CREATE TABLE IF NOT EXISTS oidc_login_requests (
+  id              SERIAL PRIMARY KEY,
+  state_hash      CHAR(64)     NOT NULL UNIQUE,
+  code_verifier   VARCHAR(128) NOT NULL,
+  nonce           VARCHAR(64)  NOT NULL,
+  user_id         INTEGER      REFERENCES users(id) ON DELETE CASCADE,
+  login_code_hash CHAR(64)     UNIQUE,
+  expires_at      TIMESTAMPTZ  NOT NULL,
+  callback_at     TIMESTAMPTZ,
+  completed_at    TIMESTAMPTZ,
+  created_at      TIMESTAMPTZ  NOT NULL DEFAULT NOW()
+);
+
+-- Devices: where each session signed in from.
+-- - user_agent is recorded at sign-in; ip_address is the most recent address
+--   the session was used from.
+-- - last_used_at now tracks authenticated requests ("last seen", to within a
+--   minute), not only refreshes.
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS user_agent VARCHAR(512);
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS ip_address VARCHAR(64);
+
+-- Task due dates and reminders.
+-- - due_at / remind_at are optional, timezone-aware instants.
+-- - reminded_at is set when the reminder scheduler claims a reminder, so each
+--   reminder fires once; changing remind_at clears it again.
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS due_at TIMESTAMPTZ;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS remind_at TIMESTAMPTZ;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS reminded_at TIMESTAMPTZ;
+
+-- Only pending reminders are indexed; the scheduler scans this on every poll.
+CREATE INDEX IF NOT EXISTS tasks_pending_reminder_idx ON tasks (remind_at)
+  WHERE remind_at IS NOT NULL AND reminded_at IS NULL;
+
+-- In-app notifications (e.g. task reminders), shown to the user until read.
+CREATE TABLE IF NOT EXISTS notifications (
+  id         SERIAL PRIMARY KEY,
+  user_id    INTEGER      NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  task_id    INTEGER      REFERENCES tasks(id) ON DELETE SET NULL,
+  kind       VARCHAR(30)  NOT NULL,
+  title      VARCHAR(255) NOT NULL,
+  body       TEXT,
+  created_at TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+  read_at    TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS notifications_user_id_idx ON notifications (user_id, created_at DESC);
+
+-- Task priority and last-modified time (both sortable in GET /api/tasks).
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS priority VARCHAR(10) NOT NULL DEFAULT 'none';
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'tasks_priority_check') THEN
+    ALTER TABLE tasks ADD CONSTRAINT tasks_priority_check
+      CHECK (priority IN ('none', 'low', 'medium', 'high', 'urgent'));
+  END IF;
+END $$;
+
+-- Tags (labels such as "work" or "home"), owned by one user.
+-- - Names are unique per user regardless of case; color is a "#rrggbb" hex.
+-- - task_tags links tags to tasks (many-to-many); deleting either side
+--   removes the link.
+CREATE TABLE IF NOT EXISTS tags (
+  id         SERIAL PRIMARY KEY,
+  user_id    INTEGER     NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name       VARCHAR(32) NOT NULL,
+  color      CHAR(7)     NOT NULL DEFAULT '#8a8f98',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS tags_user_id_name_idx ON tags (user_id, LOWER(name));
+
+CREATE TABLE IF NOT EXISTS task_tags (
+  task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+  tag_id  INTEGER NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+  PRIMARY KEY (task_id, tag_id)
+);
+
+CREATE INDEX IF NOT EXISTS task_tags_tag_id_idx ON task_tags (tag_id);
+
+-- Checklists: ordered steps inside a task, each with its own completed state.
+-- - position orders the steps (0 = first); reordering rewrites it.
+-- - tasks.auto_complete: completing every step completes the task (and
+--   reopening a step reopens it).
+CREATE TABLE IF NOT EXISTS task_checklist_items (
+  id         SERIAL PRIMARY KEY,
+  task_id    INTEGER      NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+  title      VARCHAR(255) NOT NULL,
+  completed  BOOLEAN      NOT NULL DEFAULT FALSE,
+  position   INTEGER      NOT NULL,
+  created_at TIMESTAMPTZ  NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS task_checklist_items_task_id_idx ON task_checklist_items (task_id, position);
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS auto_complete BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Projects (named lists) that group a user's tasks.
+-- - Names are unique per user regardless of case.
+-- - tasks.project_id NULL means the task is in the Inbox; deleting a project
+--   moves its tasks back to the Inbox.
+CREATE TABLE IF NOT EXISTS projects (
+  id         SERIAL PRIMARY KEY,
+  user_id    INTEGER      NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name       VARCHAR(100) NOT NULL,
+  created_at TIMESTAMPTZ  NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS projects_user_id_name_idx ON projects (user_id, LOWER(name));
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS project_id INTEGER REFERENCES projects(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS tasks_user_id_project_id_idx ON tasks (user_id, project_id);
+
+-- Manual task order (sort=position in GET /api/tasks; POST /api/tasks/:id/move).
+-- - Fractional, lowest first: a move only rewrites the moved task
+--   (models/taskPositions.js). Existing tasks start newest first.
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS position DOUBLE PRECISION;
+
+UPDATE tasks t
+SET position = ranked.rank * 1024
+FROM (
+  SELECT id, ROW_NUMBER() OVER (PARTITION BY user_id ORDER BY created_at DESC, id DESC) AS rank
+  FROM tasks
+  WHERE position IS NULL
+) ranked
+WHERE t.id = ranked.id;
+
+ALTER TABLE tasks ALTER COLUMN position SET NOT NULL;
+
+CREATE INDEX IF NOT EXISTS tasks_user_id_position_idx ON tasks (user_id, position);
+
+-- Recurring tasks (utils/recurrence.js).
+-- - recurrence_rule is an RRULE subset; the series starts at recurrence_start
+--   (the due date when the rule was set) and is computed in
+--   recurrence_timezone (IANA name).
+-- - Completing an occurrence creates the next one; next_occurrence_id links
+--   them and stops a second completion from creating another.
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS recurrence_rule VARCHAR(255);
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS recurrence_timezone VARCHAR(64) NOT NULL DEFAULT 'UTC';
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS recurrence_start TIMESTAMPTZ;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS next_occurrence_id INTEGER REFERENCES tasks(id) ON DELETE SET NULL;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'tasks_recurrence_due_check') THEN
+    ALTER TABLE tasks ADD CONSTRAINT tasks_recurrence_due_check
+      CHECK (recurrence_rule IS NULL OR (due_at IS NOT NULL AND recurrence_start IS NOT NULL));
+  END IF;
+END $$;
+
+-- Full-text search (GET /api/tasks/search; models/taskSearch.js).
+-- - The 'simple' configuration (no stemming, no stop words) works for titles
+--   in any language and lets prefix queries match partly typed words.
+-- - Title matches (weight A) rank above description matches (weight B).
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+  GENERATED ALWAYS AS (
+    setweight(to_tsvector('simple', COALESCE(title, '')), 'A') ||
+    setweight(to_tsvector('simple', COALESCE(description, '')), 'B')
+  ) STORED;
+
+CREATE INDEX IF NOT EXISTS tasks_search_vector_idx ON tasks USING GIN (search_vector);
+
+-- Trash (soft delete; models/taskTrash.js).
+-- - DELETE /api/tasks/:id sets deleted_at; every task query skips such rows.
+-- - Trashed tasks are restored by clearing deleted_at, or removed for good
+--   (by the user or after TRASH_RETENTION_DAYS) with their steps and tags.
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS tasks_deleted_at_idx ON tasks (deleted_at)
+  WHERE deleted_at IS NOT NULL;
+
+-- Task revision history (GET /api/tasks/:id/history; models/taskRevisions.js).
+-- - One row per create, update, complete, delete, restore or revert, with the
+--   changed fields as { field: { before, after } } (tag_ids for tags).
+-- - user_id is who made the change; token_id the personal access token used
+--   (NULL for the web app). reverted_to is the revision a revert went back to.
+CREATE TABLE IF NOT EXISTS task_revisions (
+  id          SERIAL PRIMARY KEY,
+  task_id     INTEGER     NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+  user_id     INTEGER     REFERENCES users(id) ON DELETE SET NULL,
+  token_id    INTEGER     REFERENCES personal_access_tokens(id) ON DELETE SET NULL,
+  action      VARCHAR(20) NOT NULL
+              CHECK (action IN ('create', 'update', 'complete', 'delete', 'restore', 'revert')),
+  changes     JSONB       NOT NULL DEFAULT '{}',
+  reverted_to INTEGER     REFERENCES task_revisions(id) ON DELETE SET NULL,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS task_revisions_task_id_idx ON task_revisions (task_id, id DESC);
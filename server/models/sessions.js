@@ -0,0 +1,293 @@
+/**
+ * models/sessions.js
+ * -----------------------------------------------------------------------------
+ * Server-side login sessions
+ *
+ * Purpose:
+ * - Create a session (and first refresh token) on login.
+ * - Rotate the refresh token on every refresh.
+ * - Detect refresh token reuse and revoke the affected session.
+ * - Revoke sessions on logout.
+ * - Revoke every session of a user (e.g. after a password reset).
+ * - List a user's live sessions with their device and last activity, and
+ *   let the user revoke any of them.
+ *
+ * Security:
+ * - Only SHA-256 hashes of refresh tokens are stored.
+ * - Rotation is a single conditional UPDATE, so two concurrent refreshes with
+ *   the same token cannot both succeed.
+ * -----------------------------------------------------------------------------
+ */
+
+const crypto = require("crypto"); // UUID generation
+const pool = require("./db"); // PostgreSQL connection pool
+const config = require("../config"); // Centralized configuration
+const { generateRefreshToken, parseRefreshToken, hashToken } = require("../utils/tokens");
+const { describeUserAgent } = require("../utils/clientInfo"); // Device labels
+
+// How stale "last seen" may get before a request updates it (see
+// findActiveSession).
+const LAST_SEEN_RESOLUTION = "1 minute";
+
+/**
+ * createSession(userId, { userAgent, ipAddress })
+ * -----------------------------------------------------------------------------
+ * Inserts a new session for the user, recording the device it signed in from
+ * (see utils/clientInfo.js).
+ *
+ * Returns:
+ * - { sessionId, refreshToken } (the raw refresh token is never stored)
+ */
+async function createSession(userId, { userAgent = null, ipAddress = null } = {}) {
+  const sessionId = crypto.randomUUID();
+  const refreshToken = generateRefreshToken(sessionId);
+
+  await pool.query(
+    `
+    INSERT INTO sessions (id, user_id, refresh_token_hash, expires_at, user_agent, ip_address)
+    VALUES ($1, $2, $3, NOW() + make_interval(days => $4), $5, $6)
+    `,
+    [
+      sessionId,
+      userId,
+      hashToken(refreshToken),
+      config.refreshTokenTtlDays,
+      userAgent,
+      ipAddress,
+    ]
+  );
+
+  return { sessionId, refreshToken };
+}
+
+/**
+ * rotateSession(refreshToken, { ipAddress })
+ * -----------------------------------------------------------------------------
+ * Exchanges a refresh token for a new one (and records the address it came from).
+ *
+ * Returns one of:
+ * - { ok: true, userId, sessionId, refreshToken }
+ * - { ok: false, reason: "invalid" }  unknown, expired or revoked session
+ * - { ok: false, reason: "reused" }   an already-rotated token was presented;
+ *                                     the session has been revoked
+ */
+async function rotateSession(refreshToken, { ipAddress = null } = {}) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return { ok: false, reason: "invalid" };
+
+  const { sessionId } = parsed;
+  const nextToken = generateRefreshToken(sessionId);
+
+  // Only succeeds when the presented token is the CURRENT one for a live session.
+  const rotated = await pool.query(
+    `
+    UPDATE sessions
+    SET refresh_token_hash = $1, last_used_at = NOW(), ip_address = COALESCE($4, ip_address)
+    WHERE id = $2
+      AND refresh_token_hash = $3
+      AND revoked_at IS NULL
+      AND expires_at > NOW()
+    RETURNING user_id
+    `,
+    [hashToken(nextToken), sessionId, hashToken(refreshToken), ipAddress]
+  );
+
+  if (rotated.rows.length > 0) {
+    return {
+      ok: true,
+      userId: rotated.rows[0].user_id,
+      sessionId,
+      refreshToken: nextToken,
+    };
+  }
+
+  // The session is still live but the token did not match: it was already
+  // rotated, so someone is replaying an old token. Kill the whole session.
+  const reused = await pool.query(
+    `
+    UPDATE sessions
+    SET revoked_at = NOW()
+    WHERE id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+    RETURNING user_id
+    `,
+    [sessionId]
+  );
+
+  if (reused.rows.length > 0) {
+    console.warn(
+      `REFRESH TOKEN REUSE: session ${sessionId} (user ${reused.rows[0].user_id}) revoked.`
+    );
+    return { ok: false, reason: "reused" };
+  }
+
+  return { ok: false, reason: "invalid" };
+}
+
+/**
+ * revokeSessionByRefreshToken(refreshToken)
+ * -----------------------------------------------------------------------------
+ * Revokes the session a refresh token belongs to (logout).
+ * Requires the current token so a stale or guessed id cannot end a session.
+ *
+ * Returns true when a live session was revoked.
+ */
+async function revokeSessionByRefreshToken(refreshToken) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return false;
+
+  const result = await pool.query(
+    `
+    UPDATE sessions
+    SET revoked_at = NOW()
+    WHERE id = $1 AND refresh_token_hash = $2 AND revoked_at IS NULL
+    RETURNING id
+    `,
+    [parsed.sessionId, hashToken(refreshToken)]
+  );
+
+  return result.rows.length > 0;
+}
+
+/**
+ * revokeAllUserSessions(userId, db)
+ * -----------------------------------------------------------------------------
+ * Revokes every live session of a user.
+ * Accepts an optional transaction client so it can run alongside other writes.
+ *
+ * Returns the number of sessions revoked.
+ */
+async function revokeAllUserSessions(userId, db = pool) {
+  const result = await db.query(
+    `
+    UPDATE sessions
+    SET revoked_at = NOW()
+    WHERE user_id = $1 AND revoked_at IS NULL
+    `,
+    [userId]
+  );
+
+  return result.rowCount;
+}
+
+/**
+ * findActiveSession(sessionId, userId, ipAddress)
+ * -----------------------------------------------------------------------------
+ * Used by authMiddleware so revoked sessions stop working immediately,
+ * not only when their access token expires. Also records the request as the
+ * session's last activity ("last seen" in the sessions list).
+ *
+ * The check is a plain read; the session row is only written when "last
+ * seen" is more than LAST_SEEN_RESOLUTION old or the IP address changed, so
+ * a burst of API calls does not write (and lock) the row on every request.
+ *
+ * Returns:
+ * - { emailVerified, role } for a live session (account state read fresh
+ *   per request, so role changes apply immediately)
+ * - null when the session is unknown, revoked or expired, or the account
+ *   has been disabled
+ */
+async function findActiveSession(sessionId, userId, ipAddress = null) {
+  const result = await pool.query(
+    `
+    SELECT u.email_verified_at, u.role,
+           (s.last_used_at < NOW() - $4::interval
+            OR ($3::varchar IS NOT NULL AND s.ip_address IS DISTINCT FROM $3)) AS needs_touch
+    FROM sessions s
+    JOIN users u ON u.id = s.user_id
+    WHERE s.id = $1 AND s.user_id = $2 AND s.revoked_at IS NULL AND s.expires_at > NOW()
+      AND u.disabled_at IS NULL
+    `,
+    [sessionId, userId, ipAddress, LAST_SEEN_RESOLUTION]
+  );
+
+  if (result.rows.length === 0) return null;
+
+  if (result.rows[0].needs_touch) {
+    await pool.query(
+      "UPDATE sessions SET last_used_at = NOW(), ip_address = COALESCE($2, ip_address) WHERE id = $1",
+      [sessionId, ipAddress]
+    );
+  }
+
+  return {
+    emailVerified: result.rows[0].email_verified_at !== null,
+    role: result.rows[0].role,
+  };
+}
+
+/**
+ * listActiveSessions(userId)
+ * -----------------------------------------------------------------------------
+ * Live (not revoked, not expired) sessions, most recently active first.
+ * Never includes refresh token hashes.
+ */
+async function listActiveSessions(userId) {
+  const result = await pool.query(
+    `
+    SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+    FROM sessions
+    WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+    ORDER BY last_used_at DESC, created_at DESC
+    `,
+    [userId]
+  );
+
+  return result.rows.map((row) => ({
+    id: row.id,
+    device: describeUserAgent(row.user_agent),
+    userAgent: row.user_agent,
+    ipAddress: row.ip_address,
+    createdAt: row.created_at,
+    lastSeenAt: row.last_used_at,
+    expiresAt: row.expires_at,
+  }));
+}
+
+/**
+ * revokeUserSession(userId, sessionId)
+ * -----------------------------------------------------------------------------
+ * Scoped to the owner, so one user cannot end another user's session.
+ * Returns true when a live session was revoked.
+ */
+async function revokeUserSession(userId, sessionId) {
+  const result = await pool.query(
+    `
+    UPDATE sessions
+    SET revoked_at = NOW()
+    WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL AND expires_at > NOW()
+    `,
+    [sessionId, userId]
+  );
+
+  return result.rowCount > 0;
+}
+
+/**
+ * revokeOtherUserSessions(userId, currentSessionId)
+ * -----------------------------------------------------------------------------
+ * "Sign out everywhere else": revokes every live session except the current one.
+ * Returns the number of sessions revoked.
+ */
+async function revokeOtherUserSessions(userId, currentSessionId) {
+  const result = await pool.query(
+    `
+    UPDATE sessions
+    SET revoked_at = NOW()
+    WHERE user_id = $1 AND id <> $2 AND revoked_at IS NULL
+    `,
+    [userId, currentSessionId]
+  );
+
+  return result.rowCount;
+}
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeSessionByRefreshToken,
+  revokeAllUserSessions,
+  findActiveSession,
+  listActiveSessions,
+  revokeUserSession,
+  revokeOtherUserSessions,
+};
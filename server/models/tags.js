@@ -0,0 +1,150 @@
+/**
+ * models/tags.js
+ * -----------------------------------------------------------------------------
+ * Task tags
+ *
+ * Purpose:
+ * - CRUD for a user's tags (routes/tags.js).
+ * - Check and replace the set of tags on a task (routes/tasks.js).
+ *
+ * Notes:
+ * - Every query is scoped to the owning user.
+ * - Tag names are unique per user regardless of case (tags_user_id_name_idx);
+ *   a duplicate name makes createTag / updateTag throw a unique violation
+ *   (Postgres error 23505).
+ * -----------------------------------------------------------------------------
+ */
+
+const pool = require("./db"); // PostgreSQL connection pool
+
+const TAG_COLUMNS = "id, name, color, created_at";
+
+// SQL for a task's tags as a JSON array, for use in a task SELECT / RETURNING
+// list (the task row must be visible as "tasks").
+const TASK_TAGS_SQL = `
+  COALESCE((
+    SELECT json_agg(json_build_object('id', tg.id, 'name', tg.name, 'color', tg.color)
+                    ORDER BY LOWER(tg.name))
+    FROM task_tags tt
+    JOIN tags tg ON tg.id = tt.tag_id
+    WHERE tt.task_id = tasks.id
+  ), '[]'::json) AS tags`;
+
+/**
+ * listTags(userId)
+ * -----------------------------------------------------------------------------
+ * A-Z, each with the number of tasks using it (task_count).
+ */
+async function listTags(userId) {
+  const result = await pool.query(
+    `
+    SELECT tg.id, tg.name, tg.color, tg.created_at, COUNT(t.id)::int AS task_count
+    FROM tags tg
+    LEFT JOIN task_tags tt ON tt.tag_id = tg.id
+    LEFT JOIN tasks t ON t.id = tt.task_id AND t.deleted_at IS NULL
+    WHERE tg.user_id = $1
+    GROUP BY tg.id
+    ORDER BY LOWER(tg.name), tg.id
+    `,
+    [userId]
+  );
+
+  return result.rows;
+}
+
+/**
+ * createTag(userId, { name, color })
+ * -----------------------------------------------------------------------------
+ * Returns the new tag. color falls back to the column default.
+ */
+async function createTag(userId, { name, color }) {
+  const result = await pool.query(
+    `
+    INSERT INTO tags (user_id, name, color)
+    VALUES ($1, $2, COALESCE($3, '#8a8f98'))
+    RETURNING ${TAG_COLUMNS}
+    `,
+    [userId, name, color ?? null]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * updateTag(userId, tagId, { name, color })
+ * -----------------------------------------------------------------------------
+ * Changes the provided fields. Returns the tag, or null when it does not
+ * exist or belongs to someone else.
+ */
+async function updateTag(userId, tagId, { name, color }) {
+  const result = await pool.query(
+    `
+    UPDATE tags
+    SET name = COALESCE($3, name), color = COALESCE($4, color)
+    WHERE id = $1 AND user_id = $2
+    RETURNING ${TAG_COLUMNS}
+    `,
+    [tagId, userId, name ?? null, color ?? null]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * deleteTag(userId, tagId)
+ * -----------------------------------------------------------------------------
+ * Removes the tag from every task too. Returns true if a tag was deleted.
+ */
+async function deleteTag(userId, tagId) {
+  const result = await pool.query("DELETE FROM tags WHERE id = $1 AND user_id = $2", [
+    tagId,
+    userId,
+  ]);
+
+  return result.rowCount > 0;
+}
+
+/**
+ * findUnknownTagIds(userId, tagIds, db)
+ * -----------------------------------------------------------------------------
+ * Returns the ids in tagIds that are not tags of this user (empty when all
+ * are valid).
+ */
+async function findUnknownTagIds(userId, tagIds, db = pool) {
+  if (tagIds.length === 0) return [];
+
+  const result = await db.query("SELECT id FROM tags WHERE user_id = $1 AND id = ANY($2::int[])", [
+    userId,
+    tagIds,
+  ]);
+
+  const ownedIds = new Set(result.rows.map((row) => row.id));
+  return tagIds.filter((id) => !ownedIds.has(id));
+}
+
+/**
+ * replaceTaskTags(taskId, tagIds, db)
+ * -----------------------------------------------------------------------------
+ * Replaces the task's tags with tagIds. The caller checks first that the task
+ * and tags belong to the same user (findUnknownTagIds), in one transaction.
+ */
+async function replaceTaskTags(taskId, tagIds, db = pool) {
+  await db.query("DELETE FROM task_tags WHERE task_id = $1", [taskId]);
+
+  if (tagIds.length > 0) {
+    await db.query("INSERT INTO task_tags (task_id, tag_id) SELECT $1, UNNEST($2::int[])", [
+      taskId,
+      tagIds,
+    ]);
+  }
+}
+
+module.exports = {
+  TASK_TAGS_SQL,
+  listTags,
+  createTag,
+  updateTag,
+  deleteTag,
+  findUnknownTagIds,
+  replaceTaskTags,
+};
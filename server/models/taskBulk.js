@@ -0,0 +1,220 @@
+/**
+ * models/taskBulk.js
+ * -----------------------------------------------------------------------------
+ * Bulk task operations (POST /api/tasks/bulk)
+ *
+ * Purpose:
+ * - Run a list of operations (update, complete, delete, restore) over task
+ *   ids or a filter, all or nothing.
+ * - Report what happened to every task.
+ *
+ * Notes:
+ * - Operations run in order, each on the result of the previous ones (a
+ *   filter sees tasks completed by an earlier operation).
+ * - On the first failure every change made by earlier operations is rolled
+ *   back (to a savepoint) before the failure is returned, so the caller can
+ *   still commit.
+ * - Completing a recurring task creates its next occurrence, as in
+ *   PUT /api/tasks/:id.
+ * - delete moves tasks to the trash (taskTrash.js) and restore takes them
+ *   back out; only restore sees trashed tasks.
+ * - Every operation records a revision for each task it changed
+ *   (taskRevisions.js), so a bulk change shows in each task's history.
+ * -----------------------------------------------------------------------------
+ */
+
+const pool = require("./db"); // PostgreSQL connection pool
+const { addTaskFilters, findTasks } = require("./tasks"); // Task filters and columns
+const { isUserProject } = require("./projects"); // Task projects
+const { spawnNextOccurrence } = require("./recurrence"); // Recurring tasks
+const { trashTasks, restoreTasks } = require("./taskTrash"); // Trash
+const { snapshotTasks, recordChanges } = require("./taskRevisions"); // Revision history
+
+// Most tasks one filter may match (ids are capped by the request schema).
+const BULK_MAX_FILTER_TASKS = 1000;
+
+/**
+ * resolveTargets(userId, { action, ids, filter }, db)
+ * -----------------------------------------------------------------------------
+ * Locks the tasks an operation applies to: trashed tasks for restore, the
+ * others for every other action.
+ *
+ * Returns:
+ * - { ids } (ascending)
+ * - { missingIds } when some of the given ids are not the user's tasks
+ * - { tooMany: true } when the filter matches more than BULK_MAX_FILTER_TASKS
+ */
+async function resolveTargets(userId, { action, ids, filter }, db) {
+  const trashCondition = action === "restore" ? "deleted_at IS NOT NULL" : "deleted_at IS NULL";
+
+  if (ids) {
+    const result = await db.query(
+      `SELECT id FROM tasks WHERE user_id = $1 AND id = ANY($2::int[]) AND ${trashCondition} ORDER BY id FOR UPDATE`,
+      [userId, ids]
+    );
+    const found = result.rows.map((row) => row.id);
+    const missingIds = ids.filter((id) => !found.includes(id));
+
+    return missingIds.length > 0 ? { missingIds } : { ids: found };
+  }
+
+  const conditions = ["user_id = $1", trashCondition];
+  const values = [userId];
+  addTaskFilters(filter, conditions, values);
+
+  values.push(BULK_MAX_FILTER_TASKS + 1);
+  const result = await db.query(
+    `
+    SELECT id
+    FROM tasks
+    WHERE ${conditions.join(" AND ")}
+    ORDER BY id
+    LIMIT $${values.length}
+    FOR UPDATE
+    `,
+    values
+  );
+
+  if (result.rows.length > BULK_MAX_FILTER_TASKS) return { tooMany: true };
+  return { ids: result.rows.map((row) => row.id) };
+}
+
+/**
+ * updateTasks(userId, ids, changes, db)
+ * -----------------------------------------------------------------------------
+ * Applies validated changes (completed, priority, due_at, remind_at,
+ * project_id) to the tasks. Returns the ids of the next occurrences created
+ * by completing recurring tasks, keyed by task id.
+ */
+async function updateTasks(userId, ids, changes, db) {
+  const updates = [];
+  const values = [];
+
+  for (const column of ["completed", "priority", "due_at", "remind_at", "project_id"]) {
+    if (changes[column] === undefined) continue;
+    values.push(changes[column]);
+    updates.push(`${column} = $${values.length}`);
+  }
+
+  // Setting remind_at (re)arms the reminder.
+  if (changes.remind_at !== undefined) updates.push("reminded_at = NULL");
+  updates.push("updated_at = NOW()");
+
+  values.push(userId, ids);
+  await db.query(
+    `
+    UPDATE tasks
+    SET ${updates.join(", ")}
+    WHERE user_id = $${values.length - 1} AND id = ANY($${values.length}::int[])
+    `,
+    values
+  );
+
+  const nextIds = new Map();
+  if (changes.completed) {
+    for (const id of ids) {
+      const nextId = await spawnNextOccurrence(userId, id, db);
+      if (nextId) nextIds.set(id, nextId);
+    }
+  }
+
+  return nextIds;
+}
+
+/**
+ * runBulkOperations(actor, operations, db)
+ * -----------------------------------------------------------------------------
+ * Runs validated operations (bulkTasksSchema) in order for actor
+ * (revisionActor()). Call inside a transaction.
+ *
+ * Returns:
+ * - { results, tasks, deletedIds } on success. results lists every task of
+ *   every operation as { operation (index), action, id, status: "updated" |
+ *   "deleted" | "restored", next_task_id? }; tasks are the updated and
+ *   restored tasks and the new occurrences, as they are after all
+ *   operations; deletedIds are the tasks left in the trash.
+ * - { notFound: [{ operation, action, id, status: "not_found" }] }
+ * - { unknownProject: index } when an update's project_id is not the user's
+ * - { tooMany: index } when a filter matches too many tasks
+ *   (nothing is changed in these cases)
+ */
+async function runBulkOperations(actor, operations, db = pool) {
+  const { userId } = actor;
+  await db.query("SAVEPOINT bulk_operations");
+
+  async function fail(outcome) {
+    await db.query("ROLLBACK TO SAVEPOINT bulk_operations");
+    return outcome;
+  }
+
+  const results = [];
+  const touchedIds = new Set();
+  const deletedIds = new Set();
+
+  for (const [index, operation] of operations.entries()) {
+    const { action } = operation;
+    const targets = await resolveTargets(userId, operation, db);
+
+    if (targets.tooMany) return fail({ tooMany: index });
+    if (targets.missingIds) {
+      return fail({
+        notFound: targets.missingIds.map((id) => ({ operation: index, action, id, status: "not_found" })),
+      });
+    }
+
+    const before = await snapshotTasks(userId, targets.ids, db);
+
+    if (action === "delete") {
+      await trashTasks(userId, targets.ids, db);
+      await recordChanges(actor, before, targets.ids, db, { action });
+
+      for (const id of targets.ids) {
+        results.push({ operation: index, action, id, status: "deleted" });
+        touchedIds.delete(id);
+        deletedIds.add(id);
+      }
+      continue;
+    }
+
+    if (action === "restore") {
+      await restoreTasks(userId, targets.ids, db);
+      await recordChanges(actor, before, targets.ids, db, { action });
+
+      for (const id of targets.ids) {
+        results.push({ operation: index, action, id, status: "restored" });
+        deletedIds.delete(id);
+        touchedIds.add(id);
+      }
+      continue;
+    }
+
+    const changes = action === "complete" ? { completed: true } : operation.changes;
+    if (changes.project_id != null && !(await isUserProject(userId, changes.project_id, db))) {
+      return fail({ unknownProject: index });
+    }
+
+    const nextIds = targets.ids.length > 0 ? await updateTasks(userId, targets.ids, changes, db) : new Map();
+    await recordChanges(actor, before, [...targets.ids, ...nextIds.values()], db);
+
+    for (const id of targets.ids) {
+      const result = { operation: index, action, id, status: "updated" };
+      if (nextIds.has(id)) {
+        result.next_task_id = nextIds.get(id);
+        touchedIds.add(nextIds.get(id));
+      }
+
+      results.push(result);
+      touchedIds.add(id);
+    }
+  }
+
+  await db.query("RELEASE SAVEPOINT bulk_operations");
+
+  return {
+    results,
+    tasks: touchedIds.size > 0 ? await findTasks(userId, [...touchedIds], db) : [],
+    deletedIds: [...deletedIds],
+  };
+}
+
+module.exports = { BULK_MAX_FILTER_TASKS, runBulkOperations };
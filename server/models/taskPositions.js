@@ -0,0 +1,157 @@
+/**
+ * models/taskPositions.js
+ * -----------------------------------------------------------------------------
+ * Manual task order (drag and drop)
+ *
+ * Purpose:
+ * - Give new tasks a position (at the top of the user's list).
+ * - Move a task between two neighbors.
+ *
+ * Notes:
+ * - tasks.position is fractional: a move writes only the moved task, placing
+ *   it halfway between its new neighbors. When repeated moves into the same
+ *   gap exhaust the precision, the user's tasks are renumbered once
+ *   (POSITION_STEP apart) and the move is retried.
+ * - Positions are per user, across projects; a filtered list (one project or
+ *   tag) keeps its relative order.
+ * -----------------------------------------------------------------------------
+ */
+
+const pool = require("./db"); // PostgreSQL connection pool
+
+// Gap between neighbors for new tasks and after renumbering.
+const POSITION_STEP = 1024;
+
+// Smallest gap still split in two; below it the list is renumbered.
+const MIN_POSITION_GAP = 1e-6;
+
+/**
+ * firstPosition(userId, db)
+ * -----------------------------------------------------------------------------
+ * Position that puts a new task above all of the user's tasks.
+ */
+async function firstPosition(userId, db = pool) {
+  const result = await db.query(
+    "SELECT COALESCE(MIN(position), 0) - $2 AS position FROM tasks WHERE user_id = $1",
+    [userId, POSITION_STEP]
+  );
+
+  return result.rows[0].position;
+}
+
+/**
+ * findGap(userId, taskId, { afterId, beforeId }, db)
+ * -----------------------------------------------------------------------------
+ * Positions the moved task must fall between ({ low, high }). A missing
+ * neighbor is the task next to the given one (ignoring the moved task), or
+ * one POSITION_STEP beyond the end of the list.
+ */
+async function findGap(userId, taskId, { afterId, beforeId }, db) {
+  const ids = [afterId, beforeId].filter((id) => id != null);
+  const result = await db.query(
+    "SELECT id, position FROM tasks WHERE user_id = $1 AND id = ANY($2::int[]) AND deleted_at IS NULL",
+    [userId, ids]
+  );
+  const positionOf = new Map(result.rows.map((row) => [row.id, row.position]));
+
+  let low = afterId != null ? positionOf.get(afterId) : null;
+  let high = beforeId != null ? positionOf.get(beforeId) : null;
+
+  if (low === null) {
+    const previous = await db.query(
+      "SELECT MAX(position) AS position FROM tasks WHERE user_id = $1 AND id <> $2 AND position < $3 AND deleted_at IS NULL",
+      [userId, taskId, high]
+    );
+    low = previous.rows[0].position ?? high - POSITION_STEP;
+  }
+
+  if (high === null) {
+    const next = await db.query(
+      "SELECT MIN(position) AS position FROM tasks WHERE user_id = $1 AND id <> $2 AND position > $3 AND deleted_at IS NULL",
+      [userId, taskId, low]
+    );
+    high = next.rows[0].position ?? low + POSITION_STEP;
+  }
+
+  return { low, high };
+}
+
+/**
+ * midpoint({ low, high })
+ * -----------------------------------------------------------------------------
+ * A position strictly between low and high, or null when the gap is too
+ * small to split.
+ */
+function midpoint({ low, high }) {
+  const middle = low + (high - low) / 2;
+  return high - low >= MIN_POSITION_GAP && middle > low && middle < high ? middle : null;
+}
+
+/**
+ * renumberPositions(userId, db)
+ * -----------------------------------------------------------------------------
+ * Spreads the user's tasks POSITION_STEP apart, keeping their order.
+ */
+async function renumberPositions(userId, db) {
+  await db.query(
+    `
+    UPDATE tasks t
+    SET position = ranked.rank * $2
+    FROM (
+      SELECT id, ROW_NUMBER() OVER (ORDER BY position, id) AS rank
+      FROM tasks
+      WHERE user_id = $1
+    ) ranked
+    WHERE t.id = ranked.id
+    `,
+    [userId, POSITION_STEP]
+  );
+}
+
+/**
+ * moveTask(userId, taskId, { afterId, beforeId }, db)
+ * -----------------------------------------------------------------------------
+ * Places the task right after afterId and/or right before beforeId (at least
+ * one is given; both are the user's tasks other than the moved one, and none
+ * of the three is in the trash). Run it
+ * in a transaction: the moved task and its neighbors stay locked until it
+ * ends.
+ *
+ * Returns:
+ * - { position } on success
+ * - { notFound: true } when the task is not the user's
+ * - { unknownNeighbor: "after_id" | "before_id" } when a neighbor is not
+ * - { outOfOrder: true } when afterId does not come before beforeId
+ */
+async function moveTask(userId, taskId, { afterId = null, beforeId = null }, db = pool) {
+  const ids = [taskId, afterId, beforeId].filter((id) => id != null);
+  const locked = await db.query(
+    "SELECT id, position FROM tasks WHERE user_id = $1 AND id = ANY($2::int[]) AND deleted_at IS NULL ORDER BY id FOR UPDATE",
+    [userId, ids]
+  );
+  const positionOf = new Map(locked.rows.map((row) => [row.id, row.position]));
+
+  if (!positionOf.has(taskId)) return { notFound: true };
+  if (afterId != null && !positionOf.has(afterId)) return { unknownNeighbor: "after_id" };
+  if (beforeId != null && !positionOf.has(beforeId)) return { unknownNeighbor: "before_id" };
+
+  if (afterId != null && beforeId != null && positionOf.get(afterId) > positionOf.get(beforeId)) {
+    return { outOfOrder: true };
+  }
+
+  let position = midpoint(await findGap(userId, taskId, { afterId, beforeId }, db));
+
+  if (position === null) {
+    await renumberPositions(userId, db);
+    position = midpoint(await findGap(userId, taskId, { afterId, beforeId }, db));
+
+    // Neighbors that shared a position and were given in the wrong order.
+    if (position === null) return { outOfOrder: true };
+  }
+
+  await db.query("UPDATE tasks SET position = $1 WHERE id = $2", [position, taskId]);
+
+  return { position };
+}
+
+module.exports = { firstPosition, moveTask };
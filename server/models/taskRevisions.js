@@ -0,0 +1,293 @@
+/**
+ * models/taskRevisions.js
+ * -----------------------------------------------------------------------------
+ * Task revision history
+ *
+ * Purpose:
+ * - Record every change to a task (create, update, complete, delete, restore,
+ *   revert) with who made it and a field-level before/after diff.
+ * - List a task's history (GET /api/tasks/:id/history).
+ * - Revert a task to how it was right after one of its revisions.
+ *
+ * Notes:
+ * - Callers snapshot the tasks before a change and call recordChanges() after
+ *   it, in the same transaction, so the diff is exactly what the change did.
+ * - Only TRACKED_FIELDS are compared; tags are tracked as tag_ids (sorted).
+ *   Positions, reminders already sent and checklist items are not.
+ * - The history goes when the task is purged (ON DELETE CASCADE).
+ * -----------------------------------------------------------------------------
+ */
+
+const pool = require("./db"); // PostgreSQL connection pool
+const { findUnknownTagIds, replaceTaskTags } = require("./tags"); // Task tags
+const { isUserProject } = require("./projects"); // Task projects
+const { lockUserTask } = require("./checklist"); // Locks a live task
+
+// Task fields compared between snapshots.
+const TRACKED_FIELDS = [
+  "title",
+  "description",
+  "completed",
+  "priority",
+  "due_at",
+  "remind_at",
+  "project_id",
+  "auto_complete",
+  "recurrence_rule",
+  "recurrence_timezone",
+  "tag_ids",
+];
+
+// What a new task is compared against, so its "create" revision lists only
+// the fields that were set.
+const EMPTY_TASK = {
+  title: null,
+  description: null,
+  completed: false,
+  priority: "none",
+  due_at: null,
+  remind_at: null,
+  project_id: null,
+  auto_complete: false,
+  recurrence_rule: null,
+  recurrence_timezone: "UTC",
+  tag_ids: [],
+};
+
+/**
+ * revisionActor(user)
+ * -----------------------------------------------------------------------------
+ * Who is making a change, from req.user: { userId, tokenId } (tokenId is
+ * null unless a personal access token is used).
+ */
+function revisionActor(user) {
+  return { userId: user.userId, tokenId: user.tokenId ?? null };
+}
+
+/**
+ * snapshotTasks(userId, taskIds, db)
+ * -----------------------------------------------------------------------------
+ * The TRACKED_FIELDS of the user's tasks among taskIds (trashed ones
+ * included), as a Map by id. Dates are ISO strings, so snapshots compare and
+ * store as JSON.
+ */
+async function snapshotTasks(userId, taskIds, db = pool) {
+  const result = await db.query(
+    `
+    SELECT id, title, description, completed, priority, due_at, remind_at, project_id,
+           auto_complete, recurrence_rule, recurrence_timezone,
+           ARRAY(SELECT tag_id FROM task_tags WHERE task_id = tasks.id ORDER BY tag_id) AS tag_ids
+    FROM tasks
+    WHERE user_id = $1 AND id = ANY($2::int[])
+    `,
+    [userId, taskIds]
+  );
+
+  return new Map(
+    result.rows.map(({ id, due_at, remind_at, ...fields }) => [
+      id,
+      {
+        ...fields,
+        due_at: due_at ? due_at.toISOString() : null,
+        remind_at: remind_at ? remind_at.toISOString() : null,
+      },
+    ])
+  );
+}
+
+/**
+ * diffTask(before, after)
+ * -----------------------------------------------------------------------------
+ * { field: { before, after } } for every tracked field that differs.
+ */
+function diffTask(before, after) {
+  const changes = {};
+
+  for (const field of TRACKED_FIELDS) {
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      changes[field] = { before: before[field], after: after[field] };
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * recordChanges(actor, before, taskIds, db, { action, revertedTo })
+ * -----------------------------------------------------------------------------
+ * Snapshots taskIds again and records a revision for each task that changed
+ * since `before` (a snapshotTasks() Map). Tasks missing from `before` were
+ * created.
+ *
+ * action:
+ * - omitted: "create", "complete" (completed went from false to true) or
+ *   "update", per task; tasks without changes get no revision
+ * - "delete", "restore" or "revert": recorded for every task, even without
+ *   field changes (revertedTo: the revision a revert went back to)
+ */
+async function recordChanges(actor, before, taskIds, db = pool, { action, revertedTo = null } = {}) {
+  const after = await snapshotTasks(actor.userId, taskIds, db);
+  const revisions = [];
+
+  for (const [taskId, state] of after) {
+    const previous = before.get(taskId);
+    const changes = diffTask(previous ?? EMPTY_TASK, state);
+
+    let taskAction = action;
+    if (!taskAction) {
+      if (!previous) taskAction = "create";
+      else if (changes.completed?.after === true) taskAction = "complete";
+      else if (Object.keys(changes).length > 0) taskAction = "update";
+      else continue;
+    }
+
+    revisions.push({ taskId, action: taskAction, changes });
+  }
+
+  if (revisions.length === 0) return;
+
+  await db.query(
+    `
+    INSERT INTO task_revisions (task_id, user_id, token_id, action, changes, reverted_to)
+    SELECT r.task_id, $1, $2, r.action, r.changes::jsonb, $6
+    FROM UNNEST($3::int[], $4::text[], $5::text[]) AS r (task_id, action, changes)
+    `,
+    [
+      actor.userId,
+      actor.tokenId,
+      revisions.map((r) => r.taskId),
+      revisions.map((r) => r.action),
+      revisions.map((r) => JSON.stringify(r.changes)),
+      revertedTo,
+    ]
+  );
+}
+
+/**
+ * listRevisions(userId, taskId, { limit, before })
+ * -----------------------------------------------------------------------------
+ * The task's revisions, newest first, older than the revision id `before`
+ * when given. Works for trashed tasks too.
+ *
+ * Returns:
+ * - { revisions: [{ id, action, changes, reverted_to, created_at,
+ *     actor: { user_id, username, token: { id, name } | null } }],
+ *     nextBefore } (nextBefore: pass as before for older revisions; null
+ *   when there are none)
+ * - { notFound: true } when the task is not the user's
+ */
+async function listRevisions(userId, taskId, { limit, before }) {
+  const task = await pool.query("SELECT id FROM tasks WHERE user_id = $1 AND id = $2", [userId, taskId]);
+  if (task.rows.length === 0) return { notFound: true };
+
+  // One extra row tells whether there are older revisions.
+  const result = await pool.query(
+    `
+    SELECT r.id, r.action, r.changes, r.reverted_to, r.created_at,
+           r.user_id, u.username, r.token_id, pat.name AS token_name
+    FROM task_revisions r
+    LEFT JOIN users u ON u.id = r.user_id
+    LEFT JOIN personal_access_tokens pat ON pat.id = r.token_id
+    WHERE r.task_id = $1 AND ($2::int IS NULL OR r.id < $2)
+    ORDER BY r.id DESC
+    LIMIT $3
+    `,
+    [taskId, before ?? null, limit + 1]
+  );
+
+  const rows = result.rows.slice(0, limit);
+
+  return {
+    revisions: rows.map((row) => ({
+      id: row.id,
+      action: row.action,
+      changes: row.changes,
+      reverted_to: row.reverted_to,
+      created_at: row.created_at,
+      actor: {
+        user_id: row.user_id,
+        username: row.username,
+        token: row.token_id ? { id: row.token_id, name: row.token_name } : null,
+      },
+    })),
+    nextBefore: result.rows.length > limit ? rows[rows.length - 1].id : null,
+  };
+}
+
+/**
+ * revertTask(actor, taskId, revisionId, db)
+ * -----------------------------------------------------------------------------
+ * Puts the task's tracked fields back to how they were right after the given
+ * revision, by undoing every later revision (newest first), and records a
+ * "revert" revision. Call inside a transaction.
+ *
+ * Things deleted since are not brought back: a project that no longer exists
+ * becomes the Inbox, and deleted tags are left out.
+ *
+ * Returns:
+ * - { reverted: true } when the task changed
+ * - { unchanged: true } when it already matches the revision (nothing is
+ *   recorded)
+ * - { notFound: true } when the task is not the user's or is in the trash
+ * - { unknownRevision: true } when the revision is not one of the task's
+ */
+async function revertTask(actor, taskId, revisionId, db = pool) {
+  const { userId } = actor;
+  if (!(await lockUserTask(userId, taskId, db))) return { notFound: true };
+
+  const revision = await db.query("SELECT id FROM task_revisions WHERE id = $1 AND task_id = $2", [revisionId, taskId]);
+  if (revision.rows.length === 0) return { unknownRevision: true };
+
+  const before = await snapshotTasks(userId, [taskId], db);
+  const current = before.get(taskId);
+  const target = { ...current };
+
+  const later = await db.query("SELECT changes FROM task_revisions WHERE task_id = $1 AND id > $2 ORDER BY id DESC", [
+    taskId,
+    revisionId,
+  ]);
+
+  for (const { changes } of later.rows) {
+    for (const [field, change] of Object.entries(changes)) {
+      if (TRACKED_FIELDS.includes(field)) target[field] = change.before;
+    }
+  }
+
+  if (target.project_id !== null && !(await isUserProject(userId, target.project_id, db))) {
+    target.project_id = null;
+  }
+
+  const deletedTagIds = await findUnknownTagIds(userId, target.tag_ids, db);
+  target.tag_ids = target.tag_ids.filter((id) => !deletedTagIds.includes(id));
+
+  const changes = diffTask(current, target);
+  if (Object.keys(changes).length === 0) return { unchanged: true };
+
+  const updates = [];
+  const values = [];
+
+  for (const field of Object.keys(changes)) {
+    if (field === "tag_ids") continue;
+    values.push(target[field]);
+    updates.push(`${field} = $${values.length}`);
+  }
+
+  // Same side effects as PUT /api/tasks/:id.
+  if (changes.remind_at) updates.push("reminded_at = NULL");
+  if (changes.recurrence_rule) {
+    values.push(target.recurrence_rule === null ? null : target.due_at);
+    updates.push(`recurrence_start = $${values.length}`);
+  }
+  updates.push("updated_at = NOW()");
+
+  values.push(taskId);
+  await db.query(`UPDATE tasks SET ${updates.join(", ")} WHERE id = $${values.length}`, values);
+
+  if (changes.tag_ids) await replaceTaskTags(taskId, target.tag_ids, db);
+
+  await recordChanges(actor, before, [taskId], db, { action: "revert", revertedTo: revisionId });
+
+  return { reverted: true };
+}
+
+module.exports = { revisionActor, snapshotTasks, recordChanges, listRevisions, revertTask };
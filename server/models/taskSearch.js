@@ -0,0 +1,101 @@
+/**
+ * models/taskSearch.js
+ * -----------------------------------------------------------------------------
+ * Full-text search over task titles and descriptions
+ *
+ * Purpose:
+ * - Find the user's tasks matching every search term (GET /api/tasks/search).
+ * - Rank title matches above description matches, and mark the matches in
+ *   the title and a description snippet.
+ *
+ * Notes:
+ * - tasks.search_vector is a generated column with a GIN index (schema.sql).
+ * - Every term is a prefix ("meet" finds "meeting"), so results follow the
+ *   user's typing.
+ * - Highlights are returned as segments ([{ text, match }]), not markup, so
+ *   clients never have to parse or escape anything. ts_headline() marks the
+ *   matches with private-use characters that are first removed from the
+ *   task text, so the text itself can never fake a highlight.
+ * -----------------------------------------------------------------------------
+ */
+
+const pool = require("./db"); // PostgreSQL connection pool
+const { TASK_COLUMNS } = require("./tasks"); // Task columns for responses
+
+// Match delimiters for ts_headline (Unicode private-use characters).
+const MATCH_START = "\uE000";
+const MATCH_STOP = "\uE001";
+
+// ts_headline options for the title (whole title) and description (up to two
+// short fragments around the matches).
+const TITLE_HEADLINE_OPTIONS = `StartSel=${MATCH_START}, StopSel=${MATCH_STOP}, HighlightAll=true`;
+const DESCRIPTION_HEADLINE_OPTIONS = `StartSel=${MATCH_START}, StopSel=${MATCH_STOP}, MaxWords=25, MinWords=10, MaxFragments=2, FragmentDelimiter=" … "`;
+
+/**
+ * toPrefixQuery(terms)
+ * -----------------------------------------------------------------------------
+ * tsquery text matching every term as a prefix ("meet:* & notes:*"). Terms
+ * are letters and digits only (see searchTasksQuerySchema), so they cannot
+ * carry tsquery operators.
+ */
+function toPrefixQuery(terms) {
+  return terms.map((term) => `${term}:*`).join(" & ");
+}
+
+/**
+ * toSegments(headline)
+ * -----------------------------------------------------------------------------
+ * ts_headline() output as [{ text, match }] in order (match: true for the
+ * matched words).
+ */
+function toSegments(headline) {
+  // Delimiters alternate, so every other piece is a match.
+  return headline
+    .split(new RegExp(`[${MATCH_START}${MATCH_STOP}]`))
+    .map((text, index) => ({ text, match: index % 2 === 1 }))
+    .filter((segment) => segment.text !== "");
+}
+
+/**
+ * searchTasks(userId, { terms, limit })
+ * -----------------------------------------------------------------------------
+ * Best matches first (then most recently updated).
+ *
+ * Returns:
+ * - [{ task: {...TASK_COLUMNS}, highlight: { title, description } }]
+ *   where title and description are toSegments() lists (description is null
+ *   for tasks without one)
+ */
+async function searchTasks(userId, { terms, limit }) {
+  const result = await pool.query(
+    `
+    SELECT ${TASK_COLUMNS},
+      ts_headline('simple', translate(title, $6, ''), query, $3) AS title_highlight,
+      CASE WHEN description IS NULL OR description = '' THEN NULL
+           ELSE ts_headline('simple', translate(description, $6, ''), query, $4)
+      END AS description_highlight
+    FROM tasks, to_tsquery('simple', $2) AS query
+    WHERE user_id = $1 AND deleted_at IS NULL AND search_vector @@ query
+    ORDER BY ts_rank(search_vector, query) DESC, updated_at DESC, id DESC
+    LIMIT $5
+    `,
+    [
+      userId,
+      toPrefixQuery(terms),
+      TITLE_HEADLINE_OPTIONS,
+      DESCRIPTION_HEADLINE_OPTIONS,
+      limit,
+      MATCH_START + MATCH_STOP,
+    ]
+  );
+
+  return result.rows.map(({ title_highlight, description_highlight, ...task }) => ({
+    task,
+    highlight: {
+      title: toSegments(title_highlight),
+      description: description_highlight === null ? null : toSegments(description_highlight),
+    },
+  }));
+}
+
+module.exports = { searchTasks };
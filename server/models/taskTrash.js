@@ -0,0 +1,128 @@
+/**
+ * models/taskTrash.js
+ * -----------------------------------------------------------------------------
+ * Task trash (soft delete)
+ *
+ * Purpose:
+ * - Move deleted tasks to the trash (tasks.deleted_at) instead of removing
+ *   them, so a deletion can be undone.
+ * - List, restore and permanently delete ("purge") trashed tasks.
+ * - Purge tasks that have been in the trash longer than the retention period
+ *   (jobs/trashPurgeScheduler.js).
+ *
+ * Notes:
+ * - A trashed task keeps its tags, checklist, project and position; restoring
+ *   it puts it back where it was (in the Inbox if its project was deleted).
+ * - Purging removes the row; its tag links and checklist items cascade.
+ * -----------------------------------------------------------------------------
+ */
+
+const pool = require("./db"); // PostgreSQL connection pool
+const { TASK_COLUMNS } = require("./tasks"); // Task columns for responses
+
+/**
+ * trashTasks(userId, taskIds, db)
+ * -----------------------------------------------------------------------------
+ * Moves the user's tasks among taskIds to the trash (tasks already there are
+ * left as they are). Returns the ids that were moved.
+ */
+async function trashTasks(userId, taskIds, db = pool) {
+  const result = await db.query(
+    `
+    UPDATE tasks
+    SET deleted_at = NOW()
+    WHERE user_id = $1 AND id = ANY($2::int[]) AND deleted_at IS NULL
+    RETURNING id
+    `,
+    [userId, taskIds]
+  );
+
+  return result.rows.map((row) => row.id);
+}
+
+/**
+ * listTrash(userId, retentionDays)
+ * -----------------------------------------------------------------------------
+ * The user's trashed tasks, most recently deleted first, each with
+ * TASK_COLUMNS plus deleted_at and purge_at (when it will be deleted for
+ * good).
+ */
+async function listTrash(userId, retentionDays) {
+  const result = await pool.query(
+    `
+    SELECT ${TASK_COLUMNS}, deleted_at, deleted_at + make_interval(days => $2) AS purge_at
+    FROM tasks
+    WHERE user_id = $1 AND deleted_at IS NOT NULL
+    ORDER BY deleted_at DESC, id DESC
+    `,
+    [userId, retentionDays]
+  );
+
+  return result.rows;
+}
+
+/**
+ * restoreTasks(userId, taskIds, db)
+ * -----------------------------------------------------------------------------
+ * Takes the user's trashed tasks among taskIds out of the trash. Returns the
+ * ids that were restored.
+ */
+async function restoreTasks(userId, taskIds, db = pool) {
+  const result = await db.query(
+    `
+    UPDATE tasks
+    SET deleted_at = NULL
+    WHERE user_id = $1 AND id = ANY($2::int[]) AND deleted_at IS NOT NULL
+    RETURNING id
+    `,
+    [userId, taskIds]
+  );
+
+  return result.rows.map((row) => row.id);
+}
+
+/**
+ * purgeTasks(userId, taskIds)
+ * -----------------------------------------------------------------------------
+ * Permanently deletes the user's trashed tasks among taskIds, or the whole
+ * trash when taskIds is null. Tasks that are not in the trash are never
+ * touched. Returns the ids that were deleted.
+ */
+async function purgeTasks(userId, taskIds) {
+  const result = await pool.query(
+    `
+    DELETE FROM tasks
+    WHERE user_id = $1 AND deleted_at IS NOT NULL AND ($2::int[] IS NULL OR id = ANY($2::int[]))
+    RETURNING id
+    `,
+    [userId, taskIds]
+  );
+
+  return result.rows.map((row) => row.id);
+}
+
+/**
+ * purgeExpiredTasks(retentionDays, limit)
+ * -----------------------------------------------------------------------------
+ * Permanently deletes up to `limit` tasks (of any user) that were trashed
+ * more than retentionDays ago. Returns the number deleted.
+ */
+async function purgeExpiredTasks(retentionDays, limit = 500) {
+  const result = await pool.query(
+    `
+    DELETE FROM tasks
+    WHERE id IN (
+      SELECT id
+      FROM tasks
+      WHERE deleted_at IS NOT NULL AND deleted_at < NOW() - make_interval(days => $1)
+      ORDER BY deleted_at
+      LIMIT $2
+    )
+    `,
+    [retentionDays, limit]
+  );
+
+  return result.rowCount;
+}
+
+module.exports = { trashTasks, listTrash, restoreTasks, purgeTasks, purgeExpiredTasks };
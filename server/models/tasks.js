@@ -0,0 +1,151 @@
+/**
+ * models/tasks.js
+ * -----------------------------------------------------------------------------
+ * Task read helpers shared by the task routes
+ *
+ * Purpose:
+ * - One definition of the columns returned for a task, including its tags and
+ *   checklist progress (routes/tasks.js, routes/checklist.js).
+ * - Select a subset of them (GET /api/tasks?fields=).
+ * - Build the WHERE conditions of the task filters (GET /api/tasks and
+ *   POST /api/tasks/bulk).
+ * - Load tasks for a response.
+ * -----------------------------------------------------------------------------
+ */
+
+const pool = require("./db"); // PostgreSQL connection pool
+const { TASK_TAGS_SQL } = require("./tags"); // Task tags as JSON
+
+// Checklist progress as { done, total } (the task row must be visible as "tasks").
+const TASK_PROGRESS_SQL = `
+  (
+    SELECT json_build_object('done', COUNT(*) FILTER (WHERE ci.completed), 'total', COUNT(*))
+    FROM task_checklist_items ci
+    WHERE ci.task_id = tasks.id
+  ) AS progress`;
+
+// SQL for each field of a task (project_id: null = Inbox, position: manual
+// order, recurrence_rule: null = does not repeat, tags: [{ id, name, color }],
+// progress: { done, total }). Use with "FROM tasks" or "UPDATE tasks".
+const TASK_FIELDS = {
+  id: "id",
+  project_id: "project_id",
+  title: "title",
+  description: "description",
+  completed: "completed",
+  priority: "priority",
+  created_at: "created_at",
+  updated_at: "updated_at",
+  due_at: "due_at",
+  remind_at: "remind_at",
+  auto_complete: "auto_complete",
+  position: "position",
+  recurrence_rule: "recurrence_rule",
+  recurrence_timezone: "recurrence_timezone",
+  tags: TASK_TAGS_SQL,
+  progress: TASK_PROGRESS_SQL,
+};
+
+// Columns returned for a task by every endpoint. Trashed tasks (deleted_at
+// set; models/taskTrash.js) are left out of every task query.
+const TASK_COLUMNS = Object.values(TASK_FIELDS).join(", ");
+
+/**
+ * taskColumns(fields)
+ * -----------------------------------------------------------------------------
+ * Columns for the given TASK_FIELDS names (validated by the caller), always
+ * including id.
+ */
+function taskColumns(fields) {
+  const names = ["id", ...fields.filter((field) => field !== "id")];
+  return names.map((field) => TASK_FIELDS[field]).join(", ");
+}
+
+/**
+ * addTaskFilters(filters, conditions, values)
+ * -----------------------------------------------------------------------------
+ * Appends the SQL conditions for validated task filters to conditions, and
+ * their parameters to values (conditions refer to the row as "tasks").
+ * Filters left undefined are skipped.
+ *
+ * Filters:
+ * - project: project id, or "inbox" for tasks without a project
+ * - tag: lowercased tag names; tag_match any (at least one) or all
+ * - completed: true or false
+ * - created_after / created_before: exclusive bounds on created_at
+ */
+function addTaskFilters(
+  { project, tag = [], tag_match = "any", completed, created_after, created_before },
+  conditions,
+  values
+) {
+  if (project === "inbox") {
+    conditions.push("project_id IS NULL");
+  } else if (project !== undefined) {
+    values.push(project);
+    conditions.push(`project_id = $${values.length}`);
+  }
+
+  if (tag.length > 0) {
+    // How many of the requested tags the task has (tag names are unique
+    // per user, so this counts distinct tags).
+    values.push(tag);
+    const tagsParam = `$${values.length}::text[]`;
+    const matchingTags = `
+      SELECT COUNT(*)
+      FROM task_tags tt
+      JOIN tags tg ON tg.id = tt.tag_id
+      WHERE tt.task_id = tasks.id AND LOWER(tg.name) = ANY(${tagsParam})`;
+
+    conditions.push(
+      tag_match === "all" ? `(${matchingTags}) = cardinality(${tagsParam})` : `(${matchingTags}) > 0`
+    );
+  }
+
+  if (completed !== undefined) {
+    values.push(completed);
+    conditions.push(`completed = $${values.length}`);
+  }
+
+  if (created_after) {
+    values.push(created_after);
+    conditions.push(`created_at > $${values.length}`);
+  }
+
+  if (created_before) {
+    values.push(created_before);
+    conditions.push(`created_at < $${values.length}`);
+  }
+}
+
+/**
+ * findTask(userId, taskId, db)
+ * -----------------------------------------------------------------------------
+ * One of the user's tasks with TASK_COLUMNS, or undefined (also when it is in
+ * the trash).
+ */
+async function findTask(userId, taskId, db = pool) {
+  const result = await db.query(
+    `SELECT ${TASK_COLUMNS} FROM tasks WHERE user_id = $1 AND id = $2 AND deleted_at IS NULL`,
+    [userId, taskId]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * findTasks(userId, taskIds, db)
+ * -----------------------------------------------------------------------------
+ * The user's tasks among taskIds with TASK_COLUMNS, by id (missing ones are
+ * left out, as are trashed ones).
+ */
+async function findTasks(userId, taskIds, db = pool) {
+  const result = await db.query(
+    `SELECT ${TASK_COLUMNS} FROM tasks WHERE user_id = $1 AND id = ANY($2::int[]) AND deleted_at IS NULL ORDER BY id`,
+    [userId, taskIds]
+  );
+
+  return result.rows;
+}
+
+module.exports = { TASK_FIELDS, TASK_COLUMNS, taskColumns, addTaskFilters, findTask, findTasks };
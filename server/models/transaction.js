@@ -0,0 +1,37 @@
+/**
+ * models/transaction.js
+ * -----------------------------------------------------------------------------
+ * Database transaction helper
+ *
+ * Purpose:
+ * - Run several queries atomically on a single pooled client.
+ * - COMMIT when the callback resolves, ROLLBACK when it throws.
+ * - Always release the client back to the pool.
+ *
+ * Usage:
+ *   const result = await withTransaction(async (client) => {
+ *     await client.query("UPDATE ...");
+ *     return client.query("INSERT ...");
+ *   });
+ * -----------------------------------------------------------------------------
+ */
+
+const pool = require("./db"); // PostgreSQL connection pool
+
+async function withTransaction(callback) {
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+    const result = await callback(client);
+    await client.query("COMMIT");
+    return result;
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { withTransaction };
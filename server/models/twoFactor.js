@@ -0,0 +1,258 @@
+/**
+ * models/twoFactor.js
+ * -----------------------------------------------------------------------------
+ * TOTP two-factor authentication state
+ *
+ * Purpose:
+ * - Enrollment: store a pending secret, then enable it once the user proves
+ *   their authenticator works by entering a valid code.
+ * - Verification: accept a TOTP code (once per time step) or a one-time
+ *   recovery code as the second factor.
+ * - Recovery codes: generate, regenerate and count remaining codes.
+ * - Disable two-factor authentication.
+ *
+ * Security:
+ * - TOTP secrets are stored encrypted; recovery codes only as SHA-256 hashes.
+ * - totp_last_used_step is advanced with a conditional UPDATE so the same
+ *   code cannot be accepted twice, even by concurrent requests.
+ * -----------------------------------------------------------------------------
+ */
+
+const crypto = require("crypto"); // Random recovery codes
+const pool = require("./db"); // PostgreSQL connection pool
+const { withTransaction } = require("./transaction"); // Atomic multi-query writes
+const { encrypt, decrypt } = require("../utils/encryption"); // Secret storage
+const { generateSecret, verifyCode, base32Encode } = require("../utils/totp"); // RFC 6238
+const { hashToken } = require("../utils/tokens"); // SHA-256 hashing
+
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * generateRecoveryCode()
+ * -----------------------------------------------------------------------------
+ * 80 random bits shown as four groups, e.g. "k3jd-9xq2-lm4p-7zrt".
+ */
+function generateRecoveryCode() {
+  const raw = base32Encode(crypto.randomBytes(10)).toLowerCase();
+  return raw.match(/.{4}/g).join("-");
+}
+
+/**
+ * normalizeRecoveryCode(code)
+ * -----------------------------------------------------------------------------
+ * Users may type codes with or without dashes, in any case.
+ */
+function normalizeRecoveryCode(code) {
+  return code.replace(/[\s-]/g, "").toLowerCase();
+}
+
+/**
+ * getTwoFactorStatus(userId)
+ * -----------------------------------------------------------------------------
+ * Returns { enabled, recoveryCodesRemaining } for the settings screen.
+ */
+async function getTwoFactorStatus(userId) {
+  const result = await pool.query(
+    `
+    SELECT
+      u.totp_enabled_at,
+      (SELECT COUNT(*) FROM recovery_codes r WHERE r.user_id = u.id AND r.used_at IS NULL)::int
+        AS recovery_codes_remaining
+    FROM users u
+    WHERE u.id = $1
+    `,
+    [userId]
+  );
+
+  const row = result.rows[0];
+
+  return {
+    enabled: Boolean(row && row.totp_enabled_at),
+    recoveryCodesRemaining: row ? row.recovery_codes_remaining : 0,
+  };
+}
+
+/**
+ * replaceRecoveryCodes(userId, db)
+ * -----------------------------------------------------------------------------
+ * Deletes any existing codes and issues a fresh set.
+ * Returns the raw codes; they are shown to the user once and never again.
+ */
+async function replaceRecoveryCodes(userId, db = pool) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+
+  await db.query("DELETE FROM recovery_codes WHERE user_id = $1", [userId]);
+
+  await db.query(
+    `
+    INSERT INTO recovery_codes (user_id, code_hash)
+    SELECT $1, UNNEST($2::char(64)[])
+    `,
+    [userId, codes.map((code) => hashToken(normalizeRecoveryCode(code)))]
+  );
+
+  return codes;
+}
+
+/**
+ * startEnrollment(userId)
+ * -----------------------------------------------------------------------------
+ * Stores a new pending secret (replacing any earlier pending one).
+ * Returns the base32 secret, or null if two-factor is already enabled.
+ */
+async function startEnrollment(userId) {
+  const secret = generateSecret();
+
+  const result = await pool.query(
+    `
+    UPDATE users
+    SET totp_pending_secret = $1
+    WHERE id = $2 AND totp_enabled_at IS NULL
+    RETURNING id
+    `,
+    [encrypt(secret), userId]
+  );
+
+  return result.rows.length > 0 ? secret : null;
+}
+
+/**
+ * confirmEnrollment(userId, code)
+ * -----------------------------------------------------------------------------
+ * Enables two-factor authentication if the code matches the pending secret.
+ *
+ * Returns one of:
+ * - { ok: true, recoveryCodes }
+ * - { ok: false, reason: "not_pending" }   no enrollment in progress
+ * - { ok: false, reason: "invalid_code" }  code did not match
+ */
+async function confirmEnrollment(userId, code) {
+  const result = await pool.query(
+    "SELECT totp_pending_secret, totp_enabled_at FROM users WHERE id = $1",
+    [userId]
+  );
+
+  const row = result.rows[0];
+  if (!row || row.totp_enabled_at || !row.totp_pending_secret) {
+    return { ok: false, reason: "not_pending" };
+  }
+
+  const step = verifyCode(decrypt(row.totp_pending_secret), code);
+  if (step === null) {
+    return { ok: false, reason: "invalid_code" };
+  }
+
+  const recoveryCodes = await withTransaction(async (client) => {
+    // Guard against a concurrent setup call replacing the pending secret.
+    const enabled = await client.query(
+      `
+      UPDATE users
+      SET totp_secret = totp_pending_secret,
+          totp_pending_secret = NULL,
+          totp_enabled_at = NOW(),
+          totp_last_used_step = $1
+      WHERE id = $2 AND totp_pending_secret = $3
+      RETURNING id
+      `,
+      [step, userId, row.totp_pending_secret]
+    );
+
+    if (enabled.rows.length === 0) return null;
+
+    return replaceRecoveryCodes(userId, client);
+  });
+
+  if (!recoveryCodes) {
+    return { ok: false, reason: "not_pending" };
+  }
+
+  return { ok: true, recoveryCodes };
+}
+
+/**
+ * verifySecondFactor(userId, { code, recoveryCode })
+ * -----------------------------------------------------------------------------
+ * Checks a TOTP code or (if no code is given) a recovery code.
+ * A successful recovery code is consumed.
+ *
+ * Returns true when the second factor is valid.
+ */
+async function verifySecondFactor(userId, { code, recoveryCode }) {
+  if (typeof code === "string" && code.length > 0) {
+    const result = await pool.query(
+      "SELECT totp_secret FROM users WHERE id = $1 AND totp_enabled_at IS NOT NULL",
+      [userId]
+    );
+
+    if (result.rows.length === 0) return false;
+
+    const step = verifyCode(decrypt(result.rows[0].totp_secret), code);
+    if (step === null) return false;
+
+    // Accept each time step at most once (prevents code replay).
+    const advanced = await pool.query(
+      `
+      UPDATE users
+      SET totp_last_used_step = $1
+      WHERE id = $2 AND (totp_last_used_step IS NULL OR totp_last_used_step < $1)
+      RETURNING id
+      `,
+      [step, userId]
+    );
+
+    return advanced.rows.length > 0;
+  }
+
+  if (typeof recoveryCode === "string" && recoveryCode.length > 0) {
+    const result = await pool.query(
+      `
+      UPDATE recovery_codes
+      SET used_at = NOW()
+      WHERE id = (
+        SELECT id FROM recovery_codes
+        WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+        LIMIT 1
+      )
+      AND used_at IS NULL
+      RETURNING id
+      `,
+      [userId, hashToken(normalizeRecoveryCode(recoveryCode))]
+    );
+
+    return result.rows.length > 0;
+  }
+
+  return false;
+}
+
+/**
+ * disableTwoFactor(userId)
+ * -----------------------------------------------------------------------------
+ * Removes the TOTP secret and all recovery codes.
+ */
+async function disableTwoFactor(userId) {
+  await withTransaction(async (client) => {
+    await client.query(
+      `
+      UPDATE users
+      SET totp_secret = NULL,
+          totp_pending_secret = NULL,
+          totp_enabled_at = NULL,
+          totp_last_used_step = NULL
+      WHERE id = $1
+      `,
+      [userId]
+    );
+
+    await client.query("DELETE FROM recovery_codes WHERE user_id = $1", [userId]);
+  });
+}
+
+module.exports = {
+  getTwoFactorStatus,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  replaceRecoveryCodes,
+  disableTwoFactor,
+};
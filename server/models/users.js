@@ -0,0 +1,289 @@
+/**
+ * models/users.js
+ * -----------------------------------------------------------------------------
+ * Account queries (self-service and administration)
+ *
+ * Purpose:
+ * - Load the signed-in user's profile.
+ * - Re-check a user's password before a sensitive change.
+ * - Change username, password and email address.
+ * - Delete an account (tasks, sessions and tokens cascade in the database).
+ * - List accounts and disable/enable them (admin API).
+ * -----------------------------------------------------------------------------
+ */
+
+const bcrypt = require("bcrypt"); // Password comparison
+const pool = require("./db"); // PostgreSQL connection pool
+const { withTransaction } = require("./transaction"); // Atomic multi-query writes
+const { revokeAllUserSessions } = require("./sessions"); // Sign-out on disable
+const { permissionsForRole } = require("../utils/permissions"); // Role -> permissions
+
+// Postgres unique_violation: another account has the username or email. The
+// constraint is the only check, so two requests racing for the same value
+// cannot both win.
+const UNIQUE_VIOLATION = "23505";
+
+/**
+ * toProfile(row)
+ * -----------------------------------------------------------------------------
+ * Safe, client-facing shape of a users row (never includes secrets).
+ */
+function toProfile(row) {
+  return {
+    id: row.id,
+    username: row.username,
+    email: row.email,
+    emailVerified: row.email_verified_at !== null,
+    twoFactorEnabled: row.totp_enabled_at !== null,
+    role: row.role,
+    permissions: permissionsForRole(row.role),
+    createdAt: row.created_at,
+  };
+}
+
+const PROFILE_COLUMNS =
+  "id, username, email, role, email_verified_at, totp_enabled_at, created_at";
+
+/**
+ * getUserProfile(userId)
+ * -----------------------------------------------------------------------------
+ * Returns the profile or null when the user no longer exists.
+ */
+async function getUserProfile(userId) {
+  const result = await pool.query(`SELECT ${PROFILE_COLUMNS} FROM users WHERE id = $1`, [
+    userId,
+  ]);
+
+  return result.rows.length > 0 ? toProfile(result.rows[0]) : null;
+}
+
+/**
+ * verifyUserPassword(userId, password)
+ * -----------------------------------------------------------------------------
+ * Re-checks the user's password before a sensitive change.
+ */
+async function verifyUserPassword(userId, password) {
+  if (!password || typeof password !== "string") return false;
+
+  const result = await pool.query("SELECT password_hash FROM users WHERE id = $1", [userId]);
+  if (result.rows.length === 0) return false;
+
+  return bcrypt.compare(password, result.rows[0].password_hash);
+}
+
+/**
+ * updateUsername(userId, username)
+ * -----------------------------------------------------------------------------
+ * Returns:
+ * - { ok: true, user }                   the updated profile
+ * - { ok: false, reason: "not_found" }   the account no longer exists
+ * - { ok: false, reason: "taken" }       another account uses the username
+ */
+async function updateUsername(userId, username) {
+  try {
+    const result = await pool.query(
+      `UPDATE users SET username = $1 WHERE id = $2 RETURNING ${PROFILE_COLUMNS}`,
+      [username, userId]
+    );
+
+    return result.rows.length > 0
+      ? { ok: true, user: toProfile(result.rows[0]) }
+      : { ok: false, reason: "not_found" };
+  } catch (err) {
+    if (err.code === UNIQUE_VIOLATION) return { ok: false, reason: "taken" };
+    throw err;
+  }
+}
+
+/**
+ * updatePassword(userId, passwordHash, keepSessionId)
+ * -----------------------------------------------------------------------------
+ * Stores a new password hash, signs out every other session and cancels any
+ * outstanding password reset links. The session making the change stays
+ * signed in.
+ */
+async function updatePassword(userId, passwordHash, keepSessionId) {
+  await withTransaction(async (client) => {
+    await client.query("UPDATE users SET password_hash = $1 WHERE id = $2", [
+      passwordHash,
+      userId,
+    ]);
+
+    await client.query(
+      `
+      UPDATE sessions
+      SET revoked_at = NOW()
+      WHERE user_id = $1 AND id <> $2 AND revoked_at IS NULL
+      `,
+      [userId, keepSessionId]
+    );
+
+    await client.query(
+      "UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL",
+      [userId]
+    );
+  });
+}
+
+/**
+ * updateEmail(userId, email)
+ * -----------------------------------------------------------------------------
+ * Switches the account to a new, unverified email address. Reset and
+ * verification links sent to the old address stop working.
+ *
+ * Returns:
+ * - { ok: true, user }                   the updated profile
+ * - { ok: false, reason: "not_found" }   the account no longer exists
+ * - { ok: false, reason: "taken" }       another account uses the address
+ */
+async function updateEmail(userId, email) {
+  try {
+    return await withTransaction(async (client) => {
+      const result = await client.query(
+        `
+        UPDATE users
+        SET email = $1, email_verified_at = NULL
+        WHERE id = $2
+        RETURNING ${PROFILE_COLUMNS}
+        `,
+        [email, userId]
+      );
+      if (result.rows.length === 0) return { ok: false, reason: "not_found" };
+
+      await client.query(
+        "UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL",
+        [userId]
+      );
+      await client.query(
+        "UPDATE email_verification_tokens SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL",
+        [userId]
+      );
+
+      return { ok: true, user: toProfile(result.rows[0]) };
+    });
+  } catch (err) {
+    // Caught outside the transaction, so it has been rolled back.
+    if (err.code === UNIQUE_VIOLATION) return { ok: false, reason: "taken" };
+    throw err;
+  }
+}
+
+/**
+ * deleteUser(userId)
+ * -----------------------------------------------------------------------------
+ * Permanently deletes the account. Foreign keys (ON DELETE CASCADE) remove
+ * its tasks, sessions, tokens and recovery codes in the same statement.
+ */
+async function deleteUser(userId) {
+  const result = await pool.query("DELETE FROM users WHERE id = $1", [userId]);
+  return result.rowCount > 0;
+}
+
+/**
+ * toAdminView(row)
+ * -----------------------------------------------------------------------------
+ * What the admin API shows about an account (never includes secrets).
+ */
+function toAdminView(row) {
+  return {
+    id: row.id,
+    username: row.username,
+    email: row.email,
+    role: row.role,
+    emailVerified: row.email_verified_at !== null,
+    twoFactorEnabled: row.totp_enabled_at !== null,
+    disabled: row.disabled_at !== null,
+    disabledAt: row.disabled_at,
+    activeSessions: Number(row.active_sessions),
+    createdAt: row.created_at,
+  };
+}
+
+const ADMIN_VIEW_QUERY = `
+  SELECT u.id, u.username, u.email, u.role, u.email_verified_at, u.totp_enabled_at,
+         u.disabled_at, u.created_at,
+         (SELECT COUNT(*) FROM sessions s
+          WHERE s.user_id = u.id AND s.revoked_at IS NULL AND s.expires_at > NOW()
+         ) AS active_sessions
+  FROM users u
+`;
+
+/**
+ * listUsers({ search, limit, offset })
+ * -----------------------------------------------------------------------------
+ * Lists accounts, newest first. search matches username or email
+ * (case-insensitive, substring).
+ *
+ * Returns { users, total }.
+ */
+async function listUsers({ search, limit, offset }) {
+  const pattern = search ? `%${search.replace(/[\\%_]/g, "\\$&")}%` : null;
+
+  const result = await pool.query(
+    `
+    ${ADMIN_VIEW_QUERY}
+    WHERE $1::text IS NULL OR u.username ILIKE $1 OR u.email ILIKE $1
+    ORDER BY u.created_at DESC, u.id DESC
+    LIMIT $2 OFFSET $3
+    `,
+    [pattern, limit, offset]
+  );
+
+  const count = await pool.query(
+    "SELECT COUNT(*) FROM users u WHERE $1::text IS NULL OR u.username ILIKE $1 OR u.email ILIKE $1",
+    [pattern]
+  );
+
+  return { users: result.rows.map(toAdminView), total: Number(count.rows[0].count) };
+}
+
+/**
+ * getUserForAdmin(userId)
+ * -----------------------------------------------------------------------------
+ * Returns one account in admin view, or null when it does not exist.
+ */
+async function getUserForAdmin(userId) {
+  const result = await pool.query(`${ADMIN_VIEW_QUERY} WHERE u.id = $1`, [userId]);
+  return result.rows.length > 0 ? toAdminView(result.rows[0]) : null;
+}
+
+/**
+ * setUserDisabled(userId, disabled)
+ * -----------------------------------------------------------------------------
+ * Disables or re-enables an account. Disabling also signs the account out
+ * everywhere.
+ *
+ * Returns false when the account does not exist.
+ */
+async function setUserDisabled(userId, disabled) {
+  return withTransaction(async (client) => {
+    const result = await client.query(
+      `
+      UPDATE users
+      SET disabled_at = CASE WHEN $2 THEN COALESCE(disabled_at, NOW()) ELSE NULL END
+      WHERE id = $1
+      `,
+      [userId, disabled]
+    );
+
+    if (result.rowCount === 0) return false;
+
+    if (disabled) {
+      await revokeAllUserSessions(userId, client);
+    }
+
+    return true;
+  });
+}
+
+module.exports = {
+  getUserProfile,
+  verifyUserPassword,
+  updateUsername,
+  updatePassword,
+  updateEmail,
+  deleteUser,
+  listUsers,
+  getUserForAdmin,
+  setUserDisabled,
+};
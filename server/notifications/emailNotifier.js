@@ -0,0 +1,45 @@
+/**
+ * notifications/emailNotifier.js
+ * -----------------------------------------------------------------------------
+ * Email notifier
+ *
+ * Purpose:
+ * - Deliver notifications through the mail transport (mail/index.js; the
+ *   outbox stands in for a real provider during development).
+ *
+ * Notes:
+ * - Only verified addresses are emailed; an unverified address may not
+ *   belong to the account holder.
+ * -----------------------------------------------------------------------------
+ */
+
+const { sendMail } = require("../mail"); // Pluggable mail delivery
+const { taskReminderMessage } = require("../mail/messages"); // Templates
+
+// Email template per notification kind.
+const templates = {
+  task_reminder: (event) => taskReminderMessage(event.user, event.task),
+};
+
+/**
+ * createEmailNotifier()
+ * -----------------------------------------------------------------------------
+ * Returns a notifier object with the shared { name, notify(event) } shape.
+ */
+function createEmailNotifier() {
+  return {
+    name: "email",
+
+    async notify(event) {
+      const template = templates[event.kind];
+
+      if (!template || !event.user.email_verified_at) {
+        return { id: null, skipped: true };
+      }
+
+      return sendMail(template(event));
+    },
+  };
+}
+
+module.exports = createEmailNotifier;
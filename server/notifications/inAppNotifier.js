@@ -0,0 +1,37 @@
+/**
+ * notifications/inAppNotifier.js
+ * -----------------------------------------------------------------------------
+ * In-app notifier
+ *
+ * Purpose:
+ * - Record notifications in the database so the client can show them
+ *   (GET /api/notifications).
+ * -----------------------------------------------------------------------------
+ */
+
+const { createNotification } = require("../models/notifications"); // Notification storage
+
+/**
+ * createInAppNotifier()
+ * -----------------------------------------------------------------------------
+ * Returns a notifier object with the shared { name, notify(event) } shape.
+ */
+function createInAppNotifier() {
+  return {
+    name: "inapp",
+
+    async notify(event) {
+      const notification = await createNotification({
+        userId: event.user.id,
+        taskId: event.task ? event.task.id : null,
+        kind: event.kind,
+        title: event.title,
+        body: event.body,
+      });
+
+      return { id: notification.id };
+    },
+  };
+}
+
+module.exports = createInAppNotifier;
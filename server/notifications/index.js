@@ -0,0 +1,76 @@
+/**
+ * notifications/index.js
+ * -----------------------------------------------------------------------------
+ * Notification delivery abstraction
+ *
+ * Purpose:
+ * - Give the app one function to notify a user: notify(event).
+ * - Keep the delivery channels (notifiers) pluggable, like mail transports.
+ *
+ * Events:
+ *   { kind: "task_reminder", user, task, title, body }
+ *   user is a users row (id, username, email, email_verified_at).
+ *
+ * Notifiers:
+ * - Every notifier is an object: { name: string, notify(event): Promise }.
+ * - Built-in: "inapp" (notifications table) and "email" (mail transport).
+ * - The active notifiers are chosen by NOTIFIERS (see config.js).
+ * - setNotifiers() swaps in other implementations (e.g. push, or an
+ *   in-memory notifier inside tests).
+ * -----------------------------------------------------------------------------
+ */
+
+const config = require("../config"); // Centralized configuration
+const createInAppNotifier = require("./inAppNotifier"); // Database records
+const createEmailNotifier = require("./emailNotifier"); // Mail outbox stand-in
+
+const builtInNotifiers = {
+  inapp: () => createInAppNotifier(),
+  email: () => createEmailNotifier(),
+};
+
+for (const name of config.notifiers) {
+  if (!builtInNotifiers[name]) {
+    // Fail fast on startup, like MAIL_TRANSPORT.
+    throw new Error(`Unknown notifier in NOTIFIERS: ${name}`);
+  }
+}
+
+let notifiers = config.notifiers.map((name) => builtInNotifiers[name]());
+
+/**
+ * setNotifiers(nextNotifiers)
+ * -----------------------------------------------------------------------------
+ * Replace the active notifiers. Each must provide an async notify(event).
+ */
+function setNotifiers(nextNotifiers) {
+  if (
+    !Array.isArray(nextNotifiers) ||
+    nextNotifiers.some((notifier) => !notifier || typeof notifier.notify !== "function")
+  ) {
+    throw new Error("Notifiers must be an array of objects implementing notify(event).");
+  }
+  notifiers = nextNotifiers;
+}
+
+/**
+ * notify(event)
+ * -----------------------------------------------------------------------------
+ * Sends the event through every active notifier. One failing channel does
+ * not stop the others; failures are logged.
+ *
+ * Returns the number of notifiers that succeeded.
+ */
+async function notify(event) {
+  const results = await Promise.allSettled(notifiers.map((notifier) => notifier.notify(event)));
+
+  results.forEach((result, index) => {
+    if (result.status === "rejected") {
+      console.error(`NOTIFIER ERROR (${notifiers[index].name}):`, result.reason);
+    }
+  });
+
+  return results.filter((result) => result.status === "fulfilled").length;
+}
+
+module.exports = { notify, setNotifiers };
@@ -0,0 +1,99 @@
+/**
+ * notifications/reminderScheduler.js
+ * -----------------------------------------------------------------------------
+ * Background task reminder scheduler
+ *
+ * Purpose:
+ * - Poll for tasks whose remind_at has passed and notify their owners
+ *   through the active notifiers (see notifications/index.js).
+ *
+ * Behavior:
+ * - Runs every REMINDER_POLL_SECONDS (0 disables it, e.g. on all but one
+ *   instance, although claiming is safe with several).
+ * - Each reminder is claimed before it is sent, so it fires at most once.
+ * - Reminders for completed tasks and disabled accounts are claimed but
+ *   not sent.
+ * - A poll never overlaps the previous one, and the timer does not keep the
+ *   process alive on shutdown.
+ * -----------------------------------------------------------------------------
+ */
+
+const config = require("../config"); // Poll interval
+const { claimDueReminders } = require("../models/notifications"); // Due reminders
+const { notify } = require("./index"); // Pluggable notifiers
+
+// Upper bound per poll; a backlog drains over the following polls.
+const BATCH_SIZE = 100;
+
+let timer = null;
+let running = false;
+
+/**
+ * reminderEvent(user, task)
+ * -----------------------------------------------------------------------------
+ * The notification event for one reminder.
+ */
+function reminderEvent(user, task) {
+  return {
+    kind: "task_reminder",
+    user,
+    task,
+    title: `Reminder: ${task.title}`,
+    body: task.due_at ? `Due ${new Date(task.due_at).toISOString()}` : null,
+  };
+}
+
+/**
+ * sendDueReminders()
+ * -----------------------------------------------------------------------------
+ * One poll. Returns the number of reminders sent.
+ */
+async function sendDueReminders() {
+  const claimed = await claimDueReminders(BATCH_SIZE);
+  let sent = 0;
+
+  for (const { user, task } of claimed) {
+    if (task.completed || user.disabled_at) continue;
+
+    await notify(reminderEvent(user, task));
+    sent += 1;
+  }
+
+  return sent;
+}
+
+/**
+ * startReminderScheduler()
+ * -----------------------------------------------------------------------------
+ * Starts polling (no-op when disabled or already started).
+ */
+function startReminderScheduler() {
+  if (timer || config.reminderPollSeconds === 0) return;
+
+  timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      await sendDueReminders();
+    } catch (err) {
+      console.error("REMINDER SCHEDULER ERROR:", err);
+    } finally {
+      running = false;
+    }
+  }, config.reminderPollSeconds * 1000);
+
+  timer.unref();
+}
+
+/**
+ * stopReminderScheduler()
+ * -----------------------------------------------------------------------------
+ * Stops polling (a poll in progress finishes on its own).
+ */
+function stopReminderScheduler() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = { startReminderScheduler, stopReminderScheduler, sendDueReminders };
@@ -0,0 +1,172 @@
+/**
+ * routes/admin.js
+ * -----------------------------------------------------------------------------
+ * Secure Task Manager - Admin Routes
+ *
+ * Purpose:
+ * - Let administrators review accounts and respond to abuse.
+ *
+ * Endpoints:
+ * - GET  /api/admin/users              -> list accounts (search + paging)
+ * - POST /api/admin/users/:id/disable  -> disable an account and sign it out
+ * - POST /api/admin/users/:id/enable   -> re-enable a disabled account
+ * - POST /api/admin/users/:id/logout   -> sign an account out everywhere
+ *
+ * Security:
+ * - All routes require a valid access token AND a permission granted by the
+ *   caller's role (see utils/permissions.js). Roles are read from the
+ *   database on every request, so demoting an admin takes effect immediately.
+ * - Admins cannot disable their own account (prevents locking everyone out).
+ * -----------------------------------------------------------------------------
+ */
+
+const express = require("express"); // Express routing utilities
+const authMiddleware = require("../middleware/authMiddleware"); // JWT auth middleware
+const requirePermission = require("../middleware/requirePermission"); // Role-based permission checks
+const { listUsers, getUserForAdmin, setUserDisabled } = require("../models/users"); // Account queries
+const { revokeAllUserSessions } = require("../models/sessions"); // Forced logout
+const { listUsersQuerySchema } = require("../schemas/adminSchemas"); // Zod schemas
+const { formatZodError, validatePositiveIntParam } = require("../utils/validation"); // Shared input checks
+
+const router = express.Router(); // Router mounted at /api/admin
+
+// Every admin route requires a signed-in user; permissions are checked per route.
+router.use(authMiddleware);
+
+/**
+ * GET /api/admin/users
+ * -----------------------------------------------------------------------------
+ * Query:
+ *   search?: string   matches username or email
+ *   limit?: number    1-100, default 25
+ *   offset?: number   default 0
+ *
+ * Response:
+ * - 200 OK with { users: [...], total, limit, offset }
+ * - 400 Bad Request for invalid query parameters
+ * - 403 Forbidden without the users:read permission
+ */
+router.get("/users", requirePermission("users:read"), async (req, res) => {
+  try {
+    const parsed = listUsersQuerySchema.safeParse(req.query);
+
+    if (!parsed.success) {
+      return res.status(400).json({
+        error: "Invalid input",
+        details: formatZodError(parsed.error),
+      });
+    }
+
+    const { search, limit, offset } = parsed.data;
+    const { users, total } = await listUsers({ search: search || null, limit, offset });
+
+    return res.json({ users, total, limit, offset });
+  } catch (err) {
+    console.error("ADMIN LIST USERS ERROR:", err);
+    return res.status(500).json({ error: "Failed to load users." });
+  }
+});
+
+/**
+ * POST /api/admin/users/:id/disable
+ * -----------------------------------------------------------------------------
+ * Behavior:
+ * - Mark the account disabled (it can no longer sign in)
+ * - Revoke all of its sessions
+ *
+ * Response:
+ * - 200 OK with { user }
+ * - 400 Bad Request for an invalid id or when disabling your own account
+ * - 403 Forbidden without the users:manage permission
+ * - 404 Not Found if the account does not exist
+ */
+router.post("/users/:id/disable", requirePermission("users:manage"), async (req, res) => {
+  try {
+    const idCheck = validatePositiveIntParam(res, "id", req.params.id);
+    if (!idCheck.ok) return idCheck.response;
+
+    const userId = idCheck.value;
+
+    if (userId === req.user.userId) {
+      return res.status(400).json({ error: "You cannot disable your own account." });
+    }
+
+    if (!(await setUserDisabled(userId, true))) {
+      return res.status(404).json({ error: "User not found." });
+    }
+
+    console.warn(`ADMIN: user ${req.user.userId} disabled user ${userId}.`);
+
+    return res.json({ user: await getUserForAdmin(userId) });
+  } catch (err) {
+    console.error("ADMIN DISABLE USER ERROR:", err);
+    return res.status(500).json({ error: "Failed to disable user." });
+  }
+});
+
+/**
+ * POST /api/admin/users/:id/enable
+ * -----------------------------------------------------------------------------
+ * Response:
+ * - 200 OK with { user }
+ * - 400 Bad Request for an invalid id
+ * - 403 Forbidden without the users:manage permission
+ * - 404 Not Found if the account does not exist
+ */
+router.post("/users/:id/enable", requirePermission("users:manage"), async (req, res) => {
+  try {
+    const idCheck = validatePositiveIntParam(res, "id", req.params.id);
+    if (!idCheck.ok) return idCheck.response;
+
+    const userId = idCheck.value;
+
+    if (!(await setUserDisabled(userId, false))) {
+      return res.status(404).json({ error: "User not found." });
+    }
+
+    console.warn(`ADMIN: user ${req.user.userId} enabled user ${userId}.`);
+
+    return res.json({ user: await getUserForAdmin(userId) });
+  } catch (err) {
+    console.error("ADMIN ENABLE USER ERROR:", err);
+    return res.status(500).json({ error: "Failed to enable user." });
+  }
+});
+
+/**
+ * POST /api/admin/users/:id/logout
+ * -----------------------------------------------------------------------------
+ * Behavior:
+ * - Revoke every session of the account (the account stays enabled).
+ *
+ * Response:
+ * - 200 OK with { revokedSessions, user }
+ * - 400 Bad Request for an invalid id
+ * - 403 Forbidden without the sessions:revoke permission
+ * - 404 Not Found if the account does not exist
+ */
+router.post("/users/:id/logout", requirePermission("sessions:revoke"), async (req, res) => {
+  try {
+    const idCheck = validatePositiveIntParam(res, "id", req.params.id);
+    if (!idCheck.ok) return idCheck.response;
+
+    const userId = idCheck.value;
+
+    if (!(await getUserForAdmin(userId))) {
+      return res.status(404).json({ error: "User not found." });
+    }
+
+    const revokedSessions = await revokeAllUserSessions(userId);
+
+    console.warn(
+      `ADMIN: user ${req.user.userId} signed out user ${userId} (${revokedSessions} sessions).`
+    );
+
+    return res.json({ revokedSessions, user: await getUserForAdmin(userId) });
+  } catch (err) {
+    console.error("ADMIN FORCE LOGOUT ERROR:", err);
+    return res.status(500).json({ error: "Failed to sign user out." });
+  }
+});
+
+module.exports = router; // Export router for app.js
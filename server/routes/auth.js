@@ -6,40 +6,210 @@
  * Purpose:
  * - Provide endpoints for user registration and login.
  * - Store passwords securely (hashing with bcrypt).
- * - Issue JWT tokens on successful login (used to protect task routes later).
+ * - Issue short-lived access tokens plus rotating refresh tokens on login.
  *
  * Endpoints:
- * - POST /api/auth/register  -> create a new user
- * - POST /api/auth/login     -> authenticate an existing user and return a token
+ * - GET  /api/auth/password-policy -> rules new passwords must satisfy
+ * - POST /api/auth/register  -> create a new (unverified) user and email a verification link
+ * - POST /api/auth/login     -> authenticate an existing user and start a session
+ *                               (or return a second-factor challenge)
+ * - POST /api/auth/login/mfa -> complete login with a TOTP or recovery code
+ * - POST /api/auth/refresh   -> exchange a refresh token for new tokens
+ * - POST /api/auth/logout    -> revoke the session a refresh token belongs to
+ * - GET  /api/auth/csrf      -> re-issue the session's CSRF token (cookie mode)
+ * - POST /api/auth/forgot-password -> email a single-use password reset link
+ * - POST /api/auth/reset-password  -> set a new password using a reset token
+ * - GET  /api/auth/verify          -> verify an email address using a token
+ * - POST /api/auth/resend-verification -> email a new verification link (throttled)
  *
  * Security notes:
  * - Passwords are NEVER stored in plaintext.
  * - bcrypt hashing is used with a reasonable work factor (salt rounds).
- * - JWT secret is loaded from environment variables (never hard-coded).
+ * - JWT secret is loaded from validated config (never hard-coded).
+ * - Refresh tokens are stored hashed and rotated on every use; replaying an
+ *   old refresh token revokes the whole session (reuse detection).
+ * - Password reset tokens are hashed, expiring and single-use; responses never
+ *   reveal whether an email address is registered.
+ * - Failed sign-ins are tracked per account and per IP with exponential
+ *   lockouts; unknown emails are throttled (and timed) like real accounts.
+ * - With AUTH_MODE=cookie, tokens are set as HttpOnly cookies instead of being
+ *   returned, and refresh/logout require the session's CSRF token.
  * -----------------------------------------------------------------------------
  */
 
 const express = require("express"); // Express provides routing and HTTP utilities for our API.
+const rateLimit = require("express-rate-limit"); // Per-route throttling for email-sending endpoints.
 const bcrypt = require("bcrypt"); // bcrypt securely hashes passwords and verifies password matches.
-const jwt = require("jsonwebtoken"); // jsonwebtoken creates and signs JWTs for stateless authentication.
 const pool = require("../models/db"); // Our PostgreSQL connection pool (see models/db.js).
+const {
+  signAccessToken,
+  getAccessTokenSessionId,
+  verifyMfaChallenge,
+  parseRefreshToken,
+} = require("../utils/tokens"); // Access + second-factor challenge token signing.
+const {
+  setAuthCookies,
+  clearAuthCookies,
+  readAccessCookie,
+  readRefreshCookie,
+} = require("../utils/authCookies"); // HttpOnly cookies for AUTH_MODE=cookie.
+const { csrfTokenFor, hasValidCsrfToken, sendCsrfError } = require("../utils/csrf"); // CSRF tokens.
+const {
+  rotateSession,
+  revokeSessionByRefreshToken,
+  revokeAllUserSessions,
+} = require("../models/sessions"); // Server-side sessions backing refresh tokens.
+const {
+  createPasswordResetToken,
+  findPasswordResetUser,
+  consumePasswordResetToken,
+} = require("../models/passwordResets"); // Single-use password reset tokens.
+const {
+  wasVerificationRecentlySent,
+  verifyEmailToken,
+} = require("../models/emailVerifications"); // Email verification tokens.
+const { verifySecondFactor } = require("../models/twoFactor"); // TOTP / recovery code checks.
+const {
+  getLockout,
+  recordFailedLogin,
+  clearAccountFailures,
+} = require("../models/loginThrottle"); // Brute-force tracking and lockouts.
+const { authLimiter, sendLockedOut } = require("../utils/authThrottle"); // Credential rate limit + 429s.
+const config = require("../config"); // Centralized configuration (verification policy).
+const {
+  getPasswordPolicy,
+  validatePassword,
+  passwordPolicyError,
+} = require("../utils/passwordPolicy"); // Shared password rules.
+const { withTransaction } = require("../models/transaction"); // Atomic multi-query writes.
+const {
+  startSessionResponse,
+  sendSecondFactorChallenge,
+} = require("../utils/sessionResponse"); // Shared login responses.
+const { getClientInfo } = require("../utils/clientInfo"); // Device + IP recorded per session.
+const { sendMail } = require("../mail"); // Pluggable mail delivery.
+const { passwordResetMessage } = require("../mail/messages"); // Email templates.
+const { sendVerificationEmail } = require("../mail/accountEmails"); // Verification links.
+const { isValidEmail, isValidUsername } = require("../utils/validation"); // Shared input checks.
 
 const router = express.Router(); // Creates a modular router for auth endpoints (mounted in app.js).
 
+// Salt rounds control hashing cost. Higher = more secure but slower.
+// 12 is a common, reasonable default for entry-level portfolio projects.
+const SALT_ROUNDS = 12;
+
+// Compared against when no user matches, so a login for an unknown email
+// takes as long as one with a wrong password.
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync("not-a-real-password", SALT_ROUNDS);
+
+/**
+ * resendVerificationLimiter
+ * -----------------------------------------------------------------------------
+ * Caps how often one IP can ask for verification emails, on top of the
+ * per-account cooldown enforced in the route.
+ */
+const resendVerificationLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // 5 resend requests per IP per window
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { error: "Too many verification requests. Please try again later." },
+});
+
+/**
+ * mfaLimiter
+ * -----------------------------------------------------------------------------
+ * A 6-digit code has only a million values, so second-factor attempts get a
+ * much tighter per-IP budget than the general API limiter.
+ */
+const mfaLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // 10 second-factor attempts per IP per window
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { error: "Too many verification attempts. Please try again later." },
+});
+
+/**
+ * readPresentedRefreshToken(req, res)
+ * -----------------------------------------------------------------------------
+ * The refresh token for /refresh and /logout: the request body in bearer mode,
+ * otherwise the refresh cookie. A cookie must come with the session's CSRF
+ * token, because the browser sends it on cross-site requests too.
+ *
+ * Returns { refreshToken } or { response } when an error was already sent.
+ */
+function readPresentedRefreshToken(req, res) {
+  const fromBody = req.body?.refreshToken;
+
+  if (typeof fromBody === "string" && fromBody) {
+    return { refreshToken: fromBody };
+  }
+
+  const fromCookie = readRefreshCookie(req);
+
+  if (!fromCookie) {
+    return { response: res.status(400).json({ error: "Refresh token is required." }) };
+  }
+
+  const parsed = parseRefreshToken(fromCookie);
+
+  if (!parsed || !hasValidCsrfToken(req, parsed.sessionId)) {
+    return { response: sendCsrfError(res) };
+  }
+
+  return { refreshToken: fromCookie };
+}
+
 /**
- * isValidEmail(email)
+ * sendPasswordResetLink(email)
  * -----------------------------------------------------------------------------
- * Minimal email format check (not perfect, but prevents clearly invalid values).
- * This helps:
- * - Catch typos early
- * - Reduce bad data in the database
- * - Improve error messages for the user
+ * If the email belongs to an account, issues a reset token and emails the
+ * link. Runs after the response is sent (see POST /forgot-password).
  */
-function isValidEmail(email) {
-  // Regex checks basic "text@text.text" shape and avoids whitespace.
-  return typeof email === "string" && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+async function sendPasswordResetLink(email) {
+  const result = await pool.query("SELECT id, username, email FROM users WHERE email = $1", [email]);
+  if (result.rows.length === 0) return;
+
+  const user = result.rows[0];
+  const token = await createPasswordResetToken(user.id);
+  await sendMail(passwordResetMessage(user, token));
 }
 
+/**
+ * resendVerificationLink(email)
+ * -----------------------------------------------------------------------------
+ * If the email belongs to an unverified account that was not sent a link
+ * within the cooldown, emails a new one. Runs after the response is sent (see
+ * POST /resend-verification).
+ */
+async function resendVerificationLink(email) {
+  const result = await pool.query("SELECT id, username, email, email_verified_at FROM users WHERE email = $1", [email]);
+  const user = result.rows[0];
+
+  // Skip silently when there is nothing to do or an email was just sent.
+  if (user && user.email_verified_at === null && !(await wasVerificationRecentlySent(user.id))) {
+    await sendVerificationEmail(user);
+  }
+}
+
+/**
+ * GET /api/auth/password-policy
+ * -----------------------------------------------------------------------------
+ * Behavior:
+ * - Return the password rules enforced on register, reset and password change,
+ *   including the common/breached password list, so clients can show a live
+ *   checklist that matches the server exactly.
+ *
+ * Response:
+ * - 200 OK with { minLength, maxLength, maxBytes, disallowPersonalInfo, commonPasswords }
+ */
+router.get("/password-policy", (req, res) => {
+  // Policy never changes at runtime; let browsers cache it briefly.
+  res.set("Cache-Control", "public, max-age=3600");
+  return res.json(getPasswordPolicy());
+});
+
 /**
  * POST /api/auth/register
  * -----------------------------------------------------------------------------
@@ -47,18 +217,20 @@ function isValidEmail(email) {
  *   { username: string, email: string, password: string }
  *
  * Behavior:
- * - Validate inputs
+ * - Validate inputs (password against the shared password policy)
  * - Ensure username/email are not already taken
  * - Hash the password with bcrypt
- * - Insert new user into users table
+ * - Insert new user into users table (email not yet verified)
+ * - Email a verification link
  *
  * Response:
  * - 201 Created with user object (no password fields returned)
  * - 400 Bad Request for validation failures
  * - 409 Conflict if username/email already exists
+ * - 429 Too Many Requests when the per-IP limit is exceeded
  * - 500 Server Error for unexpected issues
  */
-router.post("/register", async (req, res) => {
+router.post("/register", authLimiter, async (req, res) => {
   try {
     // Pull expected fields from request body.
     // Express JSON middleware (app.use(express.json())) must be enabled for this to work.
@@ -66,9 +238,9 @@ router.post("/register", async (req, res) => {
 
     // ---- Input validation (keep it strict and predictable) ----
 
-    // Username must exist, be a string, and be at least 3 characters.
-    if (!username || typeof username !== "string" || username.trim().length < 3) {
-      return res.status(400).json({ error: "Username must be at least 3 characters." });
+    // Username must exist, be a string, and be 3-50 characters.
+    if (!isValidUsername(username)) {
+      return res.status(400).json({ error: "Username must be between 3 and 50 characters." });
     }
 
     // Email must exist and pass a basic format check.
@@ -76,10 +248,11 @@ router.post("/register", async (req, res) => {
       return res.status(400).json({ error: "Please provide a valid email address." });
     }
 
-    // Password must exist, be a string, and be at least 8 characters.
-    // (You can increase requirements later, but do not weaken this.)
-    if (!password || typeof password !== "string" || password.length < 8) {
-      return res.status(400).json({ error: "Password must be at least 8 characters." });
+    // Password must satisfy the shared policy (length, no personal info,
+    // not a common/breached password). See utils/passwordPolicy.js.
+    const passwordErrors = validatePassword(password, { username, email });
+    if (passwordErrors.length > 0) {
+      return res.status(400).json(passwordPolicyError(passwordErrors));
     }
 
     // ---- Uniqueness check (prevent duplicate username/email) ----
@@ -97,12 +270,8 @@ router.post("/register", async (req, res) => {
 
     // ---- Password hashing (NEVER store plaintext passwords) ----
 
-    // Salt rounds control hashing cost. Higher = more secure but slower.
-    // 12 is a common, reasonable default for entry-level portfolio projects.
-    const saltRounds = 12;
-
     // bcrypt.hash returns a safe password hash we can store.
-    const passwordHash = await bcrypt.hash(password, saltRounds);
+    const passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
 
     // ---- Insert the new user in the database ----
 
@@ -116,8 +285,18 @@ router.post("/register", async (req, res) => {
       [username.trim(), email.toLowerCase(), passwordHash]
     );
 
+    const user = result.rows[0];
+
+    // ---- Email verification ----
+
+    // The account starts unverified; the emailed link proves address ownership.
+    await sendVerificationEmail(user);
+
     // Return the newly created user data (NEVER include password_hash).
-    return res.status(201).json({ user: result.rows[0] });
+    return res.status(201).json({
+      user: { ...user, emailVerified: false },
+      message: "Account created. Check your email to verify your address.",
+    });
   } catch (err) {
     // Log the full error on the server for debugging (do not leak details to clients).
     console.error("REGISTER ERROR:", err);
@@ -135,17 +314,28 @@ router.post("/register", async (req, res) => {
  *
  * Behavior:
  * - Validate input
+ * - Reject early while the account or client IP is locked out
  * - Find user by email
  * - Compare provided password to stored bcrypt hash
- * - If valid, sign and return a JWT
+ *   (failures count toward the account and IP lockouts)
+ * - Reject disabled accounts
+ * - Apply the unverified-email policy (config.unverifiedLoginPolicy)
+ * - If two-factor authentication is enabled, return a short-lived challenge
+ *   token instead of a session (completed via POST /api/auth/login/mfa)
+ * - Otherwise create a session and return an access token + refresh token
  *
  * Response:
- * - 200 OK with { token, user }
+ * - 200 OK with { token, refreshToken, user }
+ * - 200 OK with { mfaRequired: true, challengeToken } when a second factor is needed
  * - 400 Bad Request for invalid inputs
  * - 401 Unauthorized if email/password is incorrect
+ * - 403 Forbidden if the account is disabled (code ACCOUNT_DISABLED), or the
+ *   email is unverified and the policy is "block" (code EMAIL_NOT_VERIFIED)
+ * - 429 Too Many Requests while locked out (Retry-After header) or when the
+ *   per-IP limit is exceeded
  * - 500 Server Error for unexpected issues
  */
-router.post("/login", async (req, res) => {
+router.post("/login", authLimiter, async (req, res) => {
   try {
     // Extract credentials from request body.
     const { email, password } = req.body;
@@ -160,58 +350,76 @@ router.post("/login", async (req, res) => {
       return res.status(400).json({ error: "Password is required." });
     }
 
+    // Normalize email the same way we stored it (lowercase) to ensure match.
+    const normalizedEmail = email.toLowerCase();
+
+    // ---- Brute-force lockout ----
+
+    // Checked before the password so a locked account cannot be probed at all.
+    const lockout = await getLockout(normalizedEmail, req.ip);
+    if (lockout) {
+      return sendLockedOut(res, lockout);
+    }
+
     // ---- Find user by email ----
 
-    // Normalize email the same way we stored it (lowercase) to ensure match.
     const result = await pool.query(
-      "SELECT id, username, email, password_hash FROM users WHERE email = $1",
-      [email.toLowerCase()]
+      `SELECT id, username, email, role, password_hash, email_verified_at, totp_enabled_at,
+              disabled_at
+       FROM users WHERE email = $1`,
+      [normalizedEmail]
     );
 
-    // If no user found, return a generic invalid credentials response.
-    // Do not reveal whether email exists (prevents user enumeration).
-    if (result.rows.length === 0) {
-      return res.status(401).json({ error: "Invalid email or password." });
-    }
-
     const user = result.rows[0];
 
     // ---- Compare password with stored bcrypt hash ----
 
     // bcrypt.compare handles timing-safe comparison of hashes.
-    const match = await bcrypt.compare(password, user.password_hash);
+    // Unknown emails are compared against a dummy hash so both cases take
+    // the same time (prevents user enumeration by timing).
+    const match = await bcrypt.compare(
+      password,
+      user ? user.password_hash : DUMMY_PASSWORD_HASH
+    );
+
+    if (!user || !match) {
+      await recordFailedLogin(normalizedEmail, req.ip);
 
-    if (!match) {
       // Same generic message prevents attackers from learning which part is wrong.
       return res.status(401).json({ error: "Invalid email or password." });
     }
 
-    // ---- Create a JWT token ----
-
-    // JWT_SECRET must exist. If missing, this will throw.
-    // This secret should never be committed to GitHub; it lives in .env only.
-    const token = jwt.sign(
-      {
-        // Store the minimum necessary info in the token.
-        // We only need userId; additional fields increase risk if exposed.
-        userId: user.id,
-      },
-      process.env.JWT_SECRET,
-      {
-        // Token expiration limits how long a leaked token is useful.
-        expiresIn: "2h",
-      }
-    );
+    // ---- Account status ----
 
-    // Return token + safe user profile fields.
-    return res.json({
-      token,
-      user: {
-        id: user.id,
-        username: user.username,
-        email: user.email,
-      },
-    });
+    // Only reached with the correct password, so this reveals nothing new.
+    if (user.disabled_at) {
+      return res.status(403).json({
+        error: "This account has been disabled.",
+        code: "ACCOUNT_DISABLED",
+      });
+    }
+
+    // ---- Email verification policy ----
+
+    const emailVerified = user.email_verified_at !== null;
+
+    if (!emailVerified && config.unverifiedLoginPolicy === "block") {
+      return res.status(403).json({
+        error: "Please verify your email address before signing in.",
+        code: "EMAIL_NOT_VERIFIED",
+      });
+    }
+
+    // ---- Second factor (step-up) ----
+
+    // The password was right, but the session only starts after a valid code.
+    if (user.totp_enabled_at) {
+      return sendSecondFactorChallenge(res, user);
+    }
+
+    // ---- Start a server-side session and issue tokens ----
+
+    return await startSessionResponse(req, res, user);
   } catch (err) {
     // Log full error for debugging.
     console.error("LOGIN ERROR:", err);
@@ -221,4 +429,363 @@ router.post("/login", async (req, res) => {
   }
 });
 
+/**
+ * POST /api/auth/login/mfa
+ * -----------------------------------------------------------------------------
+ * Request body:
+ *   { challengeToken: string, code: string }          (authenticator app)
+ *   { challengeToken: string, recoveryCode: string }  (one-time recovery code)
+ *
+ * Behavior:
+ * - Verify the challenge token issued by POST /api/auth/login
+ * - Reject early while the account or client IP is locked out
+ * - Verify the TOTP code (each code is accepted once) or consume a recovery code
+ *   (wrong codes count toward the same lockouts as wrong passwords)
+ * - Create a session and return tokens, exactly like a password-only login
+ *
+ * Response:
+ * - 200 OK with { token, refreshToken, user }
+ * - 400 Bad Request for missing fields
+ * - 401 Unauthorized for an expired challenge or a wrong code
+ * - 429 Too Many Requests while locked out or when the per-IP limit is exceeded
+ * - 500 Server Error for unexpected issues
+ */
+router.post("/login/mfa", mfaLimiter, async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body || {};
+
+    if (!challengeToken || typeof challengeToken !== "string") {
+      return res.status(400).json({ error: "Challenge token is required." });
+    }
+
+    if (typeof code !== "string" && typeof recoveryCode !== "string") {
+      return res.status(400).json({ error: "A verification code or recovery code is required." });
+    }
+
+    const userId = verifyMfaChallenge(challengeToken);
+    if (!userId) {
+      return res.status(401).json({ error: "Sign-in attempt expired. Please sign in again." });
+    }
+
+    const result = await pool.query(
+      `SELECT id, username, email, role, email_verified_at
+       FROM users WHERE id = $1 AND disabled_at IS NULL`,
+      [userId]
+    );
+
+    // Unknown or since-disabled accounts cannot finish signing in.
+    if (result.rows.length === 0) {
+      return res.status(401).json({ error: "Sign-in attempt expired. Please sign in again." });
+    }
+
+    const user = result.rows[0];
+
+    const lockout = await getLockout(user.email, req.ip);
+    if (lockout) {
+      return sendLockedOut(res, lockout);
+    }
+
+    const valid = await verifySecondFactor(userId, {
+      code: typeof code === "string" ? code.trim() : undefined,
+      recoveryCode,
+    });
+
+    if (!valid) {
+      await recordFailedLogin(user.email, req.ip);
+      return res.status(401).json({ error: "Invalid verification code." });
+    }
+
+    return await startSessionResponse(req, res, user);
+  } catch (err) {
+    console.error("LOGIN MFA ERROR:", err);
+    return res.status(500).json({ error: "Server error during login." });
+  }
+});
+
+/**
+ * POST /api/auth/refresh
+ * -----------------------------------------------------------------------------
+ * Request body:
+ *   { refreshToken: string }  (cookie mode: sent as the stm_refresh cookie,
+ *                              with the X-CSRF-Token header)
+ *
+ * Behavior:
+ * - Validate the refresh token against its session
+ * - Rotate it (the presented token becomes invalid)
+ * - Issue a new access token for the same session
+ *
+ * Response:
+ * - 200 OK with { token, refreshToken } (cookie mode: new cookies + { csrfToken })
+ * - 400 Bad Request if refreshToken is missing
+ * - 401 Unauthorized if the token is invalid, expired, revoked or reused
+ * - 403 Forbidden if a cookie was sent without a valid CSRF token
+ * - 500 Server Error for unexpected issues
+ */
+router.post("/refresh", async (req, res) => {
+  try {
+    const presented = readPresentedRefreshToken(req, res);
+    if (presented.response) return presented.response;
+
+    const result = await rotateSession(presented.refreshToken, getClientInfo(req));
+
+    if (!result.ok) {
+      // Same response for every failure reason; the client must sign in again.
+      if (config.authMode === "cookie") clearAuthCookies(res);
+      return res.status(401).json({ error: "Invalid or expired refresh token." });
+    }
+
+    const token = signAccessToken(result.userId, result.sessionId);
+
+    if (config.authMode === "cookie") {
+      setAuthCookies(res, { token, refreshToken: result.refreshToken });
+      return res.json({ csrfToken: csrfTokenFor(result.sessionId) });
+    }
+
+    return res.json({ token, refreshToken: result.refreshToken });
+  } catch (err) {
+    console.error("REFRESH ERROR:", err);
+    return res.status(500).json({ error: "Server error during token refresh." });
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * -----------------------------------------------------------------------------
+ * Request body:
+ *   { refreshToken: string }  (cookie mode: sent as the stm_refresh cookie,
+ *                              with the X-CSRF-Token header)
+ *
+ * Behavior:
+ * - Revoke the session the refresh token belongs to.
+ * - Access tokens for that session stop working immediately (authMiddleware
+ *   checks the session on every request).
+ * - In cookie mode, clear the auth cookies.
+ *
+ * Response:
+ * - 200 OK (also when the session was already gone, so logout is idempotent)
+ * - 400 Bad Request if refreshToken is missing
+ * - 403 Forbidden if a cookie was sent without a valid CSRF token
+ * - 500 Server Error for unexpected issues
+ */
+router.post("/logout", async (req, res) => {
+  try {
+    const presented = readPresentedRefreshToken(req, res);
+    if (presented.response) return presented.response;
+
+    await revokeSessionByRefreshToken(presented.refreshToken);
+
+    if (config.authMode === "cookie") clearAuthCookies(res);
+
+    return res.json({ message: "Logged out." });
+  } catch (err) {
+    console.error("LOGOUT ERROR:", err);
+    return res.status(500).json({ error: "Server error during logout." });
+  }
+});
+
+/**
+ * GET /api/auth/csrf
+ * -----------------------------------------------------------------------------
+ * Cookie mode only. Returns the CSRF token of the session in the access
+ * cookie, for a client that lost it (e.g. storage was cleared). Safe to
+ * expose: CORS stops other sites from reading the response.
+ *
+ * Response:
+ * - 200 OK with { csrfToken }
+ * - 401 Unauthorized if there is no valid access cookie
+ */
+router.get("/csrf", (req, res) => {
+  const sessionId = getAccessTokenSessionId(readAccessCookie(req));
+
+  if (!sessionId) {
+    return res.status(401).json({ error: "Not signed in." });
+  }
+
+  return res.json({ csrfToken: csrfTokenFor(sessionId) });
+});
+
+/**
+ * POST /api/auth/forgot-password
+ * -----------------------------------------------------------------------------
+ * Request body:
+ *   { email: string }
+ *
+ * Behavior:
+ * - If the email belongs to an account, issue a reset token and email a link.
+ * - Earlier unused reset links for that account stop working.
+ * - The lookup, token and email happen after the response, so its timing is
+ *   the same whether or not the account exists.
+ *
+ * Response:
+ * - 200 OK with the SAME message whether or not the email exists
+ *   (prevents user enumeration)
+ * - 400 Bad Request for an invalid email format
+ * - 429 Too Many Requests when the per-IP limit is exceeded
+ * - 500 Server Error for unexpected issues
+ */
+router.post("/forgot-password", authLimiter, async (req, res) => {
+  try {
+    const { email } = req.body || {};
+
+    if (!email || !isValidEmail(email)) {
+      return res.status(400).json({ error: "Please provide a valid email address." });
+    }
+
+    // Not awaited: a token insert or mail delivery only for real accounts
+    // would make the response slower for them, revealing that they exist.
+    sendPasswordResetLink(email.toLowerCase()).catch((err) => {
+      console.error("PASSWORD RESET MAIL ERROR:", err);
+    });
+
+    return res.json({
+      message: "If an account exists for that email, a password reset link has been sent.",
+    });
+  } catch (err) {
+    console.error("FORGOT PASSWORD ERROR:", err);
+    return res.status(500).json({ error: "Server error during password reset request." });
+  }
+});
+
+/**
+ * POST /api/auth/reset-password
+ * -----------------------------------------------------------------------------
+ * Request body:
+ *   { token: string, password: string }
+ *
+ * Behavior:
+ * - Check the new password against the password policy for this account
+ * - Consume the reset token (single-use, must not be expired)
+ * - Store the new password hash
+ * - Revoke every existing session so a compromised login is cut off
+ * - Clear any sign-in lockout on the account
+ *
+ * Response:
+ * - 200 OK with a confirmation message
+ * - 400 Bad Request for invalid input or an invalid/expired/used token
+ * - 429 Too Many Requests when the per-IP limit is exceeded
+ * - 500 Server Error for unexpected issues
+ */
+router.post("/reset-password", authLimiter, async (req, res) => {
+  try {
+    const { token, password } = req.body || {};
+
+    if (!token || typeof token !== "string") {
+      return res.status(400).json({ error: "Reset token is required." });
+    }
+
+    // Look up the account first so the new password can be checked against it.
+    const owner = await findPasswordResetUser(token);
+    if (!owner) {
+      return res.status(400).json({ error: "Reset link is invalid or has expired." });
+    }
+
+    // Same policy as registration.
+    const passwordErrors = validatePassword(password, owner);
+    if (passwordErrors.length > 0) {
+      return res.status(400).json(passwordPolicyError(passwordErrors));
+    }
+
+    // Hash before opening the transaction so the slow bcrypt work holds no locks.
+    const passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
+
+    const userId = await withTransaction(async (client) => {
+      const ownerId = await consumePasswordResetToken(token, client);
+      if (!ownerId) return null;
+
+      const updated = await client.query(
+        "UPDATE users SET password_hash = $1 WHERE id = $2 RETURNING email",
+        [passwordHash, ownerId]
+      );
+      await revokeAllUserSessions(ownerId, client);
+
+      // Proving ownership of the email address lifts an account lockout.
+      await clearAccountFailures(updated.rows[0].email, client);
+
+      return ownerId;
+    });
+
+    if (!userId) {
+      return res.status(400).json({ error: "Reset link is invalid or has expired." });
+    }
+
+    return res.json({ message: "Password has been reset. Please sign in." });
+  } catch (err) {
+    console.error("RESET PASSWORD ERROR:", err);
+    return res.status(500).json({ error: "Server error during password reset." });
+  }
+});
+
+/**
+ * GET /api/auth/verify?token=...
+ * -----------------------------------------------------------------------------
+ * Behavior:
+ * - Consume the verification token and mark the email address verified.
+ *
+ * Response:
+ * - 200 OK with a confirmation message
+ * - 400 Bad Request if the token is missing, invalid, expired or already used
+ * - 500 Server Error for unexpected issues
+ */
+router.get("/verify", async (req, res) => {
+  try {
+    const { token } = req.query;
+
+    if (!token || typeof token !== "string") {
+      return res.status(400).json({ error: "Verification token is required." });
+    }
+
+    const userId = await verifyEmailToken(token);
+
+    if (!userId) {
+      return res.status(400).json({ error: "Verification link is invalid or has expired." });
+    }
+
+    return res.json({ message: "Email address verified." });
+  } catch (err) {
+    console.error("VERIFY EMAIL ERROR:", err);
+    return res.status(500).json({ error: "Server error during email verification." });
+  }
+});
+
+/**
+ * POST /api/auth/resend-verification
+ * -----------------------------------------------------------------------------
+ * Request body:
+ *   { email: string }
+ *
+ * Behavior:
+ * - If the email belongs to an unverified account, email a new link.
+ * - At most one email per account per cooldown window, and a per-IP limit.
+ * - The lookup, token and email happen after the response, so its timing is
+ *   the same whatever the account's state.
+ *
+ * Response:
+ * - 200 OK with the SAME message in every case (prevents user enumeration)
+ * - 400 Bad Request for an invalid email format
+ * - 429 Too Many Requests when the per-IP limit is exceeded
+ * - 500 Server Error for unexpected issues
+ */
+router.post("/resend-verification", resendVerificationLimiter, async (req, res) => {
+  try {
+    const { email } = req.body || {};
+
+    if (!email || !isValidEmail(email)) {
+      return res.status(400).json({ error: "Please provide a valid email address." });
+    }
+
+    // Not awaited, like POST /forgot-password: work done only for unverified
+    // accounts would otherwise show in the response time.
+    resendVerificationLink(email.toLowerCase()).catch((err) => {
+      console.error("RESEND VERIFICATION MAIL ERROR:", err);
+    });
+
+    return res.json({
+      message: "If that account needs verification, a new link has been sent.",
+    });
+  } catch (err) {
+    console.error("RESEND VERIFICATION ERROR:", err);
+    return res.status(500).json({ error: "Server error while sending verification email." });
+  }
+});
+
 module.exports = router; // Export router so app.js can mount it under /api/auth
\ No newline at end of file
@@ -0,0 +1,280 @@
+/**
+ * routes/checklist.js
+ * -----------------------------------------------------------------------------
+ * Secure Task Manager - Task Checklist Routes
+ *
+ * Purpose:
+ * - Break a task into ordered steps, each with its own completed state.
+ * - Mounted by routes/tasks.js at /api/tasks/:id/checklist, after its
+ *   authentication and email-verification middleware.
+ *
+ * Endpoints:
+ * - GET    /api/tasks/:id/checklist           -> list items in order
+ * - POST   /api/tasks/:id/checklist           -> append an item
+ * - PUT    /api/tasks/:id/checklist/order     -> reorder all items
+ * - PUT    /api/tasks/:id/checklist/:itemId   -> rename / check / uncheck
+ * - DELETE /api/tasks/:id/checklist/:itemId   -> remove an item
+ *
+ * Behavior:
+ * - Every write also returns the updated task: its progress ({ done, total })
+ *   and, for tasks with auto_complete on, its completed state follow the
+ *   checklist.
+ * - When that completes a recurring task, its next occurrence is created and
+ *   returned as next_task (see models/recurrence.js).
+ * - Completions caused by the checklist are recorded in the task's revision
+ *   history (the items themselves are not).
+ *
+ * Security:
+ * - Reads require tasks:read, writes tasks:write.
+ * - The task must belong to the authenticated user (404 otherwise).
+ * -----------------------------------------------------------------------------
+ */
+
+const express = require("express"); // Express routing utilities
+const requirePermission = require("../middleware/requirePermission"); // Role-based permission checks
+const { withTransaction } = require("../models/transaction"); // Item + task updates are atomic
+const { findTask } = require("../models/tasks"); // Task for responses
+const { spawnNextOccurrence } = require("../models/recurrence"); // Recurring tasks
+const { revisionActor, snapshotTasks, recordChanges } = require("../models/taskRevisions"); // Revision history
+const {
+  MAX_CHECKLIST_ITEMS,
+  lockUserTask,
+  listChecklistItems,
+  addChecklistItem,
+  updateChecklistItem,
+  deleteChecklistItem,
+  reorderChecklistItems,
+  syncTaskWithChecklist,
+} = require("../models/checklist"); // Checklist storage
+const {
+  createChecklistItemSchema,
+  updateChecklistItemSchema,
+  reorderChecklistSchema,
+} = require("../schemas/checklistSchemas"); // Zod schemas
+const { formatZodError, validatePositiveIntParam } = require("../utils/validation"); // Shared input checks
+
+// mergeParams: the task id comes from the parent router's "/:id".
+const router = express.Router({ mergeParams: true });
+
+/**
+ * changeChecklist(user, taskId, change)
+ * -----------------------------------------------------------------------------
+ * Runs change(client) in a transaction on the user's (req.user) locked task,
+ * then syncs the task with its checklist (creating the next occurrence if
+ * that completed a recurring task) and records what that changed.
+ *
+ * Returns:
+ * - { taskFound: false } if the task is missing or not the user's
+ * - { taskFound: true, result, task, nextTask } otherwise; when change
+ *   returns null nothing is saved and task is omitted. nextTask is undefined
+ *   unless an occurrence was created.
+ */
+function changeChecklist(user, taskId, change) {
+  const actor = revisionActor(user);
+  const { userId } = actor;
+
+  return withTransaction(async (client) => {
+    if (!(await lockUserTask(userId, taskId, client))) return { taskFound: false };
+    const before = await snapshotTasks(userId, [taskId], client);
+
+    const result = await change(client);
+    if (result === null) return { taskFound: true, result };
+
+    await syncTaskWithChecklist(taskId, client);
+    const nextId = await spawnNextOccurrence(userId, taskId, client);
+    await recordChanges(actor, before, nextId ? [taskId, nextId] : [taskId], client);
+
+    return {
+      taskFound: true,
+      result,
+      task: await findTask(userId, taskId, client),
+      nextTask: nextId ? await findTask(userId, nextId, client) : undefined,
+    };
+  });
+}
+
+function taskNotFound(res) {
+  return res.status(404).json({ error: "Task not found." });
+}
+
+function invalidInput(res, zodError) {
+  return res.status(400).json({ error: "Invalid input", details: formatZodError(zodError) });
+}
+
+/**
+ * GET /api/tasks/:id/checklist
+ * -----------------------------------------------------------------------------
+ * Response:
+ * - 200 OK with { items: [{ id, title, completed, position, created_at }] }
+ * - 404 Not Found if the task does not exist or is not the user's
+ */
+router.get("/", requirePermission("tasks:read"), async (req, res) => {
+  try {
+    const idCheck = validatePositiveIntParam(res, "id", req.params.id);
+    if (!idCheck.ok) return idCheck.response;
+
+    const task = await findTask(req.user.userId, idCheck.value);
+    if (!task) return taskNotFound(res);
+
+    const items = await listChecklistItems(task.id);
+    return res.json({ items });
+  } catch (err) {
+    console.error("LIST CHECKLIST ERROR:", err);
+    return res.status(500).json({ error: "Failed to load checklist." });
+  }
+});
+
+/**
+ * POST /api/tasks/:id/checklist
+ * -----------------------------------------------------------------------------
+ * Request:
+ *   { title: string }
+ *
+ * Response:
+ * - 201 Created with { item, task, next_task? }
+ * - 400 Bad Request for invalid input or a full checklist
+ *   (MAX_CHECKLIST_ITEMS)
+ * - 404 Not Found if the task does not exist or is not the user's
+ */
+router.post("/", requirePermission("tasks:write"), async (req, res) => {
+  try {
+    const idCheck = validatePositiveIntParam(res, "id", req.params.id);
+    if (!idCheck.ok) return idCheck.response;
+    const taskId = idCheck.value;
+
+    const parsed = createChecklistItemSchema.safeParse(req.body);
+    if (!parsed.success) return invalidInput(res, parsed.error);
+
+    const outcome = await changeChecklist(req.user, taskId, (client) =>
+      addChecklistItem(taskId, parsed.data.title, client)
+    );
+
+    if (!outcome.taskFound) return taskNotFound(res);
+
+    if (!outcome.result) {
+      return res.status(400).json({
+        error: "Invalid input",
+        details: [
+          {
+            field: "_form",
+            message: `A checklist can have at most ${MAX_CHECKLIST_ITEMS} items.`,
+          },
+        ],
+      });
+    }
+
+    return res.status(201).json({ item: outcome.result, task: outcome.task, next_task: outcome.nextTask });
+  } catch (err) {
+    console.error("ADD CHECKLIST ITEM ERROR:", err);
+    return res.status(500).json({ error: "Failed to add checklist item." });
+  }
+});
+
+/**
+ * PUT /api/tasks/:id/checklist/order
+ * -----------------------------------------------------------------------------
+ * Request:
+ *   { item_ids: number[] }  every item of the task, in the new order
+ *
+ * Response:
+ * - 200 OK with { items, task, next_task? }
+ * - 400 Bad Request if item_ids is not exactly the task's items
+ * - 404 Not Found if the task does not exist or is not the user's
+ */
+router.put("/order", requirePermission("tasks:write"), async (req, res) => {
+  try {
+    const idCheck = validatePositiveIntParam(res, "id", req.params.id);
+    if (!idCheck.ok) return idCheck.response;
+    const taskId = idCheck.value;
+
+    const parsed = reorderChecklistSchema.safeParse(req.body);
+    if (!parsed.success) return invalidInput(res, parsed.error);
+
+    const outcome = await changeChecklist(req.user, taskId, (client) =>
+      reorderChecklistItems(taskId, parsed.data.item_ids, client)
+    );
+
+    if (!outcome.taskFound) return taskNotFound(res);
+
+    if (!outcome.result) {
+      return res.status(400).json({
+        error: "Invalid input",
+        details: [
+          { field: "item_ids", message: "item_ids must list every checklist item exactly once." },
+        ],
+      });
+    }
+
+    return res.json({ items: outcome.result, task: outcome.task, next_task: outcome.nextTask });
+  } catch (err) {
+    console.error("REORDER CHECKLIST ERROR:", err);
+    return res.status(500).json({ error: "Failed to reorder checklist." });
+  }
+});
+
+/**
+ * PUT /api/tasks/:id/checklist/:itemId
+ * -----------------------------------------------------------------------------
+ * Request:
+ *   { title?: string, completed?: boolean }  (at least one)
+ *
+ * Response:
+ * - 200 OK with { item, task, next_task? }
+ * - 400 Bad Request for invalid input
+ * - 404 Not Found if the task or item does not exist (or is not the user's)
+ */
+router.put("/:itemId", requirePermission("tasks:write"), async (req, res) => {
+  try {
+    const idCheck = validatePositiveIntParam(res, "id", req.params.id);
+    if (!idCheck.ok) return idCheck.response;
+    const itemCheck = validatePositiveIntParam(res, "itemId", req.params.itemId);
+    if (!itemCheck.ok) return itemCheck.response;
+    const taskId = idCheck.value;
+
+    const parsed = updateChecklistItemSchema.safeParse(req.body);
+    if (!parsed.success) return invalidInput(res, parsed.error);
+
+    const outcome = await changeChecklist(req.user, taskId, (client) =>
+      updateChecklistItem(taskId, itemCheck.value, parsed.data, client)
+    );
+
+    if (!outcome.taskFound) return taskNotFound(res);
+    if (!outcome.result) return res.status(404).json({ error: "Checklist item not found." });
+
+    return res.json({ item: outcome.result, task: outcome.task, next_task: outcome.nextTask });
+  } catch (err) {
+    console.error("UPDATE CHECKLIST ITEM ERROR:", err);
+    return res.status(500).json({ error: "Failed to update checklist item." });
+  }
+});
+
+/**
+ * DELETE /api/tasks/:id/checklist/:itemId
+ * -----------------------------------------------------------------------------
+ * Response:
+ * - 200 OK with { task, next_task? }
+ * - 404 Not Found if the task or item does not exist (or is not the user's)
+ */
+router.delete("/:itemId", requirePermission("tasks:write"), async (req, res) => {
+  try {
+    const idCheck = validatePositiveIntParam(res, "id", req.params.id);
+    if (!idCheck.ok) return idCheck.response;
+    const itemCheck = validatePositiveIntParam(res, "itemId", req.params.itemId);
+    if (!itemCheck.ok) return itemCheck.response;
+    const taskId = idCheck.value;
+
+    const outcome = await changeChecklist(req.user, taskId, async (client) =>
+      (await deleteChecklistItem(taskId, itemCheck.value, client)) ? true : null
+    );
+
+    if (!outcome.taskFound) return taskNotFound(res);
+    if (!outcome.result) return res.status(404).json({ error: "Checklist item not found." });
+
+    return res.json({ task: outcome.task, next_task: outcome.nextTask });
+  } catch (err) {
+    console.error("DELETE CHECKLIST ITEM ERROR:", err);
+    return res.status(500).json({ error: "Failed to delete checklist item." });
+  }
+});
+
+module.exports = router; // Mounted by routes/tasks.js
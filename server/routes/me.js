@@ -0,0 +1,279 @@
+/**
+ * routes/me.js
+ * -----------------------------------------------------------------------------
+ * Secure Task Manager - Account Self-Service Routes
+ *
+ * Purpose:
+ * - Let a signed-in user see and manage their own account.
+ *
+ * Endpoints:
+ * - GET    /api/me           -> current user's profile
+ * - PATCH  /api/me           -> change username
+ * - POST   /api/me/password  -> change password (current password required)
+ * - POST   /api/me/email     -> change email address (re-verification required)
+ * - DELETE /api/me           -> delete the account and all of its tasks
+ *
+ * Security:
+ * - All routes require a valid access token from a signed-in session;
+ *   personal API tokens are rejected (requireSession).
+ * - Password, email and deletion changes re-check the current password
+ *   (and the second factor for deletion when 2FA is on), so a hijacked
+ *   session alone cannot take over or destroy the account.
+ * - Those re-checks are guessing targets too: they share the sign-in rate
+ *   limit (authLimiter), and wrong passwords or codes count toward the same
+ *   account and IP lockouts as failed sign-ins (models/loginThrottle.js).
+ * - A wrong password returns 403, not 401, because clients treat 401 as an
+ *   expired session.
+ * -----------------------------------------------------------------------------
+ */
+
+const express = require("express"); // Express routing utilities
+const bcrypt = require("bcrypt"); // Password hashing
+const authMiddleware = require("../middleware/authMiddleware"); // JWT auth middleware
+const requireSession = require("../middleware/requireSession"); // No API tokens
+const {
+  getUserProfile,
+  updateUsername,
+  updatePassword,
+  updateEmail,
+  deleteUser,
+} = require("../models/users"); // Account queries
+const { verifySecondFactor } = require("../models/twoFactor"); // TOTP / recovery code checks
+const { recordFailedLogin } = require("../models/loginThrottle"); // Brute-force lockouts
+const { authLimiter, confirmPassword } = require("../utils/authThrottle"); // Credential rate limit + password re-checks
+const { validatePassword, passwordPolicyError } = require("../utils/passwordPolicy"); // Shared password rules
+const { isValidEmail, isValidUsername } = require("../utils/validation"); // Shared input checks
+const { clearAuthCookies } = require("../utils/authCookies"); // Cookie-mode sign-out
+const { sendVerificationEmail, sendEmailChangedNotice } = require("../mail/accountEmails"); // Account emails
+
+const router = express.Router(); // Router mounted at /api/me
+
+// Same work factor as routes/auth.js.
+const SALT_ROUNDS = 12;
+
+// Every route here acts on the signed-in user, and only from a real session
+// (personal access tokens cannot manage the account).
+router.use(authMiddleware, requireSession);
+
+/**
+ * GET /api/me
+ * -----------------------------------------------------------------------------
+ * Response:
+ * - 200 OK with { user: { id, username, email, emailVerified, twoFactorEnabled, createdAt } }
+ * - 404 Not Found if the account no longer exists
+ */
+router.get("/", async (req, res) => {
+  try {
+    const user = await getUserProfile(req.user.userId);
+
+    if (!user) {
+      return res.status(404).json({ error: "Account not found." });
+    }
+
+    return res.json({ user });
+  } catch (err) {
+    console.error("GET ME ERROR:", err);
+    return res.status(500).json({ error: "Failed to load account." });
+  }
+});
+
+/**
+ * PATCH /api/me
+ * -----------------------------------------------------------------------------
+ * Request body:
+ *   { username: string }
+ *
+ * Response:
+ * - 200 OK with { user }
+ * - 400 Bad Request for an invalid username
+ * - 404 Not Found if the account no longer exists
+ * - 409 Conflict if the username is already taken
+ */
+router.patch("/", async (req, res) => {
+  try {
+    const { username } = req.body || {};
+
+    if (!isValidUsername(username)) {
+      return res.status(400).json({ error: "Username must be between 3 and 50 characters." });
+    }
+
+    const result = await updateUsername(req.user.userId, username.trim());
+
+    if (!result.ok) {
+      return result.reason === "not_found"
+        ? res.status(404).json({ error: "Account not found." })
+        : res.status(409).json({ error: "Username already in use." });
+    }
+
+    return res.json({ user: result.user });
+  } catch (err) {
+    console.error("UPDATE ME ERROR:", err);
+    return res.status(500).json({ error: "Failed to update account." });
+  }
+});
+
+/**
+ * POST /api/me/password
+ * -----------------------------------------------------------------------------
+ * Request body:
+ *   { currentPassword: string, newPassword: string }
+ *
+ * Behavior:
+ * - Confirm the current password
+ * - Check the new password against the shared password policy
+ * - Store the new hash, sign out every OTHER session and cancel pending
+ *   password reset links (this session stays signed in)
+ *
+ * Response:
+ * - 200 OK with a confirmation message
+ * - 400 Bad Request if the new password breaks the policy
+ * - 403 Forbidden if the current password is wrong
+ * - 429 Too Many Requests while locked out or when the per-IP limit is exceeded
+ */
+router.post("/password", authLimiter, async (req, res) => {
+  try {
+    const { userId, sessionId } = req.user;
+    const { currentPassword, newPassword } = req.body || {};
+
+    const confirmed = await confirmPassword(req, res, currentPassword, "Current password is incorrect.");
+    if (confirmed.response) return confirmed.response;
+    const { user } = confirmed;
+
+    const passwordErrors = validatePassword(newPassword, user);
+    if (passwordErrors.length > 0) {
+      return res.status(400).json(passwordPolicyError(passwordErrors));
+    }
+
+    if (newPassword === currentPassword) {
+      return res.status(400).json({ error: "New password must be different from the current one." });
+    }
+
+    const passwordHash = await bcrypt.hash(newPassword, SALT_ROUNDS);
+    await updatePassword(userId, passwordHash, sessionId);
+
+    return res.json({ message: "Password changed. Your other sessions have been signed out." });
+  } catch (err) {
+    console.error("CHANGE PASSWORD ERROR:", err);
+    return res.status(500).json({ error: "Failed to change password." });
+  }
+});
+
+/**
+ * POST /api/me/email
+ * -----------------------------------------------------------------------------
+ * Request body:
+ *   { password: string, email: string }
+ *
+ * Behavior:
+ * - Confirm the current password
+ * - Switch the account to the new address, marked unverified
+ *   (UNVERIFIED_LOGIN_POLICY applies again until it is verified)
+ * - Email a verification link to the new address and a notice to the old one
+ *
+ * Response:
+ * - 200 OK with { user, message }
+ * - 400 Bad Request for an invalid or unchanged email address
+ * - 403 Forbidden if the password is wrong
+ * - 404 Not Found if the account no longer exists
+ * - 409 Conflict if another account uses the address
+ * - 429 Too Many Requests while locked out or when the per-IP limit is exceeded
+ */
+router.post("/email", authLimiter, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { password, email } = req.body || {};
+
+    if (!email || !isValidEmail(email)) {
+      return res.status(400).json({ error: "Please provide a valid email address." });
+    }
+
+    const confirmed = await confirmPassword(req, res, password, "Incorrect password.");
+    if (confirmed.response) return confirmed.response;
+    const current = confirmed.user;
+
+    const nextEmail = email.toLowerCase();
+
+    if (nextEmail === current.email) {
+      return res.status(400).json({ error: "That is already your email address." });
+    }
+
+    const result = await updateEmail(userId, nextEmail);
+
+    if (!result.ok) {
+      return result.reason === "not_found"
+        ? res.status(404).json({ error: "Account not found." })
+        : res.status(409).json({ error: "Email already in use." });
+    }
+
+    const { user } = result;
+
+    await sendVerificationEmail(user);
+    sendEmailChangedNotice(user, current.email);
+
+    return res.json({
+      user,
+      message: "Email updated. Check your new inbox for a verification link.",
+    });
+  } catch (err) {
+    console.error("CHANGE EMAIL ERROR:", err);
+    return res.status(500).json({ error: "Failed to change email address." });
+  }
+});
+
+/**
+ * DELETE /api/me
+ * -----------------------------------------------------------------------------
+ * Request body:
+ *   { password: string, code?: string, recoveryCode?: string }
+ *   (code or recoveryCode is required when two-factor authentication is on)
+ *
+ * Behavior:
+ * - Permanently delete the account, its tasks, sessions and tokens.
+ * - Clear the auth cookies (cookie mode).
+ *
+ * Response:
+ * - 200 OK with a confirmation message
+ * - 400 Bad Request if a required second factor is missing
+ * - 403 Forbidden if the password or second factor is wrong
+ * - 429 Too Many Requests while locked out or when the per-IP limit is exceeded
+ */
+router.delete("/", authLimiter, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { password, code, recoveryCode } = req.body || {};
+
+    const confirmed = await confirmPassword(req, res, password, "Incorrect password.");
+    if (confirmed.response) return confirmed.response;
+    const { user } = confirmed;
+
+    if (user.twoFactorEnabled) {
+      if (typeof code !== "string" && typeof recoveryCode !== "string") {
+        return res
+          .status(400)
+          .json({ error: "A verification code or recovery code is required." });
+      }
+
+      const valid = await verifySecondFactor(userId, {
+        code: typeof code === "string" ? code.trim() : undefined,
+        recoveryCode,
+      });
+
+      if (!valid) {
+        await recordFailedLogin(user.email, req.ip);
+        return res.status(403).json({ error: "Invalid verification code." });
+      }
+    }
+
+    await deleteUser(userId);
+
+    // The sessions are gone; drop the auth cookies too (harmless in bearer mode).
+    clearAuthCookies(res);
+
+    return res.json({ message: "Your account and all of its tasks have been deleted." });
+  } catch (err) {
+    console.error("DELETE ACCOUNT ERROR:", err);
+    return res.status(500).json({ error: "Failed to delete account." });
+  }
+});
+
+module.exports = router; // Export router for app.js
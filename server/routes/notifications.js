@@ -0,0 +1,100 @@
+/**
+ * routes/notifications.js
+ * -----------------------------------------------------------------------------
+ * Secure Task Manager - In-App Notification Routes
+ *
+ * Purpose:
+ * - Let a user read the notifications recorded for them (task reminders).
+ *
+ * Endpoints:
+ * - GET  /api/notifications            -> list notifications (?unread=true)
+ * - POST /api/notifications/:id/read   -> mark one as read
+ * - POST /api/notifications/read-all   -> mark all as read
+ *
+ * Security:
+ * - Require a valid access token with the tasks:read permission
+ *   (notifications mention task titles).
+ * - Every query is scoped to the authenticated user.
+ * -----------------------------------------------------------------------------
+ */
+
+const express = require("express"); // Express routing utilities
+const authMiddleware = require("../middleware/authMiddleware"); // JWT auth middleware
+const requirePermission = require("../middleware/requirePermission"); // Role-based permission checks
+const {
+  listNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+} = require("../models/notifications"); // Notification storage
+const { validatePositiveIntParam } = require("../utils/validation"); // Shared input checks
+
+const router = express.Router(); // Router mounted at /api/notifications
+
+router.use(authMiddleware, requirePermission("tasks:read"));
+
+/**
+ * GET /api/notifications
+ * -----------------------------------------------------------------------------
+ * Query:
+ *   unread?: "true"   only notifications not yet read
+ *
+ * Response:
+ * - 200 OK with { notifications: [{ id, task_id, kind, title, body,
+ *   created_at, read_at }] }, newest first (at most 50)
+ */
+router.get("/", async (req, res) => {
+  try {
+    const notifications = await listNotifications(req.user.userId, {
+      unreadOnly: req.query.unread === "true",
+    });
+
+    return res.json({ notifications });
+  } catch (err) {
+    console.error("LIST NOTIFICATIONS ERROR:", err);
+    return res.status(500).json({ error: "Failed to load notifications." });
+  }
+});
+
+/**
+ * POST /api/notifications/read-all
+ * -----------------------------------------------------------------------------
+ * Response:
+ * - 200 OK with { marked }
+ */
+router.post("/read-all", async (req, res) => {
+  try {
+    const marked = await markAllNotificationsRead(req.user.userId);
+    return res.json({ marked });
+  } catch (err) {
+    console.error("READ ALL NOTIFICATIONS ERROR:", err);
+    return res.status(500).json({ error: "Failed to update notifications." });
+  }
+});
+
+/**
+ * POST /api/notifications/:id/read
+ * -----------------------------------------------------------------------------
+ * Response:
+ * - 200 OK with { notification }
+ * - 400 Bad Request for an invalid id
+ * - 404 Not Found if the notification does not exist or is not the user's
+ */
+router.post("/:id/read", async (req, res) => {
+  try {
+    const idCheck = validatePositiveIntParam(res, "id", req.params.id);
+    if (!idCheck.ok) return idCheck.response;
+
+    const notification = await markNotificationRead(req.user.userId, idCheck.value);
+
+    if (!notification) {
+      return res.status(404).json({ error: "Notification not found." });
+    }
+
+    return res.json({ notification });
+  } catch (err) {
+    console.error("READ NOTIFICATION ERROR:", err);
+    return res.status(500).json({ error: "Failed to update notification." });
+  }
+});
+
+module.exports = router; // Export router for app.js
@@ -0,0 +1,240 @@
+/**
+ * routes/oidc.js
+ * -----------------------------------------------------------------------------
+ * Secure Task Manager - OpenID Connect Sign-In Routes
+ *
+ * Purpose:
+ * - Sign in with an external identity provider ("Sign in with SSO") using
+ *   the authorization code flow with PKCE.
+ *
+ * Endpoints:
+ * - GET  /api/auth/oidc           -> whether SSO is configured (+ button label)
+ * - GET  /api/auth/oidc/start     -> redirect the browser to the provider
+ * - GET  /api/auth/oidc/callback  -> provider redirects back here; redirects
+ *                                    on to the client with a login code
+ * - POST /api/auth/oidc/complete  -> exchange the login code for a session
+ *
+ * Security:
+ * - state (bound to this browser by a short-lived cookie), nonce and a PKCE
+ *   code verifier protect each sign-in.
+ * - The ID token is verified against the provider's published keys.
+ * - Tokens are never put in a URL: the client receives a single-use login
+ *   code and POSTs it, getting the same response as a password login
+ *   (including the second-factor challenge when 2FA is enabled).
+ * -----------------------------------------------------------------------------
+ */
+
+const express = require("express"); // Express routing utilities
+const crypto = require("crypto"); // Nonce generation
+const config = require("../config"); // Client origin, cookie flags, provider name
+const {
+  isOidcEnabled,
+  createPkcePair,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+} = require("../utils/oidcClient"); // Provider communication
+const {
+  createOidcLoginRequest,
+  takeOidcLoginRequest,
+  issueOidcLoginCode,
+  redeemOidcLoginCode,
+  findOrCreateOidcUser,
+} = require("../models/oidcLogins"); // Sign-in state + account linking
+const {
+  startSessionResponse,
+  sendSecondFactorChallenge,
+} = require("../utils/sessionResponse"); // Shared login responses
+
+const router = express.Router(); // Router mounted at /api/auth/oidc
+
+const STATE_COOKIE = "stm_oidc_state";
+
+// Lax (not Strict): the provider's redirect back is a cross-site navigation.
+const STATE_COOKIE_OPTIONS = {
+  httpOnly: true,
+  secure: config.cookieSecure,
+  sameSite: "lax",
+  path: "/api/auth/oidc",
+};
+
+/**
+ * redirectToClient(res, params)
+ * -----------------------------------------------------------------------------
+ * Sends the browser back to the client's login page with sso / sso_error.
+ */
+function redirectToClient(res, params) {
+  const url = new URL("/login", config.clientOrigin);
+  url.search = new URLSearchParams(params).toString();
+  return res.redirect(url.toString());
+}
+
+/**
+ * GET /api/auth/oidc
+ * -----------------------------------------------------------------------------
+ * Response:
+ * - 200 OK with { enabled, providerName }
+ */
+router.get("/", (req, res) => {
+  return res.json({
+    enabled: isOidcEnabled(),
+    providerName: isOidcEnabled() ? config.oidcProviderName : null,
+  });
+});
+
+/**
+ * GET /api/auth/oidc/start
+ * -----------------------------------------------------------------------------
+ * Behavior:
+ * - Create a sign-in request (state, nonce, PKCE verifier)
+ * - Bind the state to this browser with an HttpOnly cookie
+ * - Redirect to the provider's authorization endpoint
+ *
+ * Response:
+ * - 302 Found to the provider
+ * - 404 Not Found when SSO is not configured
+ * - 502 Bad Gateway when the provider cannot be reached
+ */
+router.get("/start", async (req, res) => {
+  if (!isOidcEnabled()) {
+    return res.status(404).json({ error: "Single sign-on is not configured." });
+  }
+
+  try {
+    const { codeVerifier, codeChallenge } = createPkcePair();
+    const nonce = crypto.randomBytes(16).toString("base64url");
+
+    const state = await createOidcLoginRequest({ codeVerifier, nonce });
+    const authorizationUrl = await buildAuthorizationUrl({ state, nonce, codeChallenge });
+
+    res.cookie(STATE_COOKIE, state, { ...STATE_COOKIE_OPTIONS, maxAge: 10 * 60 * 1000 });
+
+    return res.redirect(authorizationUrl);
+  } catch (err) {
+    console.error("OIDC START ERROR:", err);
+    return res.status(502).json({ error: "Could not reach the identity provider." });
+  }
+});
+
+/**
+ * GET /api/auth/oidc/callback
+ * -----------------------------------------------------------------------------
+ * Query:
+ *   code, state (or error, when the user cancelled at the provider)
+ *
+ * Behavior:
+ * - Check the state against this browser's cookie and the stored request
+ * - Exchange the code (with the PKCE verifier) and verify the ID token
+ * - Find, link or create the local account
+ * - Redirect to the client with a single-use login code
+ *
+ * Response:
+ * - 302 Found to <CLIENT_ORIGIN>/login?sso=<login code>
+ * - 302 Found to <CLIENT_ORIGIN>/login?sso_error=<reason> on failure, where
+ *   reason is one of: cancelled, invalid_state, provider_error,
+ *   email_not_verified, account_unverified, account_disabled
+ */
+router.get("/callback", async (req, res) => {
+  const { code, state, error } = req.query;
+  const cookieState = req.cookies?.[STATE_COOKIE];
+
+  // The state cookie is single-use whatever happens next.
+  res.clearCookie(STATE_COOKIE, STATE_COOKIE_OPTIONS);
+
+  if (error) {
+    return redirectToClient(res, { sso_error: "cancelled" });
+  }
+
+  // A callback this browser did not start (login CSRF) has no matching cookie.
+  if (
+    typeof code !== "string" ||
+    typeof state !== "string" ||
+    !cookieState ||
+    cookieState !== state
+  ) {
+    return redirectToClient(res, { sso_error: "invalid_state" });
+  }
+
+  try {
+    const request = await takeOidcLoginRequest(state);
+    if (!request) {
+      return redirectToClient(res, { sso_error: "invalid_state" });
+    }
+
+    let claims;
+
+    try {
+      const idToken = await exchangeCode(code, request.codeVerifier);
+      claims = await verifyIdToken(idToken, request.nonce);
+    } catch (err) {
+      console.error("OIDC CALLBACK PROVIDER ERROR:", err);
+      return redirectToClient(res, { sso_error: "provider_error" });
+    }
+
+    const result = await findOrCreateOidcUser(config.oidcIssuer, claims);
+
+    if (result.error) {
+      return redirectToClient(res, { sso_error: result.error });
+    }
+
+    if (result.user.disabled_at) {
+      return redirectToClient(res, { sso_error: "account_disabled" });
+    }
+
+    const loginCode = await issueOidcLoginCode(request.id, result.user.id);
+
+    return redirectToClient(res, { sso: loginCode });
+  } catch (err) {
+    console.error("OIDC CALLBACK ERROR:", err);
+    return redirectToClient(res, { sso_error: "provider_error" });
+  }
+});
+
+/**
+ * POST /api/auth/oidc/complete
+ * -----------------------------------------------------------------------------
+ * Request body:
+ *   { code: string }  the login code from the callback redirect
+ *
+ * Response:
+ * - 200 OK with the same body as POST /api/auth/login: { token, refreshToken,
+ *   user } (cookie mode: { csrfToken, user }), or { mfaRequired: true,
+ *   challengeToken } when two-factor authentication is enabled
+ * - 400 Bad Request if the code is missing
+ * - 401 Unauthorized if the code is invalid, expired or already used
+ * - 403 Forbidden if the account was disabled meanwhile (code ACCOUNT_DISABLED)
+ */
+router.post("/complete", async (req, res) => {
+  try {
+    const { code } = req.body || {};
+
+    if (!code || typeof code !== "string") {
+      return res.status(400).json({ error: "Login code is required." });
+    }
+
+    const user = await redeemOidcLoginCode(code);
+
+    if (!user) {
+      return res.status(401).json({ error: "This sign-in link has expired. Please try again." });
+    }
+
+    if (user.disabled_at) {
+      return res.status(403).json({
+        error: "This account has been disabled.",
+        code: "ACCOUNT_DISABLED",
+      });
+    }
+
+    // The provider proved who the user is; the local second factor still applies.
+    if (user.totp_enabled_at) {
+      return sendSecondFactorChallenge(res, user);
+    }
+
+    return await startSessionResponse(req, res, user);
+  } catch (err) {
+    console.error("OIDC COMPLETE ERROR:", err);
+    return res.status(500).json({ error: "Server error during sign-in." });
+  }
+});
+
+module.exports = router; // Export router for app.js
@@ -0,0 +1,166 @@
+/**
+ * routes/projects.js
+ * -----------------------------------------------------------------------------
+ * Secure Task Manager - Project Routes
+ *
+ * Purpose:
+ * - Let a user group tasks into named projects (lists).
+ * - Tasks join a project with project_id in POST/PUT /api/tasks (null moves
+ *   them to the Inbox) and are listed per project with GET /api/tasks?project=.
+ *
+ * Endpoints:
+ * - GET    /api/projects       -> list projects and the Inbox, with counts
+ * - POST   /api/projects       -> create a project
+ * - PUT    /api/projects/:id   -> rename a project
+ * - DELETE /api/projects/:id   -> delete a project (its tasks move to the Inbox)
+ *
+ * Security:
+ * - Same rules as /api/tasks: reads require tasks:read, writes tasks:write,
+ *   and writes may be blocked for unverified email addresses.
+ * - Every query is scoped to the authenticated user.
+ * -----------------------------------------------------------------------------
+ */
+
+const express = require("express"); // Express routing utilities
+const authMiddleware = require("../middleware/authMiddleware"); // JWT auth middleware
+const requireVerifiedEmail = require("../middleware/requireVerifiedEmail"); // Unverified-account policy
+const requirePermission = require("../middleware/requirePermission"); // Role-based permission checks
+const {
+  listProjects,
+  createProject,
+  renameProject,
+  deleteProject,
+} = require("../models/projects"); // Project storage
+const { projectSchema } = require("../schemas/projectSchemas"); // Zod schemas
+const { formatZodError, validatePositiveIntParam } = require("../utils/validation"); // Shared input checks
+
+const router = express.Router(); // Router mounted at /api/projects
+
+// Postgres unique_violation: the user already has a project with that name.
+const UNIQUE_VIOLATION = "23505";
+
+router.use(authMiddleware);
+router.use(requireVerifiedEmail);
+
+/**
+ * GET /api/projects
+ * -----------------------------------------------------------------------------
+ * Response:
+ * - 200 OK with { projects: [{ id, name, created_at, task_count,
+ *   remaining_count }], inbox: { task_count, remaining_count } }, A-Z
+ *   (remaining_count: tasks not completed)
+ */
+router.get("/", requirePermission("tasks:read"), async (req, res) => {
+  try {
+    const { projects, inbox } = await listProjects(req.user.userId);
+    return res.json({ projects, inbox });
+  } catch (err) {
+    console.error("LIST PROJECTS ERROR:", err);
+    return res.status(500).json({ error: "Failed to load projects." });
+  }
+});
+
+/**
+ * POST /api/projects
+ * -----------------------------------------------------------------------------
+ * Request:
+ *   { name: string }  1-100 characters; "Inbox" is reserved
+ *
+ * Response:
+ * - 201 Created with { project: { id, name, created_at } }
+ * - 400 Bad Request with validation error details
+ * - 409 Conflict if the user already has a project with that name (any case)
+ */
+router.post("/", requirePermission("tasks:write"), async (req, res) => {
+  try {
+    const parsed = projectSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({
+        error: "Invalid input",
+        details: formatZodError(parsed.error),
+      });
+    }
+
+    const project = await createProject(req.user.userId, parsed.data.name);
+    return res.status(201).json({ project });
+  } catch (err) {
+    if (err.code === UNIQUE_VIOLATION) {
+      return res.status(409).json({ error: "You already have a project with that name." });
+    }
+
+    console.error("CREATE PROJECT ERROR:", err);
+    return res.status(500).json({ error: "Failed to create project." });
+  }
+});
+
+/**
+ * PUT /api/projects/:id
+ * -----------------------------------------------------------------------------
+ * Request:
+ *   { name: string }
+ *
+ * Response:
+ * - 200 OK with { project }
+ * - 400 Bad Request with validation error details
+ * - 404 Not Found if the project does not exist or is not the user's
+ * - 409 Conflict if another of the user's projects has that name
+ */
+router.put("/:id", requirePermission("tasks:write"), async (req, res) => {
+  try {
+    const idCheck = validatePositiveIntParam(res, "id", req.params.id);
+    if (!idCheck.ok) return idCheck.response;
+
+    const parsed = projectSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({
+        error: "Invalid input",
+        details: formatZodError(parsed.error),
+      });
+    }
+
+    const project = await renameProject(req.user.userId, idCheck.value, parsed.data.name);
+
+    if (!project) {
+      return res.status(404).json({ error: "Project not found." });
+    }
+
+    return res.json({ project });
+  } catch (err) {
+    if (err.code === UNIQUE_VIOLATION) {
+      return res.status(409).json({ error: "You already have a project with that name." });
+    }
+
+    console.error("RENAME PROJECT ERROR:", err);
+    return res.status(500).json({ error: "Failed to rename project." });
+  }
+});
+
+/**
+ * DELETE /api/projects/:id
+ * -----------------------------------------------------------------------------
+ * Behavior:
+ * - Deletes the project. Its tasks are kept and move to the Inbox.
+ *
+ * Response:
+ * - 204 No Content
+ * - 404 Not Found if the project does not exist or is not the user's
+ */
+router.delete("/:id", requirePermission("tasks:write"), async (req, res) => {
+  try {
+    const idCheck = validatePositiveIntParam(res, "id", req.params.id);
+    if (!idCheck.ok) return idCheck.response;
+
+    const deleted = await deleteProject(req.user.userId, idCheck.value);
+
+    if (!deleted) {
+      return res.status(404).json({ error: "Project not found." });
+    }
+
+    return res.status(204).send();
+  } catch (err) {
+    console.error("DELETE PROJECT ERROR:", err);
+    return res.status(500).json({ error: "Failed to delete project." });
+  }
+});
+
+module.exports = router; // Export router for app.js
@@ -0,0 +1,119 @@
+/**
+ * routes/sessions.js
+ * -----------------------------------------------------------------------------
+ * Secure Task Manager - Active Session Routes
+ *
+ * Purpose:
+ * - Show a signed-in user where their account is signed in (device, IP
+ *   address, when each session started and was last used).
+ * - Let them end any of those sessions.
+ *
+ * Endpoints:
+ * - GET    /api/sessions                -> list live sessions
+ * - DELETE /api/sessions/:id            -> sign out one session
+ * - POST   /api/sessions/revoke-others  -> sign out everywhere else
+ *
+ * Security:
+ * - All routes require a signed-in session; personal access tokens are
+ *   rejected (requireSession).
+ * - Sessions are scoped to their owner. A revoked session's access tokens
+ *   stop working on their next request (authMiddleware checks the session).
+ * -----------------------------------------------------------------------------
+ */
+
+const express = require("express"); // Express routing utilities
+const authMiddleware = require("../middleware/authMiddleware"); // JWT auth middleware
+const requireSession = require("../middleware/requireSession"); // No API tokens
+const {
+  listActiveSessions,
+  revokeUserSession,
+  revokeOtherUserSessions,
+} = require("../models/sessions"); // Server-side sessions
+const config = require("../config"); // Auth mode (bearer or cookie)
+const { clearAuthCookies } = require("../utils/authCookies"); // Cookie-mode sign-out
+const { SESSION_ID_PATTERN } = require("../utils/tokens"); // Session id format
+
+const router = express.Router(); // Router mounted at /api/sessions
+
+router.use(authMiddleware, requireSession);
+
+/**
+ * GET /api/sessions
+ * -----------------------------------------------------------------------------
+ * Response:
+ * - 200 OK with { sessions: [{ id, device, userAgent, ipAddress, createdAt,
+ *   lastSeenAt, expiresAt, current }] }, most recently active first
+ */
+router.get("/", async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user.userId);
+
+    return res.json({
+      sessions: sessions.map((session) => ({
+        ...session,
+        current: session.id === req.user.sessionId,
+      })),
+    });
+  } catch (err) {
+    console.error("LIST SESSIONS ERROR:", err);
+    return res.status(500).json({ error: "Failed to load sessions." });
+  }
+});
+
+/**
+ * POST /api/sessions/revoke-others
+ * -----------------------------------------------------------------------------
+ * Behavior:
+ * - Revoke every session except the one making the request.
+ *
+ * Response:
+ * - 200 OK with { revokedSessions }
+ */
+router.post("/revoke-others", async (req, res) => {
+  try {
+    const revokedSessions = await revokeOtherUserSessions(req.user.userId, req.user.sessionId);
+    return res.json({ revokedSessions });
+  } catch (err) {
+    console.error("REVOKE OTHER SESSIONS ERROR:", err);
+    return res.status(500).json({ error: "Failed to sign out other sessions." });
+  }
+});
+
+/**
+ * DELETE /api/sessions/:id
+ * -----------------------------------------------------------------------------
+ * Behavior:
+ * - Revoke one of the caller's sessions. Revoking the current session signs
+ *   this client out (like POST /api/auth/logout; cookies are cleared).
+ *
+ * Response:
+ * - 204 No Content
+ * - 404 Not Found if the session does not exist, is not the caller's, or has
+ *   already ended
+ */
+router.delete("/:id", async (req, res) => {
+  try {
+    const sessionId = req.params.id;
+
+    if (!SESSION_ID_PATTERN.test(sessionId)) {
+      return res.status(404).json({ error: "Session not found." });
+    }
+
+    const revoked = await revokeUserSession(req.user.userId, sessionId);
+
+    if (!revoked) {
+      return res.status(404).json({ error: "Session not found." });
+    }
+
+    if (sessionId === req.user.sessionId && config.authMode === "cookie") {
+      clearAuthCookies(res);
+    }
+
+    return res.status(204).send();
+  } catch (err) {
+    console.error("REVOKE SESSION ERROR:", err);
+    return res.status(500).json({ error: "Failed to sign out session." });
+  }
+});
+
+module.exports = router; // Export router for app.js
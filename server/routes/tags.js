@@ -0,0 +1,161 @@
+/**
+ * routes/tags.js
+ * -----------------------------------------------------------------------------
+ * Secure Task Manager - Tag Routes
+ *
+ * Purpose:
+ * - Let a user manage their tags (labels such as "work" or "home").
+ * - Tags are put on tasks with tag_ids in POST/PUT /api/tasks and used to
+ *   filter GET /api/tasks (?tag=).
+ *
+ * Endpoints:
+ * - GET    /api/tags       -> list tags (with task counts)
+ * - POST   /api/tags       -> create a tag
+ * - PUT    /api/tags/:id   -> rename / recolor a tag
+ * - DELETE /api/tags/:id   -> delete a tag (removes it from its tasks)
+ *
+ * Security:
+ * - Same rules as /api/tasks: reads require tasks:read, writes tasks:write,
+ *   and writes may be blocked for unverified email addresses.
+ * - Every query is scoped to the authenticated user.
+ * -----------------------------------------------------------------------------
+ */
+
+const express = require("express"); // Express routing utilities
+const authMiddleware = require("../middleware/authMiddleware"); // JWT auth middleware
+const requireVerifiedEmail = require("../middleware/requireVerifiedEmail"); // Unverified-account policy
+const requirePermission = require("../middleware/requirePermission"); // Role-based permission checks
+const { listTags, createTag, updateTag, deleteTag } = require("../models/tags"); // Tag storage
+const { createTagSchema, updateTagSchema } = require("../schemas/tagSchemas"); // Zod schemas
+const { formatZodError, validatePositiveIntParam } = require("../utils/validation"); // Shared input checks
+
+const router = express.Router(); // Router mounted at /api/tags
+
+// Postgres unique_violation: the user already has a tag with that name.
+const UNIQUE_VIOLATION = "23505";
+
+router.use(authMiddleware);
+router.use(requireVerifiedEmail);
+
+/**
+ * GET /api/tags
+ * -----------------------------------------------------------------------------
+ * Response:
+ * - 200 OK with { tags: [{ id, name, color, created_at, task_count }] }, A-Z
+ */
+router.get("/", requirePermission("tasks:read"), async (req, res) => {
+  try {
+    const tags = await listTags(req.user.userId);
+    return res.json({ tags });
+  } catch (err) {
+    console.error("LIST TAGS ERROR:", err);
+    return res.status(500).json({ error: "Failed to load tags." });
+  }
+});
+
+/**
+ * POST /api/tags
+ * -----------------------------------------------------------------------------
+ * Request:
+ *   { name: string, color?: "#rrggbb" }
+ *   name: 1-32 letters, digits, "-" or "_"; a leading "#" is dropped
+ *
+ * Response:
+ * - 201 Created with { tag: { id, name, color, created_at } }
+ * - 400 Bad Request with validation error details
+ * - 409 Conflict if the user already has a tag with that name (any case)
+ */
+router.post("/", requirePermission("tasks:write"), async (req, res) => {
+  try {
+    const parsed = createTagSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({
+        error: "Invalid input",
+        details: formatZodError(parsed.error),
+      });
+    }
+
+    const tag = await createTag(req.user.userId, parsed.data);
+    return res.status(201).json({ tag });
+  } catch (err) {
+    if (err.code === UNIQUE_VIOLATION) {
+      return res.status(409).json({ error: "You already have a tag with that name." });
+    }
+
+    console.error("CREATE TAG ERROR:", err);
+    return res.status(500).json({ error: "Failed to create tag." });
+  }
+});
+
+/**
+ * PUT /api/tags/:id
+ * -----------------------------------------------------------------------------
+ * Request:
+ *   { name?: string, color?: "#rrggbb" }  (at least one)
+ *
+ * Response:
+ * - 200 OK with { tag }
+ * - 400 Bad Request with validation error details
+ * - 404 Not Found if the tag does not exist or is not the user's
+ * - 409 Conflict if another of the user's tags has that name
+ */
+router.put("/:id", requirePermission("tasks:write"), async (req, res) => {
+  try {
+    const idCheck = validatePositiveIntParam(res, "id", req.params.id);
+    if (!idCheck.ok) return idCheck.response;
+
+    const parsed = updateTagSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({
+        error: "Invalid input",
+        details: formatZodError(parsed.error),
+      });
+    }
+
+    const tag = await updateTag(req.user.userId, idCheck.value, parsed.data);
+
+    if (!tag) {
+      return res.status(404).json({ error: "Tag not found." });
+    }
+
+    return res.json({ tag });
+  } catch (err) {
+    if (err.code === UNIQUE_VIOLATION) {
+      return res.status(409).json({ error: "You already have a tag with that name." });
+    }
+
+    console.error("UPDATE TAG ERROR:", err);
+    return res.status(500).json({ error: "Failed to update tag." });
+  }
+});
+
+/**
+ * DELETE /api/tags/:id
+ * -----------------------------------------------------------------------------
+ * Behavior:
+ * - Deletes the tag and removes it from all of the user's tasks (the tasks
+ *   themselves are kept).
+ *
+ * Response:
+ * - 204 No Content
+ * - 404 Not Found if the tag does not exist or is not the user's
+ */
+router.delete("/:id", requirePermission("tasks:write"), async (req, res) => {
+  try {
+    const idCheck = validatePositiveIntParam(res, "id", req.params.id);
+    if (!idCheck.ok) return idCheck.response;
+
+    const deleted = await deleteTag(req.user.userId, idCheck.value);
+
+    if (!deleted) {
+      return res.status(404).json({ error: "Tag not found." });
+    }
+
+    return res.status(204).send();
+  } catch (err) {
+    console.error("DELETE TAG ERROR:", err);
+    return res.status(500).json({ error: "Failed to delete tag." });
+  }
+});
+
+module.exports = router; // Export router for app.js
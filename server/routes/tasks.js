@@ -8,105 +8,340 @@
  * - Ensure every operation is scoped to the authenticated user.
  *
  * Endpoints:
- * - GET    /api/tasks       -> list tasks for logged-in user
+ * - GET    /api/tasks       -> list tasks for logged-in user, a page at a time
+ *                             (?sort=&order=&tag=&tag_match=&project=
+ *                             &completed=&created_after=&created_before=
+ *                             &limit=&cursor=&fields=)
+ * - GET    /api/tasks/search -> full-text search in titles and descriptions
+ *                             (?q=&limit=; taskSearch.js)
+ * - GET    /api/tasks/trash -> list deleted tasks (taskTrash.js)
  * - POST   /api/tasks       -> create a new task for logged-in user
+ *                             (optional due_at / remind_at; reminders are sent
+ *                             by notifications/reminderScheduler.js)
+ *                             (optional tag_ids; tags are managed in tags.js)
+ *                             (optional project_id; projects.js)
+ * - POST   /api/tasks/bulk  -> update, complete, delete or restore many tasks
+ *                             in one transaction (taskBulk.js)
  * - PUT    /api/tasks/:id   -> update an existing task for logged-in user
- * - DELETE /api/tasks/:id   -> delete a task for logged-in user
+ *                             (completing a recurring task creates its next
+ *                             occurrence; recurrence.js)
+ * - POST   /api/tasks/:id/move -> move a task in the manual order
+ *                             (taskPositions.js)
+ * - GET    /api/tasks/:id/history -> the task's revisions, newest first
+ *                             (taskRevisions.js)
+ * - POST   /api/tasks/:id/revert -> put a task back to an earlier revision
+ * - POST   /api/tasks/:id/restore -> take a task out of the trash
+ * - DELETE /api/tasks/trash -> permanently delete every task in the trash
+ * - DELETE /api/tasks/trash/:id -> permanently delete a task in the trash
+ * - DELETE /api/tasks/:id   -> move a task to the trash for logged-in user
+ *                             (purged after TRASH_RETENTION_DAYS by
+ *                             jobs/trashPurgeScheduler.js)
+ * - /api/tasks/:id/checklist -> checklist items (see checklist.js)
  *
  * Security:
  * - All routes are protected by JWT middleware.
+ * - Reads require the tasks:read permission, writes tasks:write.
+ * - Writes may be blocked for unverified email addresses (policy in config.js).
  * - Parameterized SQL queries prevent SQL injection.
  * - user_id is taken from the verified token (never from the client).
+ *
+ * History:
+ * - Every create, update, completion, delete, restore and revert is recorded
+ *   as a revision with who made it and the changed fields (taskRevisions.js).
  * -----------------------------------------------------------------------------
  */
 
 const express = require("express"); // Express routing utilities
 const authMiddleware = require("../middleware/authMiddleware"); // JWT auth middleware
+const requireVerifiedEmail = require("../middleware/requireVerifiedEmail"); // Unverified-account policy
+const requirePermission = require("../middleware/requirePermission"); // Role-based permission checks
 const pool = require("../models/db"); // PostgreSQL connection pool
-const { createTaskSchema, updateTaskSchema } = require("../schemas/taskSchemas"); // Zod schemas
+const { withTransaction } = require("../models/transaction"); // Task + tag writes are atomic
+const { findUnknownTagIds, replaceTaskTags } = require("../models/tags"); // Task tags
+const { isUserProject } = require("../models/projects"); // Task projects
+const { TASK_COLUMNS, taskColumns, addTaskFilters, findTask } = require("../models/tasks"); // Task columns and filters
+const { syncTaskWithChecklist } = require("../models/checklist"); // Checklist completion rule
+const { firstPosition, moveTask } = require("../models/taskPositions"); // Manual order
+const { spawnNextOccurrence } = require("../models/recurrence"); // Recurring tasks
+const { searchTasks } = require("../models/taskSearch"); // Full-text search
+const { BULK_MAX_FILTER_TASKS, runBulkOperations } = require("../models/taskBulk"); // Bulk operations
+const { trashTasks, listTrash, restoreTasks, purgeTasks } = require("../models/taskTrash"); // Trash
+const { revisionActor, snapshotTasks, recordChanges, listRevisions, revertTask } = require("../models/taskRevisions"); // Revision history
+const checklistRoutes = require("./checklist"); // /api/tasks/:id/checklist
+const {
+  TASK_PRIORITIES,
+  createTaskSchema,
+  updateTaskSchema,
+  listTasksQuerySchema,
+  searchTasksQuerySchema,
+  bulkTasksSchema,
+  moveTaskSchema,
+  taskHistoryQuerySchema,
+  revertTaskSchema,
+} = require("../schemas/taskSchemas"); // Zod schemas
+const { formatZodError, validatePositiveIntParam } = require("../utils/validation"); // Shared input checks
+const { SORT_KEY_TYPES, encodeCursor } = require("../utils/pagination"); // List cursors
+const config = require("../config"); // Trash retention
 
 const router = express.Router(); // Router mounted at /api/tasks
 
-// Require authentication for every /api/tasks route.
-// authMiddleware verifies the token and populates req.user.userId.
-router.use(authMiddleware);
+// SQL sort expression per allowed sort field. Only these fixed strings are
+// ever interpolated into ORDER BY; the client only picks a key.
+const SORT_EXPRESSIONS = {
+  created_at: "created_at",
+  updated_at: "updated_at",
+  due_at: "due_at",
+  title: "LOWER(title)",
+  position: "position",
+  // Rank by TASK_PRIORITIES order (none = 0 ... urgent = 4).
+  priority: `array_position(ARRAY[${TASK_PRIORITIES.map((p) => `'${p}'`).join(", ")}]::varchar[], priority)`,
+};
 
 /**
- * formatZodError
+ * buildOrderBy(sort, order)
  * -----------------------------------------------------------------------------
- * Converts Zod validation errors into a consistent API response format.
- *
- * Output format:
- * [
- *   { field: "title", message: "Title cannot be empty." },
- *   { field: "_form", message: "At least one field is required..." }
- * ]
+ * ORDER BY clause for a validated sort field and direction. Tasks without a
+ * value (no due date) always come last, and id breaks ties so the order is
+ * stable between requests.
  */
-function formatZodError(zodError) {
-  return zodError.issues.map((issue) => ({
-    field: issue.path.length > 0 ? issue.path.join(".") : "unknown",
-    message: issue.message,
-  }));
+function buildOrderBy(sort, order) {
+  const direction = order === "asc" ? "ASC" : "DESC";
+  return `${SORT_EXPRESSIONS[sort]} ${direction} NULLS LAST, id ${direction}`;
+}
+
+/**
+ * buildCursorCondition(sort, order, cursor, values)
+ * -----------------------------------------------------------------------------
+ * WHERE condition for the rows after the cursor in buildOrderBy() order
+ * (pushes its parameters onto values). Rows without a sort value come last,
+ * so they follow every row that has one.
+ */
+function buildCursorCondition(sort, order, { key, id }, values) {
+  const expression = SORT_EXPRESSIONS[sort];
+  const operator = order === "asc" ? ">" : "<";
+
+  values.push(id);
+  const idParam = `$${values.length}`;
+
+  if (key === null) return `(${expression} IS NULL AND id ${operator} ${idParam})`;
+
+  values.push(key);
+  const keyParam = `$${values.length}::${SORT_KEY_TYPES[sort]}`;
+
+  return `(${expression} ${operator} ${keyParam}
+    OR (${expression} = ${keyParam} AND id ${operator} ${idParam})
+    OR ${expression} IS NULL)`;
 }
 
 /**
- * validatePositiveIntParam
+ * checkTaskRefs(userId, { tagIds, projectId }, db)
  * -----------------------------------------------------------------------------
- * Validates that a route parameter is a positive integer.
+ * Checks that the tags and project a task is being given belong to the user
+ * (either may be undefined; a null project is the Inbox).
  *
  * Returns:
- * - { ok: true, value: number } when valid
- * - { ok: false, response: ExpressResponse } when invalid (caller should return it)
+ * - null when everything is the user's
+ * - { unknownIds } or { unknownProject: true } otherwise
  */
-function validatePositiveIntParam(res, name, rawValue) {
-  const parsed = Number(rawValue);
+async function checkTaskRefs(userId, { tagIds, projectId }, db) {
+  if (tagIds !== undefined) {
+    const unknownIds = await findUnknownTagIds(userId, tagIds, db);
+    if (unknownIds.length > 0) return { unknownIds };
+  }
 
-  if (!Number.isInteger(parsed) || parsed <= 0) {
-    return {
-      ok: false,
-      response: res.status(400).json({
-        error: "Invalid input",
-        details: [{ field: name, message: `${name} must be a positive integer.` }],
-      }),
-    };
+  if (projectId != null && !(await isUserProject(userId, projectId, db))) {
+    return { unknownProject: true };
   }
 
-  return { ok: true, value: parsed };
+  return null;
+}
+
+/**
+ * isRecurrenceWithoutDue(err)
+ * -----------------------------------------------------------------------------
+ * True when an update left a recurring task without a due date (the
+ * tasks_recurrence_due_check constraint).
+ */
+function isRecurrenceWithoutDue(err) {
+  return err.code === "23514" && err.constraint === "tasks_recurrence_due_check";
+}
+
+/**
+ * invalidRefsResponse(res, outcome)
+ * -----------------------------------------------------------------------------
+ * 400 for a checkTaskRefs() failure (same shape as Zod errors).
+ */
+function invalidRefsResponse(res, { unknownIds, unknownProject }) {
+  const detail = unknownProject
+    ? { field: "project_id", message: "Unknown project." }
+    : { field: "tag_ids", message: `Unknown tag id(s): ${unknownIds.join(", ")}.` };
+
+  return res.status(400).json({ error: "Invalid input", details: [detail] });
 }
 
+// Require authentication for every /api/tasks route.
+// authMiddleware verifies the token and populates req.user.userId.
+router.use(authMiddleware);
+
+// Unverified accounts may be limited to read-only access (see config.js).
+router.use(requireVerifiedEmail);
+
+// Checklist items of a task (same authentication and email policy).
+router.use("/:id/checklist", checklistRoutes);
+
 /**
  * GET /api/tasks
  * -----------------------------------------------------------------------------
  * Purpose:
- * - Fetch all tasks that belong to the authenticated user.
+ * - Fetch the authenticated user's tasks, one page at a time.
+ *
+ * Query:
+ *   sort?: created_at | updated_at | priority | due_at | title | position
+ *          (default created_at; position is the manual order)
+ *   order?: asc | desc  (default depends on sort: newest, highest priority,
+ *                        soonest due, A-Z, or manual order first)
+ *   tag?: tag name(s), repeated or comma-separated ("#work" = "work",
+ *         case-insensitive)
+ *   tag_match?: any | all  (default any: tasks with at least one of the tags)
+ *   project?: project id, or "inbox" for tasks without a project
+ *             (default: every project)
+ *   completed?: true | false  (default: both)
+ *   created_after?, created_before?: date-times with a timezone (exclusive)
+ *   limit?: page size, 1-200 (default 50)
+ *   cursor?: next_cursor from the previous page (same sort and order)
+ *   fields?: comma-separated task fields to return (id is always included)
+ *
+ * Pagination:
+ * - Keyset: the cursor holds the last row's sort value and id, so pages do
+ *   not skip or repeat tasks when tasks are added or removed in between.
  *
  * Response:
- * - 200 OK with { tasks: [...] }
+ * - 200 OK with { tasks: [...], next_cursor } (next_cursor is null on the
+ *   last page)
+ * - 400 Bad Request for an unknown sort field, order, tag_match or field, an
+ *   invalid tag name, project, filter, limit, or a cursor from another sort
  * - 500 Server Error if the database query fails
  */
-router.get("/", async (req, res) => {
+router.get("/", requirePermission("tasks:read"), async (req, res) => {
   try {
     // Authenticated user id (from JWT).
     const userId = req.user.userId;
 
-    // Fetch only tasks for this user.
+    const parsed = listTasksQuerySchema.safeParse(req.query);
+    if (!parsed.success) {
+      return res.status(400).json({
+        error: "Invalid input",
+        details: formatZodError(parsed.error),
+      });
+    }
+
+    const { sort, order, limit, cursor, fields, ...filters } = parsed.data;
+
+    // Fetch only tasks for this user (not those in the trash).
+    const conditions = ["user_id = $1", "deleted_at IS NULL"];
+    const values = [userId];
+
+    addTaskFilters(filters, conditions, values);
+
+    if (cursor) conditions.push(buildCursorCondition(sort, order, cursor, values));
+
+    // One extra row tells whether there is a next page.
+    values.push(limit + 1);
     const result = await pool.query(
       `
-      SELECT id, title, description, completed, created_at
+      SELECT ${fields ? taskColumns(fields) : TASK_COLUMNS}, ${SORT_EXPRESSIONS[sort]}::text AS sort_key
       FROM tasks
-      WHERE user_id = $1
-      ORDER BY created_at DESC
+      WHERE ${conditions.join(" AND ")}
+      ORDER BY ${buildOrderBy(sort, order)}
+      LIMIT $${values.length}
       `,
-      [userId]
+      values
     );
 
-    return res.status(200).json({ tasks: result.rows });
+    const rows = result.rows.slice(0, limit);
+    const last = rows[rows.length - 1];
+    const nextCursor =
+      result.rows.length > limit ? encodeCursor({ sort, order, key: last.sort_key, id: last.id }) : null;
+
+    return res.status(200).json({
+      tasks: rows.map(({ sort_key, ...task }) => task),
+      next_cursor: nextCursor,
+    });
   } catch (err) {
     console.error("GET TASKS ERROR:", err);
     return res.status(500).json({ error: "Failed to fetch tasks." });
   }
 });
 
+/**
+ * GET /api/tasks/search
+ * -----------------------------------------------------------------------------
+ * Purpose:
+ * - Full-text search in the authenticated user's task titles and
+ *   descriptions.
+ *
+ * Query:
+ *   q: search text; every word must match, as a word prefix ("meet" finds
+ *      "meeting"), case-insensitive
+ *   limit?: 1-50 (default 20)
+ *
+ * Ranking:
+ * - Title matches rank above description matches; ties go to the most
+ *   recently updated task.
+ *
+ * Response:
+ * - 200 OK with { results: [{ task, highlight: { title, description } }] }
+ *   (highlights are plain-text segments [{ text, match }]; description is a
+ *   snippet, or null without a description)
+ * - 400 Bad Request for a missing or empty q, too many words, or an invalid
+ *   limit
+ * - 500 Server Error if the database query fails
+ */
+router.get("/search", requirePermission("tasks:read"), async (req, res) => {
+  try {
+    const parsed = searchTasksQuerySchema.safeParse(req.query);
+    if (!parsed.success) {
+      return res.status(400).json({
+        error: "Invalid input",
+        details: formatZodError(parsed.error),
+      });
+    }
+
+    const results = await searchTasks(req.user.userId, parsed.data);
+
+    return res.status(200).json({ results });
+  } catch (err) {
+    console.error("SEARCH TASKS ERROR:", err);
+    return res.status(500).json({ error: "Failed to search tasks." });
+  }
+});
+
+/**
+ * GET /api/tasks/trash
+ * -----------------------------------------------------------------------------
+ * Purpose:
+ * - List the authenticated user's deleted tasks, most recently deleted
+ *   first.
+ *
+ * Behavior:
+ * - Tasks stay in the trash for TRASH_RETENTION_DAYS, then are deleted for
+ *   good (purge_at).
+ *
+ * Response:
+ * - 200 OK with { tasks: [{ ...task, deleted_at, purge_at }], retention_days }
+ * - 500 Server Error if the database query fails
+ */
+router.get("/trash", requirePermission("tasks:read"), async (req, res) => {
+  try {
+    const tasks = await listTrash(req.user.userId, config.trashRetentionDays);
+
+    return res.status(200).json({ tasks, retention_days: config.trashRetentionDays });
+  } catch (err) {
+    console.error("GET TRASH ERROR:", err);
+    return res.status(500).json({ error: "Failed to fetch the trash." });
+  }
+});
+
 /**
  * POST /api/tasks
  * -----------------------------------------------------------------------------
@@ -115,13 +350,23 @@ router.get("/", async (req, res) => {
  *
  * Validation:
  * - Uses Zod schema to validate and normalize incoming JSON.
+ * - tag_ids must all be the user's own tags, and project_id the user's own
+ *   project (omitted or null: the Inbox).
+ *
+ * Manual order:
+ * - New tasks go to the top (lowest position).
+ *
+ * Recurrence:
+ * - recurrence_rule (RRULE subset, requires due_at) starts a series at
+ *   due_at, evaluated in recurrence_timezone (default UTC).
  *
  * Response:
  * - 201 Created with { task: {...} }
- * - 400 Bad Request with validation error details
+ * - 400 Bad Request with validation error details (including unknown tag ids
+ *   or project)
  * - 500 Server Error for unexpected failures
  */
-router.post("/", async (req, res) => {
+router.post("/", requirePermission("tasks:write"), async (req, res) => {
   try {
     // Authenticated user id from JWT.
     const userId = req.user.userId;
@@ -138,28 +383,164 @@ router.post("/", async (req, res) => {
     }
 
     // Extract validated values (strings are trimmed by schema).
-    const { title, description } = parsed.data;
+    const {
+      title,
+      description,
+      due_at,
+      remind_at,
+      priority,
+      tag_ids = [],
+      auto_complete = false,
+      project_id = null,
+      recurrence_rule = null,
+      recurrence_timezone = "UTC",
+    } = parsed.data;
 
     // Convert optional description to null when missing (matches DB style).
     const normalizedDescription = description !== undefined ? description : null;
 
-    // Insert new task for THIS user only.
-    const result = await pool.query(
-      `
-      INSERT INTO tasks (user_id, title, description)
-      VALUES ($1, $2, $3)
-      RETURNING id, title, description, completed, created_at
-      `,
-      [userId, title, normalizedDescription]
-    );
+    const outcome = await withTransaction(async (client) => {
+      const invalidRefs = await checkTaskRefs(
+        userId,
+        { tagIds: tag_ids, projectId: project_id },
+        client
+      );
+      if (invalidRefs) return { invalidRefs };
+
+      // Insert new task for THIS user only.
+      const inserted = await client.query(
+        `
+        INSERT INTO tasks
+          (user_id, project_id, title, description, due_at, remind_at, priority, auto_complete, position,
+           recurrence_rule, recurrence_timezone, recurrence_start)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+        RETURNING id
+        `,
+        [
+          userId,
+          project_id,
+          title,
+          normalizedDescription,
+          due_at ?? null,
+          remind_at ?? null,
+          priority ?? "none",
+          auto_complete,
+          await firstPosition(userId, client),
+          recurrence_rule,
+          recurrence_timezone,
+          recurrence_rule ? due_at : null,
+        ]
+      );
+
+      const taskId = inserted.rows[0].id;
+      await replaceTaskTags(taskId, tag_ids, client);
+      await recordChanges(revisionActor(req.user), new Map(), [taskId], client);
+
+      return { task: await findTask(userId, taskId, client) };
+    });
 
-    return res.status(201).json({ task: result.rows[0] });
+    if (outcome.invalidRefs) return invalidRefsResponse(res, outcome.invalidRefs);
+
+    return res.status(201).json({ task: outcome.task });
   } catch (err) {
     console.error("CREATE TASK ERROR:", err);
     return res.status(500).json({ error: "Failed to create task." });
   }
 });
 
+/**
+ * POST /api/tasks/bulk
+ * -----------------------------------------------------------------------------
+ * Purpose:
+ * - Update, complete, delete or restore many tasks in one request (and one
+ *   transaction): either every operation succeeds or nothing changes.
+ *
+ * Request body:
+ * - { operations: [{ action, ids | filter, changes? }] } (bulkTasksSchema)
+ *   - action: update (changes: completed, priority, due_at, remind_at,
+ *     project_id), complete, delete (to the trash), or restore (from the
+ *     trash; ids only)
+ *   - ids: task ids; filter: GET /api/tasks filters (completed, project,
+ *     tag / tag_match, created_after / created_before)
+ * - Operations run in order; a filter sees the changes of earlier ones.
+ *
+ * Recurrence:
+ * - Completing a recurring task creates its next occurrence (next_task_id
+ *   in its result; the new task is in tasks).
+ *
+ * Response:
+ * - 200 OK with { results: [{ operation, action, id, status, next_task_id? }],
+ *   tasks: [...], deleted_ids: [...] } (tasks: the updated and restored tasks
+ *   and new occurrences after every operation; deleted_ids: tasks moved to
+ *   the trash)
+ * - 400 Bad Request for invalid input, an unknown project, a filter matching
+ *   more than BULK_MAX_FILTER_TASKS tasks, or a recurring task left without
+ *   a due date
+ * - 404 Not Found with { error, results } when some ids are not the user's
+ *   tasks, or not in the trash for restore (results lists them with status
+ *   "not_found")
+ * - 500 Server Error for unexpected failures
+ */
+router.post("/bulk", requirePermission("tasks:write"), async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    const parsed = bulkTasksSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({
+        error: "Invalid input",
+        details: formatZodError(parsed.error),
+      });
+    }
+
+    const outcome = await withTransaction((client) =>
+      runBulkOperations(revisionActor(req.user), parsed.data.operations, client)
+    );
+
+    if (outcome.notFound) {
+      return res.status(404).json({
+        error: "Some tasks were not found. No changes were made.",
+        results: outcome.notFound,
+      });
+    }
+
+    if (outcome.unknownProject !== undefined) {
+      return res.status(400).json({
+        error: "Invalid input",
+        details: [{ field: `operations.${outcome.unknownProject}.changes.project_id`, message: "Unknown project." }],
+      });
+    }
+
+    if (outcome.tooMany !== undefined) {
+      return res.status(400).json({
+        error: "Invalid input",
+        details: [
+          {
+            field: `operations.${outcome.tooMany}.filter`,
+            message: `The filter matches more than ${BULK_MAX_FILTER_TASKS} tasks. Narrow it or split the request.`,
+          },
+        ],
+      });
+    }
+
+    return res.status(200).json({
+      results: outcome.results,
+      tasks: outcome.tasks,
+      deleted_ids: outcome.deletedIds,
+    });
+  } catch (err) {
+    if (isRecurrenceWithoutDue(err)) {
+      return res.status(400).json({
+        error: "Invalid input",
+        details: [{ field: "due_at", message: "A recurring task needs a due date. No changes were made." }],
+      });
+    }
+
+    console.error("BULK TASKS ERROR:", err);
+    return res.status(500).json({ error: "Failed to update tasks. No changes were made." });
+  }
+});
+
 /**
  * PUT /api/tasks/:id
  * -----------------------------------------------------------------------------
@@ -170,26 +551,49 @@ router.post("/", async (req, res) => {
  * - id: task id (must be a positive integer)
  *
  * Request body (all optional, but at least one must be provided):
- * - { title?: string, description?: string, completed?: boolean }
+ * - { title?: string, description?: string, completed?: boolean,
+ *     due_at?: string | null, remind_at?: string | null,
+ *     priority?: "none" | "low" | "medium" | "high" | "urgent",
+ *     tag_ids?: number[], auto_complete?: boolean,
+ *     project_id?: number | null, recurrence_rule?: string | null,
+ *     recurrence_timezone?: string }
  *
  * Validation:
  * - Request body is validated by updateTaskSchema (Zod).
  * - At least one field must be provided.
  * - If title/description are provided, they must be non-empty after trimming.
  * - If completed is provided, it must be a boolean.
+ * - due_at / remind_at must be ISO 8601 date-times with a timezone, or null.
  * - Unknown fields are rejected (schema is strict).
+ * - tag_ids replaces the task's tags and must all be the user's own tags.
+ * - project_id moves the task to one of the user's projects (null: Inbox).
+ *
+ * Reminders:
+ * - Setting remind_at (re)arms the reminder, even if it already fired.
+ *
+ * Checklist:
+ * - Turning auto_complete on applies it right away: a task whose checklist
+ *   items are all done becomes completed (and one with open items, open).
+ *
+ * Recurrence:
+ * - Setting recurrence_rule restarts the series at the task's due date.
+ * - Completing a recurring task creates its next occurrence (once per
+ *   task), returned as next_task. No next_task means the series has ended
+ *   or the occurrence was already created.
  *
  * Security:
  * - Updates only occur when tasks.id matches AND tasks.user_id matches the JWT user.
  * - This prevents one user from editing another user's tasks.
  *
  * Response:
- * - 200 OK with { task: {...} } when updated
- * - 400 Bad Request for invalid input (consistent format)
- * - 404 Not Found if task does not exist or does not belong to user
+ * - 200 OK with { task: {...}, next_task?: {...} } when updated
+ * - 400 Bad Request for invalid input (consistent format), including unknown
+ *   tag ids or project, or a recurring task left without a due date
+ * - 404 Not Found if task does not exist, does not belong to user, or is in
+ *   the trash
  * - 500 Server Error for unexpected failures
  */
-router.put("/:id", async (req, res, next) => {
+router.put("/:id", requirePermission("tasks:write"), async (req, res, next) => {
   try {
     // Authenticated user id derived ONLY from JWT.
     const userId = req.user.userId;
@@ -209,7 +613,19 @@ router.put("/:id", async (req, res, next) => {
     }
 
     // Zod returns sanitized values (trimmed strings).
-    const { title, description, completed } = parsed.data;
+    const {
+      title,
+      description,
+      completed,
+      due_at,
+      remind_at,
+      priority,
+      tag_ids,
+      auto_complete,
+      project_id,
+      recurrence_rule,
+      recurrence_timezone,
+    } = parsed.data;
 
     // Build a dynamic UPDATE query so we only update fields the client provided.
     const updates = [];
@@ -229,54 +645,416 @@ router.put("/:id", async (req, res, next) => {
     if (title !== undefined) addUpdate("title", title);
     if (description !== undefined) addUpdate("description", description);
     if (completed !== undefined) addUpdate("completed", completed);
+    if (due_at !== undefined) addUpdate("due_at", due_at);
+    if (priority !== undefined) addUpdate("priority", priority);
+    if (auto_complete !== undefined) addUpdate("auto_complete", auto_complete);
+    if (project_id !== undefined) addUpdate("project_id", project_id);
+
+    if (remind_at !== undefined) {
+      addUpdate("remind_at", remind_at);
+      updates.push("reminded_at = NULL");
+    }
+
+    if (recurrence_rule !== undefined) {
+      addUpdate("recurrence_rule", recurrence_rule);
+
+      // A new rule starts its series at the task's (new) due date.
+      if (recurrence_rule === null) updates.push("recurrence_start = NULL");
+      else if (due_at !== undefined) addUpdate("recurrence_start", due_at);
+      else updates.push("recurrence_start = due_at");
+    }
+
+    if (recurrence_timezone !== undefined) addUpdate("recurrence_timezone", recurrence_timezone);
+
+    updates.push("updated_at = NOW()");
 
     // Scope update to the authenticated user.
     values.push(userId);
     values.push(taskId);
 
-    // Execute update and return the updated row.
-    const result = await pool.query(
-      `
-      UPDATE tasks
-      SET ${updates.join(", ")}
-      WHERE user_id = $${values.length - 1} AND id = $${values.length}
-      RETURNING id, title, description, completed, created_at
-      `,
-      values
-    );
+    const outcome = await withTransaction(async (client) => {
+      const invalidRefs = await checkTaskRefs(
+        userId,
+        { tagIds: tag_ids, projectId: project_id },
+        client
+      );
+      if (invalidRefs) return { invalidRefs };
 
-    if (result.rows.length === 0) {
+      // The task as it was, for its revision history.
+      const before = await snapshotTasks(userId, [taskId], client);
+
+      // Execute update (only matches the user's own task).
+      const result = await client.query(
+        `
+        UPDATE tasks
+        SET ${updates.join(", ")}
+        WHERE user_id = $${values.length - 1} AND id = $${values.length} AND deleted_at IS NULL
+        RETURNING id
+        `,
+        values
+      );
+
+      if (result.rows.length === 0) return { task: null };
+
+      if (tag_ids !== undefined) await replaceTaskTags(taskId, tag_ids, client);
+      if (auto_complete) await syncTaskWithChecklist(taskId, client);
+
+      const nextId = completed || auto_complete ? await spawnNextOccurrence(userId, taskId, client) : null;
+      await recordChanges(revisionActor(req.user), before, nextId ? [taskId, nextId] : [taskId], client);
+
+      return {
+        task: await findTask(userId, taskId, client),
+        nextTask: nextId ? await findTask(userId, nextId, client) : undefined,
+      };
+    });
+
+    if (outcome.invalidRefs) return invalidRefsResponse(res, outcome.invalidRefs);
+
+    if (!outcome.task) {
       return res.status(404).json({ error: "Task not found." });
     }
 
-    return res.status(200).json({ task: result.rows[0] });
+    return res.status(200).json({ task: outcome.task, next_task: outcome.nextTask });
   } catch (err) {
+    if (isRecurrenceWithoutDue(err)) {
+      return res.status(400).json({
+        error: "Invalid input",
+        details: [{ field: "recurrence_rule", message: "A recurring task needs a due date." }],
+      });
+    }
+
     // Let centralized error handler deal with unexpected failures.
     return next(err);
   }
 });
 
+/**
+ * POST /api/tasks/:id/move
+ * -----------------------------------------------------------------------------
+ * Purpose:
+ * - Move a task in the user's manual order (sort=position), e.g. after a
+ *   drag and drop.
+ *
+ * Request body:
+ * - { after_id?: number | null, before_id?: number | null }
+ *   The tasks the moved task should end up between: after_id right above it,
+ *   before_id right below it. Send both when known; one is enough (the other
+ *   side is the next task in the full list, or the end of the list).
+ *
+ * Behavior:
+ * - Only the moved task's position changes (updated_at is kept; a move is
+ *   not an edit).
+ *
+ * Response:
+ * - 200 OK with { task: {...} }
+ * - 400 Bad Request for invalid input, a neighbor that is not one of the
+ *   user's tasks, or the task itself as a neighbor
+ * - 404 Not Found if the task does not exist or does not belong to the user
+ * - 409 Conflict if after_id is below before_id (the list is stale; reload it)
+ * - 500 Server Error for unexpected failures
+ */
+router.post("/:id/move", requirePermission("tasks:write"), async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    const idCheck = validatePositiveIntParam(res, "id", req.params.id);
+    if (!idCheck.ok) return idCheck.response;
+    const taskId = idCheck.value;
+
+    const parsed = moveTaskSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({
+        error: "Invalid input",
+        details: formatZodError(parsed.error),
+      });
+    }
+
+    const { after_id: afterId, before_id: beforeId } = parsed.data;
+
+    const selfNeighbor = afterId === taskId ? "after_id" : beforeId === taskId ? "before_id" : null;
+    if (selfNeighbor) {
+      return res.status(400).json({
+        error: "Invalid input",
+        details: [{ field: selfNeighbor, message: "A task cannot be its own neighbor." }],
+      });
+    }
+
+    const outcome = await withTransaction(async (client) => {
+      const moved = await moveTask(userId, taskId, { afterId, beforeId }, client);
+      if (moved.position === undefined) return moved;
+
+      return { task: await findTask(userId, taskId, client) };
+    });
+
+    if (outcome.notFound) {
+      return res.status(404).json({ error: "Task not found." });
+    }
+
+    if (outcome.unknownNeighbor) {
+      return res.status(400).json({
+        error: "Invalid input",
+        details: [{ field: outcome.unknownNeighbor, message: "Unknown task." }],
+      });
+    }
+
+    if (outcome.outOfOrder) {
+      return res.status(409).json({ error: "The task list has changed. Reload it and try again." });
+    }
+
+    return res.status(200).json({ task: outcome.task });
+  } catch (err) {
+    console.error("MOVE TASK ERROR:", err);
+    return res.status(500).json({ error: "Failed to move task." });
+  }
+});
+
+/**
+ * GET /api/tasks/:id/history
+ * -----------------------------------------------------------------------------
+ * Purpose:
+ * - List a task's revisions, newest first: who changed what and when.
+ *
+ * Query params:
+ * - limit: 1-100 (default 50)
+ * - before: a revision id; only older revisions are returned (pass the
+ *   previous response's next_before to load more)
+ *
+ * Behavior:
+ * - Each revision has an action (create, update, complete, delete, restore
+ *   or revert), its changes ({ field: { before, after } }) and the actor:
+ *   the user, and the personal access token when one was used.
+ * - Works for tasks in the trash too.
+ *
+ * Response:
+ * - 200 OK with { revisions: [...], next_before: number | null }
+ * - 400 Bad Request if id or the query is invalid
+ * - 404 Not Found if the task does not exist or does not belong to the user
+ * - 500 Server Error for unexpected failures
+ */
+router.get("/:id/history", requirePermission("tasks:read"), async (req, res) => {
+  try {
+    const idCheck = validatePositiveIntParam(res, "id", req.params.id);
+    if (!idCheck.ok) return idCheck.response;
+    const taskId = idCheck.value;
+
+    const parsed = taskHistoryQuerySchema.safeParse(req.query);
+    if (!parsed.success) {
+      return res.status(400).json({
+        error: "Invalid input",
+        details: formatZodError(parsed.error),
+      });
+    }
+
+    const history = await listRevisions(req.user.userId, taskId, parsed.data);
+
+    if (history.notFound) {
+      return res.status(404).json({ error: "Task not found." });
+    }
+
+    return res.status(200).json({ revisions: history.revisions, next_before: history.nextBefore });
+  } catch (err) {
+    console.error("TASK HISTORY ERROR:", err);
+    return res.status(500).json({ error: "Failed to load task history." });
+  }
+});
+
+/**
+ * POST /api/tasks/:id/revert
+ * -----------------------------------------------------------------------------
+ * Purpose:
+ * - Put a task back to how it was right after one of its revisions.
+ *
+ * Request body:
+ * - { revision_id: number }
+ *
+ * Behavior:
+ * - Every change made after that revision is undone, and the revert itself
+ *   is recorded as a new revision (so it can be reverted too).
+ * - A project deleted since comes back as the Inbox; deleted tags are left
+ *   out.
+ *
+ * Response:
+ * - 200 OK with { task: {...} } (also when nothing needed to change)
+ * - 400 Bad Request for invalid input, a revision that is not one of the
+ *   task's, or a revert that would leave a recurring task without a due date
+ * - 404 Not Found if the task does not exist, does not belong to the user,
+ *   or is in the trash
+ * - 500 Server Error for unexpected failures
+ */
+router.post("/:id/revert", requirePermission("tasks:write"), async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    const idCheck = validatePositiveIntParam(res, "id", req.params.id);
+    if (!idCheck.ok) return idCheck.response;
+    const taskId = idCheck.value;
+
+    const parsed = revertTaskSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({
+        error: "Invalid input",
+        details: formatZodError(parsed.error),
+      });
+    }
+
+    const outcome = await withTransaction(async (client) => {
+      const reverted = await revertTask(revisionActor(req.user), taskId, parsed.data.revision_id, client);
+      if (reverted.notFound || reverted.unknownRevision) return reverted;
+
+      return { task: await findTask(userId, taskId, client) };
+    });
+
+    if (outcome.notFound) {
+      return res.status(404).json({ error: "Task not found." });
+    }
+
+    if (outcome.unknownRevision) {
+      return res.status(400).json({
+        error: "Invalid input",
+        details: [{ field: "revision_id", message: "Unknown revision." }],
+      });
+    }
+
+    return res.status(200).json({ task: outcome.task });
+  } catch (err) {
+    if (isRecurrenceWithoutDue(err)) {
+      return res.status(400).json({
+        error: "Invalid input",
+        details: [{ field: "revision_id", message: "A recurring task needs a due date." }],
+      });
+    }
+
+    console.error("REVERT TASK ERROR:", err);
+    return res.status(500).json({ error: "Failed to revert task." });
+  }
+});
+
+/**
+ * POST /api/tasks/:id/restore
+ * -----------------------------------------------------------------------------
+ * Purpose:
+ * - Take a deleted task out of the trash (e.g. "Undo" after a delete).
+ *
+ * Behavior:
+ * - The task comes back with its tags, checklist, project and position; if
+ *   its project was deleted meanwhile, it comes back to the Inbox.
+ *
+ * Response:
+ * - 200 OK with { task: {...} }
+ * - 400 Bad Request if id is invalid
+ * - 404 Not Found if the task is not in the user's trash
+ * - 500 Server Error for unexpected failures
+ */
+router.post("/:id/restore", requirePermission("tasks:write"), async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    const idCheck = validatePositiveIntParam(res, "id", req.params.id);
+    if (!idCheck.ok) return idCheck.response;
+    const taskId = idCheck.value;
+
+    const task = await withTransaction(async (client) => {
+      const before = await snapshotTasks(userId, [taskId], client);
+      const restored = await restoreTasks(userId, [taskId], client);
+      if (restored.length === 0) return null;
+
+      await recordChanges(revisionActor(req.user), before, restored, client, { action: "restore" });
+      return findTask(userId, taskId, client);
+    });
+
+    if (!task) {
+      return res.status(404).json({ error: "Task not found in the trash." });
+    }
+
+    return res.status(200).json({ task });
+  } catch (err) {
+    console.error("RESTORE TASK ERROR:", err);
+    return res.status(500).json({ error: "Failed to restore task." });
+  }
+});
+
+/**
+ * DELETE /api/tasks/trash
+ * -----------------------------------------------------------------------------
+ * Purpose:
+ * - Empty the authenticated user's trash: permanently delete every task in
+ *   it. This cannot be undone.
+ *
+ * Response:
+ * - 200 OK with { message, deleted_ids: [...] }
+ * - 500 Server Error if deletion fails unexpectedly
+ */
+router.delete("/trash", requirePermission("tasks:write"), async (req, res) => {
+  try {
+    const deletedIds = await purgeTasks(req.user.userId, null);
+
+    return res.status(200).json({ message: "Trash emptied.", deleted_ids: deletedIds });
+  } catch (err) {
+    console.error("EMPTY TRASH ERROR:", err);
+    return res.status(500).json({ error: "Failed to empty the trash." });
+  }
+});
+
+/**
+ * DELETE /api/tasks/trash/:id
+ * -----------------------------------------------------------------------------
+ * Purpose:
+ * - Permanently delete one task from the authenticated user's trash. This
+ *   cannot be undone.
+ *
+ * Response:
+ * - 200 OK with a confirmation message
+ * - 400 Bad Request if id is invalid
+ * - 404 Not Found if the task is not in the user's trash (tasks must be
+ *   deleted, i.e. trashed, first)
+ * - 500 Server Error if deletion fails unexpectedly
+ */
+router.delete("/trash/:id", requirePermission("tasks:write"), async (req, res) => {
+  try {
+    const idCheck = validatePositiveIntParam(res, "id", req.params.id);
+    if (!idCheck.ok) return idCheck.response;
+    const taskId = idCheck.value;
+
+    const deletedIds = await purgeTasks(req.user.userId, [taskId]);
+
+    if (deletedIds.length === 0) {
+      return res.status(404).json({ error: "Task not found in the trash." });
+    }
+
+    return res.status(200).json({ message: "Task permanently deleted.", taskId });
+  } catch (err) {
+    console.error("PURGE TASK ERROR:", err);
+    return res.status(500).json({ error: "Failed to delete task." });
+  }
+});
+
 /**
  * DELETE /api/tasks/:id
  * -----------------------------------------------------------------------------
  * Purpose:
- * - Delete a task that belongs to the authenticated user.
+ * - Move a task that belongs to the authenticated user to the trash.
  *
  * URL params:
  * - id: task id (must be a positive integer)
  *
+ * Behavior:
+ * - The task disappears from every task list and search, and can be
+ *   restored (POST /api/tasks/:id/restore) until it is purged:
+ *   TRASH_RETENTION_DAYS later, or earlier from the trash endpoints.
+ *
  * Security:
  * - Deletion only happens when BOTH conditions match:
  *   - tasks.id matches the requested id
  *   - tasks.user_id matches the authenticated user id from the JWT
  *
  * Response:
- * - 200 OK with a confirmation message if deleted
+ * - 200 OK with a confirmation message if moved to the trash
  * - 400 Bad Request if id is invalid (consistent format)
- * - 404 Not Found if the task does not exist or does not belong to the user
+ * - 404 Not Found if the task does not exist, does not belong to the user,
+ *   or is already in the trash
  * - 500 Server Error if deletion fails unexpectedly
  */
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", requirePermission("tasks:write"), async (req, res) => {
   try {
     // Authenticated user id from JWT.
     const userId = req.user.userId;
@@ -286,21 +1064,20 @@ router.delete("/:id", async (req, res) => {
     if (!idCheck.ok) return idCheck.response;
     const taskId = idCheck.value;
 
-    // Delete only if the task belongs to this user.
-    const result = await pool.query(
-      `
-      DELETE FROM tasks
-      WHERE user_id = $1 AND id = $2
-      RETURNING id
-      `,
-      [userId, taskId]
-    );
+    // Trash only if the task belongs to this user.
+    const trashedIds = await withTransaction(async (client) => {
+      const before = await snapshotTasks(userId, [taskId], client);
+      const trashed = await trashTasks(userId, [taskId], client);
+
+      await recordChanges(revisionActor(req.user), before, trashed, client, { action: "delete" });
+      return trashed;
+    });
 
-    if (result.rows.length === 0) {
+    if (trashedIds.length === 0) {
       return res.status(404).json({ error: "Task not found." });
     }
 
-    return res.status(200).json({ message: "Task deleted.", taskId: result.rows[0].id });
+    return res.status(200).json({ message: "Task moved to the trash.", taskId });
   } catch (err) {
     console.error("DELETE TASK ERROR:", err);
     return res.status(500).json({ error: "Failed to delete task." });
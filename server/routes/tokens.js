@@ -0,0 +1,126 @@
+/**
+ * routes/tokens.js
+ * -----------------------------------------------------------------------------
+ * Secure Task Manager - Personal Access Token Routes
+ *
+ * Purpose:
+ * - Let a signed-in user create, list and revoke API tokens for scripts.
+ *
+ * Endpoints:
+ * - GET    /api/tokens      -> list active tokens (never the token values)
+ * - POST   /api/tokens      -> create a token (value returned once)
+ * - DELETE /api/tokens/:id  -> revoke a token
+ *
+ * Security:
+ * - All routes require a signed-in session; a personal access token cannot
+ *   be used to create or revoke tokens (requireSession).
+ * - A token's scopes must be permissions the user's role already has.
+ * -----------------------------------------------------------------------------
+ */
+
+const express = require("express"); // Express routing utilities
+const authMiddleware = require("../middleware/authMiddleware"); // JWT auth middleware
+const requireSession = require("../middleware/requireSession"); // No API tokens
+const {
+  createPersonalToken,
+  countActivePersonalTokens,
+  listPersonalTokens,
+  revokePersonalToken,
+} = require("../models/personalTokens"); // Token storage
+const { hasPermission } = require("../utils/permissions"); // Role -> permissions
+const { createTokenSchema } = require("../schemas/tokenSchemas"); // Zod schemas
+const { formatZodError, validatePositiveIntParam } = require("../utils/validation"); // Shared input checks
+
+const router = express.Router(); // Router mounted at /api/tokens
+
+// Cap per user so a compromised session cannot mint tokens without limit.
+const MAX_ACTIVE_TOKENS = 25;
+
+router.use(authMiddleware, requireSession);
+
+/**
+ * GET /api/tokens
+ * -----------------------------------------------------------------------------
+ * Response:
+ * - 200 OK with { tokens: [{ id, name, prefix, scopes, createdAt, expiresAt, lastUsedAt }] }
+ */
+router.get("/", async (req, res) => {
+  try {
+    const tokens = await listPersonalTokens(req.user.userId);
+    return res.json({ tokens });
+  } catch (err) {
+    console.error("LIST TOKENS ERROR:", err);
+    return res.status(500).json({ error: "Failed to load API tokens." });
+  }
+});
+
+/**
+ * POST /api/tokens
+ * -----------------------------------------------------------------------------
+ * Request body:
+ *   { name: string, scopes: string[], expiresInDays?: number | null }
+ *
+ * Response:
+ * - 201 Created with { token, personalToken } (token is shown only once)
+ * - 400 Bad Request for invalid input or too many active tokens
+ * - 403 Forbidden if a scope is not allowed for the user's role
+ */
+router.post("/", async (req, res) => {
+  try {
+    const parsed = createTokenSchema.safeParse(req.body || {});
+
+    if (!parsed.success) {
+      return res.status(400).json({
+        error: "Invalid input",
+        details: formatZodError(parsed.error),
+      });
+    }
+
+    const { name, scopes, expiresInDays } = parsed.data;
+
+    if (!scopes.every((scope) => hasPermission(req.user.role, scope))) {
+      return res.status(403).json({ error: "You cannot grant a scope you do not have." });
+    }
+
+    if ((await countActivePersonalTokens(req.user.userId)) >= MAX_ACTIVE_TOKENS) {
+      return res.status(400).json({
+        error: `You can have at most ${MAX_ACTIVE_TOKENS} active API tokens. Revoke one first.`,
+      });
+    }
+
+    const created = await createPersonalToken(req.user.userId, { name, scopes, expiresInDays });
+
+    return res.status(201).json(created);
+  } catch (err) {
+    console.error("CREATE TOKEN ERROR:", err);
+    return res.status(500).json({ error: "Failed to create API token." });
+  }
+});
+
+/**
+ * DELETE /api/tokens/:id
+ * -----------------------------------------------------------------------------
+ * Response:
+ * - 204 No Content when revoked
+ * - 400 Bad Request for an invalid id
+ * - 404 Not Found if the token does not exist, is not yours, or is already revoked
+ */
+router.delete("/:id", async (req, res) => {
+  try {
+    const idCheck = validatePositiveIntParam(res, "id", req.params.id);
+    if (!idCheck.ok) return idCheck.response;
+
+    const revoked = await revokePersonalToken(req.user.userId, idCheck.value);
+
+    if (!revoked) {
+      return res.status(404).json({ error: "API token not found." });
+    }
+
+    return res.status(204).send();
+  } catch (err) {
+    console.error("REVOKE TOKEN ERROR:", err);
+    return res.status(500).json({ error: "Failed to revoke API token." });
+  }
+});
+
+module.exports = router; // Export router for app.js
@@ -0,0 +1,220 @@
+/**
+ * routes/twoFactor.js
+ * -----------------------------------------------------------------------------
+ * Secure Task Manager - Two-Factor Authentication Settings Routes
+ *
+ * Purpose:
+ * - Let a signed-in user enroll a TOTP authenticator app.
+ * - Issue, count and regenerate one-time recovery codes.
+ * - Disable two-factor authentication.
+ *
+ * Endpoints:
+ * - GET  /api/auth/2fa                 -> current status
+ * - POST /api/auth/2fa/setup           -> start enrollment (secret + otpauth URI)
+ * - POST /api/auth/2fa/enable          -> confirm enrollment with a code
+ * - POST /api/auth/2fa/disable         -> turn off (password + second factor)
+ * - POST /api/auth/2fa/recovery-codes  -> regenerate recovery codes (password)
+ *
+ * Security:
+ * - All routes require a valid access token from a signed-in session;
+ *   personal API tokens are rejected (requireSession).
+ * - Turning two-factor off or regenerating codes requires the current password,
+ *   so a hijacked session alone cannot weaken the account.
+ * - Those re-checks share the sign-in rate limit (authLimiter), and wrong
+ *   passwords or codes count toward the same account and IP lockouts as
+ *   failed sign-ins (models/loginThrottle.js).
+ * - Recovery codes are returned only once, at creation time.
+ * -----------------------------------------------------------------------------
+ */
+
+const express = require("express"); // Express routing utilities
+const authMiddleware = require("../middleware/authMiddleware"); // JWT auth middleware
+const requireSession = require("../middleware/requireSession"); // No API tokens
+const pool = require("../models/db"); // PostgreSQL connection pool
+const { recordFailedLogin } = require("../models/loginThrottle"); // Brute-force lockouts
+const { authLimiter, confirmPassword } = require("../utils/authThrottle"); // Credential rate limit + password re-checks
+const config = require("../config"); // Centralized configuration (TOTP issuer)
+const { buildOtpauthUri } = require("../utils/totp"); // Authenticator app URI
+const {
+  getTwoFactorStatus,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  replaceRecoveryCodes,
+  disableTwoFactor,
+} = require("../models/twoFactor"); // Two-factor state
+
+const router = express.Router(); // Router mounted at /api/auth/2fa
+
+// Every two-factor settings route acts on the signed-in user, and only from
+// a real session (personal access tokens cannot change account security).
+router.use(authMiddleware, requireSession);
+
+/**
+ * GET /api/auth/2fa
+ * -----------------------------------------------------------------------------
+ * Response:
+ * - 200 OK with { enabled, recoveryCodesRemaining }
+ */
+router.get("/", async (req, res) => {
+  try {
+    const status = await getTwoFactorStatus(req.user.userId);
+    return res.json(status);
+  } catch (err) {
+    console.error("2FA STATUS ERROR:", err);
+    return res.status(500).json({ error: "Failed to load two-factor status." });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/setup
+ * -----------------------------------------------------------------------------
+ * Behavior:
+ * - Generate a new secret and keep it pending until confirmed.
+ * - Calling again restarts enrollment with a fresh secret.
+ *
+ * Response:
+ * - 200 OK with { secret, otpauthUri } (the client renders the URI as a QR code)
+ * - 409 Conflict if two-factor authentication is already enabled
+ */
+router.post("/setup", async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    const secret = await startEnrollment(userId);
+    if (!secret) {
+      return res.status(409).json({ error: "Two-factor authentication is already enabled." });
+    }
+
+    const result = await pool.query("SELECT email FROM users WHERE id = $1", [userId]);
+    const otpauthUri = buildOtpauthUri(secret, result.rows[0].email, config.totpIssuer);
+
+    return res.json({ secret, otpauthUri });
+  } catch (err) {
+    console.error("2FA SETUP ERROR:", err);
+    return res.status(500).json({ error: "Failed to start two-factor setup." });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/enable
+ * -----------------------------------------------------------------------------
+ * Request body:
+ *   { code: string }  6-digit code from the authenticator app
+ *
+ * Response:
+ * - 200 OK with { recoveryCodes: string[] } (shown once; store them safely)
+ * - 400 Bad Request if the code is missing/wrong or setup was not started
+ */
+router.post("/enable", async (req, res) => {
+  try {
+    const { code } = req.body || {};
+
+    if (!code || typeof code !== "string") {
+      return res.status(400).json({ error: "Verification code is required." });
+    }
+
+    const result = await confirmEnrollment(req.user.userId, code.trim());
+
+    if (!result.ok) {
+      const error =
+        result.reason === "not_pending"
+          ? "Start two-factor setup before enabling it."
+          : "Invalid verification code.";
+      return res.status(400).json({ error });
+    }
+
+    return res.json({
+      message: "Two-factor authentication enabled.",
+      recoveryCodes: result.recoveryCodes,
+    });
+  } catch (err) {
+    console.error("2FA ENABLE ERROR:", err);
+    return res.status(500).json({ error: "Failed to enable two-factor authentication." });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/disable
+ * -----------------------------------------------------------------------------
+ * Request body:
+ *   { password: string, code?: string, recoveryCode?: string }
+ *
+ * Response:
+ * - 200 OK with a confirmation message
+ * - 400 Bad Request if two-factor authentication is not enabled
+ * - 403 Forbidden if the password or second factor is wrong
+ *   (not 401, which clients treat as an expired session)
+ * - 429 Too Many Requests while locked out or when the per-IP limit is exceeded
+ */
+router.post("/disable", authLimiter, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { password, code, recoveryCode } = req.body || {};
+
+    const status = await getTwoFactorStatus(userId);
+    if (!status.enabled) {
+      return res.status(400).json({ error: "Two-factor authentication is not enabled." });
+    }
+
+    const confirmed = await confirmPassword(req, res, password, "Incorrect password.");
+    if (confirmed.response) return confirmed.response;
+    const { user } = confirmed;
+
+    const valid = await verifySecondFactor(userId, {
+      code: typeof code === "string" ? code.trim() : undefined,
+      recoveryCode,
+    });
+
+    if (!valid) {
+      await recordFailedLogin(user.email, req.ip);
+      return res.status(403).json({ error: "Invalid verification code." });
+    }
+
+    await disableTwoFactor(userId);
+
+    return res.json({ message: "Two-factor authentication disabled." });
+  } catch (err) {
+    console.error("2FA DISABLE ERROR:", err);
+    return res.status(500).json({ error: "Failed to disable two-factor authentication." });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/recovery-codes
+ * -----------------------------------------------------------------------------
+ * Request body:
+ *   { password: string }
+ *
+ * Behavior:
+ * - Invalidate all existing recovery codes and issue a new set.
+ *
+ * Response:
+ * - 200 OK with { recoveryCodes: string[] }
+ * - 400 Bad Request if two-factor authentication is not enabled
+ * - 403 Forbidden if the password is wrong
+ * - 429 Too Many Requests while locked out or when the per-IP limit is exceeded
+ */
+router.post("/recovery-codes", authLimiter, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { password } = req.body || {};
+
+    const status = await getTwoFactorStatus(userId);
+    if (!status.enabled) {
+      return res.status(400).json({ error: "Two-factor authentication is not enabled." });
+    }
+
+    const confirmed = await confirmPassword(req, res, password, "Incorrect password.");
+    if (confirmed.response) return confirmed.response;
+
+    const recoveryCodes = await replaceRecoveryCodes(userId);
+
+    return res.json({ recoveryCodes });
+  } catch (err) {
+    console.error("2FA RECOVERY CODES ERROR:", err);
+    return res.status(500).json({ error: "Failed to regenerate recovery codes." });
+  }
+});
+
+module.exports = router; // Export router for app.js
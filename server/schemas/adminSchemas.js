@@ -0,0 +1,37 @@
+/**
+ * schemas/adminSchemas.js
+ * -----------------------------------------------------------------------------
+ * Zod schemas for admin API request validation.
+ * -----------------------------------------------------------------------------
+ */
+
+const { z } = require("zod");
+
+/**
+ * listUsersQuerySchema
+ * -----------------------------------------------------------------------------
+ * Validates the query string for GET /api/admin/users.
+ *
+ * Rules:
+ * - search is optional, trimmed, at most 100 characters
+ * - limit is 1-100 (default 25)
+ * - offset is 0 or more (default 0)
+ */
+const listUsersQuerySchema = z
+  .object({
+    search: z.string().trim().max(100, "Search must be at most 100 characters.").optional(),
+    limit: z.coerce
+      .number()
+      .int("Limit must be an integer.")
+      .min(1, "Limit must be at least 1.")
+      .max(100, "Limit must be at most 100.")
+      .default(25),
+    offset: z.coerce
+      .number()
+      .int("Offset must be an integer.")
+      .min(0, "Offset cannot be negative.")
+      .default(0),
+  })
+  .strict();
+
+module.exports = { listUsersQuerySchema };
@@ -0,0 +1,65 @@
+/**
+ * schemas/checklistSchemas.js
+ * -----------------------------------------------------------------------------
+ * Zod schemas for task checklist requests (/api/tasks/:id/checklist).
+ * -----------------------------------------------------------------------------
+ */
+
+const { z } = require("zod");
+const { MAX_ID } = require("../utils/validation"); // Largest id a SERIAL column holds
+
+const itemTitle = z
+  .string({ message: "Title is required." })
+  .trim()
+  .min(1, "Title cannot be empty.")
+  .max(255, "Title must be at most 255 characters.");
+
+const itemId = z
+  .number()
+  .int("Item ids must be positive integers.")
+  .positive("Item ids must be positive integers.")
+  .max(MAX_ID, "Item ids must be positive integers.");
+
+/**
+ * createChecklistItemSchema
+ * -----------------------------------------------------------------------------
+ * Rules:
+ * - title is required, trimmed, 1-255 characters
+ */
+const createChecklistItemSchema = z.object({ title: itemTitle }).strict();
+
+/**
+ * updateChecklistItemSchema
+ * -----------------------------------------------------------------------------
+ * Rules:
+ * - At least one of title / completed must be provided
+ * - completed must be a boolean
+ */
+const updateChecklistItemSchema = z
+  .object({
+    title: itemTitle.optional(),
+    completed: z.boolean({ message: "Completed must be true or false." }).optional(),
+  })
+  .strict()
+  .refine((data) => Object.keys(data).length > 0, {
+    message: "At least one field is required to update a checklist item.",
+    path: ["_form"],
+  });
+
+/**
+ * reorderChecklistSchema
+ * -----------------------------------------------------------------------------
+ * Rules:
+ * - item_ids lists every item id of the task, in the new order
+ */
+const reorderChecklistSchema = z
+  .object({
+    item_ids: z.array(itemId, { message: "item_ids must be a list of item ids." }),
+  })
+  .strict();
+
+module.exports = {
+  createChecklistItemSchema,
+  updateChecklistItemSchema,
+  reorderChecklistSchema,
+};
@@ -0,0 +1,43 @@
+/**
+ * schemas/projectSchemas.js
+ * -----------------------------------------------------------------------------
+ * Zod schemas for project requests (and the project fields of task requests).
+ * -----------------------------------------------------------------------------
+ */
+
+const { z } = require("zod");
+const { MAX_ID } = require("../utils/validation"); // Largest id a SERIAL column holds
+
+/**
+ * projectId
+ * -----------------------------------------------------------------------------
+ * A task's project: one of the user's project ids, or null for the Inbox.
+ */
+const projectId = z
+  .number({ message: "project_id must be a project id or null." })
+  .int("project_id must be a project id or null.")
+  .positive("project_id must be a project id or null.")
+  .max(MAX_ID, "project_id must be a project id or null.")
+  .nullable();
+
+/**
+ * projectSchema
+ * -----------------------------------------------------------------------------
+ * Validates request body for creating or renaming a project.
+ *
+ * Rules:
+ * - name is required, trimmed, 1-100 characters
+ * - "Inbox" is reserved (any case): it is the list of tasks without a project
+ */
+const projectSchema = z
+  .object({
+    name: z
+      .string({ message: "Name is required." })
+      .trim()
+      .min(1, "Name cannot be empty.")
+      .max(100, "Name must be at most 100 characters.")
+      .refine((name) => name.toLowerCase() !== "inbox", "Inbox is reserved for tasks without a project."),
+  })
+  .strict();
+
+module.exports = { projectId, projectSchema };
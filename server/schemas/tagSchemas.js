@@ -0,0 +1,81 @@
+/**
+ * schemas/tagSchemas.js
+ * -----------------------------------------------------------------------------
+ * Zod schemas for tag requests (and the tag fields of task requests).
+ * -----------------------------------------------------------------------------
+ */
+
+const { z } = require("zod");
+const { MAX_ID } = require("../utils/validation"); // Largest id a SERIAL column holds
+
+const MAX_TAGS_PER_TASK = 20;
+
+/**
+ * tagName
+ * -----------------------------------------------------------------------------
+ * Trimmed, without a leading "#" (so "#work" and "work" are the same tag),
+ * 1-32 letters, digits, "-" or "_".
+ */
+const tagName = z
+  .string({ message: "Name is required." })
+  .trim()
+  .transform((name) => name.replace(/^#/, ""))
+  .pipe(
+    z
+      .string()
+      .min(1, "Name cannot be empty.")
+      .max(32, "Name must be at most 32 characters.")
+      .regex(/^[\p{L}\p{N}_-]+$/u, "Name may only contain letters, digits, - and _.")
+  );
+
+const tagColor = z
+  .string({ message: "Color is required." })
+  .regex(/^#[0-9a-f]{6}$/i, "Color must be a hex color like #3b82f6.")
+  .transform((color) => color.toLowerCase());
+
+/**
+ * tagIds
+ * -----------------------------------------------------------------------------
+ * The complete set of tags for a task (replaces any previous set). Duplicates
+ * are removed; an empty list removes all tags.
+ */
+const tagIds = z
+  .array(
+    z.number().int().positive("Tag ids must be positive integers.").max(MAX_ID, "Tag ids must be positive integers."),
+    { message: "tag_ids must be a list of tag ids." }
+  )
+  .max(MAX_TAGS_PER_TASK, `A task can have at most ${MAX_TAGS_PER_TASK} tags.`)
+  .transform((ids) => [...new Set(ids)]);
+
+/**
+ * createTagSchema
+ * -----------------------------------------------------------------------------
+ * Rules:
+ * - name is required (see tagName)
+ * - color is optional (default set by the database)
+ */
+const createTagSchema = z
+  .object({
+    name: tagName,
+    color: tagColor.optional(),
+  })
+  .strict();
+
+/**
+ * updateTagSchema
+ * -----------------------------------------------------------------------------
+ * Rules:
+ * - At least one of name / color must be provided
+ */
+const updateTagSchema = z
+  .object({
+    name: tagName.optional(),
+    color: tagColor.optional(),
+  })
+  .strict()
+  .refine((data) => Object.keys(data).length > 0, {
+    message: "At least one field is required to update a tag.",
+    path: ["_form"],
+  });
+
+module.exports = { tagName, tagIds, createTagSchema, updateTagSchema };
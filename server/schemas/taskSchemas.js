@@ -11,6 +11,118 @@
  */
 
 const { z } = require("zod");
+const { tagName, tagIds } = require("./tagSchemas"); // Tag fields
+const { projectId } = require("./projectSchemas"); // Project field
+const { normalizeRule, normalizeTimeZone } = require("../utils/recurrence"); // RRULE subset
+const { decodeCursor } = require("../utils/pagination"); // List cursors
+const { MAX_ID } = require("../utils/validation"); // Largest id a SERIAL column holds
+
+// Lowest to highest (tasks.priority; sorting uses this order).
+const TASK_PRIORITIES = ["none", "low", "medium", "high", "urgent"];
+
+// Fields GET /api/tasks can sort by, with the direction used when none is given.
+const TASK_SORT_DEFAULT_ORDER = {
+  created_at: "desc",
+  updated_at: "desc",
+  priority: "desc",
+  due_at: "asc",
+  title: "asc",
+  position: "asc",
+};
+
+// Fields GET /api/tasks?fields= can select (TASK_FIELDS in models/tasks.js).
+const TASK_FIELD_NAMES = [
+  "id",
+  "project_id",
+  "title",
+  "description",
+  "completed",
+  "priority",
+  "created_at",
+  "updated_at",
+  "due_at",
+  "remind_at",
+  "auto_complete",
+  "position",
+  "recurrence_rule",
+  "recurrence_timezone",
+  "tags",
+  "progress",
+];
+
+// Page size of GET /api/tasks when no limit is given, and the largest allowed.
+const TASK_PAGE_DEFAULT_LIMIT = 50;
+const TASK_PAGE_MAX_LIMIT = 200;
+
+const priority = z.enum(TASK_PRIORITIES, {
+  message: `Priority must be one of: ${TASK_PRIORITIES.join(", ")}.`,
+});
+
+const autoComplete = z.boolean({ message: "auto_complete must be true or false." });
+
+// RRULE subset (see utils/recurrence.js), stored in canonical form; null
+// stops the task repeating.
+const recurrenceRule = z
+  .string({ message: "recurrence_rule must be an RRULE string or null." })
+  .max(255, "recurrence_rule must be at most 255 characters.")
+  .transform((value, ctx) => {
+    try {
+      return normalizeRule(value);
+    } catch (err) {
+      ctx.addIssue({ code: "custom", message: err.message });
+      return z.NEVER;
+    }
+  })
+  .nullable();
+
+// IANA timezone the rule is evaluated in ("Europe/Berlin").
+const recurrenceTimezone = z
+  .string({ message: "recurrence_timezone must be an IANA timezone name." })
+  .transform((value, ctx) => {
+    const timeZone = normalizeTimeZone(value);
+    if (!timeZone) {
+      ctx.addIssue({ code: "custom", message: `Unknown timezone "${value}".` });
+      return z.NEVER;
+    }
+    return timeZone;
+  });
+
+const RECURRENCE_NEEDS_DUE = {
+  message: "A recurring task needs a due date.",
+  path: ["recurrence_rule"],
+};
+
+/**
+ * dateTime(label)
+ * -----------------------------------------------------------------------------
+ * Optional, timezone-aware ISO 8601 date-time ("2026-03-01T09:00:00Z" or with
+ * an offset like "+02:00"). null clears the value. A bare local time is
+ * rejected because the server cannot know which timezone it was meant in.
+ */
+function dateTime(label) {
+  return z.iso
+    .datetime({
+      offset: true,
+      message: `${label} must be an ISO 8601 date-time with a timezone (e.g. 2026-03-01T09:00:00Z).`,
+    })
+    .nullable()
+    .optional();
+}
+
+/**
+ * createdBound(name)
+ * -----------------------------------------------------------------------------
+ * Optional created_at filter of GET /api/tasks: a date-time with a timezone,
+ * like dateTime() but never null.
+ */
+function createdBound(name) {
+  return z.iso
+    .datetime({
+      offset: true,
+      message: `${name} must be an ISO 8601 date-time with a timezone (e.g. 2026-03-01T09:00:00Z).`,
+    })
+    .optional();
+}
 
 /**
  * createTaskSchema
@@ -20,6 +132,15 @@ const { z } = require("zod");
  * Rules:
  * - title is required, trimmed, and must not be empty
  * - description is optional; if provided it is trimmed
+ * - due_at and remind_at are optional date-times with a timezone
+ * - priority is optional (default "none")
+ * - tag_ids is an optional list of the user's tag ids
+ * - auto_complete (optional boolean): complete the task when every checklist
+ *   item is done
+ * - project_id is optional: one of the user's projects, or null / omitted
+ *   for the Inbox
+ * - recurrence_rule (optional RRULE, needs due_at) repeats the task;
+ *   recurrence_timezone (default UTC) is the timezone it is evaluated in
  */
 const createTaskSchema = z
   .object({
@@ -28,8 +149,17 @@ const createTaskSchema = z
       .trim()
       .min(1, "Title cannot be empty."),
     description: z.string().trim().optional(),
+    due_at: dateTime("Due date"),
+    remind_at: dateTime("Reminder time"),
+    priority: priority.optional(),
+    tag_ids: tagIds.optional(),
+    auto_complete: autoComplete.optional(),
+    project_id: projectId.optional(),
+    recurrence_rule: recurrenceRule.optional(),
+    recurrence_timezone: recurrenceTimezone.optional(),
   })
-  .strict();
+  .strict()
+  .refine((data) => !data.recurrence_rule || data.due_at, RECURRENCE_NEEDS_DUE);
 
 /**
  * updateTaskSchema
@@ -41,6 +171,14 @@ const createTaskSchema = z
  * - title, if provided, must not be empty after trimming
  * - description, if provided, is trimmed (may be an empty string if client sends it)
  * - completed, if provided, must be a boolean
+ * - due_at / remind_at, if provided, are date-times with a timezone, or null
+ *   to clear them
+ * - priority, if provided, is one of TASK_PRIORITIES
+ * - tag_ids, if provided, replaces the task's tags
+ * - auto_complete, if provided, must be a boolean
+ * - project_id, if provided, moves the task to that project (null: Inbox)
+ * - recurrence_rule, if provided, sets (or with null removes) the
+ *   recurrence; clearing due_at on a recurring task is rejected
  * - Unknown fields are rejected
  */
 const updateTaskSchema = z
@@ -60,11 +198,383 @@ const updateTaskSchema = z
     completed: z
       .boolean({ invalid_type_error: "Completed must be true or false." })
       .optional(),
+
+    due_at: dateTime("Due date"),
+    remind_at: dateTime("Reminder time"),
+    priority: priority.optional(),
+    tag_ids: tagIds.optional(),
+    auto_complete: autoComplete.optional(),
+    project_id: projectId.optional(),
+    recurrence_rule: recurrenceRule.optional(),
+    recurrence_timezone: recurrenceTimezone.optional(),
   })
   .strict()
   .refine((data) => Object.keys(data).length > 0, {
     message: "At least one field is required to update a task.",
     path: ["_form"],
+  })
+  .refine((data) => !data.recurrence_rule || data.due_at !== null, RECURRENCE_NEEDS_DUE);
+
+/**
+ * listTasksQuerySchema
+ * -----------------------------------------------------------------------------
+ * Validates the query string for GET /api/tasks.
+ *
+ * Rules:
+ * - sort is one of the TASK_SORT_DEFAULT_ORDER fields (default created_at;
+ *   position is the user's manual order)
+ * - order is asc or desc (default: the field's natural direction, e.g.
+ *   newest first, highest priority first, soonest due first, A-Z)
+ * - tag filters by tag name; repeat it (?tag=work&tag=home) or separate
+ *   names with commas. A leading "#" is ignored.
+ * - tag_match is any (default: tasks with at least one of the tags) or all
+ *   (tasks with every tag)
+ * - project is a project id, or "inbox" for tasks without a project
+ *   (default: tasks from every project)
+ * - completed is true or false (default: both)
+ * - created_after / created_before are date-times with a timezone
+ *   (exclusive bounds on created_at)
+ * - limit is the page size, 1 to TASK_PAGE_MAX_LIMIT (default
+ *   TASK_PAGE_DEFAULT_LIMIT)
+ * - cursor is the next_cursor of the previous page; it must come from a
+ *   request with the same sort and order
+ * - fields is a comma-separated list of TASK_FIELD_NAMES to return (id is always
+ *   included; default: all)
+ */
+const listTasksQuerySchema = z
+  .object({
+    sort: z
+      .enum(Object.keys(TASK_SORT_DEFAULT_ORDER), {
+        message: `Sort must be one of: ${Object.keys(TASK_SORT_DEFAULT_ORDER).join(", ")}.`,
+      })
+      .default("created_at"),
+    order: z.enum(["asc", "desc"], { message: "Order must be asc or desc." }).optional(),
+    tag: z
+      .union([z.string(), z.array(z.string())], { message: "tag must be a tag name." })
+      .transform((value) => [value].flat().flatMap((names) => names.split(",")))
+      .pipe(z.array(tagName).max(20, "Filter by at most 20 tags."))
+      .optional(),
+    tag_match: z.enum(["any", "all"], { message: "tag_match must be any or all." }).default("any"),
+    project: z
+      .string()
+      .regex(/^(inbox|[1-9]\d*)$/, 'project must be a project id or "inbox".')
+      .refine((value) => value === "inbox" || Number(value) <= MAX_ID, 'project must be a project id or "inbox".')
+      .transform((value) => (value === "inbox" ? "inbox" : Number(value)))
+      .optional(),
+    completed: z
+      .enum(["true", "false"], { message: "completed must be true or false." })
+      .transform((value) => value === "true")
+      .optional(),
+    created_after: createdBound("created_after"),
+    created_before: createdBound("created_before"),
+    limit: z
+      .string()
+      .regex(/^\d+$/, `limit must be a whole number from 1 to ${TASK_PAGE_MAX_LIMIT}.`)
+      .transform(Number)
+      .pipe(
+        z
+          .number()
+          .min(1, `limit must be a whole number from 1 to ${TASK_PAGE_MAX_LIMIT}.`)
+          .max(TASK_PAGE_MAX_LIMIT, `limit must be a whole number from 1 to ${TASK_PAGE_MAX_LIMIT}.`)
+      )
+      .default(TASK_PAGE_DEFAULT_LIMIT),
+    cursor: z
+      .string()
+      .transform((value, ctx) => {
+        const cursor = decodeCursor(value);
+        if (!cursor) {
+          ctx.addIssue({ code: "custom", message: "cursor is invalid; request the first page again." });
+          return z.NEVER;
+        }
+        return cursor;
+      })
+      .optional(),
+    fields: z
+      .string()
+      .transform((value) => value.split(",").map((field) => field.trim()))
+      .pipe(
+        z.array(
+          z.enum(TASK_FIELD_NAMES, {
+            message: `fields must be a comma-separated list of: ${TASK_FIELD_NAMES.join(", ")}.`,
+          })
+        )
+      )
+      .optional(),
+  })
+  .strict()
+  .transform((query) => ({
+    ...query,
+    order: query.order || TASK_SORT_DEFAULT_ORDER[query.sort],
+    // Tag names are unique per user regardless of case.
+    tag: query.tag ? [...new Set(query.tag.map((name) => name.toLowerCase()))] : [],
+    fields: query.fields ? [...new Set(query.fields)] : undefined,
+  }))
+  .superRefine((query, ctx) => {
+    if (query.cursor && (query.cursor.sort !== query.sort || query.cursor.order !== query.order)) {
+      ctx.addIssue({
+        code: "custom",
+        message: "cursor belongs to a different sort or order; request the first page again.",
+        path: ["cursor"],
+      });
+    }
   });
 
-module.exports = { createTaskSchema, updateTaskSchema };
\ No newline at end of file
+/**
+ * searchTasksQuerySchema
+ * -----------------------------------------------------------------------------
+ * Validates the query string for GET /api/tasks/search.
+ *
+ * Rules:
+ * - q is required, 1-200 characters; it is split into terms (runs of letters
+ *   and digits, lowercased), at most 10, and punctuation is ignored
+ * - limit is 1-50 (default 20)
+ */
+const searchTasksQuerySchema = z
+  .object({
+    q: z
+      .string({ message: "q is required." })
+      .trim()
+      .min(1, "q is required.")
+      .max(200, "q must be at most 200 characters.")
+      .transform((value) => [...new Set(value.toLowerCase().match(/[\p{L}\p{N}]+/gu) ?? [])])
+      .pipe(
+        z
+          .array(z.string())
+          .min(1, "q must contain a letter or digit.")
+          .max(10, "q can have at most 10 words.")
+      ),
+    limit: z
+      .string()
+      .regex(/^\d+$/, "limit must be a whole number from 1 to 50.")
+      .transform(Number)
+      .pipe(
+        z
+          .number()
+          .min(1, "limit must be a whole number from 1 to 50.")
+          .max(50, "limit must be a whole number from 1 to 50.")
+      )
+      .default(20),
+  })
+  .strict()
+  .transform(({ q, limit }) => ({ terms: q, limit }));
+
+// Limits of POST /api/tasks/bulk (tasks matched by a filter are capped in
+// models/taskBulk.js).
+const BULK_MAX_OPERATIONS = 20;
+const BULK_MAX_IDS = 500;
+
+const taskId = z
+  .number()
+  .int("Task ids must be positive integers.")
+  .positive("Task ids must be positive integers.")
+  .max(MAX_ID, "Task ids must be positive integers.");
+
+// Tasks an operation applies to, by id.
+const bulkTaskIds = z
+  .array(taskId, { message: "ids must be a list of task ids." })
+  .min(1, "ids cannot be empty.")
+  .max(BULK_MAX_IDS, `An operation can list at most ${BULK_MAX_IDS} ids.`)
+  .transform((ids) => [...new Set(ids)]);
+
+// Tasks an operation applies to, by the GET /api/tasks filters (at least
+// one, so an operation cannot hit every task by accident).
+const bulkTaskFilter = z
+  .object({
+    completed: z.boolean({ message: "completed must be true or false." }).optional(),
+    project: z
+      .union(
+        [
+          z.literal("inbox"),
+          z
+            .number()
+            .int('project must be a project id or "inbox".')
+            .positive('project must be a project id or "inbox".')
+            .max(MAX_ID, 'project must be a project id or "inbox".'),
+        ],
+        { message: 'project must be a project id or "inbox".' }
+      )
+      .optional(),
+    tag: z
+      .array(tagName, { message: "tag must be a list of tag names." })
+      .max(20, "Filter by at most 20 tags.")
+      .transform((names) => [...new Set(names.map((name) => name.toLowerCase()))])
+      .optional(),
+    tag_match: z.enum(["any", "all"], { message: "tag_match must be any or all." }).optional(),
+    created_after: createdBound("created_after"),
+    created_before: createdBound("created_before"),
+  })
+  .strict()
+  .refine((filter) => Object.keys(filter).some((key) => key !== "tag_match"), {
+    message: "filter needs at least one condition.",
+  });
+
+// Fields an update operation can set on every task it applies to.
+const bulkTaskChanges = z
+  .object({
+    completed: z.boolean({ message: "completed must be true or false." }).optional(),
+    priority: priority.optional(),
+    due_at: dateTime("Due date"),
+    remind_at: dateTime("Reminder time"),
+    project_id: projectId.optional(),
+  })
+  .strict()
+  .refine((changes) => Object.keys(changes).length > 0, {
+    message: "changes needs at least one field.",
+  });
+
+/**
+ * bulkTasksSchema
+ * -----------------------------------------------------------------------------
+ * Validates the body of POST /api/tasks/bulk.
+ *
+ * Rules:
+ * - operations: 1 to BULK_MAX_OPERATIONS, run in order
+ * - action is update (with changes), complete, delete (moves the tasks to
+ *   the trash) or restore (takes them out of it)
+ * - Each operation has either ids (1 to BULK_MAX_IDS task ids) or a filter
+ *   (completed, project, tag / tag_match, created_after / created_before,
+ *   as in GET /api/tasks); restore takes ids only
+ */
+const bulkTasksSchema = z
+  .object({
+    operations: z
+      .array(
+        z
+          .discriminatedUnion(
+            "action",
+            [
+              z
+                .object({
+                  action: z.literal("update"),
+                  ids: bulkTaskIds.optional(),
+                  filter: bulkTaskFilter.optional(),
+                  changes: bulkTaskChanges,
+                })
+                .strict(),
+              z
+                .object({
+                  action: z.literal("complete"),
+                  ids: bulkTaskIds.optional(),
+                  filter: bulkTaskFilter.optional(),
+                })
+                .strict(),
+              z
+                .object({
+                  action: z.literal("delete"),
+                  ids: bulkTaskIds.optional(),
+                  filter: bulkTaskFilter.optional(),
+                })
+                .strict(),
+              z
+                .object({
+                  action: z.literal("restore"),
+                  ids: bulkTaskIds,
+                })
+                .strict(),
+            ],
+            { message: "action must be update, complete, delete or restore." }
+          )
+          .refine((operation) => (operation.ids === undefined) !== (operation.filter === undefined), {
+            message: "Give either ids or filter.",
+          }),
+        { message: "operations must be a list." }
+      )
+      .min(1, "operations cannot be empty.")
+      .max(BULK_MAX_OPERATIONS, `At most ${BULK_MAX_OPERATIONS} operations per request.`),
+  })
+  .strict();
+
+// A neighbor in a move: a task id, or null for none on that side.
+const neighborId = z
+  .number({ message: "Neighbor must be a task id." })
+  .int("Neighbor must be a task id.")
+  .positive("Neighbor must be a task id.")
+  .max(MAX_ID, "Neighbor must be a task id.")
+  .nullable()
+  .optional();
+
+/**
+ * moveTaskSchema
+ * -----------------------------------------------------------------------------
+ * Validates the body of POST /api/tasks/:id/move.
+ *
+ * Rules:
+ * - after_id: the task to place this one right after (its new upper
+ *   neighbor)
+ * - before_id: the task to place this one right before (its new lower
+ *   neighbor)
+ * - At least one is required; null or omitted means no neighbor on that
+ *   side (top or bottom of the list)
+ */
+const moveTaskSchema = z
+  .object({
+    after_id: neighborId,
+    before_id: neighborId,
+  })
+  .strict()
+  .refine((data) => data.after_id != null || data.before_id != null, {
+    message: "after_id or before_id is required.",
+    path: ["_form"],
+  });
+
+/**
+ * taskHistoryQuerySchema
+ * -----------------------------------------------------------------------------
+ * Validates the query string for GET /api/tasks/:id/history.
+ *
+ * Rules:
+ * - limit is 1-100 (default 50)
+ * - before is a revision id; only older revisions are returned (the
+ *   next_before of the previous page)
+ */
+const taskHistoryQuerySchema = z
+  .object({
+    limit: z
+      .string()
+      .regex(/^\d+$/, "limit must be a whole number from 1 to 100.")
+      .transform(Number)
+      .pipe(
+        z
+          .number()
+          .min(1, "limit must be a whole number from 1 to 100.")
+          .max(100, "limit must be a whole number from 1 to 100.")
+      )
+      .default(50),
+    before: z
+      .string()
+      .regex(/^[1-9]\d{0,9}$/, "before must be a revision id.")
+      .transform(Number)
+      .pipe(z.number().max(MAX_ID, "before must be a revision id."))
+      .optional(),
+  })
+  .strict();
+
+/**
+ * revertTaskSchema
+ * -----------------------------------------------------------------------------
+ * Validates the body of POST /api/tasks/:id/revert.
+ *
+ * Rules:
+ * - revision_id: one of the task's revisions (GET /api/tasks/:id/history)
+ */
+const revertTaskSchema = z
+  .object({
+    revision_id: z
+      .number({ message: "revision_id must be a revision id." })
+      .int("revision_id must be a revision id.")
+      .positive("revision_id must be a revision id.")
+      .max(MAX_ID, "revision_id must be a revision id."),
+  })
+  .strict();
+
+module.exports = {
+  TASK_PRIORITIES,
+  createTaskSchema,
+  updateTaskSchema,
+  listTasksQuerySchema,
+  searchTasksQuerySchema,
+  bulkTasksSchema,
+  moveTaskSchema,
+  taskHistoryQuerySchema,
+  revertTaskSchema,
+};
\ No newline at end of file
@@ -0,0 +1,43 @@
+/**
+ * schemas/tokenSchemas.js
+ * -----------------------------------------------------------------------------
+ * Zod schemas for personal access token requests.
+ * -----------------------------------------------------------------------------
+ */
+
+const { z } = require("zod");
+const { TOKEN_SCOPES } = require("../utils/permissions"); // Grantable scopes
+
+/**
+ * createTokenSchema
+ * -----------------------------------------------------------------------------
+ * Validates request body for creating a personal access token.
+ *
+ * Rules:
+ * - name is required, trimmed, 1-100 characters
+ * - scopes is a non-empty list of TOKEN_SCOPES (duplicates are removed)
+ * - expiresInDays is 1-365, or null for a token that never expires
+ *   (default 30)
+ */
+const createTokenSchema = z
+  .object({
+    name: z
+      .string({ message: "Name is required." })
+      .trim()
+      .min(1, "Name cannot be empty.")
+      .max(100, "Name must be at most 100 characters."),
+    scopes: z
+      .array(z.enum(TOKEN_SCOPES, { message: `Scopes must be one of: ${TOKEN_SCOPES.join(", ")}.` }))
+      .min(1, "Select at least one scope.")
+      .transform((scopes) => [...new Set(scopes)]),
+    expiresInDays: z
+      .number()
+      .int("Expiry must be a whole number of days.")
+      .min(1, "Expiry must be at least 1 day.")
+      .max(365, "Expiry must be at most 365 days.")
+      .nullable()
+      .default(30),
+  })
+  .strict();
+
+module.exports = { createTokenSchema };
@@ -0,0 +1,64 @@
+/**
+ * scripts/generateJwtKey.js
+ * -----------------------------------------------------------------------------
+ * Create a new JWT signing key pair in the keys directory.
+ *
+ * Usage (from the server directory):
+ *   npm run generate-jwt-key -- <kid> [RS256|ES256]
+ *   npm run generate-jwt-key -- 2026-01 ES256
+ *
+ * Writes <kid>.private.pem (mode 600) and <kid>.public.pem to JWT_KEYS_DIR
+ * (default server/keys). Set JWT_ACTIVE_KID=<kid> to start signing with it;
+ * see utils/jwtKeys.js for the rotation steps.
+ * -----------------------------------------------------------------------------
+ */
+
+require("dotenv").config(); // Loads .env into process.env
+
+const crypto = require("crypto"); // Key generation
+const fs = require("fs"); // Write key files
+const path = require("path"); // Build key file paths
+
+const ALGORITHMS = {
+  RS256: ["rsa", { modulusLength: 3072 }],
+  ES256: ["ec", { namedCurve: "prime256v1" }],
+};
+
+function main() {
+  const [kid, alg = "ES256"] = process.argv.slice(2);
+
+  if (!kid || !/^[A-Za-z0-9_-]{1,64}$/.test(kid) || !ALGORITHMS[alg]) {
+    console.error(
+      `Usage: npm run generate-jwt-key -- <kid> [${Object.keys(ALGORITHMS).join("|")}]`
+    );
+    console.error("The kid may contain letters, digits, - and _ (up to 64 characters).");
+    process.exitCode = 1;
+    return;
+  }
+
+  const dir = process.env.JWT_KEYS_DIR || path.join(__dirname, "..", "keys");
+  const privatePath = path.join(dir, `${kid}.private.pem`);
+  const publicPath = path.join(dir, `${kid}.public.pem`);
+
+  if (fs.existsSync(privatePath) || fs.existsSync(publicPath)) {
+    console.error(`A key named ${kid} already exists in ${dir}.`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const [type, options] = ALGORITHMS[alg];
+  const { privateKey, publicKey } = crypto.generateKeyPairSync(type, {
+    ...options,
+    privateKeyEncoding: { type: "pkcs8", format: "pem" },
+    publicKeyEncoding: { type: "spki", format: "pem" },
+  });
+
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(privatePath, privateKey, { mode: 0o600 });
+  fs.writeFileSync(publicPath, publicKey);
+
+  console.log(`Created ${alg} key ${kid} in ${dir}.`);
+  console.log(`Set JWT_ACTIVE_KID=${kid} to sign new tokens with it.`);
+}
+
+main();
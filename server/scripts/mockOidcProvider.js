@@ -0,0 +1,228 @@
+/**
+ * scripts/mockOidcProvider.js
+ * -----------------------------------------------------------------------------
+ * A tiny OpenID Connect provider for local development and testing of
+ * "Sign in with SSO". NOT for production: it signs in whoever you type.
+ *
+ * Usage (from the server directory):
+ *   npm run mock-idp
+ *
+ * Then start the API with (e.g. in .env):
+ *   OIDC_ISSUER=http://localhost:4000
+ *   OIDC_CLIENT_ID=secure-task-manager
+ *   OIDC_CLIENT_SECRET=mock-secret        (optional)
+ *
+ * Supports:
+ * - Discovery (/.well-known/openid-configuration) and JWKS (/jwks)
+ * - Authorization code flow with PKCE (S256 only) and nonce
+ * - A sign-in form where you choose the email, name and whether the
+ *   provider reports the email as verified
+ *
+ * Settings: MOCK_IDP_PORT (default 4000), plus the OIDC_* values above. The
+ * allowed redirect URI is OIDC_REDIRECT_URI (default: the API's callback).
+ * The signing key and all codes live in memory only.
+ * -----------------------------------------------------------------------------
+ */
+
+require("dotenv").config(); // Loads .env into process.env
+
+const crypto = require("crypto"); // Keys, codes, PKCE
+const express = require("express"); // HTTP server
+const jwt = require("jsonwebtoken"); // ID token signing
+
+const PORT = Number(process.env.MOCK_IDP_PORT || 4000);
+const ISSUER = `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.OIDC_CLIENT_ID || "secure-task-manager";
+const CLIENT_SECRET = process.env.OIDC_CLIENT_SECRET || null;
+const REDIRECT_URI =
+  process.env.OIDC_REDIRECT_URI ||
+  `http://localhost:${process.env.PORT || 3001}/api/auth/oidc/callback`;
+
+const CODE_TTL_MS = 60 * 1000;
+const ID_TOKEN_TTL = "5m";
+
+const KEY_ID = `mock-${crypto.randomBytes(4).toString("hex")}`;
+const { privateKey, publicKey } = crypto.generateKeyPairSync("ec", {
+  namedCurve: "prime256v1",
+});
+
+// Authorization codes waiting to be redeemed: code -> grant details.
+const pendingCodes = new Map();
+
+function escapeHtml(value) {
+  return String(value ?? "").replace(
+    /[&<>"']/g,
+    (ch) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[ch]
+  );
+}
+
+function redirectWith(res, redirectUri, params) {
+  const url = new URL(redirectUri);
+  for (const [key, value] of Object.entries(params)) {
+    if (value) url.searchParams.set(key, value);
+  }
+  return res.redirect(url.toString());
+}
+
+// The same email always gets the same subject, like a real directory.
+function subjectFor(email) {
+  return crypto.createHash("sha256").update(email).digest("hex").slice(0, 24);
+}
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get("/.well-known/openid-configuration", (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ["code"],
+    subject_types_supported: ["public"],
+    id_token_signing_alg_values_supported: ["ES256"],
+    scopes_supported: ["openid", "email", "profile"],
+    code_challenge_methods_supported: ["S256"],
+    token_endpoint_auth_methods_supported: CLIENT_SECRET ? ["client_secret_post"] : ["none"],
+  });
+});
+
+app.get("/jwks", (req, res) => {
+  res.json({
+    keys: [{ ...publicKey.export({ format: "jwk" }), kid: KEY_ID, alg: "ES256", use: "sig" }],
+  });
+});
+
+/**
+ * GET /authorize
+ * -----------------------------------------------------------------------------
+ * Validates the request, then shows the sign-in form. Invalid client or
+ * redirect URI errors are shown here, never redirected (as the spec requires).
+ */
+app.get("/authorize", (req, res) => {
+  const q = req.query;
+
+  if (q.client_id !== CLIENT_ID || q.redirect_uri !== REDIRECT_URI) {
+    return res.status(400).send("Unknown client_id or redirect_uri.");
+  }
+
+  if (
+    q.response_type !== "code" ||
+    !String(q.scope || "").split(" ").includes("openid") ||
+    q.code_challenge_method !== "S256" ||
+    !q.code_challenge
+  ) {
+    return redirectWith(res, q.redirect_uri, { error: "invalid_request", state: q.state });
+  }
+
+  const hidden = ["redirect_uri", "state", "nonce", "code_challenge"]
+    .map((name) => `<input type="hidden" name="${name}" value="${escapeHtml(q[name])}">`)
+    .join("\n");
+
+  return res.send(`<!doctype html>
+<html>
+  <head><meta charset="utf-8"><title>Mock identity provider</title></head>
+  <body style="font-family: system-ui, sans-serif; max-width: 420px; margin: 40px auto;">
+    <h1>Mock identity provider</h1>
+    <p>Development only. Sign in as anyone.</p>
+    <form method="post" action="/authorize">
+      ${hidden}
+      <p><label>Email<br><input type="email" name="email" required value="sso.user@example.com"></label></p>
+      <p><label>Name<br><input type="text" name="name" value="SSO User"></label></p>
+      <p><label><input type="checkbox" name="email_verified" checked> Email verified</label></p>
+      <p>
+        <button type="submit" name="action" value="approve">Sign in</button>
+        <button type="submit" name="action" value="deny">Cancel</button>
+      </p>
+    </form>
+  </body>
+</html>`);
+});
+
+app.post("/authorize", (req, res) => {
+  const body = req.body;
+
+  if (body.redirect_uri !== REDIRECT_URI) {
+    return res.status(400).send("Unknown redirect_uri.");
+  }
+
+  if (body.action !== "approve" || !body.email) {
+    return redirectWith(res, REDIRECT_URI, { error: "access_denied", state: body.state });
+  }
+
+  const code = crypto.randomBytes(32).toString("base64url");
+  const email = body.email.trim().toLowerCase();
+
+  pendingCodes.set(code, {
+    codeChallenge: body.code_challenge,
+    nonce: body.nonce,
+    expiresAt: Date.now() + CODE_TTL_MS,
+    claims: {
+      sub: subjectFor(email),
+      email,
+      email_verified: body.email_verified === "on",
+      name: body.name || undefined,
+      preferred_username: email.split("@")[0],
+    },
+  });
+
+  return redirectWith(res, REDIRECT_URI, { code, state: body.state });
+});
+
+/**
+ * POST /token
+ * -----------------------------------------------------------------------------
+ * Redeems a code once, checking client, redirect URI and the PKCE verifier.
+ */
+app.post("/token", (req, res) => {
+  const body = req.body;
+  const grant = pendingCodes.get(body.code);
+
+  // Codes are single-use, successful or not.
+  pendingCodes.delete(body.code);
+
+  if (body.grant_type !== "authorization_code") {
+    return res.status(400).json({ error: "unsupported_grant_type" });
+  }
+
+  if (
+    body.client_id !== CLIENT_ID ||
+    (CLIENT_SECRET && body.client_secret !== CLIENT_SECRET)
+  ) {
+    return res.status(401).json({ error: "invalid_client" });
+  }
+
+  const challenge = crypto
+    .createHash("sha256")
+    .update(String(body.code_verifier || ""))
+    .digest("base64url");
+
+  if (
+    !grant ||
+    grant.expiresAt < Date.now() ||
+    body.redirect_uri !== REDIRECT_URI ||
+    challenge !== grant.codeChallenge
+  ) {
+    return res.status(400).json({ error: "invalid_grant" });
+  }
+
+  const idToken = jwt.sign({ ...grant.claims, nonce: grant.nonce }, privateKey, {
+    algorithm: "ES256",
+    keyid: KEY_ID,
+    issuer: ISSUER,
+    audience: CLIENT_ID,
+    expiresIn: ID_TOKEN_TTL,
+  });
+
+  return res.json({
+    access_token: crypto.randomBytes(32).toString("base64url"),
+    token_type: "Bearer",
+    expires_in: 300,
+    id_token: idToken,
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock OIDC provider running on ${ISSUER}`);
+  console.log(`Client id: ${CLIENT_ID}, redirect URI: ${REDIRECT_URI}`);
+});
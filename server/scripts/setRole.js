@@ -0,0 +1,49 @@
+/**
+ * scripts/setRole.js
+ * -----------------------------------------------------------------------------
+ * Assign a role to an existing account from the command line.
+ *
+ * Usage (from the server directory):
+ *   npm run set-role -- <email> <role>
+ *   npm run set-role -- admin@example.com admin
+ *
+ * There is no API for granting roles, so the first admin must be created
+ * here (or with an equivalent SQL UPDATE).
+ * -----------------------------------------------------------------------------
+ */
+
+require("dotenv").config(); // Loads .env into process.env
+
+const pool = require("../models/db"); // PostgreSQL connection pool
+const { ROLES } = require("../utils/permissions"); // Valid role names
+
+async function main() {
+  const [email, role] = process.argv.slice(2);
+
+  if (!email || !ROLES.includes(role)) {
+    console.error(`Usage: npm run set-role -- <email> <${ROLES.join("|")}>`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const result = await pool.query(
+    "UPDATE users SET role = $1 WHERE email = $2 RETURNING id, username",
+    [role, email.toLowerCase()]
+  );
+
+  if (result.rows.length === 0) {
+    console.error(`No account found for ${email}.`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const user = result.rows[0];
+  console.log(`User ${user.username} (id ${user.id}) now has role "${role}".`);
+}
+
+main()
+  .catch((err) => {
+    console.error("SET ROLE ERROR:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,166 @@
+/**
+ * tests/account.test.js
+ * -----------------------------------------------------------------------------
+ * Account self-service (routes/me.js, account checks in utils/validation.js):
+ * password re-checks are throttled like sign-in, and username or email
+ * changes that race another request get 404 or 409 instead of a 500.
+ *
+ * pool.query is replaced per test (tests/fakeDb.js); nothing connects to a
+ * database.
+ * -----------------------------------------------------------------------------
+ */
+
+require("./env");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const bcrypt = require("bcrypt");
+const { z } = require("zod");
+const { isValidEmail, isValidUsername, formatZodError } = require("../utils/validation");
+const { signAccessToken } = require("../utils/tokens");
+const { setTransport } = require("../mail");
+const meRoutes = require("../routes/me");
+const { startServer } = require("./server");
+const { mockQueries, fakeLoginThrottles } = require("./fakeDb");
+
+const PASSWORD = "correct horse battery staple";
+const PASSWORD_HASH = bcrypt.hashSync(PASSWORD, 4);
+
+const ADA = {
+  id: 1,
+  username: "ada",
+  email: "ada@example.com",
+  role: "user",
+  email_verified_at: new Date(),
+  totp_enabled_at: null,
+  created_at: new Date(),
+};
+
+/**
+ * A database holding ADA plus an in-memory login_throttles table.
+ * onUpdate(sql, values) answers UPDATEs of users (default: the updated row).
+ */
+function fakeAccount(onUpdate = () => ({ rows: [ADA] })) {
+  const throttles = fakeLoginThrottles();
+
+  function answer(sql, values) {
+    if (/FROM sessions s\s+JOIN users u/.test(sql)) {
+      return { rows: [{ email_verified_at: ADA.email_verified_at, role: ADA.role, needs_touch: false }] };
+    }
+    if (/SELECT password_hash FROM users/.test(sql)) return { rows: [{ password_hash: PASSWORD_HASH }] };
+    if (/^SELECT id, username, email, role/.test(sql)) return { rows: [ADA] };
+    if (/^\s*UPDATE users/.test(sql)) return onUpdate(sql, values);
+    return throttles.answer(sql, values);
+  }
+
+  return { throttles, answer };
+}
+
+function uniqueViolation() {
+  return Object.assign(new Error("duplicate key value violates unique constraint"), { code: "23505" });
+}
+
+async function startMeApi(t) {
+  setTransport({ send: async () => {} });
+  const api = await startServer("/api/me", meRoutes);
+  t.after(() => api.close());
+
+  const authorization = `Bearer ${signAccessToken(ADA.id, crypto.randomUUID())}`;
+  return (method, path, body) => api.request(method, `/api/me${path}`, body, { Authorization: authorization });
+}
+
+test("email and username checks", () => {
+  assert.ok(isValidEmail("ada@example.com"));
+  assert.ok(!isValidEmail("ada@example"));
+  assert.ok(!isValidEmail("ada @example.com"));
+  assert.ok(!isValidEmail(["ada@example.com"]));
+
+  assert.ok(isValidUsername(" ada "));
+  assert.ok(isValidUsername("a".repeat(50)));
+  assert.ok(!isValidUsername(" ad "));
+  assert.ok(!isValidUsername("a".repeat(51)));
+  assert.ok(!isValidUsername(null));
+});
+
+test("Zod errors become field messages", () => {
+  const result = z.object({ title: z.string().min(1, "Title cannot be empty.") }).safeParse({ title: "" });
+
+  assert.deepEqual(formatZodError(result.error), [{ field: "title", message: "Title cannot be empty." }]);
+});
+
+test("a username change returns the new profile, 409 when taken and 404 when the account is gone", async (t) => {
+  let outcome = "ok";
+  const { answer } = fakeAccount(() => {
+    if (outcome === "taken") throw uniqueViolation();
+    return { rows: outcome === "gone" ? [] : [{ ...ADA, username: "countess" }] };
+  });
+  mockQueries(t, answer);
+  const request = await startMeApi(t);
+
+  const changed = await request("PATCH", "", { username: "countess" });
+  assert.equal(changed.status, 200);
+  assert.equal(changed.body.user.username, "countess");
+
+  outcome = "taken";
+  assert.equal((await request("PATCH", "", { username: "countess" })).status, 409);
+
+  outcome = "gone";
+  assert.deepEqual(await request("PATCH", "", { username: "countess" }).then((r) => [r.status, r.body]), [
+    404,
+    { error: "Account not found." },
+  ]);
+
+  assert.equal((await request("PATCH", "", { username: "ab" })).status, 400);
+});
+
+test("an email change that loses a race gets 409, and is rolled back", async (t) => {
+  const { answer } = fakeAccount((sql) => {
+    if (/SET email = \$1/.test(sql)) throw uniqueViolation();
+    return null;
+  });
+  const { queries } = mockQueries(t, answer);
+  const request = await startMeApi(t);
+
+  const response = await request("POST", "/email", { password: PASSWORD, email: "taken@example.com" });
+
+  assert.equal(response.status, 409);
+  assert.ok(queries.some(({ sql }) => sql === "ROLLBACK"));
+  assert.ok(!queries.some(({ sql }) => sql === "COMMIT"));
+});
+
+test("an email change for an account deleted meanwhile gets 404", async (t) => {
+  const { answer } = fakeAccount(() => ({ rows: [] }));
+  const { queries } = mockQueries(t, answer);
+  const request = await startMeApi(t);
+
+  const response = await request("POST", "/email", { password: PASSWORD, email: "new@example.com" });
+
+  assert.equal(response.status, 404);
+  assert.ok(!queries.some(({ sql }) => /email_verification_tokens/.test(sql) && /INSERT/.test(sql)));
+});
+
+test("wrong passwords count toward the lockout, and a locked account gets 429", async (t) => {
+  const { throttles, answer } = fakeAccount();
+  mockQueries(t, answer);
+  const request = await startMeApi(t);
+
+  const attempts = [
+    ["POST", "/password", { currentPassword: "wrong", newPassword: "violet kettle harbor" }],
+    ["POST", "/email", { password: "wrong", email: "new@example.com" }],
+    ["DELETE", "", { password: "wrong" }],
+    ["POST", "/password", { currentPassword: "wrong", newPassword: "violet kettle harbor" }],
+    ["DELETE", "", { password: "wrong" }],
+  ];
+
+  for (const [method, path, body] of attempts) {
+    const response = await request(method, path, body);
+    assert.equal(response.status, 403, `${method} ${path}`);
+    assert.equal(response.headers.get("ratelimit-limit"), "20");
+  }
+  assert.equal(throttles.counts.get(`account:${ADA.email}`), 5);
+
+  const locked = await request("DELETE", "", { password: PASSWORD });
+  assert.equal(locked.status, 429);
+  assert.ok(Number(locked.headers.get("retry-after")) > 0);
+});
@@ -0,0 +1,64 @@
+/**
+ * tests/checklist.test.js
+ * -----------------------------------------------------------------------------
+ * Task checklists (schemas/checklistSchemas.js, models/checklist.js): item
+ * input is checked, and a reorder must list exactly the task's items, each
+ * once.
+ *
+ * pool.query is replaced per test (tests/fakeDb.js); nothing connects to a
+ * database.
+ * -----------------------------------------------------------------------------
+ */
+
+require("./env");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  createChecklistItemSchema,
+  updateChecklistItemSchema,
+  reorderChecklistSchema,
+} = require("../schemas/checklistSchemas");
+const { reorderChecklistItems } = require("../models/checklist");
+const { mockQueries } = require("./fakeDb");
+
+// A task whose checklist holds items 4, 5 and 6.
+function answerForChecklist(sql) {
+  if (/FROM task_checklist_items/.test(sql) && /^\s*SELECT/.test(sql)) {
+    return { rows: [4, 5, 6].map((id, position) => ({ id, title: `Item ${id}`, completed: false, position })) };
+  }
+  return null;
+}
+
+test("item titles are trimmed and 1-255 characters, and updates need a field", () => {
+  assert.deepEqual(createChecklistItemSchema.parse({ title: "  Buy milk " }), { title: "Buy milk" });
+  assert.equal(createChecklistItemSchema.safeParse({ title: " " }).success, false);
+  assert.equal(createChecklistItemSchema.safeParse({ title: "x".repeat(256) }).success, false);
+  assert.equal(updateChecklistItemSchema.safeParse({}).success, false);
+  assert.equal(updateChecklistItemSchema.safeParse({ completed: "yes" }).success, false);
+});
+
+test("reordered item ids must fit the id column", () => {
+  assert.ok(reorderChecklistSchema.safeParse({ item_ids: [2147483647, 1] }).success);
+
+  for (const id of [2147483648, 0, -1, 1.5, "1"]) {
+    assert.equal(reorderChecklistSchema.safeParse({ item_ids: [id] }).success, false, String(id));
+  }
+});
+
+test("a reorder must be a permutation of the task's items", async (t) => {
+  const { queries } = mockQueries(t, answerForChecklist);
+
+  for (const itemIds of [
+    [4, 5],
+    [4, 5, 5],
+    [4, 5, 7],
+    [4, 5, 6, 7],
+  ]) {
+    assert.equal(await reorderChecklistItems(1, itemIds), null, itemIds.join());
+  }
+  assert.ok(!queries.some(({ sql }) => /UPDATE task_checklist_items/.test(sql)));
+
+  assert.ok(await reorderChecklistItems(1, [6, 4, 5]));
+  assert.deepEqual(queries.find(({ sql }) => /UPDATE task_checklist_items/.test(sql)).values, [1, [6, 4, 5]]);
+});
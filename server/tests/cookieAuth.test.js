@@ -0,0 +1,135 @@
+/**
+ * tests/cookieAuth.test.js
+ * -----------------------------------------------------------------------------
+ * Cookie mode (utils/authCookies.js, utils/csrf.js, cookie handling in
+ * middleware/authMiddleware.js): tokens travel in HttpOnly cookies, and
+ * state-changing requests authenticated by cookie need the session's CSRF
+ * token.
+ *
+ * pool.query is replaced per test (tests/fakeDb.js); nothing connects to a
+ * database.
+ * -----------------------------------------------------------------------------
+ */
+
+require("./env");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const express = require("express");
+const cookieParser = require("cookie-parser");
+const config = require("../config");
+const { csrfTokenFor, requiresCsrf, hasValidCsrfToken } = require("../utils/csrf");
+const { setAuthCookies, clearAuthCookies, readAccessCookie, readRefreshCookie } = require("../utils/authCookies");
+const { signAccessToken } = require("../utils/tokens");
+const authMiddleware = require("../middleware/authMiddleware");
+const { startServer } = require("./server");
+const { mockQueries } = require("./fakeDb");
+
+const SESSION_ID = crypto.randomUUID();
+
+// Switches to AUTH_MODE=cookie for one test.
+function useCookieMode(t) {
+  config.authMode = "cookie";
+  t.after(() => {
+    config.authMode = "bearer";
+  });
+}
+
+// A response that records the cookies set and cleared on it.
+function recordingResponse() {
+  const cookies = [];
+  return {
+    cookies,
+    cookie: (name, value, options) => cookies.push({ name, value, options }),
+    clearCookie: (name, options) => cookies.push({ name, cleared: true, options }),
+  };
+}
+
+// A request with the given headers, as Express would see it.
+function requestWith(method, headers = {}) {
+  return { method, get: (name) => headers[name.toLowerCase()] };
+}
+
+// A router that answers { userId } once authMiddleware lets a request through.
+function protectedRouter() {
+  const router = express.Router();
+  router.use(cookieParser(), authMiddleware);
+  router.all("/", (req, res) => res.json({ userId: req.user.userId }));
+  return router;
+}
+
+test("CSRF tokens are tied to the session and checked only on state-changing requests", () => {
+  const token = csrfTokenFor(SESSION_ID);
+
+  assert.equal(csrfTokenFor(SESSION_ID), token);
+  assert.notEqual(csrfTokenFor(crypto.randomUUID()), token);
+
+  assert.ok(!requiresCsrf({ method: "GET" }));
+  assert.ok(!requiresCsrf({ method: "OPTIONS" }));
+  assert.ok(requiresCsrf({ method: "POST" }));
+  assert.ok(requiresCsrf({ method: "DELETE" }));
+
+  assert.ok(hasValidCsrfToken(requestWith("POST", { "x-csrf-token": token }), SESSION_ID));
+  assert.ok(!hasValidCsrfToken(requestWith("POST", { "x-csrf-token": token.slice(1) }), SESSION_ID));
+  assert.ok(!hasValidCsrfToken(requestWith("POST"), SESSION_ID));
+});
+
+test("auth cookies are HttpOnly, scoped by path and cleared with the same options", () => {
+  const res = recordingResponse();
+
+  setAuthCookies(res, { token: "access", refreshToken: "refresh" });
+  clearAuthCookies(res);
+
+  const [access, refresh, clearedAccess, clearedRefresh] = res.cookies;
+  assert.deepEqual(
+    [access.name, access.value, access.options.path, refresh.name, refresh.value, refresh.options.path],
+    ["stm_access", "access", "/api", "stm_refresh", "refresh", "/api/auth"]
+  );
+  assert.equal(access.options.httpOnly, true);
+  assert.equal(access.options.secure, true);
+  assert.equal(access.options.sameSite, "strict");
+
+  const { maxAge, ...accessOptions } = access.options;
+  assert.equal(maxAge, config.refreshTokenTtlDays * 24 * 60 * 60 * 1000);
+  assert.deepEqual(clearedAccess, { name: "stm_access", cleared: true, options: accessOptions });
+  assert.equal(clearedRefresh.options.path, "/api/auth");
+});
+
+test("auth cookies are ignored outside cookie mode", (t) => {
+  const req = { cookies: { stm_access: "access", stm_refresh: "refresh" } };
+
+  assert.equal(readAccessCookie(req), undefined);
+  assert.equal(readRefreshCookie(req), undefined);
+
+  useCookieMode(t);
+  assert.equal(readAccessCookie(req), "access");
+  assert.equal(readRefreshCookie(req), "refresh");
+});
+
+test("cookie-authenticated writes need the CSRF header; bearer requests do not", async (t) => {
+  useCookieMode(t);
+  mockQueries(t, (sql) =>
+    /FROM sessions s\s+JOIN users u/.test(sql)
+      ? { rows: [{ email_verified_at: new Date(), role: "user", needs_touch: false }] }
+      : null
+  );
+  const api = await startServer("/api/check", protectedRouter());
+  t.after(() => api.close());
+
+  const token = signAccessToken(1, SESSION_ID);
+  const cookie = { Cookie: `stm_access=${token}` };
+
+  assert.equal((await api.request("GET", "/api/check", undefined, cookie)).status, 200);
+
+  const forged = await api.request("POST", "/api/check", {}, cookie);
+  assert.equal(forged.status, 403);
+  assert.equal(forged.body.code, "CSRF_INVALID");
+
+  const csrf = { "X-CSRF-Token": csrfTokenFor(SESSION_ID) };
+  const withToken = await api.request("POST", "/api/check", {}, { ...cookie, ...csrf });
+  assert.deepEqual([withToken.status, withToken.body], [200, { userId: 1 }]);
+
+  const bearer = await api.request("POST", "/api/check", {}, { Authorization: `Bearer ${token}` });
+  assert.equal(bearer.status, 200);
+});
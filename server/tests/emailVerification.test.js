@@ -0,0 +1,132 @@
+/**
+ * tests/emailVerification.test.js
+ * -----------------------------------------------------------------------------
+ * Email verification (GET /api/auth/verify, POST /api/auth/resend-verification,
+ * middleware/requireVerifiedEmail.js): unverified accounts are read-only by
+ * default, and resending does not reveal which accounts exist or need it.
+ *
+ * pool.query is replaced per test (tests/fakeDb.js); nothing connects to a
+ * database.
+ * -----------------------------------------------------------------------------
+ */
+
+require("./env");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const config = require("../config");
+const { setTransport } = require("../mail");
+const { emailVerificationMessage } = require("../mail/messages");
+const { hashToken } = require("../utils/tokens");
+const requireVerifiedEmail = require("../middleware/requireVerifiedEmail");
+const authRoutes = require("../routes/auth");
+const { startServer } = require("./server");
+const { mockQueries, settle } = require("./fakeDb");
+
+const USERS = [
+  { id: 1, username: "new", email: "new@example.com", email_verified_at: null },
+  { id: 2, username: "done", email: "done@example.com", email_verified_at: new Date() },
+  { id: 3, username: "recent", email: "recent@example.com", email_verified_at: null },
+];
+
+// A database holding USERS, where "recent" was sent a link moments ago.
+function answerForUsers(sql, values) {
+  if (/FROM users WHERE email/.test(sql)) {
+    return { rows: USERS.filter((user) => user.email === values[0]) };
+  }
+  if (/SELECT 1\s+FROM email_verification_tokens/.test(sql)) {
+    return { rows: values[0] === 3 ? [{ "?column?": 1 }] : [] };
+  }
+  return null;
+}
+
+/**
+ * Runs the middleware for a request; returns "next" or the error response.
+ */
+function runPolicy(method, emailVerified) {
+  let outcome = null;
+  const res = {
+    status(code) {
+      return { json: (body) => (outcome = { status: code, body }) };
+    },
+  };
+
+  requireVerifiedEmail({ method, user: { emailVerified } }, res, () => (outcome = "next"));
+  return outcome;
+}
+
+test("verification emails link to the client with the token", () => {
+  const message = emailVerificationMessage(USERS[0], "a+b");
+
+  assert.equal(message.to, "new@example.com");
+  assert.ok(message.text.includes("http://localhost:5173/verify-email?token=a%2Bb"));
+});
+
+test("unverified accounts can read but not write under the read-only policy", () => {
+  assert.equal(config.unverifiedLoginPolicy, "read-only");
+
+  assert.equal(runPolicy("GET", false), "next");
+  assert.equal(runPolicy("HEAD", false), "next");
+  assert.equal(runPolicy("POST", true), "next");
+  assert.deepEqual(runPolicy("POST", false), {
+    status: 403,
+    body: { error: "Please verify your email address before making changes.", code: "EMAIL_NOT_VERIFIED" },
+  });
+  assert.equal(runPolicy("DELETE", false).status, 403);
+});
+
+test("the full policy lets unverified accounts write", (t) => {
+  config.unverifiedLoginPolicy = "full";
+  t.after(() => {
+    config.unverifiedLoginPolicy = "read-only";
+  });
+
+  assert.equal(runPolicy("PATCH", false), "next");
+});
+
+test("verify consumes the token by hash and rejects unknown tokens", async (t) => {
+  const { queries } = mockQueries(t);
+  const api = await startServer("/api/auth", authRoutes);
+  t.after(() => api.close());
+
+  const missing = await api.request("GET", "/api/auth/verify");
+  const unknown = await api.request("GET", "/api/auth/verify?token=raw-token");
+
+  assert.equal(missing.status, 400);
+  assert.equal(unknown.status, 400);
+  assert.equal(queries.length, 1);
+  assert.deepEqual(queries[0].values, [hashToken("raw-token")]);
+  assert.match(queries[0].sql, /users\.email = consumed\.email/);
+});
+
+// A route that waits for the database would never answer: fail instead of hanging.
+test("resend answers the same way, before any lookup, for every email", { timeout: 5000 }, async (t) => {
+  const { queries, release } = mockQueries(t, answerForUsers, { held: true });
+  const sent = [];
+  setTransport({ send: async (message) => sent.push(message) });
+  const api = await startServer("/api/auth", authRoutes);
+  t.after(() => api.close());
+
+  const responses = [];
+  for (const email of ["NEW@example.com", "done@example.com", "recent@example.com", "nobody@example.com"]) {
+    responses.push(await api.request("POST", "/api/auth/resend-verification", { email }));
+  }
+
+  for (const response of responses) {
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body, responses[0].body);
+  }
+
+  release();
+  await settle();
+
+  const inserts = queries.filter(({ sql }) => /INSERT INTO email_verification_tokens/.test(sql));
+  assert.deepEqual(
+    inserts.map(({ values }) => values.slice(0, 2)),
+    [[1, "new@example.com"]]
+  );
+  assert.deepEqual(
+    sent.map((message) => message.to),
+    ["new@example.com"]
+  );
+});
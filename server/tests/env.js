@@ -0,0 +1,29 @@
+/**
+ * tests/env.js
+ * -----------------------------------------------------------------------------
+ * Configuration for tests that load config.js (directly or through a util).
+ *
+ * Require it before anything else. It fills in the required variables when
+ * they are not set, and gives every test process its own JWT signing key in
+ * a temporary directory, so tests never read (or need) the keys in keys/.
+ * No test connects to the database.
+ * -----------------------------------------------------------------------------
+ */
+
+const crypto = require("crypto"); // Test signing key
+const fs = require("fs"); // Write the key file
+const os = require("os"); // Temporary directory
+const path = require("path"); // Key file path
+
+process.env.DATABASE_URL ||= "postgresql://test@localhost:5432/secure_task_manager_test";
+process.env.JWT_SECRET ||= "test-secret";
+process.env.CLIENT_ORIGIN ||= "http://localhost:5173";
+
+const keysDir = fs.mkdtempSync(path.join(os.tmpdir(), "stm-test-keys-"));
+const { privateKey } = crypto.generateKeyPairSync("ec", { namedCurve: "prime256v1" });
+
+fs.writeFileSync(path.join(keysDir, "test.private.pem"), privateKey.export({ type: "pkcs8", format: "pem" }));
+process.env.JWT_KEYS_DIR = keysDir;
+process.env.JWT_ACTIVE_KID = "test";
+
+process.on("exit", () => fs.rmSync(keysDir, { recursive: true, force: true }));
@@ -0,0 +1,99 @@
+/**
+ * tests/fakeDb.js
+ * -----------------------------------------------------------------------------
+ * Replaces pool.query and pool.connect (models/db.js) for one test, so models
+ * and routes run without a database.
+ * -----------------------------------------------------------------------------
+ */
+
+const pool = require("../models/db"); // The pool every model queries
+
+/**
+ * mockQueries(t, answer, { held })
+ * -----------------------------------------------------------------------------
+ * Records every query and answers it with answer(sql, values) (default: no
+ * rows). Transactions (withTransaction) get a client answering the same way.
+ * With held: true, no query is answered until release() is called, which
+ * shows whether a route waits for the database before responding.
+ *
+ * Returns { queries: [{ sql, values }], release() }.
+ */
+function mockQueries(t, answer = () => null, { held = false } = {}) {
+  const queries = [];
+  let release;
+  const released = new Promise((resolve) => {
+    release = resolve;
+  });
+  if (!held) release();
+
+  async function query(sql, values) {
+    queries.push({ sql, values });
+    await released;
+    return (await answer(sql, values)) || { rows: [], rowCount: 0 };
+  }
+
+  t.mock.method(pool, "query", query);
+  t.mock.method(pool, "connect", async () => ({ query, release() {} }));
+  // Never leave a request waiting, or its server could not close.
+  t.after(() => release());
+
+  return { queries, release };
+}
+
+/**
+ * settle()
+ * -----------------------------------------------------------------------------
+ * Lets work a route started after responding (and did not await) finish.
+ */
+function settle() {
+  return new Promise((resolve) => setTimeout(resolve, 50));
+}
+
+/**
+ * fakeLoginThrottles()
+ * -----------------------------------------------------------------------------
+ * In-memory login_throttles for models/loginThrottle.js: counts failures,
+ * applies the lockouts it is asked to and reports them back. (Counters never
+ * expire; tests run well inside FAILED_LOGIN_WINDOW_MINUTES.)
+ *
+ * Returns { counts: Map("scope:key" -> failed count), answer(sql, values) },
+ * where answer returns null for queries on other tables.
+ */
+function fakeLoginThrottles() {
+  const counts = new Map();
+  const lockedUntil = new Map();
+
+  function answer(sql, values) {
+    if (/INSERT INTO login_throttles/.test(sql)) {
+      const id = `${values[0]}:${values[1]}`;
+      counts.set(id, (counts.get(id) || 0) + 1);
+      return { rows: [{ failed_count: counts.get(id) }] };
+    }
+
+    if (/UPDATE login_throttles\s+SET locked_until/.test(sql)) {
+      const until = new Date(Date.now() + values[2] * 1000);
+      lockedUntil.set(`${values[0]}:${values[1]}`, until);
+      return { rows: [{ locked_until: until }] };
+    }
+
+    if (/AS retry_after\s+FROM login_throttles/.test(sql)) {
+      const active = [lockedUntil.get(`account:${values[0]}`), lockedUntil.get(`ip:${values[1]}`)].filter(
+        (until) => until > Date.now()
+      );
+      const retryAfter = active.length > 0 ? Math.ceil((Math.max(...active) - Date.now()) / 1000) : null;
+      return { rows: [{ retry_after: retryAfter }] };
+    }
+
+    if (/DELETE FROM login_throttles/.test(sql)) {
+      counts.delete(`account:${values[0]}`);
+      lockedUntil.delete(`account:${values[0]}`);
+      return { rows: [], rowCount: 1 };
+    }
+
+    return null;
+  }
+
+  return { counts, answer };
+}
+
+module.exports = { mockQueries, settle, fakeLoginThrottles };
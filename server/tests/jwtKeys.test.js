@@ -0,0 +1,127 @@
+/**
+ * tests/jwtKeys.test.js
+ * -----------------------------------------------------------------------------
+ * The JWT keyring (utils/jwtKeys.js): tokens name their key, each key is
+ * pinned to one algorithm, retired keys keep verifying during rotation, and
+ * only public keys are published.
+ * -----------------------------------------------------------------------------
+ */
+
+require("./env");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const jwt = require("jsonwebtoken");
+const config = require("../config");
+
+// A retired key ("old") that can still verify tokens but no longer signs them.
+const OLD_KEY = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+fs.writeFileSync(
+  path.join(config.jwtKeysDir, "old.public.pem"),
+  OLD_KEY.publicKey.export({ type: "spki", format: "pem" })
+);
+
+const { signJwt, verifyJwt, getJwks } = require("../utils/jwtKeys");
+
+const claims = { issuer: config.jwtIssuer, audience: config.jwtAudience, expiresIn: "5m" };
+
+function base64url(value) {
+  return Buffer.from(JSON.stringify(value)).toString("base64url");
+}
+
+/**
+ * Loads a fresh keyring from dir with the given active kid; returns the
+ * error it fails with, or null.
+ */
+function keyringError(dir, activeKid) {
+  const saved = { jwtKeysDir: config.jwtKeysDir, jwtActiveKid: config.jwtActiveKid };
+  const modulePath = require.resolve("../utils/jwtKeys");
+
+  Object.assign(config, { jwtKeysDir: dir, jwtActiveKid: activeKid });
+  delete require.cache[modulePath];
+
+  try {
+    require(modulePath);
+    return null;
+  } catch (err) {
+    return err;
+  } finally {
+    Object.assign(config, saved);
+    delete require.cache[modulePath];
+    require(modulePath);
+  }
+}
+
+test("tokens are signed with the active key and verify", () => {
+  const token = signJwt({ userId: 1 }, { expiresIn: "5m" });
+  const { header } = jwt.decode(token, { complete: true });
+
+  assert.deepEqual([header.kid, header.alg], ["test", "ES256"]);
+  assert.equal(verifyJwt(token).userId, 1);
+  assert.throws(() => verifyJwt(token, { audience: "someone-else" }), /audience/);
+});
+
+test("tokens signed by a retired key still verify, pinned to that key's algorithm", () => {
+  const token = jwt.sign({ userId: 2 }, OLD_KEY.privateKey, { ...claims, algorithm: "RS256", keyid: "old" });
+  assert.equal(verifyJwt(token).userId, 2);
+
+  const pss = jwt.sign({ userId: 2 }, OLD_KEY.privateKey, { ...claims, algorithm: "PS256", keyid: "old" });
+  assert.throws(() => verifyJwt(pss), /invalid algorithm/);
+});
+
+test("a token cannot pick an HMAC or no algorithm, or an unknown key", () => {
+  const payload = base64url({
+    userId: 1,
+    iss: config.jwtIssuer,
+    aud: config.jwtAudience,
+    exp: Math.floor(Date.now() / 1000) + 300,
+  });
+
+  // HS256 "signed" with the published public key, the classic confusion attack.
+  const publicPem = OLD_KEY.publicKey.export({ type: "spki", format: "pem" });
+  const hmacInput = `${base64url({ alg: "HS256", typ: "JWT", kid: "old" })}.${payload}`;
+  const hmac = crypto.createHmac("sha256", publicPem).update(hmacInput).digest("base64url");
+  assert.throws(() => verifyJwt(`${hmacInput}.${hmac}`));
+
+  assert.throws(() => verifyJwt(`${base64url({ alg: "none", typ: "JWT", kid: "test" })}.${payload}.`));
+
+  const unknownKid = jwt.sign({ userId: 1 }, OLD_KEY.privateKey, { ...claims, algorithm: "RS256", keyid: "nope" });
+  assert.throws(() => verifyJwt(unknownKid), /Unknown or missing key id/);
+  assert.throws(() => verifyJwt("not-a-jwt"), /Unknown or missing key id/);
+});
+
+test("the JWK Set lists the active key first and no private key material", () => {
+  const { keys } = getJwks();
+
+  assert.deepEqual(
+    keys.map(({ kid, alg, use, kty }) => ({ kid, alg, use, kty })),
+    [
+      { kid: "test", alg: "ES256", use: "sig", kty: "EC" },
+      { kid: "old", alg: "RS256", use: "sig", kty: "RSA" },
+    ]
+  );
+  for (const key of keys) {
+    assert.equal(key.d, undefined, key.kid);
+  }
+});
+
+test("a misconfigured keyring fails at startup", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "stm-test-keyring-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const weak = crypto.generateKeyPairSync("rsa", { modulusLength: 1024 });
+  fs.writeFileSync(path.join(dir, "weak.private.pem"), weak.privateKey.export({ type: "pkcs8", format: "pem" }));
+  assert.match(keyringError(dir, "weak").message, /at least 2048 bits/);
+
+  fs.rmSync(path.join(dir, "weak.private.pem"));
+  fs.copyFileSync(path.join(config.jwtKeysDir, "old.public.pem"), path.join(dir, "old.public.pem"));
+  assert.match(keyringError(dir, "old").message, /needs old\.private\.pem/);
+  assert.match(keyringError(dir, null).message, /JWT_ACTIVE_KID must name/);
+
+  fs.writeFileSync(path.join(dir, "bad kid.public.pem"), "");
+  assert.match(keyringError(dir, "old").message, /Invalid JWT key id/);
+});
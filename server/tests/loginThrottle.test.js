@@ -0,0 +1,130 @@
+/**
+ * tests/loginThrottle.test.js
+ * -----------------------------------------------------------------------------
+ * Sign-in lockouts (models/loginThrottle.js, POST /api/auth/login): accounts
+ * and IPs lock at their thresholds with doubling lockouts, unknown emails are
+ * treated like real ones, and a locked account cannot be probed at all.
+ *
+ * pool.query is replaced per test (tests/fakeDb.js); nothing connects to a
+ * database.
+ * -----------------------------------------------------------------------------
+ */
+
+require("./env");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const bcrypt = require("bcrypt");
+const { getLockout, recordFailedLogin, clearAccountFailures } = require("../models/loginThrottle");
+const { sendLockedOut } = require("../utils/authThrottle");
+const authRoutes = require("../routes/auth");
+const { startServer } = require("./server");
+const { mockQueries, fakeLoginThrottles } = require("./fakeDb");
+
+const PASSWORD = "correct horse battery staple";
+const ADA = {
+  id: 1,
+  username: "ada",
+  email: "ada@example.com",
+  role: "user",
+  password_hash: bcrypt.hashSync(PASSWORD, 4),
+  email_verified_at: new Date(),
+  totp_enabled_at: null,
+  disabled_at: null,
+};
+
+// Lockout lengths (seconds) applied so far, in order.
+function lockoutsApplied(queries) {
+  return queries.filter(({ sql }) => /SET locked_until/.test(sql)).map(({ values }) => values[2]);
+}
+
+test("an account locks at the threshold, and each further failure doubles the lockout", async (t) => {
+  const throttles = fakeLoginThrottles();
+  const { queries } = mockQueries(t, throttles.answer);
+
+  for (let attempt = 1; attempt <= 4; attempt += 1) {
+    await recordFailedLogin("ada@example.com", "10.0.0.1");
+  }
+  assert.equal(await getLockout("ada@example.com", "10.0.0.1"), null);
+
+  await recordFailedLogin("ada@example.com", "10.0.0.1");
+  const lockout = await getLockout("ada@example.com", "10.0.0.1");
+  assert.ok(lockout.retryAfterSeconds > 55 && lockout.retryAfterSeconds <= 60);
+
+  // LOCKOUT_BASE_SECONDS (60) doubles per failure, up to LOCKOUT_MAX_SECONDS (3600).
+  for (let attempt = 6; attempt <= 12; attempt += 1) {
+    await recordFailedLogin("ada@example.com", "10.0.0.1");
+  }
+  assert.deepEqual(lockoutsApplied(queries), [60, 120, 240, 480, 960, 1920, 3600, 3600]);
+  assert.ok(queries.some(({ sql }) => /INSERT INTO lockout_events/.test(sql)));
+});
+
+test("an IP locks at its own threshold, across accounts", async (t) => {
+  const throttles = fakeLoginThrottles();
+  mockQueries(t, throttles.answer);
+
+  // 20 failures (IP_LOCKOUT_THRESHOLD), none reaching an account threshold.
+  for (let attempt = 0; attempt < 20; attempt += 1) {
+    await recordFailedLogin(`user${attempt % 5}@example.com`, "10.0.0.2");
+  }
+
+  assert.ok(await getLockout("someone-else@example.com", "10.0.0.2"));
+  assert.equal(await getLockout("user0@example.com", "10.0.0.3"), null);
+});
+
+test("clearing an account lifts its lockout but not the IP's", async (t) => {
+  const throttles = fakeLoginThrottles();
+  mockQueries(t, throttles.answer);
+
+  for (let attempt = 0; attempt < 20; attempt += 1) {
+    await recordFailedLogin("ada@example.com", "10.0.0.4");
+  }
+  await clearAccountFailures("ada@example.com");
+
+  assert.equal(await getLockout("ada@example.com", "10.0.0.5"), null);
+  assert.ok(await getLockout("ada@example.com", "10.0.0.4"));
+});
+
+test("lockout responses say when to retry", () => {
+  const sent = {};
+  const res = {
+    set: (name, value) => (sent[name] = value),
+    status: (code) => ({ json: (body) => Object.assign(sent, { code, body }) }),
+  };
+
+  sendLockedOut(res, { retryAfterSeconds: 61 });
+  assert.equal(sent["Retry-After"], "61");
+  assert.equal(sent.code, 429);
+  assert.equal(sent.body.error, "Too many failed sign-in attempts. Please try again in 2 minutes.");
+
+  sendLockedOut(res, { retryAfterSeconds: 30 });
+  assert.match(sent.body.error, /in 1 minute\.$/);
+});
+
+test("sign-in counts unknown emails like real ones, and a locked account is not checked", async (t) => {
+  const throttles = fakeLoginThrottles();
+  const { queries } = mockQueries(t, (sql, values) => {
+    if (/FROM users WHERE email = \$1/.test(sql)) return { rows: values[0] === ADA.email ? [ADA] : [] };
+    return throttles.answer(sql, values);
+  });
+  const api = await startServer("/api/auth", authRoutes);
+  t.after(() => api.close());
+  const login = (email, password) => api.request("POST", "/api/auth/login", { email, password });
+
+  for (let attempt = 0; attempt < 5; attempt += 1) {
+    const unknown = await login("nobody@example.com", "wrong");
+    const known = await login("ADA@example.com", "wrong");
+
+    assert.equal(unknown.status, 401);
+    assert.deepEqual(unknown.body, known.body);
+  }
+  assert.equal(throttles.counts.get("account:nobody@example.com"), 5);
+  assert.equal(throttles.counts.get("account:ada@example.com"), 5);
+
+  const lookupsBefore = queries.filter(({ sql }) => /FROM users WHERE email/.test(sql)).length;
+  const locked = await login("ada@example.com", PASSWORD);
+
+  assert.equal(locked.status, 429);
+  assert.equal((await login("nobody@example.com", PASSWORD)).status, 429);
+  assert.equal(queries.filter(({ sql }) => /FROM users WHERE email/.test(sql)).length, lookupsBefore);
+});
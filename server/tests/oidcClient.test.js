@@ -0,0 +1,154 @@
+/**
+ * tests/oidcClient.test.js
+ * -----------------------------------------------------------------------------
+ * The OpenID Connect client (utils/oidcClient.js) against a fake provider on
+ * a local port: PKCE, discovery, the code exchange and ID token checks
+ * (signature, algorithm, issuer, audience, nonce, key rotation).
+ * -----------------------------------------------------------------------------
+ */
+
+require("./env");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const express = require("express");
+const jwt = require("jsonwebtoken");
+const config = require("../config");
+const { createPkcePair, buildAuthorizationUrl, exchangeCode, verifyIdToken } = require("../utils/oidcClient");
+const { startServer } = require("./server");
+
+const CLIENT_ID = "task-manager";
+const NONCE = "nonce-1";
+
+/**
+ * A provider that publishes the keys in provider.keys (kid -> key pair) and
+ * answers code exchanges with provider.idToken. With provider.issuer set,
+ * its discovery document claims that issuer instead of its own.
+ */
+const provider = { keys: new Map(), idToken: null, issuer: null, exchanges: [] };
+
+function providerRouter() {
+  const router = express.Router();
+
+  router.get("/.well-known/openid-configuration", (req, res) => {
+    const origin = `${req.protocol}://${req.get("host")}`;
+    res.json({
+      issuer: provider.issuer || origin,
+      authorization_endpoint: `${origin}/authorize`,
+      token_endpoint: `${origin}/token`,
+      jwks_uri: `${origin}/jwks`,
+    });
+  });
+  router.get("/jwks", (req, res) => {
+    const keys = [...provider.keys].map(([kid, { publicKey }]) => ({ ...publicKey.export({ format: "jwk" }), kid }));
+    res.json({ keys });
+  });
+  router.post("/token", express.urlencoded({ extended: false }), (req, res) => {
+    provider.exchanges.push(req.body);
+    res.json({ access_token: "unused", id_token: provider.idToken });
+  });
+
+  return router;
+}
+
+function addProviderKey(kid) {
+  provider.keys.set(kid, crypto.generateKeyPairSync("ec", { namedCurve: "prime256v1" }));
+}
+
+function idToken(claims = {}, { kid = "p1", audience = CLIENT_ID, issuer = config.oidcIssuer } = {}) {
+  return jwt.sign({ sub: "provider-user-1", nonce: NONCE, ...claims }, provider.keys.get(kid).privateKey, {
+    algorithm: "ES256",
+    keyid: kid,
+    audience,
+    issuer,
+    expiresIn: "5m",
+  });
+}
+
+let providerApi;
+
+test.before(async () => {
+  providerApi = await startServer("/", providerRouter());
+  config.oidcIssuer = providerApi.origin;
+  config.oidcClientId = CLIENT_ID;
+  addProviderKey("p1");
+});
+
+test.after(() => providerApi.close());
+
+test("PKCE challenges are the S256 hash of a fresh verifier", () => {
+  const { codeVerifier, codeChallenge } = createPkcePair();
+
+  assert.match(codeVerifier, /^[A-Za-z0-9_-]{43}$/);
+  assert.equal(codeChallenge, crypto.createHash("sha256").update(codeVerifier).digest("base64url"));
+  assert.notEqual(createPkcePair().codeVerifier, codeVerifier);
+});
+
+// Runs before any discovery document is cached.
+test("a discovery document for another issuer is refused", async (t) => {
+  provider.issuer = "https://evil.example.com";
+  t.after(() => {
+    provider.issuer = null;
+  });
+
+  await assert.rejects(buildAuthorizationUrl({ state: "s", nonce: NONCE, codeChallenge: "c" }), /issuer mismatch/);
+});
+
+test("the authorization URL carries state, nonce and the S256 challenge", async () => {
+  const url = new URL(await buildAuthorizationUrl({ state: "state-1", nonce: NONCE, codeChallenge: "challenge" }));
+
+  assert.equal(url.origin + url.pathname, `${config.oidcIssuer}/authorize`);
+  assert.deepEqual(Object.fromEntries(url.searchParams), {
+    response_type: "code",
+    client_id: CLIENT_ID,
+    redirect_uri: config.oidcRedirectUri,
+    scope: "openid email profile",
+    state: "state-1",
+    nonce: NONCE,
+    code_challenge: "challenge",
+    code_challenge_method: "S256",
+  });
+});
+
+test("the code exchange sends the verifier and returns the ID token", async () => {
+  provider.idToken = idToken();
+
+  assert.equal(await exchangeCode("code-1", "verifier-1"), provider.idToken);
+  assert.equal(provider.exchanges.at(-1).code, "code-1");
+  assert.equal(provider.exchanges.at(-1).code_verifier, "verifier-1");
+
+  provider.idToken = undefined;
+  await assert.rejects(exchangeCode("code-2", "verifier-2"), /did not include an id_token/);
+});
+
+test("ID tokens must be for this client, from the issuer, and for this sign-in", async () => {
+  assert.equal((await verifyIdToken(idToken(), NONCE)).sub, "provider-user-1");
+
+  await assert.rejects(verifyIdToken(idToken(), "other-nonce"), /nonce does not match/);
+  await assert.rejects(verifyIdToken(idToken({}, { audience: "other-client" }), NONCE), /audience/);
+  await assert.rejects(verifyIdToken(idToken({}, { issuer: "https://evil.example.com" }), NONCE), /issuer/);
+  await assert.rejects(verifyIdToken(idToken({ sub: undefined }), NONCE), /no subject/);
+});
+
+test("ID tokens cannot choose HMAC, and unknown keys are refetched once", async () => {
+  const hmac = jwt.sign({ sub: "provider-user-1", nonce: NONCE }, "secret", {
+    keyid: "p1",
+    audience: CLIENT_ID,
+    issuer: config.oidcIssuer,
+  });
+  await assert.rejects(verifyIdToken(hmac, NONCE), /invalid algorithm/);
+
+  // The provider rotates to a new key after our keys were cached.
+  addProviderKey("p2");
+  assert.equal((await verifyIdToken(idToken({}, { kid: "p2" }), NONCE)).sub, "provider-user-1");
+
+  const stranger = crypto.generateKeyPairSync("ec", { namedCurve: "prime256v1" });
+  const forged = jwt.sign({ sub: "provider-user-1", nonce: NONCE }, stranger.privateKey, {
+    algorithm: "ES256",
+    keyid: "p3",
+    audience: CLIENT_ID,
+    issuer: config.oidcIssuer,
+  });
+  await assert.rejects(verifyIdToken(forged, NONCE), /unknown key/);
+});
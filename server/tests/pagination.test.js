@@ -0,0 +1,55 @@
+/**
+ * tests/pagination.test.js
+ * -----------------------------------------------------------------------------
+ * Cursor decoding (utils/pagination.js): a cursor whose key does not fit its
+ * sort, or whose id does not fit tasks.id, is rejected before it reaches SQL.
+ * -----------------------------------------------------------------------------
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { encodeCursor, decodeCursor } = require("../utils/pagination");
+
+function roundTrip(sort, key) {
+  return decodeCursor(encodeCursor({ sort, order: "asc", key, id: 7 }));
+}
+
+test("cursors from the task list decode", () => {
+  assert.deepEqual(roundTrip("due_at", "2026-01-05 09:30:00.123456+00"), {
+    sort: "due_at",
+    order: "asc",
+    key: "2026-01-05 09:30:00.123456+00",
+    id: 7,
+  });
+  assert.ok(roundTrip("due_at", null));
+  assert.ok(roundTrip("created_at", "2026-01-05 09:30:00+05:30"));
+  assert.ok(roundTrip("priority", "3"));
+  assert.ok(roundTrip("position", "1.5e-05"));
+  assert.ok(roundTrip("title", "groceries"));
+});
+
+test("keys that do not fit the sort are rejected", () => {
+  assert.equal(roundTrip("due_at", "x"), null);
+  assert.equal(roundTrip("due_at", "2026-02-30 09:30:00+00"), null);
+  assert.equal(roundTrip("created_at", null), null);
+  assert.equal(roundTrip("priority", "high"), null);
+  assert.equal(roundTrip("priority", "99999999999"), null);
+  assert.equal(roundTrip("position", "1e400"), null);
+  assert.equal(roundTrip("title", "a\u0000b"), null);
+  assert.equal(roundTrip("unknown", "x"), null);
+});
+
+test("malformed cursors are rejected", () => {
+  assert.equal(decodeCursor("not a cursor"), null);
+  assert.equal(decodeCursor(Buffer.from("null").toString("base64url")), null);
+});
+
+test("ids outside the integer range are rejected", () => {
+  const withId = (id) => decodeCursor(encodeCursor({ sort: "title", order: "asc", key: "a", id }));
+
+  assert.equal(withId(2147483647).id, 2147483647);
+  assert.equal(withId(2147483648), null);
+  assert.equal(withId(0), null);
+  assert.equal(withId(1.5), null);
+  assert.equal(withId("7"), null);
+});
@@ -0,0 +1,72 @@
+/**
+ * tests/passwordPolicy.test.js
+ * -----------------------------------------------------------------------------
+ * Password rules (utils/passwordPolicy.js): length in characters and bcrypt
+ * bytes, no personal information, no common or breached passwords.
+ * -----------------------------------------------------------------------------
+ */
+
+require("./env");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { getPasswordPolicy, validatePassword, passwordPolicyError } = require("../utils/passwordPolicy");
+
+const ADA = { username: "ada_l", email: "Lovelace@example.com" };
+
+test("a long, uncommon, impersonal password passes", () => {
+  assert.deepEqual(validatePassword("violet kettle harbor", ADA), []);
+  assert.deepEqual(validatePassword("x".repeat(64)), []);
+});
+
+test("passwords must be present and between the length limits", () => {
+  assert.deepEqual(validatePassword(""), ["Password is required."]);
+  assert.deepEqual(validatePassword(undefined), ["Password is required."]);
+  assert.deepEqual(validatePassword(12345678), ["Password is required."]);
+  assert.deepEqual(validatePassword("short"), ["Password must be at least 8 characters."]);
+  assert.deepEqual(validatePassword("x".repeat(65)), ["Password must be at most 64 characters."]);
+});
+
+test("passwords over bcrypt's 72 bytes fail even under the character limit", () => {
+  // 25 three-byte characters: 25 characters, 75 bytes.
+  assert.deepEqual(validatePassword("€".repeat(25)), ["Password must be at most 64 characters."]);
+  assert.deepEqual(validatePassword("€".repeat(24)), []);
+});
+
+test("passwords must not contain the username or email address", () => {
+  const personal = ["Password must not contain your username or email address."];
+
+  assert.deepEqual(validatePassword("my name is ADA_L!", ADA), personal);
+  assert.deepEqual(validatePassword("lovelace-rocks-42", ADA), personal);
+  assert.deepEqual(validatePassword("violet kettle harbor", { username: "ok", email: "a@b.co" }), []);
+});
+
+test("common and breached passwords fail, whatever their case", () => {
+  const common = ["This password is too common or has appeared in a data breach."];
+
+  assert.deepEqual(validatePassword("12345678"), common);
+  assert.deepEqual(validatePassword("PASSWORD"), common);
+  assert.ok(getPasswordPolicy().commonPasswords.includes("password"));
+});
+
+test("every unmet rule is reported, in the validation error shape", () => {
+  const errors = validatePassword("ada_l", ADA);
+
+  assert.equal(errors.length, 2);
+  assert.deepEqual(passwordPolicyError(errors), {
+    error: errors[0],
+    details: errors.map((message) => ({ field: "password", message })),
+  });
+});
+
+test("the published policy matches the enforced limits", () => {
+  const policy = getPasswordPolicy();
+
+  assert.equal(policy.minLength, 8);
+  assert.equal(policy.maxLength, 64);
+  assert.equal(policy.maxBytes, 72);
+  assert.equal(policy.disallowPersonalInfo, true);
+  assert.ok(
+    !policy.commonPasswords.some((password) => password.startsWith("#") || password !== password.toLowerCase())
+  );
+});
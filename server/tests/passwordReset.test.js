@@ -0,0 +1,105 @@
+/**
+ * tests/passwordReset.test.js
+ * -----------------------------------------------------------------------------
+ * Password reset (POST /api/auth/forgot-password, models/passwordResets.js,
+ * mail/messages.js): links are single-use tokens stored only as hashes, and
+ * the forgot-password response does not depend on whether the account exists.
+ *
+ * pool.query is replaced per test (tests/fakeDb.js); nothing connects to a
+ * database.
+ * -----------------------------------------------------------------------------
+ */
+
+require("./env");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { setTransport } = require("../mail");
+const { passwordResetMessage } = require("../mail/messages");
+const { createPasswordResetToken, consumePasswordResetToken } = require("../models/passwordResets");
+const { hashToken } = require("../utils/tokens");
+const authRoutes = require("../routes/auth");
+const { startServer } = require("./server");
+const { mockQueries, settle } = require("./fakeDb");
+
+const ADA = { id: 4, username: "ada", email: "ada@example.com" };
+
+// A database holding ADA.
+function answerForAda(sql, values) {
+  if (/FROM users WHERE email/.test(sql)) {
+    return { rows: values[0] === ADA.email ? [ADA] : [] };
+  }
+  return null;
+}
+
+function captureMail() {
+  const sent = [];
+  setTransport({ send: async (message) => sent.push(message) });
+  return sent;
+}
+
+test("reset emails link to the client with the token", () => {
+  const message = passwordResetMessage(ADA, "a+b/c");
+
+  assert.equal(message.to, ADA.email);
+  assert.match(message.text, /^Hi ada,/);
+  assert.ok(message.text.includes("http://localhost:5173/reset-password?token=a%2Bb%2Fc"));
+});
+
+test("reset tokens are stored as hashes, and replace earlier links", async (t) => {
+  const { queries } = mockQueries(t, answerForAda);
+
+  const token = await createPasswordResetToken(ADA.id);
+
+  assert.match(queries[0].sql, /UPDATE password_reset_tokens\s+SET used_at = NOW\(\)/);
+  assert.deepEqual(queries[0].values, [ADA.id]);
+  assert.match(queries[1].sql, /INSERT INTO password_reset_tokens/);
+  assert.equal(queries[1].values[1], hashToken(token));
+  assert.ok(!JSON.stringify(queries).includes(token));
+});
+
+test("consuming a token looks it up by hash only while unused and unexpired", async (t) => {
+  const { queries } = mockQueries(t, answerForAda);
+
+  assert.equal(await consumePasswordResetToken("raw-token"), null);
+  assert.match(queries[0].sql, /used_at IS NULL AND expires_at > NOW\(\)/);
+  assert.deepEqual(queries[0].values, [hashToken("raw-token")]);
+});
+
+// A route that waits for the database would never answer: fail instead of hanging.
+test("forgot-password answers the same way, before any lookup, for every email", { timeout: 5000 }, async (t) => {
+  const { queries, release } = mockQueries(t, answerForAda, { held: true });
+  const sent = captureMail();
+  const api = await startServer("/api/auth", authRoutes);
+  t.after(() => api.close());
+
+  // The database has not answered yet, so neither response can depend on it.
+  const known = await api.request("POST", "/api/auth/forgot-password", { email: "Ada@Example.com" });
+  const unknown = await api.request("POST", "/api/auth/forgot-password", { email: "nobody@example.com" });
+
+  assert.equal(known.status, 200);
+  assert.equal(unknown.status, 200);
+  assert.deepEqual(known.body, unknown.body);
+
+  release();
+  await settle();
+
+  const inserts = queries.filter(({ sql }) => /INSERT INTO password_reset_tokens/.test(sql));
+  assert.equal(inserts.length, 1);
+  assert.deepEqual(inserts[0].values.slice(0, 1), [ADA.id]);
+  assert.deepEqual(
+    sent.map((message) => message.to),
+    [ADA.email]
+  );
+});
+
+test("forgot-password rejects a malformed email", async (t) => {
+  const api = await startServer("/api/auth", authRoutes);
+  t.after(() => api.close());
+  const { queries } = mockQueries(t, answerForAda);
+
+  const response = await api.request("POST", "/api/auth/forgot-password", { email: "not-an-email" });
+
+  assert.equal(response.status, 400);
+  assert.equal(queries.length, 0);
+});
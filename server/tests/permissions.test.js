@@ -0,0 +1,156 @@
+/**
+ * tests/permissions.test.js
+ * -----------------------------------------------------------------------------
+ * Roles and permissions (utils/permissions.js, middleware/requirePermission.js,
+ * routes/admin.js), and the route id check every :id route shares
+ * (validatePositiveIntParam in utils/validation.js).
+ *
+ * pool.query is replaced per test (tests/fakeDb.js); nothing connects to a
+ * database.
+ * -----------------------------------------------------------------------------
+ */
+
+require("./env");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { MAX_ID, validatePositiveIntParam } = require("../utils/validation");
+const { signAccessToken } = require("../utils/tokens");
+const { TOKEN_SCOPES, permissionsForRole, hasPermission } = require("../utils/permissions");
+const requirePermission = require("../middleware/requirePermission");
+const adminRoutes = require("../routes/admin");
+const { startServer } = require("./server");
+const { mockQueries } = require("./fakeDb");
+
+const BOB = {
+  id: 2,
+  username: "bob",
+  email: "bob@example.com",
+  role: "user",
+  email_verified_at: new Date(),
+  totp_enabled_at: null,
+  disabled_at: null,
+  created_at: new Date(),
+  active_sessions: "0",
+};
+
+// A database where user 1 has the given role and every other account exists.
+function answerForRole(role) {
+  return (sql) => {
+    if (/FROM sessions s\s+JOIN users u/.test(sql)) {
+      return { rows: [{ email_verified_at: new Date(), role, needs_touch: false }] };
+    }
+    if (/AS active_sessions\s+FROM users u\s+WHERE u\.id = \$1/.test(sql)) return { rows: [BOB] };
+    if (/SET disabled_at/.test(sql)) return { rows: [], rowCount: 1 };
+    return null;
+  };
+}
+
+async function startAdminApi(t) {
+  const api = await startServer("/api/admin", adminRoutes);
+  t.after(() => api.close());
+
+  const authorization = `Bearer ${signAccessToken(1, crypto.randomUUID())}`;
+  return (method, path) => api.request(method, `/api/admin${path}`, undefined, { Authorization: authorization });
+}
+
+/**
+ * Runs validatePositiveIntParam on a raw value; returns the parsed id or the
+ * 400 response body.
+ */
+function checkParam(rawValue) {
+  let sent = null;
+  const res = { status: (code) => ({ json: (body) => (sent = { status: code, body }) }) };
+
+  const check = validatePositiveIntParam(res, "id", rawValue);
+  return check.ok ? check.value : sent;
+}
+
+/**
+ * Runs requirePermission(permission) for a signed-in user; returns "next" or
+ * the error response.
+ */
+function runPermission(permission, user) {
+  let outcome = null;
+  const res = { status: (code) => ({ json: (body) => (outcome = { status: code, body }) }) };
+
+  requirePermission(permission)({ user }, res, () => (outcome = "next"));
+  return outcome;
+}
+
+test("route ids must be positive integers within the id column's range", () => {
+  assert.equal(checkParam("42"), 42);
+  assert.equal(checkParam(String(MAX_ID)), MAX_ID);
+
+  for (const rawValue of ["0", "-1", "1.5", "abc", String(MAX_ID + 1), "9999999999"]) {
+    assert.deepEqual(
+      checkParam(rawValue),
+      {
+        status: 400,
+        body: { error: "Invalid input", details: [{ field: "id", message: "id must be a positive integer." }] },
+      },
+      rawValue
+    );
+  }
+});
+
+test("an out-of-range id is rejected before any account query", async (t) => {
+  const { queries } = mockQueries(t, answerForRole("admin"));
+  const request = await startAdminApi(t);
+
+  const response = await request("POST", "/users/9999999999/disable");
+
+  assert.equal(response.status, 400);
+  assert.ok(!queries.some(({ sql }) => /UPDATE users/.test(sql)));
+});
+
+test("admins hold every user permission plus user administration", () => {
+  for (const permission of permissionsForRole("user")) {
+    assert.ok(hasPermission("admin", permission), permission);
+  }
+  assert.ok(hasPermission("admin", "users:manage"));
+  assert.ok(!hasPermission("user", "users:read"));
+  assert.deepEqual(permissionsForRole("owner"), []);
+  assert.ok(TOKEN_SCOPES.every((scope) => hasPermission("user", scope)));
+});
+
+test("a request needs the permission from its role and, for API tokens, its scopes", () => {
+  const forbidden = {
+    status: 403,
+    body: { error: "You do not have permission to perform this action.", code: "FORBIDDEN" },
+  };
+
+  assert.equal(runPermission("tasks:write", { role: "user" }), "next");
+  assert.deepEqual(runPermission("users:read", { role: "user" }), forbidden);
+  assert.deepEqual(runPermission("tasks:read", undefined), forbidden);
+
+  assert.equal(runPermission("tasks:read", { role: "user", scopes: ["tasks:read"] }), "next");
+  assert.deepEqual(runPermission("tasks:write", { role: "user", scopes: ["tasks:read"] }), forbidden);
+  // A token can never do more than its owner's role allows.
+  assert.deepEqual(runPermission("users:read", { role: "user", scopes: ["users:read"] }), forbidden);
+});
+
+test("the admin API follows the caller's current role", async (t) => {
+  let role = "admin";
+  const { queries } = mockQueries(t, (sql, values) => answerForRole(role)(sql, values));
+  const request = await startAdminApi(t);
+
+  assert.equal((await request("POST", "/users/2/logout")).status, 200);
+
+  role = "user";
+  const demoted = await request("POST", "/users/2/disable");
+
+  assert.equal(demoted.status, 403);
+  assert.ok(!queries.some(({ sql }) => /SET disabled_at/.test(sql)));
+});
+
+test("admins cannot disable their own account", async (t) => {
+  mockQueries(t, answerForRole("admin"));
+  const request = await startAdminApi(t);
+
+  const response = await request("POST", "/users/1/disable");
+
+  assert.equal(response.status, 400);
+  assert.equal((await request("POST", "/users/2/disable")).status, 200);
+});
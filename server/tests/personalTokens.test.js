@@ -0,0 +1,152 @@
+/**
+ * tests/personalTokens.test.js
+ * -----------------------------------------------------------------------------
+ * Personal access tokens (models/personalTokens.js, routes/tokens.js,
+ * schemas/tokenSchemas.js, middleware/requireSession.js): tokens are stored
+ * as hashes, carry validated scopes, and cannot manage the account that owns
+ * them.
+ *
+ * pool.query is replaced per test (tests/fakeDb.js); nothing connects to a
+ * database.
+ * -----------------------------------------------------------------------------
+ */
+
+require("./env");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { createTokenSchema } = require("../schemas/tokenSchemas");
+const { isPersonalToken, createPersonalToken, usePersonalToken } = require("../models/personalTokens");
+const { signAccessToken, hashToken } = require("../utils/tokens");
+const tokenRoutes = require("../routes/tokens");
+const { startServer } = require("./server");
+const { mockQueries } = require("./fakeDb");
+
+const SCRIPT_TOKEN = "stm_pat_script";
+const SCRIPT_TOKEN_ROW = { id: 7, user_id: 1, scopes: ["tasks:read"], role: "user", email_verified_at: new Date() };
+
+/**
+ * A database where user 1 is signed in, owns SCRIPT_TOKEN (tasks:read) and
+ * has activeTokens live tokens.
+ */
+function fakeTokens({ activeTokens = 0 } = {}) {
+  return (sql, values) => {
+    if (/FROM sessions s\s+JOIN users u/.test(sql)) {
+      return { rows: [{ email_verified_at: new Date(), role: "user", needs_touch: false }] };
+    }
+    if (/UPDATE personal_access_tokens t\s+SET last_used_at/.test(sql)) {
+      const rows = values[0] === hashToken(SCRIPT_TOKEN) ? [SCRIPT_TOKEN_ROW] : [];
+      return { rows };
+    }
+    if (/SELECT COUNT\(\*\) FROM personal_access_tokens/.test(sql)) return { rows: [{ count: String(activeTokens) }] };
+    if (/INSERT INTO personal_access_tokens/.test(sql)) return { rows: [insertedRow(values)] };
+    return null;
+  };
+}
+
+// The row INSERT ... RETURNING produces for the given parameters.
+function insertedRow([, name, , prefix, scopes]) {
+  return {
+    id: 8,
+    name,
+    token_prefix: prefix,
+    scopes,
+    created_at: new Date(),
+    expires_at: null,
+    last_used_at: null,
+  };
+}
+
+async function startTokensApi(t) {
+  const api = await startServer("/api/tokens", tokenRoutes);
+  t.after(() => api.close());
+  return api;
+}
+
+function sessionAuthorization() {
+  return { Authorization: `Bearer ${signAccessToken(1, crypto.randomUUID())}` };
+}
+
+test("token requests need a name and known scopes; duplicates collapse and expiry defaults to 30 days", () => {
+  assert.deepEqual(createTokenSchema.parse({ name: " ci ", scopes: ["tasks:read", "tasks:read"] }), {
+    name: "ci",
+    scopes: ["tasks:read"],
+    expiresInDays: 30,
+  });
+  const neverExpires = createTokenSchema.parse({ name: "ci", scopes: ["tasks:read"], expiresInDays: null });
+  assert.equal(neverExpires.expiresInDays, null);
+
+  for (const body of [
+    { name: "", scopes: ["tasks:read"] },
+    { name: "ci", scopes: [] },
+    { name: "ci", scopes: ["users:manage"] },
+    { name: "ci", scopes: ["tasks:read"], expiresInDays: 366 },
+    { name: "ci", scopes: ["tasks:read"], expiresInDays: 1.5 },
+    { name: "ci", scopes: ["tasks:read"], owner: 2 },
+  ]) {
+    assert.equal(createTokenSchema.safeParse(body).success, false, JSON.stringify(body));
+  }
+});
+
+test("tokens are stored as hashes and look different from JWTs", async (t) => {
+  const { queries } = mockQueries(t, fakeTokens());
+
+  const { token, personalToken } = await createPersonalToken(1, {
+    name: "ci",
+    scopes: ["tasks:read"],
+    expiresInDays: 30,
+  });
+
+  assert.ok(isPersonalToken(token));
+  assert.ok(!isPersonalToken(signAccessToken(1, crypto.randomUUID())));
+  assert.equal(queries[0].values[2], hashToken(token));
+  assert.ok(!queries[0].values.includes(token));
+  assert.equal(personalToken.prefix, token.slice(0, 12));
+});
+
+test("a live token resolves to its owner's identity and scopes", async (t) => {
+  mockQueries(t, fakeTokens());
+
+  assert.deepEqual(await usePersonalToken(SCRIPT_TOKEN), {
+    tokenId: 7,
+    userId: 1,
+    scopes: ["tasks:read"],
+    role: "user",
+    emailVerified: true,
+  });
+  assert.equal(await usePersonalToken("stm_pat_unknown"), null);
+});
+
+test("API tokens cannot list or mint tokens, and unknown ones are rejected", async (t) => {
+  const { queries } = mockQueries(t, fakeTokens());
+  const api = await startTokensApi(t);
+
+  const body = { name: "more", scopes: ["tasks:write"] };
+
+  const byToken = await api.request("POST", "/api/tokens", body, { Authorization: `Bearer ${SCRIPT_TOKEN}` });
+  const unknown = await api.request("GET", "/api/tokens", undefined, { Authorization: "Bearer stm_pat_unknown" });
+
+  assert.equal(byToken.status, 403);
+  assert.equal(byToken.body.code, "SESSION_REQUIRED");
+  assert.equal(unknown.status, 401);
+  assert.ok(!queries.some(({ sql }) => /INSERT INTO personal_access_tokens/.test(sql)));
+});
+
+test("a signed-in user gets the token value once, up to the active token limit", async (t) => {
+  let activeTokens = 0;
+  mockQueries(t, (sql, values) => fakeTokens({ activeTokens })(sql, values));
+  const api = await startTokensApi(t);
+  const create = () =>
+    api.request("POST", "/api/tokens", { name: "ci", scopes: ["tasks:read"] }, sessionAuthorization());
+
+  const created = await create();
+  assert.equal(created.status, 201);
+  assert.ok(isPersonalToken(created.body.token));
+  assert.equal(created.body.personalToken.name, "ci");
+
+  activeTokens = 25;
+  const full = await create();
+  assert.equal(full.status, 400);
+  assert.match(full.body.error, /at most 25 active API tokens/);
+});
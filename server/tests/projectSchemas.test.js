@@ -0,0 +1,29 @@
+/**
+ * tests/projectSchemas.test.js
+ * -----------------------------------------------------------------------------
+ * Project request schemas (schemas/projectSchemas.js): names are checked and
+ * "Inbox" is reserved, and a task's project id is null or fits projects.id.
+ * -----------------------------------------------------------------------------
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { projectId, projectSchema } = require("../schemas/projectSchemas");
+
+test("project names are trimmed, 1-100 characters, and not Inbox", () => {
+  assert.deepEqual(projectSchema.parse({ name: "  Home " }), { name: "Home" });
+
+  for (const name of ["", "   ", "x".repeat(101), "Inbox", " INBOX "]) {
+    assert.equal(projectSchema.safeParse({ name }).success, false, name);
+  }
+  assert.equal(projectSchema.safeParse({ name: "Home", color: "red" }).success, false);
+});
+
+test("a task's project is null (the Inbox) or an id within the id column's range", () => {
+  assert.equal(projectId.parse(null), null);
+  assert.equal(projectId.parse(2147483647), 2147483647);
+
+  for (const id of [2147483648, 0, -3, 2.5, "7"]) {
+    assert.equal(projectId.safeParse(id).success, false, String(id));
+  }
+});
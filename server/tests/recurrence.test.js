@@ -0,0 +1,43 @@
+/**
+ * tests/recurrence.test.js
+ * -----------------------------------------------------------------------------
+ * DST handling of nextOccurrence() (utils/recurrence.js), in zones on both
+ * sides of UTC: a skipped time moves forward by the gap, and a time that
+ * happens twice uses the first.
+ * -----------------------------------------------------------------------------
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { nextOccurrence } = require("../utils/recurrence");
+
+function nextDaily(timeZone, start) {
+  return nextOccurrence("FREQ=DAILY", timeZone, new Date(start), new Date(start)).toISOString();
+}
+
+test("Europe/Berlin: 02:30 on the day clocks go forward becomes 03:30 CEST", () => {
+  // 2026-03-28 02:30 CET -> 2026-03-29 03:30 CEST
+  assert.equal(nextDaily("Europe/Berlin", "2026-03-28T01:30:00Z"), "2026-03-29T01:30:00.000Z");
+});
+
+test("Europe/Berlin: 02:30 on the day clocks go back is the first 02:30 (CEST)", () => {
+  // 2026-10-24 02:30 CEST -> 2026-10-25 02:30 CEST
+  assert.equal(nextDaily("Europe/Berlin", "2026-10-24T00:30:00Z"), "2026-10-25T00:30:00.000Z");
+});
+
+test("America/New_York: 02:30 on the day clocks go forward becomes 03:30 EDT", () => {
+  // 2026-03-07 02:30 EST -> 2026-03-08 03:30 EDT
+  assert.equal(nextDaily("America/New_York", "2026-03-07T07:30:00Z"), "2026-03-08T07:30:00.000Z");
+});
+
+test("America/New_York: 01:30 on the day clocks go back is the first 01:30 (EDT)", () => {
+  // 2026-10-31 01:30 EDT -> 2026-11-01 01:30 EDT
+  assert.equal(nextDaily("America/New_York", "2026-10-31T05:30:00Z"), "2026-11-01T05:30:00.000Z");
+});
+
+test("the wall-clock time is kept after a DST change", () => {
+  // 09:00 CET -> 09:00 CEST, an hour earlier in UTC
+  assert.equal(nextDaily("Europe/Berlin", "2026-03-28T08:00:00Z"), "2026-03-29T07:00:00.000Z");
+  // 09:00 EST -> 09:00 EDT
+  assert.equal(nextDaily("America/New_York", "2026-03-07T14:00:00Z"), "2026-03-08T13:00:00.000Z");
+});
@@ -0,0 +1,121 @@
+/**
+ * tests/reminders.test.js
+ * -----------------------------------------------------------------------------
+ * Due dates and reminders (date-times in schemas/taskSchemas.js,
+ * notifications/): date-times must carry a timezone, each claimed reminder is
+ * sent once through every notifier, and one failing notifier does not stop
+ * the others.
+ *
+ * pool.query is replaced per test (tests/fakeDb.js); nothing connects to a
+ * database.
+ * -----------------------------------------------------------------------------
+ */
+
+require("./env");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createTaskSchema, updateTaskSchema } = require("../schemas/taskSchemas");
+const { notify, setNotifiers } = require("../notifications");
+const createEmailNotifier = require("../notifications/emailNotifier");
+const { sendDueReminders } = require("../notifications/reminderScheduler");
+const { setTransport } = require("../mail");
+const { mockQueries } = require("./fakeDb");
+
+const DUE_AT = new Date("2026-03-01T09:00:00Z");
+
+// One claimed reminder row (see claimDueReminders in models/notifications.js).
+function claimedRow(id, { completed = false, disabledAt = null } = {}) {
+  return {
+    id,
+    title: `Task ${id}`,
+    due_at: DUE_AT,
+    remind_at: DUE_AT,
+    completed,
+    user_id: 1,
+    username: "ada",
+    email: "ada@example.com",
+    email_verified_at: new Date(),
+    disabled_at: disabledAt,
+  };
+}
+
+// Notifiers that record events, for one test.
+function recordNotifications(t) {
+  const events = [];
+  setNotifiers([{ name: "memory", notify: async (event) => events.push(event) }]);
+  t.after(() => setNotifiers([]));
+  return events;
+}
+
+test("due dates and reminders need a timezone, and null clears them", () => {
+  const created = createTaskSchema.parse({ title: "Pay rent", due_at: "2026-03-01T09:00:00Z" });
+  assert.equal(created.due_at, "2026-03-01T09:00:00Z");
+  assert.ok(createTaskSchema.safeParse({ title: "Pay rent", remind_at: "2026-03-01T09:00:00+02:00" }).success);
+
+  for (const value of ["2026-03-01T09:00:00", "2026-03-01", "tomorrow", 1772355600000]) {
+    assert.equal(createTaskSchema.safeParse({ title: "Pay rent", due_at: value }).success, false, String(value));
+  }
+
+  assert.deepEqual(updateTaskSchema.parse({ due_at: null, remind_at: null }), { due_at: null, remind_at: null });
+});
+
+test("each claimed reminder is sent once, skipping completed tasks and disabled accounts", async (t) => {
+  const events = recordNotifications(t);
+  const { queries } = mockQueries(t, (sql) =>
+    /SET reminded_at = NOW\(\)/.test(sql)
+      ? {
+          rows: [claimedRow(1), claimedRow(2, { completed: true }), claimedRow(3, { disabledAt: new Date() })],
+        }
+      : null
+  );
+
+  assert.equal(await sendDueReminders(), 1);
+
+  assert.equal(queries.length, 1);
+  assert.deepEqual(queries[0].values, [100]);
+  assert.deepEqual(
+    events.map(({ kind, title, body, task, user }) => ({ kind, title, body, taskId: task.id, userId: user.id })),
+    [{ kind: "task_reminder", title: "Reminder: Task 1", body: "Due 2026-03-01T09:00:00.000Z", taskId: 1, userId: 1 }]
+  );
+});
+
+test("a failing notifier is logged and does not stop the others", async (t) => {
+  const delivered = [];
+  t.mock.method(console, "error", () => {});
+  setNotifiers([
+    {
+      name: "broken",
+      notify: async () => {
+        throw new Error("push service down");
+      },
+    },
+    { name: "memory", notify: async (event) => delivered.push(event) },
+  ]);
+  t.after(() => setNotifiers([]));
+
+  assert.equal(await notify({ kind: "task_reminder", user: { id: 1 }, title: "Reminder" }), 1);
+  assert.equal(delivered.length, 1);
+  assert.match(console.error.mock.calls[0].arguments[0], /NOTIFIER ERROR \(broken\)/);
+
+  assert.throws(() => setNotifiers([{ name: "no-notify" }]), /implementing notify/);
+});
+
+test("reminder emails go only to verified addresses", async () => {
+  const sent = [];
+  setTransport({ send: async (message) => sent.push(message) });
+  const notifier = createEmailNotifier();
+  const event = (emailVerifiedAt) => ({
+    kind: "task_reminder",
+    user: { id: 1, username: "ada", email: "ada@example.com", email_verified_at: emailVerifiedAt },
+    task: { id: 1, title: "Pay rent", due_at: DUE_AT },
+  });
+
+  assert.deepEqual(await notifier.notify(event(null)), { id: null, skipped: true });
+  await notifier.notify(event(new Date()));
+
+  assert.deepEqual(
+    sent.map((message) => message.to),
+    ["ada@example.com"]
+  );
+});
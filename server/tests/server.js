@@ -0,0 +1,56 @@
+/**
+ * tests/server.js
+ * -----------------------------------------------------------------------------
+ * Runs one router on a local port so route tests can call it over HTTP.
+ *
+ * Usage:
+ *   const api = await startServer("/api/auth", authRoutes);
+ *   const { status, body } = await api.request("POST", "/api/auth/...", { ... });
+ *   await api.close();
+ * -----------------------------------------------------------------------------
+ */
+
+const express = require("express"); // Same framework as app.js
+
+/**
+ * startServer(mountPath, router)
+ * -----------------------------------------------------------------------------
+ * Returns { origin, request(method, path, body, headers), close() }.
+ * Responses are { status, headers, body } with the body parsed as JSON.
+ */
+function startServer(mountPath, router) {
+  const app = express();
+  app.use(express.json());
+  app.use(mountPath, router);
+
+  return new Promise((resolve) => {
+    const server = app.listen(0, "127.0.0.1", () => {
+      const origin = `http://127.0.0.1:${server.address().port}`;
+
+      resolve({
+        origin,
+
+        async request(method, path, body, headers = {}) {
+          const response = await fetch(origin + path, {
+            method,
+            headers: { "Content-Type": "application/json", ...headers },
+            body: body === undefined ? undefined : JSON.stringify(body),
+          });
+          const text = await response.text();
+
+          return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null };
+        },
+
+        close() {
+          return new Promise((done) => {
+            server.close(done);
+            // Also drop requests still open (e.g. after a failed assertion).
+            server.closeAllConnections();
+          });
+        },
+      });
+    });
+  });
+}
+
+module.exports = { startServer };
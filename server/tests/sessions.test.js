@@ -0,0 +1,98 @@
+/**
+ * tests/sessions.test.js
+ * -----------------------------------------------------------------------------
+ * Active sessions (utils/clientInfo.js, routes/sessions.js): sessions are
+ * recorded with a readable device label and the client's address, listed
+ * with the current one marked, and can be ended one by one or all at once.
+ *
+ * pool.query is replaced per test (tests/fakeDb.js); nothing connects to a
+ * database.
+ * -----------------------------------------------------------------------------
+ */
+
+require("./env");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { getClientInfo, describeUserAgent } = require("../utils/clientInfo");
+const { signAccessToken } = require("../utils/tokens");
+const sessionRoutes = require("../routes/sessions");
+const { startServer } = require("./server");
+const { mockQueries } = require("./fakeDb");
+
+const CURRENT = crypto.randomUUID();
+const LAPTOP = crypto.randomUUID();
+
+const FIREFOX_WINDOWS = "Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:128.0) Gecko/20100101 Firefox/128.0";
+const SAFARI_IPHONE =
+  "Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 " +
+  "(KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1";
+const EDGE_MAC =
+  "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 " +
+  "(KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36 Edg/126.0.0.0";
+const CHROME_ANDROID =
+  "Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 " +
+  "(KHTML, like Gecko) Chrome/126.0.0.0 Mobile Safari/537.36";
+
+// A database where user 1 has CURRENT and LAPTOP sessions open.
+function answerForSessions(sql, values) {
+  if (/FROM sessions s\s+JOIN users u/.test(sql)) {
+    return { rows: [{ email_verified_at: new Date(), role: "user", needs_touch: false }] };
+  }
+  if (/SELECT id, user_agent, ip_address/.test(sql)) {
+    return {
+      rows: [
+        { id: LAPTOP, user_agent: FIREFOX_WINDOWS, ip_address: "10.0.0.9", last_used_at: new Date() },
+        { id: CURRENT, user_agent: SAFARI_IPHONE, ip_address: "10.0.0.1", last_used_at: new Date() },
+      ],
+    };
+  }
+  if (/UPDATE sessions\s+SET revoked_at = NOW\(\)\s+WHERE id = \$1/.test(sql)) {
+    return { rows: [], rowCount: [CURRENT, LAPTOP].includes(values[0]) ? 1 : 0 };
+  }
+  if (/WHERE user_id = \$1 AND id <> \$2/.test(sql)) return { rows: [], rowCount: 1 };
+  return null;
+}
+
+test("user agents become short device labels", () => {
+  assert.equal(describeUserAgent(FIREFOX_WINDOWS), "Firefox on Windows");
+  assert.equal(describeUserAgent(SAFARI_IPHONE), "Safari on iOS");
+  assert.equal(describeUserAgent(EDGE_MAC), "Edge on macOS");
+  assert.equal(describeUserAgent(CHROME_ANDROID), "Chrome on Android");
+  assert.equal(describeUserAgent("curl/8.5.0"), "curl/8.5.0");
+  assert.equal(describeUserAgent(null), "Unknown device");
+});
+
+test("client info keeps the address and at most 512 characters of user agent", () => {
+  const headers = { "user-agent": `x${"y".repeat(600)}` };
+  const info = getClientInfo({ ip: "10.0.0.1", get: (name) => headers[name] });
+
+  assert.equal(info.ipAddress, "10.0.0.1");
+  assert.equal(info.userAgent.length, 512);
+  assert.deepEqual(getClientInfo({ get: () => undefined }), { userAgent: null, ipAddress: null });
+});
+
+test("sessions are listed with the current one marked, and can be ended", async (t) => {
+  const { queries } = mockQueries(t, answerForSessions);
+  const api = await startServer("/api/sessions", sessionRoutes);
+  t.after(() => api.close());
+  const headers = { Authorization: `Bearer ${signAccessToken(1, CURRENT)}` };
+
+  const listed = await api.request("GET", "/api/sessions", undefined, headers);
+  assert.deepEqual(
+    listed.body.sessions.map(({ id, device, current }) => [id, device, current]),
+    [
+      [LAPTOP, "Firefox on Windows", false],
+      [CURRENT, "Safari on iOS", true],
+    ]
+  );
+
+  assert.equal((await api.request("DELETE", `/api/sessions/${LAPTOP}`, undefined, headers)).status, 204);
+  assert.equal((await api.request("DELETE", `/api/sessions/${crypto.randomUUID()}`, undefined, headers)).status, 404);
+  assert.equal((await api.request("DELETE", "/api/sessions/not-a-session", undefined, headers)).status, 404);
+
+  const others = await api.request("POST", "/api/sessions/revoke-others", undefined, headers);
+  assert.deepEqual(others.body, { revokedSessions: 1 });
+  assert.deepEqual(queries.at(-1).values, [1, CURRENT]);
+});
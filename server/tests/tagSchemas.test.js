@@ -0,0 +1,38 @@
+/**
+ * tests/tagSchemas.test.js
+ * -----------------------------------------------------------------------------
+ * Tag request schemas (schemas/tagSchemas.js): names are normalized, colors
+ * are hex, and a task's tag ids are de-duplicated, limited and must fit the
+ * tags.id column.
+ * -----------------------------------------------------------------------------
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { tagName, tagIds, createTagSchema, updateTagSchema } = require("../schemas/tagSchemas");
+
+test("tag names drop a leading # and surrounding spaces", () => {
+  assert.equal(tagName.parse(" #work "), "work");
+  assert.equal(tagName.parse("Ünïcode_2"), "Ünïcode_2");
+
+  for (const name of ["#", "two words", "a".repeat(33), "semi;colon"]) {
+    assert.equal(tagName.safeParse(name).success, false, name);
+  }
+});
+
+test("colors are six-digit hex, stored in lower case", () => {
+  assert.deepEqual(createTagSchema.parse({ name: "work", color: "#3B82F6" }), { name: "work", color: "#3b82f6" });
+  assert.equal(createTagSchema.safeParse({ name: "work", color: "blue" }).success, false);
+  assert.equal(updateTagSchema.safeParse({}).success, false);
+});
+
+test("tag ids are de-duplicated, at most 20, and within the id column's range", () => {
+  assert.deepEqual(tagIds.parse([3, 1, 3]), [3, 1]);
+  assert.deepEqual(tagIds.parse([]), []);
+  assert.deepEqual(tagIds.parse([2147483647]), [2147483647]);
+
+  assert.equal(tagIds.safeParse([2147483648]).success, false);
+  assert.equal(tagIds.safeParse([0]).success, false);
+  assert.equal(tagIds.safeParse([1.5]).success, false);
+  assert.equal(tagIds.safeParse(Array.from({ length: 21 }, (_, index) => index + 1)).success, false);
+});
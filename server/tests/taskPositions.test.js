@@ -0,0 +1,114 @@
+/**
+ * tests/taskPositions.test.js
+ * -----------------------------------------------------------------------------
+ * Manual task order (models/taskPositions.js, moveTaskSchema in
+ * schemas/taskSchemas.js): a move lands between its neighbors, a gap that
+ * can no longer be split renumbers the list, and neighbors must be task ids
+ * that fit tasks.id.
+ *
+ * pool.query is replaced per test (tests/fakeDb.js); nothing connects to a
+ * database.
+ * -----------------------------------------------------------------------------
+ */
+
+require("./env");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { moveTaskSchema } = require("../schemas/taskSchemas");
+const { moveTask } = require("../models/taskPositions");
+const { mockQueries } = require("./fakeDb");
+
+/**
+ * A tasks table for one user: positions maps task id -> position. Answers
+ * the queries moveTask runs.
+ */
+function fakeTasks(positions) {
+  const rowsFor = (ids) => ids.filter((id) => positions.has(id)).map((id) => ({ id, position: positions.get(id) }));
+  const others = (taskId) => [...positions].filter(([id]) => id !== taskId).map(([, position]) => position);
+
+  function answer(sql, values) {
+    if (/SELECT id, position FROM tasks/.test(sql)) return { rows: rowsFor(values[1]) };
+    if (/MAX\(position\)/.test(sql)) {
+      const below = others(values[1]).filter((position) => position < values[2]);
+      return { rows: [{ position: below.length > 0 ? Math.max(...below) : null }] };
+    }
+    if (/MIN\(position\)/.test(sql)) {
+      const above = others(values[1]).filter((position) => position > values[2]);
+      return { rows: [{ position: above.length > 0 ? Math.min(...above) : null }] };
+    }
+    if (/ROW_NUMBER\(\)/.test(sql)) {
+      const ordered = [...positions].sort(([idA, a], [idB, b]) => a - b || idA - idB);
+      ordered.forEach(([id], index) => positions.set(id, (index + 1) * values[1]));
+      return { rows: [], rowCount: ordered.length };
+    }
+    if (/UPDATE tasks SET position = \$1 WHERE id = \$2/.test(sql)) {
+      positions.set(values[1], values[0]);
+      return { rows: [], rowCount: 1 };
+    }
+    return null;
+  }
+
+  return answer;
+}
+
+// Task ids in list order.
+function order(positions) {
+  return [...positions].sort(([, a], [, b]) => a - b).map(([id]) => id);
+}
+
+test("a move needs a neighbor, given as a task id that fits the id column", () => {
+  assert.deepEqual(moveTaskSchema.parse({ after_id: 2147483647 }), { after_id: 2147483647 });
+  assert.deepEqual(moveTaskSchema.parse({ after_id: null, before_id: 3 }), { after_id: null, before_id: 3 });
+
+  for (const body of [{}, { after_id: null }, { after_id: 2147483648 }, { before_id: 0 }, { before_id: "3" }]) {
+    assert.equal(moveTaskSchema.safeParse(body).success, false, JSON.stringify(body));
+  }
+});
+
+test("a moved task lands between its neighbors, or past the end of the list", async (t) => {
+  const positions = new Map([
+    [1, 1024],
+    [2, 2048],
+    [3, 3072],
+  ]);
+  mockQueries(t, fakeTasks(positions));
+
+  assert.deepEqual(await moveTask(1, 3, { afterId: 1, beforeId: 2 }), { position: 1536 });
+  assert.deepEqual(order(positions), [1, 3, 2]);
+
+  await moveTask(1, 1, { afterId: 2 });
+  assert.deepEqual(order(positions), [3, 2, 1]);
+  assert.equal(positions.get(1), 2048 + 1024 / 2);
+
+  await moveTask(1, 2, { beforeId: 3 });
+  assert.deepEqual(order(positions), [2, 3, 1]);
+});
+
+test("a gap too small to split renumbers the list once", async (t) => {
+  const positions = new Map([
+    [1, 1],
+    [2, 1 + 1e-7],
+    [3, 5],
+  ]);
+  const { queries } = mockQueries(t, fakeTasks(positions));
+
+  assert.deepEqual(await moveTask(1, 3, { afterId: 1, beforeId: 2 }), { position: 1024 + 512 });
+  assert.deepEqual(order(positions), [1, 3, 2]);
+  assert.equal(queries.filter(({ sql }) => /ROW_NUMBER\(\)/.test(sql)).length, 1);
+});
+
+test("moves with missing or out-of-order neighbors change nothing", async (t) => {
+  const positions = new Map([
+    [1, 1024],
+    [2, 2048],
+    [3, 3072],
+  ]);
+  const { queries } = mockQueries(t, fakeTasks(positions));
+
+  assert.deepEqual(await moveTask(1, 9, { afterId: 1 }), { notFound: true });
+  assert.deepEqual(await moveTask(1, 3, { afterId: 9 }), { unknownNeighbor: "after_id" });
+  assert.deepEqual(await moveTask(1, 3, { beforeId: 9 }), { unknownNeighbor: "before_id" });
+  assert.deepEqual(await moveTask(1, 3, { afterId: 2, beforeId: 1 }), { outOfOrder: true });
+  assert.ok(!queries.some(({ sql }) => /^UPDATE/.test(sql)));
+});
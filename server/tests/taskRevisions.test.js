@@ -0,0 +1,177 @@
+/**
+ * tests/taskRevisions.test.js
+ * -----------------------------------------------------------------------------
+ * Task revision history (models/taskRevisions.js): revisions hold only the
+ * fields a change touched, the history pages by revision id, and a revert
+ * undoes later revisions without bringing back deleted projects or tags.
+ *
+ * pool.query is replaced per test (tests/fakeDb.js); nothing connects to a
+ * database.
+ * -----------------------------------------------------------------------------
+ */
+
+require("./env");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { revisionActor, recordChanges, listRevisions, revertTask } = require("../models/taskRevisions");
+const { mockQueries } = require("./fakeDb");
+
+const ACTOR = { userId: 1, tokenId: null };
+
+// A snapshot row (snapshotTasks) for task 7.
+function taskRow(fields = {}) {
+  return {
+    id: 7,
+    title: "Write report",
+    description: null,
+    completed: false,
+    priority: "none",
+    due_at: null,
+    remind_at: null,
+    project_id: null,
+    auto_complete: false,
+    recurrence_rule: null,
+    recurrence_timezone: "UTC",
+    tag_ids: [],
+    ...fields,
+  };
+}
+
+// The revisions one recordChanges() call inserted: [{ taskId, action, changes }].
+function insertedRevisions(queries) {
+  const insert = queries.find(({ sql }) => /INSERT INTO task_revisions/.test(sql));
+  if (!insert) return [];
+
+  const [, , taskIds, actions, changes] = insert.values;
+  return taskIds.map((taskId, index) => ({ taskId, action: actions[index], changes: JSON.parse(changes[index]) }));
+}
+
+// Answers snapshotTasks() with the given rows and nothing else.
+function snapshotOf(...rows) {
+  return (sql) => (/SELECT id, title, description, completed/.test(sql) ? { rows } : null);
+}
+
+test("the actor is the user, and the personal access token when one is used", () => {
+  assert.deepEqual(revisionActor({ userId: 1 }), { userId: 1, tokenId: null });
+  assert.deepEqual(revisionActor({ userId: 1, tokenId: 4, role: "user" }), { userId: 1, tokenId: 4 });
+});
+
+test("a new task's revision lists only the fields that were set", async (t) => {
+  const dueAt = new Date("2026-11-02T09:00:00Z");
+  const { queries } = mockQueries(t, snapshotOf(taskRow({ due_at: dueAt, tag_ids: [2] })));
+
+  await recordChanges(ACTOR, new Map(), [7]);
+
+  assert.deepEqual(insertedRevisions(queries), [
+    {
+      taskId: 7,
+      action: "create",
+      changes: {
+        title: { before: null, after: "Write report" },
+        due_at: { before: null, after: dueAt.toISOString() },
+        tag_ids: { before: [], after: [2] },
+      },
+    },
+  ]);
+});
+
+test("updates without changes are not recorded, and completions are", async (t) => {
+  const before = new Map([[7, taskRow()]]);
+
+  const unchanged = mockQueries(t, snapshotOf(taskRow()));
+  await recordChanges(ACTOR, before, [7]);
+  assert.deepEqual(insertedRevisions(unchanged.queries), []);
+
+  const completed = mockQueries(t, snapshotOf(taskRow({ completed: true })));
+  await recordChanges(ACTOR, before, [7]);
+  assert.deepEqual(insertedRevisions(completed.queries), [
+    { taskId: 7, action: "complete", changes: { completed: { before: false, after: true } } },
+  ]);
+
+  const deleted = mockQueries(t, snapshotOf(taskRow()));
+  await recordChanges(ACTOR, before, [7], undefined, { action: "delete" });
+  assert.deepEqual(insertedRevisions(deleted.queries), [{ taskId: 7, action: "delete", changes: {} }]);
+});
+
+test("the history pages by revision id and names the token that made a change", async (t) => {
+  const { queries } = mockQueries(t, (sql) => {
+    if (/FROM tasks/.test(sql)) return { rows: [{ id: 7 }] };
+    return {
+      rows: [9, 8, 5].map((id) => ({
+        id,
+        action: "update",
+        changes: {},
+        reverted_to: null,
+        created_at: new Date(),
+        user_id: 1,
+        username: "ada",
+        token_id: id === 9 ? 4 : null,
+        token_name: id === 9 ? "CI" : null,
+      })),
+    };
+  });
+
+  const { revisions, nextBefore } = await listRevisions(1, 7, { limit: 2, before: 12 });
+
+  assert.deepEqual(
+    revisions.map(({ id }) => id),
+    [9, 8]
+  );
+  assert.equal(nextBefore, 8);
+  assert.deepEqual(revisions[0].actor, { user_id: 1, username: "ada", token: { id: 4, name: "CI" } });
+  assert.equal(revisions[1].actor.token, null);
+  assert.deepEqual(queries[1].values, [7, 12, 3]);
+});
+
+test("a revert undoes later revisions, leaving out deleted projects and tags", async (t) => {
+  const { queries } = mockQueries(t, (sql, values) => {
+    if (/FROM tasks WHERE user_id = \$1 AND id = \$2 AND deleted_at IS NULL FOR UPDATE/.test(sql)) {
+      return { rows: [{ id: 7 }] };
+    }
+    if (/SELECT id FROM task_revisions/.test(sql)) return { rows: [{ id: values[0] }] };
+    if (/SELECT changes FROM task_revisions/.test(sql)) {
+      return {
+        rows: [
+          { changes: { project_id: { before: 3, after: 5 }, tag_ids: { before: [1, 3], after: [1, 2] } } },
+          { changes: { title: { before: "Draft report", after: "Write report" } } },
+        ],
+      };
+    }
+    // Project 3 and tag 3 have been deleted since.
+    if (/FROM projects/.test(sql)) return { rows: [] };
+    if (/FROM tags/.test(sql)) return { rows: [{ id: 1 }] };
+    return snapshotOf(taskRow({ project_id: 5, tag_ids: [1, 2] }))(sql);
+  });
+
+  assert.deepEqual(await revertTask(ACTOR, 7, 10), { reverted: true });
+
+  const update = queries.find(({ sql }) => /^UPDATE tasks/.test(sql));
+  assert.equal(update.sql, "UPDATE tasks SET title = $1, project_id = $2, updated_at = NOW() WHERE id = $3");
+  assert.deepEqual(update.values, ["Draft report", null, 7]);
+  assert.deepEqual(queries.find(({ sql }) => /INSERT INTO task_tags/.test(sql)).values, [7, [1]]);
+
+  const insert = queries.find(({ sql }) => /INSERT INTO task_revisions/.test(sql));
+  assert.equal(insert.values[3][0], "revert");
+  assert.equal(insert.values[5], 10);
+});
+
+test("a revert to the current state, an unknown revision or a missing task changes nothing", async (t) => {
+  let taskExists = true;
+  let revisionExists = true;
+  const { queries } = mockQueries(t, (sql) => {
+    if (/FOR UPDATE/.test(sql)) return { rows: taskExists ? [{ id: 7 }] : [] };
+    if (/SELECT id FROM task_revisions/.test(sql)) return { rows: revisionExists ? [{ id: 10 }] : [] };
+    return snapshotOf(taskRow())(sql);
+  });
+
+  assert.deepEqual(await revertTask(ACTOR, 7, 10), { unchanged: true });
+
+  revisionExists = false;
+  assert.deepEqual(await revertTask(ACTOR, 7, 10), { unknownRevision: true });
+
+  taskExists = false;
+  assert.deepEqual(await revertTask(ACTOR, 7, 10), { notFound: true });
+
+  assert.ok(!queries.some(({ sql }) => /^(UPDATE|INSERT)/.test(sql.trim())));
+});
@@ -0,0 +1,63 @@
+/**
+ * tests/taskSchemas.test.js
+ * -----------------------------------------------------------------------------
+ * Task request schemas (schemas/taskSchemas.js): ids must fit PostgreSQL
+ * integer columns, so an out-of-range id is a 400 and never reaches SQL.
+ * -----------------------------------------------------------------------------
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  listTasksQuerySchema,
+  bulkTasksSchema,
+  taskHistoryQuerySchema,
+  revertTaskSchema,
+} = require("../schemas/taskSchemas");
+
+test("the project filter takes inbox or a project id", () => {
+  assert.equal(listTasksQuerySchema.parse({ project: "inbox" }).project, "inbox");
+  assert.equal(listTasksQuerySchema.parse({ project: "12" }).project, 12);
+  assert.equal(listTasksQuerySchema.parse({ project: "2147483647" }).project, 2147483647);
+});
+
+test("project ids outside the integer range are rejected", () => {
+  for (const project of ["2147483648", "99999999999999999999", "0", "-1", "1.5", "Inbox"]) {
+    assert.equal(listTasksQuerySchema.safeParse({ project }).success, false, project);
+  }
+});
+
+test("history cursors and revert targets must fit a revision id", () => {
+  assert.equal(taskHistoryQuerySchema.parse({ before: "2147483647" }).before, 2147483647);
+  assert.equal(taskHistoryQuerySchema.safeParse({ before: "2147483648" }).success, false);
+  assert.equal(taskHistoryQuerySchema.safeParse({ before: "9999999999" }).success, false);
+  assert.equal(taskHistoryQuerySchema.safeParse({ before: "0" }).success, false);
+
+  assert.equal(revertTaskSchema.parse({ revision_id: 2147483647 }).revision_id, 2147483647);
+  assert.equal(revertTaskSchema.safeParse({ revision_id: 2147483648 }).success, false);
+  assert.equal(revertTaskSchema.safeParse({ revision_id: 1.5 }).success, false);
+});
+
+test("bulk operations take ids and project filters that fit the integer range", () => {
+  const bulk = (operation) => bulkTasksSchema.safeParse({ operations: [operation] }).success;
+
+  assert.equal(bulk({ action: "complete", ids: [1, 2147483647] }), true);
+  assert.equal(bulk({ action: "complete", ids: [1, 2147483648] }), false);
+  assert.equal(bulk({ action: "restore", ids: [0] }), false);
+  assert.equal(bulk({ action: "delete", filter: { project: 2147483647 } }), true);
+  assert.equal(bulk({ action: "delete", filter: { project: 2147483648 } }), false);
+});
+
+test("bulk operations need exactly one of ids and filter", () => {
+  const bulk = (operation) => bulkTasksSchema.safeParse({ operations: [operation] }).success;
+
+  assert.equal(bulk({ action: "complete" }), false);
+  assert.equal(bulk({ action: "complete", ids: [1], filter: { completed: false } }), false);
+  assert.equal(bulk({ action: "restore", filter: { completed: true } }), false);
+  assert.equal(bulk({ action: "delete", filter: {} }), false);
+});
+
+test("bulk ids are de-duplicated", () => {
+  const { operations } = bulkTasksSchema.parse({ operations: [{ action: "complete", ids: [3, 3, 4] }] });
+  assert.deepEqual(operations[0].ids, [3, 4]);
+});
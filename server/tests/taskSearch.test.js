@@ -0,0 +1,87 @@
+/**
+ * tests/taskSearch.test.js
+ * -----------------------------------------------------------------------------
+ * Task search (models/taskSearch.js, searchTasksQuerySchema): the query is
+ * reduced to plain prefix terms, and highlights come back as text segments
+ * that task text cannot fake.
+ *
+ * pool.query is replaced per test (tests/fakeDb.js); nothing connects to a
+ * database.
+ * -----------------------------------------------------------------------------
+ */
+
+require("./env");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { searchTasksQuerySchema } = require("../schemas/taskSchemas");
+const { searchTasks } = require("../models/taskSearch");
+const { mockQueries } = require("./fakeDb");
+
+// ts_headline's match delimiters (MATCH_START / MATCH_STOP).
+const START = "\uE000";
+const STOP = "\uE001";
+
+test("search text becomes unique lowercase terms, ignoring punctuation and operators", () => {
+  assert.deepEqual(searchTasksQuerySchema.parse({ q: "  Meet NOTES meet " }), { terms: ["meet", "notes"], limit: 20 });
+  assert.deepEqual(searchTasksQuerySchema.parse({ q: "a:* | !b & (c)" }).terms, ["a", "b", "c"]);
+  assert.deepEqual(searchTasksQuerySchema.parse({ q: "café 2026", limit: "5" }), { terms: ["café", "2026"], limit: 5 });
+
+  for (const query of [{}, { q: "" }, { q: "&&& !!" }, { q: "x".repeat(201) }, { q: "a b c d e f g h i j k" }]) {
+    assert.equal(searchTasksQuerySchema.safeParse(query).success, false, JSON.stringify(query));
+  }
+  assert.equal(searchTasksQuerySchema.safeParse({ q: "meet", limit: "51" }).success, false);
+});
+
+test("every term is searched as a prefix, and delimiter characters are stripped from task text", async (t) => {
+  const { queries } = mockQueries(t);
+
+  await searchTasks(1, { terms: ["meet", "notes"], limit: 20 });
+
+  const [{ values }] = queries;
+  assert.equal(values[1], "meet:* & notes:*");
+  assert.equal(values[4], 20);
+  assert.equal(values[5], START + STOP);
+});
+
+test("highlights are segments with the matched words marked", async (t) => {
+  mockQueries(t, () => ({
+    rows: [
+      {
+        id: 1,
+        title: "Team meeting notes",
+        title_highlight: `Team ${START}meeting${STOP} ${START}notes${STOP}`,
+        description_highlight: null,
+      },
+      {
+        id: 2,
+        title: "Meet <b>Ada</b>",
+        title_highlight: `${START}Meet${STOP} <b>Ada</b>`,
+        description_highlight: `… agenda for the ${START}meeting${STOP}`,
+      },
+    ],
+  }));
+
+  const [first, second] = await searchTasks(1, { terms: ["meet", "notes"], limit: 20 });
+
+  assert.deepEqual(first, {
+    task: { id: 1, title: "Team meeting notes" },
+    highlight: {
+      title: [
+        { text: "Team ", match: false },
+        { text: "meeting", match: true },
+        { text: " ", match: false },
+        { text: "notes", match: true },
+      ],
+      description: null,
+    },
+  });
+  assert.deepEqual(second.highlight.title, [
+    { text: "Meet", match: true },
+    { text: " <b>Ada</b>", match: false },
+  ]);
+  assert.deepEqual(second.highlight.description, [
+    { text: "… agenda for the ", match: false },
+    { text: "meeting", match: true },
+  ]);
+});
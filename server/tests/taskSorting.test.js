@@ -0,0 +1,74 @@
+/**
+ * tests/taskSorting.test.js
+ * -----------------------------------------------------------------------------
+ * Priorities and sorting (schemas/taskSchemas.js, GET /api/tasks): priorities
+ * come from a fixed list, each sort field has a natural default direction,
+ * and only fixed SQL is ever placed in ORDER BY.
+ *
+ * pool.query is replaced per test (tests/fakeDb.js); nothing connects to a
+ * database.
+ * -----------------------------------------------------------------------------
+ */
+
+require("./env");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { TASK_PRIORITIES, createTaskSchema, updateTaskSchema, listTasksQuerySchema } = require("../schemas/taskSchemas");
+const { signAccessToken } = require("../utils/tokens");
+const taskRoutes = require("../routes/tasks");
+const { startServer } = require("./server");
+const { mockQueries } = require("./fakeDb");
+
+// A database where user 1 is signed in and has no tasks.
+function answerForUser(sql) {
+  if (/FROM sessions s\s+JOIN users u/.test(sql)) {
+    return { rows: [{ email_verified_at: new Date(), role: "user", needs_touch: false }] };
+  }
+  return null;
+}
+
+test("priorities are one of the fixed levels", () => {
+  assert.deepEqual(TASK_PRIORITIES, ["none", "low", "medium", "high", "urgent"]);
+  assert.equal(createTaskSchema.parse({ title: "Ship it", priority: "urgent" }).priority, "urgent");
+  assert.equal(createTaskSchema.parse({ title: "Ship it" }).priority, undefined);
+  assert.equal(updateTaskSchema.safeParse({ priority: "critical" }).success, false);
+  assert.equal(updateTaskSchema.safeParse({ priority: "HIGH" }).success, false);
+});
+
+test("each sort field has its natural default direction", () => {
+  const orderFor = (query) => listTasksQuerySchema.parse(query).order;
+
+  assert.equal(listTasksQuerySchema.parse({}).sort, "created_at");
+  assert.equal(orderFor({}), "desc");
+  assert.equal(orderFor({ sort: "priority" }), "desc");
+  assert.equal(orderFor({ sort: "due_at" }), "asc");
+  assert.equal(orderFor({ sort: "title" }), "asc");
+  assert.equal(orderFor({ sort: "title", order: "desc" }), "desc");
+
+  assert.equal(listTasksQuerySchema.safeParse({ sort: "user_id" }).success, false);
+  assert.equal(listTasksQuerySchema.safeParse({ order: "sideways" }).success, false);
+});
+
+test("the list query orders by fixed SQL, with tasks lacking a value last and id breaking ties", async (t) => {
+  const { queries } = mockQueries(t, answerForUser);
+  const api = await startServer("/api/tasks", taskRoutes);
+  t.after(() => api.close());
+  const headers = { Authorization: `Bearer ${signAccessToken(1, crypto.randomUUID())}` };
+  // The ORDER BY of the task list query a request ran.
+  const orderBy = async (query) => {
+    await api.request("GET", `/api/tasks${query}`, undefined, headers);
+    const { sql } = queries.findLast((entry) => /AS sort_key/.test(entry.sql));
+    return sql.match(/ORDER BY (.*)\s+LIMIT \$\d+\s*$/)[1].trim();
+  };
+
+  assert.equal(await orderBy("?sort=due_at"), "due_at ASC NULLS LAST, id ASC");
+  assert.equal(await orderBy("?sort=title&order=desc"), "LOWER(title) DESC NULLS LAST, id DESC");
+  assert.match(await orderBy("?sort=priority"), /^array_position\(ARRAY\['none', .*'urgent'\].*, priority\) DESC/);
+
+  const queriesBefore = queries.length;
+  const injected = await api.request("GET", "/api/tasks?sort=id;DROP TABLE tasks", undefined, headers);
+  assert.equal(injected.status, 400);
+  assert.ok(!queries.slice(queriesBefore).some(({ sql }) => /FROM tasks/.test(sql)));
+});
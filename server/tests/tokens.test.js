@@ -0,0 +1,92 @@
+/**
+ * tests/tokens.test.js
+ * -----------------------------------------------------------------------------
+ * Access and refresh tokens (utils/tokens.js): a refresh token only parses
+ * when its session id is a UUID, and access tokens carry their session.
+ * -----------------------------------------------------------------------------
+ */
+
+require("./env");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const {
+  SESSION_ID_PATTERN,
+  signAccessToken,
+  verifyAccessToken,
+  getAccessTokenSessionId,
+  generateOpaqueToken,
+  generateRefreshToken,
+  parseRefreshToken,
+  hashToken,
+} = require("../utils/tokens");
+
+test("refresh tokens parse back to their session id", () => {
+  const sessionId = crypto.randomUUID();
+  const token = generateRefreshToken(sessionId);
+
+  assert.ok(token.startsWith(`${sessionId}.`));
+  assert.deepEqual(parseRefreshToken(token), { sessionId });
+  assert.deepEqual(parseRefreshToken(token.toUpperCase()), { sessionId: sessionId.toUpperCase() });
+});
+
+test("refresh tokens in any other shape are rejected", () => {
+  const sessionId = crypto.randomUUID();
+
+  for (const token of [
+    undefined,
+    null,
+    42,
+    "",
+    sessionId,
+    `${sessionId}.`,
+    `.${generateOpaqueToken()}`,
+    `${sessionId}.a.b`,
+    `1.${generateOpaqueToken()}`,
+    `${sessionId.replace(/-/g, "")}.secret`,
+    `{${sessionId}}.secret`,
+    `${sessionId}0.secret`,
+    "00000000-0000-0000-0000-00000000000g.secret",
+    "' OR 1=1 --.secret",
+  ]) {
+    assert.equal(parseRefreshToken(token), null, String(token));
+  }
+});
+
+test("SESSION_ID_PATTERN accepts UUIDs only", () => {
+  assert.ok(SESSION_ID_PATTERN.test(crypto.randomUUID()));
+  assert.ok(!SESSION_ID_PATTERN.test("not-a-uuid"));
+  assert.ok(!SESSION_ID_PATTERN.test(` ${crypto.randomUUID()}`));
+});
+
+test("opaque tokens are random and URL-safe; hashes are stable SHA-256", () => {
+  const token = generateOpaqueToken();
+
+  assert.match(token, /^[A-Za-z0-9_-]{43}$/);
+  assert.notEqual(generateOpaqueToken(), token);
+  assert.equal(hashToken(token), crypto.createHash("sha256").update(token).digest("hex"));
+  assert.equal(hashToken(token), hashToken(token));
+  assert.notEqual(hashToken(token), hashToken(generateOpaqueToken()));
+});
+
+test("access tokens carry the user and session", () => {
+  const sessionId = crypto.randomUUID();
+  const token = signAccessToken(7, sessionId);
+  const payload = verifyAccessToken(token);
+
+  assert.equal(payload.userId, 7);
+  assert.equal(payload.sid, sessionId);
+  assert.equal(getAccessTokenSessionId(token), sessionId);
+});
+
+test("tampered or foreign access tokens do not verify", () => {
+  const token = signAccessToken(7, crypto.randomUUID());
+  const [header, payload, signature] = token.split(".");
+  const forged = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(payload, "base64url")), userId: 8 }));
+
+  assert.throws(() => verifyAccessToken(`${header}.${forged.toString("base64url")}.${signature}`));
+  assert.throws(() => verifyAccessToken("not.a.token"));
+  assert.equal(getAccessTokenSessionId(`${header}.${forged.toString("base64url")}.${signature}`), null);
+  assert.equal(getAccessTokenSessionId(undefined), null);
+});
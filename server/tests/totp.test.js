@@ -0,0 +1,75 @@
+/**
+ * tests/totp.test.js
+ * -----------------------------------------------------------------------------
+ * TOTP codes and secrets (utils/totp.js), against the RFC 6238 test vectors.
+ * -----------------------------------------------------------------------------
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri,
+} = require("../utils/totp");
+
+// The RFC 6238 SHA-1 key, "12345678901234567890".
+const RFC_SECRET = base32Encode(Buffer.from("12345678901234567890"));
+
+test("base32 round-trips and ignores padding, spaces and case", () => {
+  assert.equal(RFC_SECRET, "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ");
+  assert.equal(base32Decode(RFC_SECRET).toString(), "12345678901234567890");
+  assert.equal(base32Decode("gezd gnbv====").toString(), "12345");
+  assert.throws(() => base32Decode("GEZ1"), /Invalid base32/);
+});
+
+test("codes match the RFC 6238 test vectors (last 6 digits)", () => {
+  assert.equal(generateCode(RFC_SECRET, Math.floor(59 / 30)), "287082");
+  assert.equal(generateCode(RFC_SECRET, Math.floor(1111111109 / 30)), "081804");
+  assert.equal(generateCode(RFC_SECRET, Math.floor(1234567890 / 30)), "005924");
+  assert.equal(generateCode(RFC_SECRET, Math.floor(2000000000 / 30)), "279037");
+});
+
+test("verifyCode returns the matching step and allows one step of drift", () => {
+  const secret = generateSecret();
+  const step = Math.floor(Date.now() / 1000 / 30);
+
+  // A step boundary can pass between the two clock reads; either side is fine.
+  const matched = verifyCode(secret, generateCode(secret, step));
+  assert.ok(matched === step || matched === step + 1);
+  assert.notEqual(verifyCode(secret, generateCode(secret, step - 1)), null);
+});
+
+test("verifyCode rejects old, malformed and non-string codes", () => {
+  const secret = generateSecret();
+  const step = Math.floor(Date.now() / 1000 / 30);
+
+  assert.equal(verifyCode(secret, generateCode(secret, step - 10)), null);
+  assert.equal(verifyCode(secret, "12345"), null);
+  assert.equal(verifyCode(secret, "12345a"), null);
+  assert.equal(verifyCode(secret, 123456), null);
+  assert.equal(verifyCode(secret, undefined), null);
+});
+
+test("secrets are 160-bit base32 strings", () => {
+  const secret = generateSecret();
+
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+  assert.equal(base32Decode(secret).length, 20);
+  assert.notEqual(generateSecret(), secret);
+});
+
+test("otpauth URIs carry the label, issuer and parameters", () => {
+  const uri = new URL(buildOtpauthUri(RFC_SECRET, "ada@example.com", "Task Manager"));
+
+  assert.equal(uri.protocol, "otpauth:");
+  assert.equal(uri.host, "totp");
+  assert.equal(decodeURIComponent(uri.pathname), "/Task Manager:ada@example.com");
+  assert.equal(uri.searchParams.get("secret"), RFC_SECRET);
+  assert.equal(uri.searchParams.get("issuer"), "Task Manager");
+  assert.equal(uri.searchParams.get("digits"), "6");
+  assert.equal(uri.searchParams.get("period"), "30");
+});
@@ -0,0 +1,85 @@
+/**
+ * tests/trash.test.js
+ * -----------------------------------------------------------------------------
+ * Task trash (models/taskTrash.js, jobs/trashPurgeScheduler.js and the trash
+ * routes): only trashed tasks are ever purged or restored, expired tasks are
+ * purged in batches, and the trash endpoints answer for the user's own trash.
+ *
+ * pool.query is replaced per test (tests/fakeDb.js); nothing connects to a
+ * database.
+ * -----------------------------------------------------------------------------
+ */
+
+require("./env");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const config = require("../config");
+const { trashTasks, restoreTasks, purgeTasks } = require("../models/taskTrash");
+const { purgeExpiredTrash } = require("../jobs/trashPurgeScheduler");
+const { signAccessToken } = require("../utils/tokens");
+const taskRoutes = require("../routes/tasks");
+const { startServer } = require("./server");
+const { mockQueries } = require("./fakeDb");
+
+// A database where user 1 is signed in and has an empty trash.
+function answerForUser(sql) {
+  if (/FROM sessions s\s+JOIN users u/.test(sql)) {
+    return { rows: [{ email_verified_at: new Date(), role: "user", needs_touch: false }] };
+  }
+  return null;
+}
+
+test("trashing skips trashed tasks, and restoring and purging only touch trashed ones", async (t) => {
+  const { queries } = mockQueries(t, () => ({ rows: [{ id: 3 }] }));
+
+  assert.deepEqual(await trashTasks(1, [3, 4]), [3]);
+  assert.deepEqual(await restoreTasks(1, [3]), [3]);
+  assert.deepEqual(await purgeTasks(1, [3]), [3]);
+  await purgeTasks(1, null);
+
+  const [trash, restore, purge, emptyTrash] = queries;
+  assert.match(trash.sql, /user_id = \$1 AND id = ANY\(\$2::int\[\]\) AND deleted_at IS NULL/);
+  assert.match(restore.sql, /user_id = \$1 AND id = ANY\(\$2::int\[\]\) AND deleted_at IS NOT NULL/);
+  assert.match(purge.sql, /user_id = \$1 AND deleted_at IS NOT NULL/);
+  assert.deepEqual(purge.values, [1, [3]]);
+  assert.deepEqual(emptyTrash.values, [1, null]);
+});
+
+test("a purge run deletes expired tasks in batches until none are left", async (t) => {
+  const deletedPerBatch = [500, 500, 3];
+  const { queries } = mockQueries(t, () => ({ rows: [], rowCount: deletedPerBatch.shift() }));
+
+  assert.equal(await purgeExpiredTrash(), 1003);
+  assert.equal(queries.length, 3);
+  assert.deepEqual(queries[0].values, [config.trashRetentionDays, 500]);
+});
+
+test("the trash routes list, restore and purge the user's trashed tasks", async (t) => {
+  const { queries } = mockQueries(t, answerForUser);
+  const api = await startServer("/api/tasks", taskRoutes);
+  t.after(() => api.close());
+  const headers = { Authorization: `Bearer ${signAccessToken(1, crypto.randomUUID())}` };
+
+  const list = await api.request("GET", "/api/tasks/trash", undefined, headers);
+  assert.equal(list.status, 200);
+  assert.deepEqual(list.body, { tasks: [], retention_days: config.trashRetentionDays });
+
+  const restore = await api.request("POST", "/api/tasks/7/restore", undefined, headers);
+  assert.equal(restore.status, 404);
+  assert.equal(restore.body.error, "Task not found in the trash.");
+
+  const purge = await api.request("DELETE", "/api/tasks/trash/7", undefined, headers);
+  assert.equal(purge.status, 404);
+  assert.equal(purge.body.error, "Task not found in the trash.");
+
+  const emptyTrash = await api.request("DELETE", "/api/tasks/trash", undefined, headers);
+  assert.equal(emptyTrash.status, 200);
+  assert.deepEqual(queries.findLast(({ sql }) => /DELETE FROM tasks/.test(sql)).values, [1, null]);
+
+  const queriesBefore = queries.length;
+  assert.equal((await api.request("POST", "/api/tasks/9999999999/restore", undefined, headers)).status, 400);
+  assert.equal((await api.request("DELETE", "/api/tasks/trash/9999999999", undefined, headers)).status, 400);
+  assert.ok(!queries.slice(queriesBefore).some(({ sql }) => /FROM tasks|UPDATE tasks/.test(sql)));
+});
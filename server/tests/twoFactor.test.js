@@ -0,0 +1,167 @@
+/**
+ * tests/twoFactor.test.js
+ * -----------------------------------------------------------------------------
+ * Two-factor settings (routes/twoFactor.js) and the secrets behind them
+ * (utils/encryption.js, challenge tokens in utils/tokens.js): turning 2FA off
+ * or replacing recovery codes re-checks the password under the sign-in rate
+ * limit and lockouts, and wrong codes count toward the lockout too.
+ *
+ * pool.query is replaced per test (tests/fakeDb.js); nothing connects to a
+ * database.
+ * -----------------------------------------------------------------------------
+ */
+
+require("./env");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const bcrypt = require("bcrypt");
+const { encrypt, decrypt } = require("../utils/encryption");
+const { generateSecret, generateCode } = require("../utils/totp");
+const { signAccessToken, signMfaChallenge, verifyMfaChallenge, verifyAccessToken } = require("../utils/tokens");
+const twoFactorRoutes = require("../routes/twoFactor");
+const { startServer } = require("./server");
+const { mockQueries, fakeLoginThrottles } = require("./fakeDb");
+
+const PASSWORD = "correct horse battery staple";
+const PASSWORD_HASH = bcrypt.hashSync(PASSWORD, 4);
+const SECRET = generateSecret();
+
+const ADA = {
+  id: 1,
+  username: "ada",
+  email: "ada@example.com",
+  role: "user",
+  email_verified_at: new Date(),
+  totp_enabled_at: new Date(),
+  created_at: new Date(),
+};
+
+/**
+ * A database holding ADA with two-factor authentication on, plus an
+ * in-memory login_throttles table.
+ */
+function fakeAccount() {
+  const throttles = fakeLoginThrottles();
+
+  function answer(sql, values) {
+    if (/FROM sessions s\s+JOIN users u/.test(sql)) {
+      return { rows: [{ email_verified_at: ADA.email_verified_at, role: ADA.role, needs_touch: false }] };
+    }
+    if (/SELECT password_hash FROM users/.test(sql)) return { rows: [{ password_hash: PASSWORD_HASH }] };
+    if (/SELECT id, username, email, role/.test(sql)) return { rows: [ADA] };
+    if (/AS recovery_codes_remaining/.test(sql)) {
+      return { rows: [{ totp_enabled_at: ADA.totp_enabled_at, recovery_codes_remaining: 10 }] };
+    }
+    if (/SELECT totp_secret FROM users/.test(sql)) return { rows: [{ totp_secret: encrypt(SECRET) }] };
+    if (/SET totp_last_used_step/.test(sql)) return { rows: [{ id: values[1] }] };
+    return throttles.answer(sql, values);
+  }
+
+  return { throttles, answer };
+}
+
+async function startTwoFactorApi(t) {
+  const api = await startServer("/api/auth/2fa", twoFactorRoutes);
+  t.after(() => api.close());
+
+  const authorization = `Bearer ${signAccessToken(ADA.id, crypto.randomUUID())}`;
+  return (path, body) => api.request("POST", `/api/auth/2fa${path}`, body, { Authorization: authorization });
+}
+
+function wasRun(queries, pattern) {
+  return queries.some(({ sql }) => pattern.test(sql));
+}
+
+test("encrypted secrets decrypt, and tampering is detected", () => {
+  const stored = encrypt(SECRET);
+
+  assert.notEqual(stored, SECRET);
+  assert.notEqual(encrypt(SECRET), stored);
+  assert.equal(decrypt(stored), SECRET);
+
+  const [iv, tag, ciphertext] = stored.split(".");
+  const flipped = Buffer.from(ciphertext, "base64url");
+  flipped[0] ^= 1;
+  assert.throws(() => decrypt([iv, tag, flipped.toString("base64url")].join(".")));
+});
+
+test("challenge tokens and access tokens cannot stand in for each other", () => {
+  const challenge = signMfaChallenge(ADA.id);
+  const access = signAccessToken(ADA.id, crypto.randomUUID());
+
+  assert.equal(verifyMfaChallenge(challenge), ADA.id);
+  assert.equal(verifyMfaChallenge(access), null);
+  assert.throws(() => verifyAccessToken(challenge));
+});
+
+test("password re-checks share the sign-in rate limit", async (t) => {
+  const { answer } = fakeAccount();
+  mockQueries(t, answer);
+  const post = await startTwoFactorApi(t);
+
+  for (const path of ["/disable", "/recovery-codes"]) {
+    const response = await post(path, { password: "wrong" });
+    assert.equal(response.headers.get("ratelimit-limit"), "20", path);
+  }
+});
+
+test("a wrong password counts as a failed sign-in", async (t) => {
+  const { throttles, answer } = fakeAccount();
+  const { queries } = mockQueries(t, answer);
+  const post = await startTwoFactorApi(t);
+
+  const response = await post("/recovery-codes", { password: "wrong" });
+
+  assert.equal(response.status, 403);
+  assert.equal(throttles.counts.get(`account:${ADA.email}`), 1);
+  assert.ok(!wasRun(queries, /INSERT INTO recovery_codes/));
+});
+
+test("a wrong code on disable counts as a failed sign-in", async (t) => {
+  const { throttles, answer } = fakeAccount();
+  const { queries } = mockQueries(t, answer);
+  const post = await startTwoFactorApi(t);
+  const wrongCode = generateCode(SECRET, Math.floor(Date.now() / 30000) - 10);
+
+  const byCode = await post("/disable", { password: PASSWORD, code: wrongCode });
+  const byRecoveryCode = await post("/disable", { password: PASSWORD, recoveryCode: "AAAA-BBBB" });
+
+  assert.deepEqual(byCode.body, { error: "Invalid verification code." });
+  assert.equal(byCode.status, 403);
+  assert.equal(byRecoveryCode.status, 403);
+  assert.equal(throttles.counts.get(`account:${ADA.email}`), 2);
+  assert.ok(!wasRun(queries, /totp_secret = NULL/));
+});
+
+test("a locked account gets 429 without a password check", async (t) => {
+  const { throttles, answer } = fakeAccount();
+  const { queries } = mockQueries(t, answer);
+  const post = await startTwoFactorApi(t);
+
+  // ACCOUNT_LOCKOUT_THRESHOLD (5) failures lock the account.
+  for (let attempt = 0; attempt < 5; attempt += 1) {
+    assert.equal((await post("/disable", { password: "wrong" })).status, 403);
+  }
+  assert.equal(throttles.counts.get(`account:${ADA.email}`), 5);
+
+  const checksBefore = queries.filter(({ sql }) => /SELECT password_hash/.test(sql)).length;
+  const locked = await post("/recovery-codes", { password: PASSWORD });
+
+  assert.equal(locked.status, 429);
+  assert.ok(Number(locked.headers.get("retry-after")) > 0);
+  assert.equal(queries.filter(({ sql }) => /SELECT password_hash/.test(sql)).length, checksBefore);
+});
+
+test("the right password and code turn two-factor authentication off", async (t) => {
+  const { throttles, answer } = fakeAccount();
+  const { queries } = mockQueries(t, answer);
+  const post = await startTwoFactorApi(t);
+
+  const response = await post("/disable", { password: PASSWORD, code: generateCode(SECRET) });
+
+  assert.equal(response.status, 200);
+  assert.equal(throttles.counts.size, 0);
+  assert.ok(wasRun(queries, /DELETE FROM recovery_codes/));
+});
@@ -0,0 +1,78 @@
+/**
+ * utils/authCookies.js
+ * -----------------------------------------------------------------------------
+ * Auth cookies for AUTH_MODE=cookie.
+ *
+ * Purpose:
+ * - Set the access and refresh tokens as HttpOnly cookies so page scripts
+ *   (including injected ones) can never read them.
+ * - Read and clear those cookies.
+ *
+ * Cookies:
+ * - stm_access  -> access token (JWT), sent to every /api route
+ * - stm_refresh -> refresh token, sent only to /api/auth (refresh + logout)
+ *
+ * Both cookies live as long as the session. The JWT inside stm_access still
+ * expires after accessTokenTtl, which makes the client call /refresh.
+ * -----------------------------------------------------------------------------
+ */
+
+const config = require("../config"); // Cookie flags + session lifetime
+
+const ACCESS_COOKIE = "stm_access";
+const REFRESH_COOKIE = "stm_refresh";
+
+const ACCESS_COOKIE_PATH = "/api";
+const REFRESH_COOKIE_PATH = "/api/auth";
+
+function cookieOptions(path) {
+  return {
+    httpOnly: true,
+    secure: config.cookieSecure,
+    sameSite: config.cookieSameSite,
+    path,
+  };
+}
+
+/**
+ * setAuthCookies(res, { token, refreshToken })
+ * -----------------------------------------------------------------------------
+ * Sets (or replaces) both auth cookies on the response.
+ */
+function setAuthCookies(res, { token, refreshToken }) {
+  const maxAge = config.refreshTokenTtlDays * 24 * 60 * 60 * 1000;
+
+  res.cookie(ACCESS_COOKIE, token, { ...cookieOptions(ACCESS_COOKIE_PATH), maxAge });
+  res.cookie(REFRESH_COOKIE, refreshToken, { ...cookieOptions(REFRESH_COOKIE_PATH), maxAge });
+}
+
+/**
+ * clearAuthCookies(res)
+ * -----------------------------------------------------------------------------
+ * Removes both auth cookies (options must match the ones used to set them).
+ */
+function clearAuthCookies(res) {
+  res.clearCookie(ACCESS_COOKIE, cookieOptions(ACCESS_COOKIE_PATH));
+  res.clearCookie(REFRESH_COOKIE, cookieOptions(REFRESH_COOKIE_PATH));
+}
+
+/**
+ * readAccessCookie(req) / readRefreshCookie(req)
+ * -----------------------------------------------------------------------------
+ * Cookie values, or undefined when missing or when cookie mode is off
+ * (so a stray cookie is never honoured in bearer mode).
+ */
+function readAccessCookie(req) {
+  return config.authMode === "cookie" ? req.cookies?.[ACCESS_COOKIE] : undefined;
+}
+
+function readRefreshCookie(req) {
+  return config.authMode === "cookie" ? req.cookies?.[REFRESH_COOKIE] : undefined;
+}
+
+module.exports = {
+  setAuthCookies,
+  clearAuthCookies,
+  readAccessCookie,
+  readRefreshCookie,
+};
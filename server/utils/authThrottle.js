@@ -0,0 +1,82 @@
+/**
+ * utils/authThrottle.js
+ * -----------------------------------------------------------------------------
+ * Brute-force protection shared by every route that checks a password.
+ *
+ * Purpose:
+ * - authLimiter: the per-IP budget for credential requests (sign-in,
+ *   registration, password resets, and password re-checks in /api/me and
+ *   /api/auth/2fa).
+ * - sendLockedOut(): the response while an account or IP is locked
+ *   (models/loginThrottle.js).
+ * - confirmPassword(): a signed-in user's password re-check, under the same
+ *   lockouts as sign-in.
+ * -----------------------------------------------------------------------------
+ */
+
+const rateLimit = require("express-rate-limit"); // Per-route throttling
+const { getUserProfile, verifyUserPassword } = require("../models/users"); // Account queries
+const { getLockout, recordFailedLogin } = require("../models/loginThrottle"); // Brute-force lockouts
+
+/**
+ * authLimiter
+ * -----------------------------------------------------------------------------
+ * Stricter per-IP budget for credential endpoints than the general API
+ * limiter. Per-account lockouts (models/loginThrottle.js) cover attacks
+ * spread across many IPs. One instance, so every route using it shares the
+ * same budget.
+ */
+const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20, // 20 credential requests per IP per window
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { error: "Too many attempts. Please try again later." },
+});
+
+/**
+ * sendLockedOut(res, lockout)
+ * -----------------------------------------------------------------------------
+ * 429 response for a locked account or IP. The wording is the same for both
+ * and for unknown emails, so it does not reveal which accounts exist.
+ */
+function sendLockedOut(res, lockout) {
+  const minutes = Math.ceil(lockout.retryAfterSeconds / 60);
+
+  res.set("Retry-After", String(lockout.retryAfterSeconds));
+  return res.status(429).json({
+    error: `Too many failed sign-in attempts. Please try again in ${minutes} minute${minutes === 1 ? "" : "s"}.`,
+    retryAfterSeconds: lockout.retryAfterSeconds,
+  });
+}
+
+/**
+ * confirmPassword(req, res, password, errorMessage)
+ * -----------------------------------------------------------------------------
+ * Re-checks the signed-in user's password, under the sign-in lockouts: a
+ * locked account or IP gets 429 without a check, and a wrong password is
+ * recorded as a failed sign-in (403 with errorMessage).
+ *
+ * Returns { user } (the profile) or { response } when an error was already
+ * sent.
+ */
+async function confirmPassword(req, res, password, errorMessage) {
+  const user = await getUserProfile(req.user.userId);
+  if (!user) {
+    return { response: res.status(404).json({ error: "Account not found." }) };
+  }
+
+  const lockout = await getLockout(user.email, req.ip);
+  if (lockout) {
+    return { response: sendLockedOut(res, lockout) };
+  }
+
+  if (!(await verifyUserPassword(user.id, password))) {
+    await recordFailedLogin(user.email, req.ip);
+    return { response: res.status(403).json({ error: errorMessage }) };
+  }
+
+  return { user };
+}
+
+module.exports = { authLimiter, sendLockedOut, confirmPassword };
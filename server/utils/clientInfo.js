@@ -0,0 +1,71 @@
+/**
+ * utils/clientInfo.js
+ * -----------------------------------------------------------------------------
+ * Who is on the other end of a request, for the "active sessions" list.
+ *
+ * Purpose:
+ * - Read the user agent and IP address recorded with each session.
+ * - Turn a user agent into a short label ("Firefox on Windows") so users can
+ *   recognize their devices.
+ *
+ * Notes:
+ * - req.ip honors TRUST_PROXY, so behind a proxy it is the client's address.
+ * - The label is a best-effort guess for display only; never make security
+ *   decisions based on it (user agents are trivially spoofed).
+ * -----------------------------------------------------------------------------
+ */
+
+const MAX_USER_AGENT_LENGTH = 512; // sessions.user_agent is VARCHAR(512)
+
+// Checked in order: Edge and Opera also claim to be Chrome, Chrome claims Safari.
+const BROWSERS = [
+  ["Edge", /Edg(e|A|iOS)?\//],
+  ["Opera", /OPR\/|Opera/],
+  ["Firefox", /Firefox\/|FxiOS\//],
+  ["Chrome", /Chrome\/|CriOS\//],
+  ["Safari", /Version\/[\d.]+.*Safari\//],
+];
+
+// iOS and Android before macOS and Linux (their user agents mention both).
+const PLATFORMS = [
+  ["iOS", /iPhone|iPad|iPod/],
+  ["Android", /Android/],
+  ["Windows", /Windows/],
+  ["macOS", /Mac OS X|Macintosh/],
+  ["ChromeOS", /CrOS/],
+  ["Linux", /Linux/],
+];
+
+/**
+ * getClientInfo(req)
+ * -----------------------------------------------------------------------------
+ * Returns { userAgent, ipAddress } (either may be null).
+ */
+function getClientInfo(req) {
+  const userAgent = req.get("user-agent");
+
+  return {
+    userAgent: userAgent ? userAgent.slice(0, MAX_USER_AGENT_LENGTH) : null,
+    ipAddress: req.ip || null,
+  };
+}
+
+/**
+ * describeUserAgent(userAgent)
+ * -----------------------------------------------------------------------------
+ * "Chrome on macOS", "Firefox", "curl/8.5.0" or "Unknown device".
+ */
+function describeUserAgent(userAgent) {
+  if (!userAgent) return "Unknown device";
+
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent));
+  const platform = PLATFORMS.find(([, pattern]) => pattern.test(userAgent));
+
+  if (browser && platform) return `${browser[0]} on ${platform[0]}`;
+  if (browser || platform) return (browser || platform)[0];
+
+  // Scripts and tools (curl, HTTPie, ...): their product token says enough.
+  return userAgent.split(" ")[0].slice(0, 40);
+}
+
+module.exports = { getClientInfo, describeUserAgent };
@@ -0,0 +1,74 @@
+/**
+ * utils/csrf.js
+ * -----------------------------------------------------------------------------
+ * CSRF protection for cookie-authenticated requests (AUTH_MODE=cookie).
+ *
+ * Purpose:
+ * - Issue a synchronizer token bound to the session.
+ * - Check it on state-changing requests that authenticate with cookies.
+ *
+ * How it works:
+ * - The token is an HMAC of the session id, so it needs no storage and stays
+ *   the same for the whole session (refresh rotation does not change it).
+ * - The client receives it in the login/refresh response body and sends it
+ *   back in the X-CSRF-Token header. Another site can make the browser send
+ *   the cookies, but cannot read the token or set the header.
+ * - Requests authenticated with an Authorization header do not need it:
+ *   browsers never attach that header on their own.
+ * -----------------------------------------------------------------------------
+ */
+
+const crypto = require("crypto"); // HMAC + constant-time compare
+const config = require("../config"); // Signing secret
+
+const CSRF_HEADER = "X-CSRF-Token";
+
+// Methods that must not change state, so they are exempt from CSRF checks.
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+/**
+ * csrfTokenFor(sessionId)
+ * -----------------------------------------------------------------------------
+ * The CSRF token for a session.
+ */
+function csrfTokenFor(sessionId) {
+  return crypto
+    .createHmac("sha256", config.jwtSecret)
+    .update(`csrf:${sessionId}`)
+    .digest("base64url");
+}
+
+/**
+ * requiresCsrf(req)
+ * -----------------------------------------------------------------------------
+ * True for state-changing methods.
+ */
+function requiresCsrf(req) {
+  return !SAFE_METHODS.includes(req.method);
+}
+
+/**
+ * hasValidCsrfToken(req, sessionId)
+ * -----------------------------------------------------------------------------
+ * Compares the X-CSRF-Token header with the session's token in constant time.
+ */
+function hasValidCsrfToken(req, sessionId) {
+  const provided = req.get(CSRF_HEADER);
+  if (typeof provided !== "string") return false;
+
+  const expected = Buffer.from(csrfTokenFor(sessionId));
+  const actual = Buffer.from(provided);
+
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * sendCsrfError(res)
+ * -----------------------------------------------------------------------------
+ * 403 with a code the client uses to fetch a fresh token and retry once.
+ */
+function sendCsrfError(res) {
+  return res.status(403).json({ error: "Invalid or missing CSRF token.", code: "CSRF_INVALID" });
+}
+
+module.exports = { csrfTokenFor, requiresCsrf, hasValidCsrfToken, sendCsrfError };
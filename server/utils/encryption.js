@@ -0,0 +1,50 @@
+/**
+ * utils/encryption.js
+ * -----------------------------------------------------------------------------
+ * Symmetric encryption for secrets stored in the database.
+ *
+ * Purpose:
+ * - Keep values like TOTP secrets unreadable in a database dump.
+ *
+ * Format:
+ *   <iv>.<auth tag>.<ciphertext>  (each part base64url)
+ *
+ * - AES-256-GCM provides confidentiality and tamper detection.
+ * - The 256-bit key is derived from config.encryptionKey with SHA-256.
+ * -----------------------------------------------------------------------------
+ */
+
+const crypto = require("crypto"); // AES-GCM + key derivation
+const config = require("../config"); // Centralized configuration
+
+const ALGORITHM = "aes-256-gcm";
+const key = crypto.createHash("sha256").update(config.encryptionKey).digest();
+
+/**
+ * encrypt(plaintext)
+ * -----------------------------------------------------------------------------
+ * Returns a string safe to store in a TEXT column.
+ */
+function encrypt(plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, "utf8"), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), ciphertext].map((b) => b.toString("base64url")).join(".");
+}
+
+/**
+ * decrypt(payload)
+ * -----------------------------------------------------------------------------
+ * Reverses encrypt(). Throws if the value was tampered with or the key changed.
+ */
+function decrypt(payload) {
+  const [iv, authTag, ciphertext] = payload.split(".").map((p) => Buffer.from(p, "base64url"));
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(authTag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString("utf8");
+}
+
+module.exports = { encrypt, decrypt };
@@ -0,0 +1,222 @@
+/**
+ * utils/jwtKeys.js
+ * -----------------------------------------------------------------------------
+ * JWT signing keyring.
+ *
+ * Purpose:
+ * - Sign JWTs with an asymmetric private key, naming it in the "kid" header.
+ * - Verify JWTs with the public key their kid names, pinned to that key's
+ *   algorithm, issuer and audience.
+ * - Publish the public keys as a JWK Set so other services can verify tokens
+ *   without holding any secret.
+ *
+ * Key files (in config.jwtKeysDir):
+ *   <kid>.private.pem  -> can sign (the active key must have one)
+ *   <kid>.public.pem   -> verify only
+ *
+ * Supported keys:
+ * - RSA (2048 bits or more) -> RS256
+ * - EC P-256                -> ES256
+ * (jsonwebtoken does not implement EdDSA, so Ed25519 keys are rejected.)
+ *
+ * Rotation:
+ * 1. npm run generate-jwt-key -- <new kid>
+ * 2. Set JWT_ACTIVE_KID to the new kid and restart. New tokens use the new
+ *    key; tokens signed with the old key still verify.
+ * 3. Once every old token has expired (ACCESS_TOKEN_TTL), remove the old key.
+ * -----------------------------------------------------------------------------
+ */
+
+const crypto = require("crypto"); // Key parsing + JWK export
+const fs = require("fs"); // Read key files
+const path = require("path"); // Build key file paths
+const jwt = require("jsonwebtoken"); // JWT signing + verification
+const config = require("../config"); // Key directory, active kid, iss/aud
+
+const PRIVATE_SUFFIX = ".private.pem";
+const PUBLIC_SUFFIX = ".public.pem";
+
+// Key ids appear in file names and token headers; keep them simple.
+const KID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * algorithmFor(publicKey)
+ * -----------------------------------------------------------------------------
+ * The one algorithm a key may be used with. Fixing it per key prevents
+ * algorithm confusion (a token cannot choose how it is verified).
+ */
+function algorithmFor(publicKey) {
+  const type = publicKey.asymmetricKeyType;
+
+  if (type === "rsa") {
+    if (publicKey.asymmetricKeyDetails.modulusLength < 2048) {
+      throw new Error("RSA JWT keys must be at least 2048 bits.");
+    }
+    return "RS256";
+  }
+
+  if (type === "ec" && publicKey.asymmetricKeyDetails.namedCurve === "prime256v1") {
+    return "ES256";
+  }
+
+  throw new Error(`Unsupported JWT key type: ${type}. Use RSA or EC P-256.`);
+}
+
+/**
+ * buildKey(kid, { privateKey, publicKey })
+ * -----------------------------------------------------------------------------
+ * Normalizes a key pair (the public key is derived when only the private
+ * key is available).
+ */
+function buildKey(kid, { privateKey = null, publicKey = null }) {
+  const verifyKey = publicKey || crypto.createPublicKey(privateKey);
+
+  return {
+    kid,
+    alg: algorithmFor(verifyKey),
+    privateKey,
+    publicKey: verifyKey,
+  };
+}
+
+/**
+ * readKeyFiles(dir)
+ * -----------------------------------------------------------------------------
+ * Map of kid -> { privateKey?, publicKey? } for every key file in dir.
+ */
+function readKeyFiles(dir) {
+  const found = new Map();
+
+  if (!fs.existsSync(dir)) return found;
+
+  for (const file of fs.readdirSync(dir)) {
+    const isPrivate = file.endsWith(PRIVATE_SUFFIX);
+    const isPublic = file.endsWith(PUBLIC_SUFFIX);
+    if (!isPrivate && !isPublic) continue;
+
+    const kid = file.slice(0, -(isPrivate ? PRIVATE_SUFFIX : PUBLIC_SUFFIX).length);
+    if (!KID_PATTERN.test(kid)) {
+      throw new Error(`Invalid JWT key id in file name: ${file}`);
+    }
+
+    const pem = fs.readFileSync(path.join(dir, file), "utf8");
+    const entry = found.get(kid) || {};
+
+    if (isPrivate) entry.privateKey = crypto.createPrivateKey(pem);
+    else entry.publicKey = crypto.createPublicKey(pem);
+
+    found.set(kid, entry);
+  }
+
+  return found;
+}
+
+/**
+ * loadKeyring()
+ * -----------------------------------------------------------------------------
+ * Reads the keys once at startup. Fails fast on a misconfigured keyring.
+ *
+ * With no key files and no JWT_ACTIVE_KID, a temporary key is generated so
+ * local development works out of the box. Access tokens then stop verifying
+ * after a restart; clients simply refresh (refresh tokens are not JWTs).
+ */
+function loadKeyring() {
+  const files = readKeyFiles(config.jwtKeysDir);
+  const keys = new Map();
+
+  for (const [kid, pair] of files) {
+    keys.set(kid, buildKey(kid, pair));
+  }
+
+  if (keys.size === 0 && !config.jwtActiveKid) {
+    const kid = `dev-${crypto.randomBytes(4).toString("hex")}`;
+    const { privateKey } = crypto.generateKeyPairSync("ec", { namedCurve: "prime256v1" });
+
+    console.warn(
+      `No JWT keys found in ${config.jwtKeysDir}; using temporary key ${kid}. ` +
+        "Run `npm run generate-jwt-key` and set JWT_ACTIVE_KID for real deployments."
+    );
+
+    keys.set(kid, buildKey(kid, { privateKey }));
+    return { keys, active: keys.get(kid) };
+  }
+
+  if (!config.jwtActiveKid) {
+    throw new Error("JWT_ACTIVE_KID must name the key used to sign tokens.");
+  }
+
+  const active = keys.get(config.jwtActiveKid);
+
+  if (!active || !active.privateKey) {
+    throw new Error(
+      `JWT_ACTIVE_KID "${config.jwtActiveKid}" needs ${config.jwtActiveKid}${PRIVATE_SUFFIX} in ${config.jwtKeysDir}`
+    );
+  }
+
+  return { keys, active };
+}
+
+const keyring = loadKeyring();
+
+/**
+ * signJwt(payload, { audience, expiresIn })
+ * -----------------------------------------------------------------------------
+ * Signs with the active key. audience defaults to config.jwtAudience.
+ */
+function signJwt(payload, { audience = config.jwtAudience, expiresIn }) {
+  const { kid, alg, privateKey } = keyring.active;
+
+  return jwt.sign(payload, privateKey, {
+    algorithm: alg,
+    keyid: kid,
+    issuer: config.jwtIssuer,
+    audience,
+    expiresIn,
+  });
+}
+
+/**
+ * verifyJwt(token, { audience, ignoreExpiration })
+ * -----------------------------------------------------------------------------
+ * Returns the payload, or throws (like jwt.verify) when the token is
+ * malformed, names an unknown key, uses another algorithm than that key's,
+ * has the wrong issuer or audience, or has expired.
+ */
+function verifyJwt(token, { audience = config.jwtAudience, ignoreExpiration = false } = {}) {
+  const decoded = jwt.decode(token, { complete: true });
+  const key = decoded && keyring.keys.get(decoded.header.kid);
+
+  if (!key) {
+    throw new jwt.JsonWebTokenError("Unknown or missing key id.");
+  }
+
+  return jwt.verify(token, key.publicKey, {
+    algorithms: [key.alg],
+    issuer: config.jwtIssuer,
+    audience,
+    ignoreExpiration,
+  });
+}
+
+/**
+ * getJwks()
+ * -----------------------------------------------------------------------------
+ * Public keys as a JWK Set (RFC 7517), active key first.
+ */
+function getJwks() {
+  const ordered = [
+    keyring.active,
+    ...[...keyring.keys.values()].filter((key) => key !== keyring.active),
+  ];
+
+  return {
+    keys: ordered.map((key) => ({
+      ...key.publicKey.export({ format: "jwk" }),
+      kid: key.kid,
+      alg: key.alg,
+      use: "sig",
+    })),
+  };
+}
+
+module.exports = { signJwt, verifyJwt, getJwks };
@@ -0,0 +1,203 @@
+/**
+ * utils/oidcClient.js
+ * -----------------------------------------------------------------------------
+ * OpenID Connect relying party (authorization code flow + PKCE).
+ *
+ * Purpose:
+ * - Discover the provider's endpoints from OIDC_ISSUER.
+ * - Build the authorization URL (state, nonce, S256 code challenge).
+ * - Exchange the authorization code for tokens.
+ * - Verify the ID token: signature (provider JWKS), algorithm, issuer,
+ *   audience, expiry and nonce.
+ *
+ * Provider metadata and keys are cached in memory; keys are re-fetched once
+ * when a token names an unknown kid (the provider rotated its keys).
+ * -----------------------------------------------------------------------------
+ */
+
+const crypto = require("crypto"); // PKCE hashing + JWK import
+const jwt = require("jsonwebtoken"); // ID token verification
+const config = require("../config"); // Issuer, client id/secret, redirect URI
+
+const SCOPES = "openid email profile";
+
+// ID tokens signed with anything else (notably "none" or HS256) are rejected.
+const ID_TOKEN_ALGORITHMS = ["RS256", "ES256"];
+
+const METADATA_TTL_MS = 60 * 60 * 1000; // 1 hour
+const REQUEST_TIMEOUT_MS = 5000;
+
+let metadataCache = null; // { metadata, fetchedAt }
+let jwksCache = null; // Map of kid -> KeyObject
+
+/**
+ * isOidcEnabled()
+ * -----------------------------------------------------------------------------
+ * True when an identity provider is configured.
+ */
+function isOidcEnabled() {
+  return Boolean(config.oidcIssuer);
+}
+
+async function fetchJson(url, options = {}) {
+  const response = await fetch(url, {
+    ...options,
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+  const body = await response.json().catch(() => null);
+
+  if (!response.ok) {
+    const reason = body?.error_description || body?.error || response.statusText;
+    throw new Error(`OIDC request to ${url} failed (${response.status}): ${reason}`);
+  }
+
+  return body;
+}
+
+/**
+ * getProviderMetadata()
+ * -----------------------------------------------------------------------------
+ * The provider's discovery document (/.well-known/openid-configuration).
+ */
+async function getProviderMetadata() {
+  if (metadataCache && Date.now() - metadataCache.fetchedAt < METADATA_TTL_MS) {
+    return metadataCache.metadata;
+  }
+
+  const issuer = config.oidcIssuer.replace(/\/$/, "");
+  const metadata = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+
+  // A provider must describe itself; anything else could be a spoofed document.
+  if (metadata.issuer !== config.oidcIssuer) {
+    throw new Error(`OIDC issuer mismatch: expected ${config.oidcIssuer}, got ${metadata.issuer}`);
+  }
+
+  metadataCache = { metadata, fetchedAt: Date.now() };
+  return metadata;
+}
+
+async function loadProviderKeys() {
+  const { jwks_uri: jwksUri } = await getProviderMetadata();
+  const { keys = [] } = await fetchJson(jwksUri);
+
+  jwksCache = new Map(
+    keys
+      .filter((jwk) => jwk.kid && (!jwk.use || jwk.use === "sig"))
+      .map((jwk) => [jwk.kid, crypto.createPublicKey({ key: jwk, format: "jwk" })])
+  );
+}
+
+async function getProviderKey(kid) {
+  if (!jwksCache || !jwksCache.has(kid)) {
+    await loadProviderKeys();
+  }
+
+  return jwksCache.get(kid) || null;
+}
+
+/**
+ * createPkcePair()
+ * -----------------------------------------------------------------------------
+ * { codeVerifier, codeChallenge } for the S256 method (RFC 7636).
+ */
+function createPkcePair() {
+  const codeVerifier = crypto.randomBytes(32).toString("base64url");
+  const codeChallenge = crypto.createHash("sha256").update(codeVerifier).digest("base64url");
+
+  return { codeVerifier, codeChallenge };
+}
+
+/**
+ * buildAuthorizationUrl({ state, nonce, codeChallenge })
+ * -----------------------------------------------------------------------------
+ * Where to send the browser to sign in at the provider.
+ */
+async function buildAuthorizationUrl({ state, nonce, codeChallenge }) {
+  const { authorization_endpoint: endpoint } = await getProviderMetadata();
+  const url = new URL(endpoint);
+
+  url.search = new URLSearchParams({
+    response_type: "code",
+    client_id: config.oidcClientId,
+    redirect_uri: config.oidcRedirectUri,
+    scope: SCOPES,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: "S256",
+  }).toString();
+
+  return url.toString();
+}
+
+/**
+ * exchangeCode(code, codeVerifier)
+ * -----------------------------------------------------------------------------
+ * Redeems an authorization code at the token endpoint. Returns the ID token.
+ */
+async function exchangeCode(code, codeVerifier) {
+  const { token_endpoint: endpoint } = await getProviderMetadata();
+
+  const params = new URLSearchParams({
+    grant_type: "authorization_code",
+    code,
+    redirect_uri: config.oidcRedirectUri,
+    client_id: config.oidcClientId,
+    code_verifier: codeVerifier,
+  });
+
+  if (config.oidcClientSecret) {
+    params.set("client_secret", config.oidcClientSecret);
+  }
+
+  const tokens = await fetchJson(endpoint, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: params.toString(),
+  });
+
+  if (!tokens.id_token) {
+    throw new Error("OIDC token response did not include an id_token.");
+  }
+
+  return tokens.id_token;
+}
+
+/**
+ * verifyIdToken(idToken, nonce)
+ * -----------------------------------------------------------------------------
+ * Returns the ID token claims, or throws when the token does not check out.
+ */
+async function verifyIdToken(idToken, nonce) {
+  const decoded = jwt.decode(idToken, { complete: true });
+  const key = decoded && (await getProviderKey(decoded.header.kid));
+
+  if (!key) {
+    throw new Error("ID token is signed with an unknown key.");
+  }
+
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ID_TOKEN_ALGORITHMS,
+    issuer: config.oidcIssuer,
+    audience: config.oidcClientId,
+  });
+
+  // The nonce ties the token to the sign-in this browser started.
+  if (claims.nonce !== nonce) {
+    throw new Error("ID token nonce does not match.");
+  }
+
+  if (!claims.sub) {
+    throw new Error("ID token has no subject.");
+  }
+
+  return claims;
+}
+
+module.exports = {
+  isOidcEnabled,
+  createPkcePair,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+};
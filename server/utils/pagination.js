@@ -0,0 +1,112 @@
+/**
+ * utils/pagination.js
+ * -----------------------------------------------------------------------------
+ * Cursors for keyset pagination (GET /api/tasks).
+ *
+ * Format:
+ *   base64url(JSON { s: sort field, o: order, k: sort key of the last row as
+ *   text (null when it has none), i: id of the last row })
+ *
+ * Notes:
+ * - Cursors are opaque to clients but not secret: they only point into the
+ *   caller's own list, and every value is passed to SQL as a parameter.
+ * - The sort key is kept as PostgreSQL text so timestamps keep their
+ *   microseconds (a JavaScript Date would round them and skip or repeat rows).
+ * - The key is checked against its sort's SQL type when decoding, so a
+ *   tampered cursor is rejected instead of failing the cast in PostgreSQL.
+ * -----------------------------------------------------------------------------
+ */
+
+// SQL type of each sort expression in GET /api/tasks, to compare it with a
+// cursor's key (sent as text).
+const SORT_KEY_TYPES = {
+  created_at: "timestamptz",
+  updated_at: "timestamptz",
+  due_at: "timestamptz",
+  title: "text",
+  position: "double precision",
+  priority: "integer",
+};
+
+// Sorts whose key may be null (tasks without a due date).
+const NULLABLE_SORT_KEYS = ["due_at"];
+
+// timestamptz as PostgreSQL prints it ("2026-01-05 09:30:00.123456+00"), or
+// ISO 8601 ("2026-01-05T09:30:00Z").
+const TIMESTAMP_PATTERN = /^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2}):(\d{2})(\.\d{1,6})?(Z|[+-]\d{2}(:?\d{2}){0,2})$/;
+
+// Largest PostgreSQL integer (priority keys and task ids).
+const INT32_MAX = 2 ** 31 - 1;
+
+/**
+ * isValidSortKey(type, key)
+ * -----------------------------------------------------------------------------
+ * Whether a non-null key can be cast to the given SORT_KEY_TYPES type.
+ */
+function isValidSortKey(type, key) {
+  if (type === "text") return !key.includes("\u0000");
+
+  if (type === "integer") {
+    return /^-?\d{1,10}$/.test(key) && Math.abs(Number(key)) <= INT32_MAX;
+  }
+
+  if (type === "double precision") {
+    return /^-?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(key) && Number.isFinite(Number(key));
+  }
+
+  // timestamptz: the date and time must exist (no month 13 or 25:00).
+  const match = TIMESTAMP_PATTERN.exec(key);
+  if (!match) return false;
+
+  const [year, month, day, hour, minute, second] = match.slice(1, 7).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+  return (
+    date.getUTCFullYear() === year &&
+    date.getUTCMonth() === month - 1 &&
+    date.getUTCDate() === day &&
+    date.getUTCHours() === hour &&
+    date.getUTCMinutes() === minute &&
+    date.getUTCSeconds() === second
+  );
+}
+
+/**
+ * encodeCursor({ sort, order, key, id })
+ * -----------------------------------------------------------------------------
+ * Cursor for the rows after the given one.
+ */
+function encodeCursor({ sort, order, key, id }) {
+  return Buffer.from(JSON.stringify({ s: sort, o: order, k: key, i: id })).toString("base64url");
+}
+
+/**
+ * decodeCursor(cursor)
+ * -----------------------------------------------------------------------------
+ * Returns { sort, order, key, id }, or null when the cursor is malformed:
+ * not our format, an unknown sort, a key that does not fit the sort, or an
+ * id outside the integer range of tasks.id.
+ */
+function decodeCursor(cursor) {
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch {
+    return null;
+  }
+
+  const valid =
+    data !== null &&
+    typeof data === "object" &&
+    Object.hasOwn(SORT_KEY_TYPES, data.s) &&
+    (data.o === "asc" || data.o === "desc") &&
+    (data.k === null
+      ? NULLABLE_SORT_KEYS.includes(data.s)
+      : typeof data.k === "string" && isValidSortKey(SORT_KEY_TYPES[data.s], data.k)) &&
+    Number.isInteger(data.i) &&
+    data.i > 0 &&
+    data.i <= INT32_MAX;
+
+  return valid ? { sort: data.s, order: data.o, key: data.k, id: data.i } : null;
+}
+
+module.exports = { SORT_KEY_TYPES, encodeCursor, decodeCursor };
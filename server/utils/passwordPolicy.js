@@ -0,0 +1,128 @@
+/**
+ * utils/passwordPolicy.js
+ * -----------------------------------------------------------------------------
+ * Shared password policy
+ *
+ * Purpose:
+ * - One set of password rules for every place a password is chosen
+ *   (registration, password reset, password change).
+ * - Expose the same rules to the frontend (GET /api/auth/password-policy) so
+ *   the registration checklist matches what the server enforces.
+ *
+ * Rules:
+ * - At least config.passwordMinLength characters.
+ * - At most config.passwordMaxLength characters and 72 bytes (bcrypt only
+ *   uses the first 72 bytes of its input).
+ * - Must not contain the account's username or email address.
+ * - Must not appear in the bundled common/breached password list
+ *   (data/common-passwords.txt), compared case-insensitively.
+ * -----------------------------------------------------------------------------
+ */
+
+const fs = require("fs"); // Read the bundled password list once at startup
+const path = require("path"); // Resolve the list relative to server/
+const config = require("../config"); // Centralized configuration
+
+// bcrypt silently truncates input beyond this many bytes.
+const BCRYPT_MAX_BYTES = 72;
+
+// Personal values shorter than this are too likely to match by accident.
+const MIN_PERSONAL_MATCH_LENGTH = 3;
+
+const COMMON_PASSWORDS = new Set(
+  fs
+    .readFileSync(path.join(__dirname, "..", "data", "common-passwords.txt"), "utf8")
+    .split(/\r?\n/)
+    .map((line) => line.trim().toLowerCase())
+    .filter((line) => line && !line.startsWith("#"))
+);
+
+/**
+ * getPasswordPolicy()
+ * -----------------------------------------------------------------------------
+ * Public description of the rules, for clients that want to check passwords
+ * as the user types.
+ */
+function getPasswordPolicy() {
+  return {
+    minLength: config.passwordMinLength,
+    maxLength: config.passwordMaxLength,
+    maxBytes: BCRYPT_MAX_BYTES,
+    disallowPersonalInfo: true,
+    commonPasswords: [...COMMON_PASSWORDS],
+  };
+}
+
+/**
+ * personalValues({ username, email })
+ * -----------------------------------------------------------------------------
+ * Lowercased values a password must not contain: the username, the full
+ * email address and its local part.
+ */
+function personalValues({ username, email } = {}) {
+  const values = [];
+
+  if (typeof username === "string") values.push(username.trim());
+
+  if (typeof email === "string") {
+    const normalized = email.trim();
+    values.push(normalized, normalized.split("@")[0]);
+  }
+
+  return values
+    .map((value) => value.toLowerCase())
+    .filter((value) => value.length >= MIN_PERSONAL_MATCH_LENGTH);
+}
+
+/**
+ * validatePassword(password, account)
+ * -----------------------------------------------------------------------------
+ * Checks a candidate password against every rule.
+ * - account: { username, email } of the account the password is for.
+ *
+ * Returns an array of user-facing messages (empty when the password is OK).
+ */
+function validatePassword(password, account = {}) {
+  if (typeof password !== "string" || password.length === 0) {
+    return ["Password is required."];
+  }
+
+  const errors = [];
+  const lowered = password.toLowerCase();
+
+  if (password.length < config.passwordMinLength) {
+    errors.push(`Password must be at least ${config.passwordMinLength} characters.`);
+  }
+
+  if (
+    password.length > config.passwordMaxLength ||
+    Buffer.byteLength(password, "utf8") > BCRYPT_MAX_BYTES
+  ) {
+    errors.push(`Password must be at most ${config.passwordMaxLength} characters.`);
+  }
+
+  if (personalValues(account).some((value) => lowered.includes(value))) {
+    errors.push("Password must not contain your username or email address.");
+  }
+
+  if (COMMON_PASSWORDS.has(lowered)) {
+    errors.push("This password is too common or has appeared in a data breach.");
+  }
+
+  return errors;
+}
+
+/**
+ * passwordPolicyError(errors)
+ * -----------------------------------------------------------------------------
+ * 400 response body in the same { error, details } shape as Zod validation
+ * failures, so clients can show every unmet rule at once.
+ */
+function passwordPolicyError(errors) {
+  return {
+    error: errors[0],
+    details: errors.map((message) => ({ field: "password", message })),
+  };
+}
+
+module.exports = { getPasswordPolicy, validatePassword, passwordPolicyError };
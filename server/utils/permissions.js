@@ -0,0 +1,51 @@
+/**
+ * utils/permissions.js
+ * -----------------------------------------------------------------------------
+ * Roles and permissions
+ *
+ * Purpose:
+ * - Define which permissions each role grants, in one place.
+ * - Let routes ask for a permission (requirePermission) instead of a role,
+ *   so new roles only need an entry here.
+ *
+ * Roles:
+ * - user:  manage their own tasks and account
+ * - admin: everything a user can do, plus user administration
+ *
+ * Personal access tokens:
+ * - Carry a subset of TOKEN_SCOPES; requirePermission() needs both the
+ *   owner's role and the token's scopes to allow a request.
+ * -----------------------------------------------------------------------------
+ */
+
+const ROLES = ["user", "admin"];
+
+const USER_PERMISSIONS = ["tasks:read", "tasks:write"];
+
+const ROLE_PERMISSIONS = {
+  user: USER_PERMISSIONS,
+  admin: [...USER_PERMISSIONS, "users:read", "users:manage", "sessions:revoke"],
+};
+
+// Permissions that may be granted to a personal access token.
+const TOKEN_SCOPES = ["tasks:read", "tasks:write"];
+
+/**
+ * permissionsForRole(role)
+ * -----------------------------------------------------------------------------
+ * Returns the permission list for a role (empty for unknown roles).
+ */
+function permissionsForRole(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+/**
+ * hasPermission(role, permission)
+ * -----------------------------------------------------------------------------
+ * True when the role grants the permission.
+ */
+function hasPermission(role, permission) {
+  return permissionsForRole(role).includes(permission);
+}
+
+module.exports = { ROLES, TOKEN_SCOPES, permissionsForRole, hasPermission };
@@ -0,0 +1,347 @@
+/**
+ * utils/recurrence.js
+ * -----------------------------------------------------------------------------
+ * Recurrence rules for repeating tasks (a subset of RFC 5545 RRULE).
+ *
+ * Purpose:
+ * - Validate and normalize rules sent by clients.
+ * - Compute a task's next occurrence when it is completed.
+ *
+ * A series starts at the due date the task had when its rule was set (the
+ * RFC 5545 DTSTART); that first occurrence counts toward COUNT.
+ *
+ * Supported rule parts:
+ * - FREQ=DAILY | WEEKLY | MONTHLY (required)
+ * - INTERVAL=n (1-999, default 1): every n days / weeks / months
+ * - BYDAY=MO,WE,...: only these weekdays (DAILY), these weekdays of each
+ *   week (WEEKLY; weeks start on Monday), or these weekdays of each month
+ *   (MONTHLY; an ordinal picks one of them, e.g. 2TU = second Tuesday,
+ *   -1FR = last Friday)
+ * - COUNT=n (1-1000) or UNTIL=YYYYMMDD / YYYYMMDDTHHMMSSZ (not both)
+ *
+ * Timezones:
+ * - Occurrences keep the first due date's wall-clock time in the rule's IANA
+ *   timezone, so a task due at 09:00 stays at 09:00 across DST changes. A
+ *   time skipped by a DST change moves forward by the gap (RFC 5545); a time
+ *   that happens twice uses the first.
+ * - A date-only UNTIL includes that whole day in the rule's timezone.
+ * -----------------------------------------------------------------------------
+ */
+
+const FREQUENCIES = ["DAILY", "WEEKLY", "MONTHLY"];
+
+// RFC 5545 weekday codes in JavaScript getUTCDay() order (0 = Sunday).
+const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+const MAX_INTERVAL = 999;
+const MAX_COUNT = 1000;
+
+// Periods (days, weeks or months) searched for the next occurrence before
+// giving up; only reached by rules that almost never match.
+const MAX_PERIODS = 100000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * parseRule(text)
+ * -----------------------------------------------------------------------------
+ * Parses a rule ("RRULE:" prefix optional, case-insensitive).
+ *
+ * Returns:
+ * - { freq, interval, byDay: [{ ordinal, weekday }] | null, count, until }
+ *   where until is null, { date: "YYYYMMDD" } or { instant: ms }
+ *
+ * Throws:
+ * - Error with a message suitable for the client when the rule is invalid
+ *   or uses an unsupported part
+ */
+function parseRule(text) {
+  const parts = {};
+
+  for (const part of text.trim().replace(/^RRULE:/i, "").split(";")) {
+    const [name, value, extra] = part.split("=");
+
+    if (!name || !value || extra !== undefined) {
+      throw new Error(`Invalid rule part "${part}" (expected NAME=value).`);
+    }
+
+    const key = name.toUpperCase();
+    if (!["FREQ", "INTERVAL", "BYDAY", "COUNT", "UNTIL"].includes(key)) {
+      throw new Error(`Unsupported rule part ${key} (supported: FREQ, INTERVAL, BYDAY, COUNT, UNTIL).`);
+    }
+    if (key in parts) throw new Error(`${key} is given more than once.`);
+
+    parts[key] = value.toUpperCase();
+  }
+
+  if (!FREQUENCIES.includes(parts.FREQ)) {
+    throw new Error(`FREQ must be one of: ${FREQUENCIES.join(", ")}.`);
+  }
+
+  const rule = { freq: parts.FREQ, interval: 1, byDay: null, count: null, until: null };
+
+  if (parts.INTERVAL !== undefined) {
+    rule.interval = parseBoundedInt(parts.INTERVAL, MAX_INTERVAL, "INTERVAL");
+  }
+
+  if (parts.BYDAY !== undefined) {
+    rule.byDay = parts.BYDAY.split(",").map((day) => parseWeekday(day, rule.freq));
+  }
+
+  if (parts.COUNT !== undefined && parts.UNTIL !== undefined) {
+    throw new Error("Use either COUNT or UNTIL, not both.");
+  }
+
+  if (parts.COUNT !== undefined) {
+    rule.count = parseBoundedInt(parts.COUNT, MAX_COUNT, "COUNT");
+  }
+
+  if (parts.UNTIL !== undefined) {
+    rule.until = parseUntil(parts.UNTIL);
+  }
+
+  return rule;
+}
+
+function parseBoundedInt(value, max, name) {
+  const number = Number(value);
+
+  if (!/^\d+$/.test(value) || number < 1 || number > max) {
+    throw new Error(`${name} must be a whole number from 1 to ${max}.`);
+  }
+
+  return number;
+}
+
+// "MO", or with an ordinal for monthly rules: "2TU", "-1FR".
+function parseWeekday(text, freq) {
+  const match = /^([+-]?[1-5])?(SU|MO|TU|WE|TH|FR|SA)$/.exec(text);
+  if (!match) throw new Error(`Invalid BYDAY value "${text}" (e.g. MO, or 2TU for monthly rules).`);
+
+  const ordinal = match[1] ? Number(match[1]) : null;
+  if (ordinal !== null && freq !== "MONTHLY") {
+    throw new Error("BYDAY ordinals (like 2TU) are only allowed with FREQ=MONTHLY.");
+  }
+
+  return { ordinal, weekday: WEEKDAYS.indexOf(match[2]) };
+}
+
+function parseUntil(text) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z)?$/.exec(text);
+  if (!match) throw new Error("UNTIL must be YYYYMMDD or YYYYMMDDTHHMMSSZ (UTC).");
+
+  const [, year, month, day, hour, minute, second] = match.map(Number);
+  const instant = Date.UTC(year, month - 1, day, hour || 0, minute || 0, second || 0);
+  const date = new Date(instant);
+
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day || hour > 23 || minute > 59 || second > 59) {
+    throw new Error("UNTIL is not a valid date.");
+  }
+
+  return match[4] === undefined ? { date: text } : { instant };
+}
+
+/**
+ * formatRule(rule)
+ * -----------------------------------------------------------------------------
+ * The canonical text of a parsed rule (parts in a fixed order, INTERVAL
+ * omitted when 1), e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;COUNT=5".
+ */
+function formatRule(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+
+  if (rule.byDay) {
+    const days = rule.byDay.map(({ ordinal, weekday }) => `${ordinal ?? ""}${WEEKDAYS[weekday]}`);
+    parts.push(`BYDAY=${[...new Set(days)].join(",")}`);
+  }
+
+  if (rule.count !== null) parts.push(`COUNT=${rule.count}`);
+
+  if (rule.until) {
+    parts.push(
+      `UNTIL=${rule.until.date ?? new Date(rule.until.instant).toISOString().replace(/[-:]|\.\d{3}/g, "")}`
+    );
+  }
+
+  return parts.join(";");
+}
+
+/**
+ * normalizeRule(text)
+ * -----------------------------------------------------------------------------
+ * Validates a rule and returns its canonical text (throws like parseRule()).
+ */
+function normalizeRule(text) {
+  return formatRule(parseRule(text));
+}
+
+/**
+ * normalizeTimeZone(timeZone)
+ * -----------------------------------------------------------------------------
+ * The canonical spelling of an IANA timezone this Node.js build knows
+ * ("europe/berlin" -> "Europe/Berlin"), or null for an unknown one.
+ */
+function normalizeTimeZone(timeZone) {
+  try {
+    return new Intl.DateTimeFormat("en-US", { timeZone }).resolvedOptions().timeZone;
+  } catch {
+    return null;
+  }
+}
+
+// One formatter per timezone (creating them is comparatively slow).
+const formatters = new Map();
+
+/**
+ * offsetAt(instant, timeZone)
+ * -----------------------------------------------------------------------------
+ * The timezone's UTC offset in milliseconds at an instant (local - UTC).
+ */
+function offsetAt(instant, timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+        second: "numeric",
+      })
+    );
+  }
+
+  const fields = {};
+  for (const { type, value } of formatters.get(timeZone).formatToParts(instant)) {
+    fields[type] = Number(value);
+  }
+
+  const local = Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour, fields.minute, fields.second);
+  return local - (instant - (((instant % 1000) + 1000) % 1000));
+}
+
+/**
+ * Wall-clock times are handled as "wall" milliseconds: the local date and
+ * time written as if it were UTC, so day arithmetic never meets a DST change.
+ */
+function toWall(instant, timeZone) {
+  return instant + offsetAt(instant, timeZone);
+}
+
+function fromWall(wall, timeZone) {
+  // Offsets a day either side: DST changes are never closer together.
+  const earlier = wall - offsetAt(wall - DAY_MS, timeZone);
+  const later = wall - offsetAt(wall + DAY_MS, timeZone);
+  const matches = [earlier, later].filter((instant) => toWall(instant, timeZone) === wall);
+
+  // A time that happens twice matches both: use the first. Inside a DST gap
+  // neither matches; the offset before the gap moves the time forward by it.
+  return matches.length > 0 ? Math.min(...matches) : earlier;
+}
+
+/**
+ * periodDays(rule, startDay, period)
+ * -----------------------------------------------------------------------------
+ * Wall midnights of the candidate days in one period (period 0 holds the
+ * first due date), in order.
+ */
+function periodDays(rule, startDay, period) {
+  const start = new Date(startDay);
+
+  if (rule.freq === "DAILY") {
+    const day = startDay + period * DAY_MS;
+    const weekday = new Date(day).getUTCDay();
+    return !rule.byDay || rule.byDay.some((d) => d.weekday === weekday) ? [day] : [];
+  }
+
+  if (rule.freq === "WEEKLY") {
+    const monday = startDay - ((start.getUTCDay() + 6) % 7) * DAY_MS + period * 7 * DAY_MS;
+    const weekdays = rule.byDay ? rule.byDay.map((d) => d.weekday) : [start.getUTCDay()];
+
+    return [...new Set(weekdays.map((weekday) => (weekday + 6) % 7))]
+      .sort((a, b) => a - b)
+      .map((offset) => monday + offset * DAY_MS);
+  }
+
+  // MONTHLY
+  const year = start.getUTCFullYear();
+  const month = start.getUTCMonth() + period;
+  const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  const dayOf = (date) => Date.UTC(year, month, date);
+
+  if (!rule.byDay) {
+    // Months without that date (the 31st in April) are skipped, as in RFC 5545.
+    return start.getUTCDate() <= daysInMonth ? [dayOf(start.getUTCDate())] : [];
+  }
+
+  const firstWeekday = new Date(dayOf(1)).getUTCDay();
+  const dates = new Set();
+
+  for (const { ordinal, weekday } of rule.byDay) {
+    const matching = [];
+    for (let date = 1 + ((weekday - firstWeekday + 7) % 7); date <= daysInMonth; date += 7) {
+      matching.push(date);
+    }
+
+    if (ordinal === null) matching.forEach((date) => dates.add(date));
+    else if (matching.at(ordinal > 0 ? ordinal - 1 : ordinal) !== undefined) {
+      dates.add(matching.at(ordinal > 0 ? ordinal - 1 : ordinal));
+    }
+  }
+
+  return [...dates].sort((a, b) => a - b).map(dayOf);
+}
+
+/**
+ * nextOccurrence(ruleText, timeZone, start, after)
+ * -----------------------------------------------------------------------------
+ * The first occurrence later than `after` of the series that begins at
+ * `start` (both Dates; start is the first occurrence and counts toward
+ * COUNT). Counting from a fixed start keeps the series on its days and time
+ * even when one occurrence was moved or completed late.
+ *
+ * Returns:
+ * - the occurrence as a Date
+ * - null when the series has ended (COUNT or UNTIL)
+ */
+function nextOccurrence(ruleText, timeZone, start, after) {
+  const rule = parseRule(ruleText);
+  const startWall = toWall(start.getTime(), timeZone);
+  const afterWall = toWall(after.getTime(), timeZone);
+  const timeOfDay = ((startWall % DAY_MS) + DAY_MS) % DAY_MS;
+  const startDay = startWall - timeOfDay;
+
+  let count = 0;
+
+  for (let period = 0; period < MAX_PERIODS; period += rule.interval) {
+    for (const day of periodDays(rule, startDay, period)) {
+      const wall = day + timeOfDay;
+      if (wall < startWall) continue;
+
+      count += 1;
+      if (rule.count !== null && count > rule.count) return null;
+      if (rule.until?.date && wall >= toUntilDayEnd(rule.until.date)) return null;
+
+      // Occurrences well before `after` only need counting.
+      if (wall < afterWall - DAY_MS) continue;
+
+      const instant = fromWall(wall, timeZone);
+      if (rule.until?.instant !== undefined && instant > rule.until.instant) return null;
+      if (instant > after.getTime()) return new Date(instant);
+    }
+  }
+
+  return null;
+}
+
+// Wall midnight after a "YYYYMMDD" UNTIL date.
+function toUntilDayEnd(date) {
+  return Date.UTC(Number(date.slice(0, 4)), Number(date.slice(4, 6)) - 1, Number(date.slice(6, 8))) + DAY_MS;
+}
+
+module.exports = { normalizeRule, normalizeTimeZone, nextOccurrence };
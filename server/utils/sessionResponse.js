@@ -0,0 +1,72 @@
+/**
+ * utils/sessionResponse.js
+ * -----------------------------------------------------------------------------
+ * Login responses shared by every way of signing in.
+ *
+ * Purpose:
+ * - Start a server-side session and send its tokens (password login, the
+ *   second-factor step, and OpenID Connect sign-in).
+ * - Send the second-factor challenge when the account has it enabled.
+ * -----------------------------------------------------------------------------
+ */
+
+const config = require("../config"); // Auth mode (bearer or cookie)
+const { signAccessToken, signMfaChallenge } = require("./tokens"); // JWT signing
+const { setAuthCookies } = require("./authCookies"); // Cookie-mode tokens
+const { csrfTokenFor } = require("./csrf"); // Cookie-mode CSRF token
+const { createSession } = require("../models/sessions"); // Server-side sessions
+const { getClientInfo } = require("./clientInfo"); // Device + IP for the sessions list
+const { clearAccountFailures } = require("../models/loginThrottle"); // Lockout counters
+
+/**
+ * startSessionResponse(req, res, user)
+ * -----------------------------------------------------------------------------
+ * Creates a server-side session and sends the login response.
+ * user is a users row (id, username, email, email_verified_at, role).
+ *
+ * In cookie mode the tokens go into HttpOnly cookies and the body carries the
+ * CSRF token instead.
+ */
+async function startSessionResponse(req, res, user) {
+  // A complete sign-in ends any run of failed attempts for this account.
+  await clearAccountFailures(user.email);
+
+  // The session row lets us revoke access later (logout, reuse detection).
+  const { sessionId, refreshToken } = await createSession(user.id, getClientInfo(req));
+
+  // Short-lived access token; the refresh token is used to get new ones.
+  const token = signAccessToken(user.id, sessionId);
+
+  // Safe user profile fields.
+  const profile = {
+    id: user.id,
+    username: user.username,
+    email: user.email,
+    emailVerified: user.email_verified_at !== null,
+    role: user.role,
+  };
+
+  if (config.authMode === "cookie") {
+    setAuthCookies(res, { token, refreshToken });
+    return res.json({ csrfToken: csrfTokenFor(sessionId), user: profile });
+  }
+
+  // Return token + safe user profile fields.
+  return res.json({ token, refreshToken, user: profile });
+}
+
+/**
+ * sendSecondFactorChallenge(res, user)
+ * -----------------------------------------------------------------------------
+ * The first step succeeded, but the session only starts after a valid code
+ * (POST /api/auth/login/mfa).
+ */
+function sendSecondFactorChallenge(res, user) {
+  return res.json({
+    mfaRequired: true,
+    challengeToken: signMfaChallenge(user.id),
+    methods: ["totp", "recovery_code"],
+  });
+}
+
+module.exports = { startSessionResponse, sendSecondFactorChallenge };
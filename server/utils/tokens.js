@@ -0,0 +1,155 @@
+/**
+ * utils/tokens.js
+ * -----------------------------------------------------------------------------
+ * Token helpers for authentication.
+ *
+ * Purpose:
+ * - Sign and verify short-lived access tokens (JWT, via the keyring in
+ *   utils/jwtKeys.js).
+ * - Sign and verify second-factor challenge tokens (JWT) used between the
+ *   password step and the TOTP step of login.
+ * - Generate opaque refresh tokens and hash them for storage.
+ * - Generate single-use opaque tokens (e.g. password reset links).
+ *
+ * Refresh token format:
+ *   <sessionId>.<random secret>
+ *
+ * - The session id lets the server find the session row directly.
+ * - The random secret is what proves possession; only its hash is stored.
+ * -----------------------------------------------------------------------------
+ */
+
+const crypto = require("crypto"); // Secure random bytes + hashing
+const config = require("../config"); // Centralized configuration
+const { signJwt, verifyJwt } = require("./jwtKeys"); // Asymmetric JWT keyring
+
+// Challenge tokens get their own audience so they can never pass as access
+// tokens (and access tokens never pass as challenges).
+const MFA_AUDIENCE = `${config.jwtAudience}:mfa`;
+
+// Session ids are UUIDs; anything else cannot match (and would make Postgres throw).
+const SESSION_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * signAccessToken(userId, sessionId)
+ * -----------------------------------------------------------------------------
+ * Creates a signed JWT for API access.
+ * - userId identifies the user.
+ * - sid ties the token to a server-side session so it can be revoked.
+ */
+function signAccessToken(userId, sessionId) {
+  return signJwt({ userId, sid: sessionId }, { expiresIn: config.accessTokenTtl });
+}
+
+/**
+ * verifyAccessToken(token)
+ * -----------------------------------------------------------------------------
+ * Returns the payload of a valid access token.
+ * Throws when the signature, key id, algorithm, issuer, audience or expiry
+ * does not check out.
+ */
+function verifyAccessToken(token) {
+  return verifyJwt(token);
+}
+
+/**
+ * getAccessTokenSessionId(token)
+ * -----------------------------------------------------------------------------
+ * Session id of an access token we signed, even if it has expired (the
+ * signature alone proves which session it was issued for). Returns null for
+ * anything else. Used to re-issue a session's CSRF token.
+ */
+function getAccessTokenSessionId(token) {
+  try {
+    const payload = verifyJwt(token, { ignoreExpiration: true });
+    return payload.sid || null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * signMfaChallenge(userId)
+ * -----------------------------------------------------------------------------
+ * Proof that the password step succeeded, valid only for the second factor.
+ * It has its own audience, so authMiddleware never accepts it as an access token.
+ */
+function signMfaChallenge(userId) {
+  return signJwt(
+    { userId, purpose: "mfa" },
+    { audience: MFA_AUDIENCE, expiresIn: config.mfaChallengeTtl }
+  );
+}
+
+/**
+ * verifyMfaChallenge(token)
+ * -----------------------------------------------------------------------------
+ * Returns the user id for a valid, unexpired challenge token, otherwise null.
+ */
+function verifyMfaChallenge(token) {
+  try {
+    const payload = verifyJwt(token, { audience: MFA_AUDIENCE });
+    return payload.purpose === "mfa" ? payload.userId : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * generateOpaqueToken()
+ * -----------------------------------------------------------------------------
+ * Random URL-safe token.
+ * 32 random bytes = 256 bits of entropy, so a fast hash is sufficient.
+ */
+function generateOpaqueToken() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+/**
+ * generateRefreshToken(sessionId)
+ * -----------------------------------------------------------------------------
+ * Builds a new refresh token for the given session.
+ */
+function generateRefreshToken(sessionId) {
+  return `${sessionId}.${generateOpaqueToken()}`;
+}
+
+/**
+ * parseRefreshToken(token)
+ * -----------------------------------------------------------------------------
+ * Splits a refresh token into its session id.
+ * Returns null when the token is not in the expected shape.
+ */
+function parseRefreshToken(token) {
+  if (typeof token !== "string") return null;
+
+  const parts = token.split(".");
+  if (parts.length !== 2 || !parts[0] || !parts[1]) return null;
+
+  // Reject anything but a UUID before it reaches SQL.
+  if (!SESSION_ID_PATTERN.test(parts[0])) return null;
+
+  return { sessionId: parts[0] };
+}
+
+/**
+ * hashToken(token)
+ * -----------------------------------------------------------------------------
+ * SHA-256 hex digest used to store tokens without keeping the raw value.
+ */
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+module.exports = {
+  SESSION_ID_PATTERN,
+  signAccessToken,
+  verifyAccessToken,
+  getAccessTokenSessionId,
+  signMfaChallenge,
+  verifyMfaChallenge,
+  generateOpaqueToken,
+  generateRefreshToken,
+  parseRefreshToken,
+  hashToken,
+};
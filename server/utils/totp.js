@@ -0,0 +1,156 @@
+/**
+ * utils/totp.js
+ * -----------------------------------------------------------------------------
+ * Time-based one-time passwords (RFC 6238 / RFC 4226).
+ *
+ * Purpose:
+ * - Generate TOTP secrets and otpauth:// URIs for authenticator apps.
+ * - Verify 6-digit codes with a small clock-drift window.
+ *
+ * Parameters (the defaults every common authenticator app expects):
+ * - HMAC-SHA1, 6 digits, 30-second time step
+ * -----------------------------------------------------------------------------
+ */
+
+const crypto = require("crypto"); // HMAC + random secrets
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+
+/**
+ * base32Encode(buffer) / base32Decode(text)
+ * -----------------------------------------------------------------------------
+ * RFC 4648 base32 without padding (the format authenticator apps use).
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+function base32Decode(text) {
+  const clean = text.replace(/=+$/, "").replace(/\s+/g, "").toUpperCase();
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error("Invalid base32 character.");
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * generateSecret()
+ * -----------------------------------------------------------------------------
+ * 160-bit random secret (RFC 4226 recommended length), base32 encoded.
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * currentStep(now)
+ * -----------------------------------------------------------------------------
+ * Number of 30-second steps since the Unix epoch.
+ */
+function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+/**
+ * generateCode(secret, step)
+ * -----------------------------------------------------------------------------
+ * HOTP value for a counter (RFC 4226 dynamic truncation).
+ */
+function generateCode(secret, step = currentStep()) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+}
+
+/**
+ * verifyCode(secret, code, window)
+ * -----------------------------------------------------------------------------
+ * Checks the code against the current step and `window` steps either side.
+ *
+ * Returns:
+ * - the matching step (so callers can reject replays of the same code)
+ * - null when the code does not match
+ */
+function verifyCode(secret, code, window = 1) {
+  if (typeof code !== "string" || !/^\d{6}$/.test(code)) return null;
+
+  const now = currentStep();
+
+  for (let offset = -window; offset <= window; offset += 1) {
+    const candidate = generateCode(secret, now + offset);
+
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(code))) {
+      return now + offset;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * buildOtpauthUri(secret, accountName, issuer)
+ * -----------------------------------------------------------------------------
+ * otpauth:// URI understood by authenticator apps (usually shown as a QR code).
+ */
+function buildOtpauthUri(secret, accountName, issuer) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri,
+};
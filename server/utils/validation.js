@@ -0,0 +1,91 @@
+/**
+ * utils/validation.js
+ * -----------------------------------------------------------------------------
+ * Small input checks shared across routes.
+ * - Account fields (auth.js, me.js) are checked by hand.
+ * - Other payloads are validated with Zod (see schemas/); the helpers below
+ *   turn Zod and route-param failures into the standard 400 response.
+ * -----------------------------------------------------------------------------
+ */
+
+// Largest id a SERIAL column holds (PostgreSQL integer); a larger id would fail
+// the cast in SQL instead of being rejected as input.
+const MAX_ID = 2 ** 31 - 1;
+
+/**
+ * isValidEmail(email)
+ * -----------------------------------------------------------------------------
+ * Minimal email format check (not perfect, but prevents clearly invalid values).
+ * This helps:
+ * - Catch typos early
+ * - Reduce bad data in the database
+ * - Improve error messages for the user
+ */
+function isValidEmail(email) {
+  // Regex checks basic "text@text.text" shape and avoids whitespace.
+  return typeof email === "string" && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
+
+/**
+ * isValidUsername(username)
+ * -----------------------------------------------------------------------------
+ * Usernames are trimmed and must be 3-50 characters (users.username is
+ * VARCHAR(50)).
+ */
+function isValidUsername(username) {
+  if (typeof username !== "string") return false;
+
+  const trimmed = username.trim();
+  return trimmed.length >= 3 && trimmed.length <= 50;
+}
+
+/**
+ * formatZodError
+ * -----------------------------------------------------------------------------
+ * Converts Zod validation errors into a consistent API response format.
+ *
+ * Output format:
+ * [
+ *   { field: "title", message: "Title cannot be empty." },
+ *   { field: "_form", message: "At least one field is required..." }
+ * ]
+ */
+function formatZodError(zodError) {
+  return zodError.issues.map((issue) => ({
+    field: issue.path.length > 0 ? issue.path.join(".") : "unknown",
+    message: issue.message,
+  }));
+}
+
+/**
+ * validatePositiveIntParam
+ * -----------------------------------------------------------------------------
+ * Validates that a route parameter is a positive integer no larger than MAX_ID.
+ *
+ * Returns:
+ * - { ok: true, value: number } when valid
+ * - { ok: false, response: ExpressResponse } when invalid (caller should return it)
+ */
+function validatePositiveIntParam(res, name, rawValue) {
+  const parsed = Number(rawValue);
+
+  if (!Number.isInteger(parsed) || parsed <= 0 || parsed > MAX_ID) {
+    return {
+      ok: false,
+      response: res.status(400).json({
+        error: "Invalid input",
+        details: [{ field: name, message: `${name} must be a positive integer.` }],
+      }),
+    };
+  }
+
+  return { ok: true, value: parsed };
+}
+
+module.exports = {
+  MAX_ID,
+  isValidEmail,
+  isValidUsername,
+  formatZodError,
+  validatePositiveIntParam,
+};